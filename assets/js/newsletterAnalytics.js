@@ -0,0 +1,330 @@
+/**
+ * RIILSA Newsletter - Engagement Analytics
+ *
+ * "Estadísticas" drawer of sent newsletters: delivered, opens, clicks per news item,
+ * bounces and unsubscribes from the Brevo campaign, cached by the server until refreshed
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Zone names shown next to each news item
+   */
+  const POSITION_LABELS = {
+    highlight: "Destacada",
+    normal: "Normal",
+    grid: "Cuadrícula",
+  };
+
+  /**
+   * Analytics request in flight, aborted when the drawer closes or another newsletter is opened
+   */
+  let pendingRequest = null;
+
+  /**
+   * Newsletter number shown in the drawer
+   */
+  let currentNumber = null;
+
+  /**
+   * Initialize analytics when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    $(document).on("click", ".riilsa-btn-analytics", handleOpen);
+  });
+
+  /**
+   * Open the drawer for the newsletter of the clicked card
+   *
+   * @param {Event} e - Click event
+   */
+  function handleOpen(e) {
+    e.preventDefault();
+
+    const button = $(this);
+    const number = parseInt(button.closest(".riilsa-actions-grid").data("newsletter"), 10);
+
+    if (!number) {
+      return;
+    }
+
+    openDrawer(number, button);
+    loadAnalytics(false);
+  }
+
+  /**
+   * Build the drawer and bind its close and refresh controls
+   *
+   * @param {number} number - Newsletter number
+   * @param {jQuery} opener - Button focused again when the drawer closes
+   */
+  function openDrawer(number, opener) {
+    closeDrawer(false);
+    currentNumber = number;
+
+    const drawerHtml = `
+      <div id="riilsaAnalyticsDrawer" class="riilsa-drawer-overlay">
+        <aside class="riilsa-drawer" role="dialog" aria-modal="true" aria-labelledby="riilsaAnalyticsTitle">
+          <div class="riilsa-drawer-header">
+            <h3 id="riilsaAnalyticsTitle" class="riilsa-drawer-title">Estadísticas del boletín #${number}</h3>
+            <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+          </div>
+          <div class="riilsa-drawer-body" aria-live="polite"></div>
+          <div class="riilsa-drawer-footer">
+            <span class="riilsa-analytics-updated"></span>
+            <button class="riilsa-btn riilsa-analytics-refresh" type="button">
+              <span class="dashicons dashicons-update"></span>
+              Actualizar
+            </button>
+          </div>
+        </aside>
+      </div>
+    `;
+
+    $("body").append(drawerHtml);
+
+    const drawer = $("#riilsaAnalyticsDrawer");
+
+    drawer.data("opener", opener);
+
+    drawer.on("click", function (e) {
+      if (e.target === this) {
+        closeDrawer(true);
+      }
+    });
+
+    drawer.find(".riilsa-modal-close").on("click", function (e) {
+      e.preventDefault();
+      closeDrawer(true);
+    });
+
+    drawer.find(".riilsa-analytics-refresh").on("click", function (e) {
+      e.preventDefault();
+      loadAnalytics(true);
+    });
+
+    $(document).on("keydown.riilsa-analytics", function (e) {
+      if (e.key === "Escape" || e.keyCode === 27) {
+        closeDrawer(true);
+      }
+    });
+
+    drawer.find(".riilsa-modal-close").trigger("focus");
+  }
+
+  /**
+   * Remove the drawer and drop its pending request
+   *
+   * @param {boolean} restoreFocus - Focus the button that opened it
+   */
+  function closeDrawer(restoreFocus) {
+    const drawer = $("#riilsaAnalyticsDrawer");
+
+    if (pendingRequest) {
+      pendingRequest.abort();
+      pendingRequest = null;
+    }
+
+    $(document).off("keydown.riilsa-analytics");
+
+    if (!drawer.length) {
+      return;
+    }
+
+    const opener = drawer.data("opener");
+
+    drawer.remove();
+    currentNumber = null;
+
+    if (restoreFocus && opener && opener.length) {
+      opener.trigger("focus");
+    }
+  }
+
+  /**
+   * Load the numbers of the open newsletter into the drawer
+   *
+   * @param {boolean} refresh - Ask Brevo again instead of using the cached numbers
+   */
+  function loadAnalytics(refresh) {
+    const drawer = $("#riilsaAnalyticsDrawer");
+    const body = drawer.find(".riilsa-drawer-body");
+    const refreshButton = drawer.find(".riilsa-analytics-refresh");
+    const number = currentNumber;
+
+    if (pendingRequest) {
+      pendingRequest.abort();
+    }
+
+    drawer.addClass("is-loading");
+    refreshButton.prop("disabled", true);
+
+    if (!body.children().length) {
+      body.html('<p class="riilsa-analytics-status">Cargando estadísticas…</p>');
+    }
+
+    const request = riilsa.request("newsletterAnalytics", { id: number, refresh: refresh ? 1 : 0 });
+    pendingRequest = request;
+
+    request
+      .then(function (data) {
+        if (number !== currentNumber) {
+          return;
+        }
+
+        renderAnalytics(body, data);
+        drawer
+          .find(".riilsa-analytics-updated")
+          .text(data.fetchedAt ? `Actualizado: ${data.fetchedAt}` : "");
+      })
+      .catch(function (error) {
+        if (riilsa.isAbort(error) || number !== currentNumber) {
+          return;
+        }
+
+        console.error("Analytics error:", error);
+
+        // Keep the cached numbers on screen when only the refresh failed
+        body.find(".riilsa-analytics-error").remove();
+        body.prepend(
+          $('<p class="riilsa-analytics-error" role="alert"></p>').text(
+            `No se pudieron cargar las estadísticas: ${error.message || "error desconocido"}`
+          )
+        );
+        body.find(".riilsa-analytics-status").remove();
+      })
+      .finally(function () {
+        if (pendingRequest === request) {
+          pendingRequest = null;
+          drawer.removeClass("is-loading");
+          refreshButton.prop("disabled", false);
+        }
+      });
+  }
+
+  /**
+   * Render the totals and the per item clicks
+   *
+   * @param {jQuery} body - Drawer body
+   * @param {Object} data - {totals, items, otherClicks, fetchedAt}
+   */
+  function renderAnalytics(body, data) {
+    const totals = data.totals || {};
+    const delivered = totals.delivered || 0;
+
+    const metrics = [
+      { label: "Entregados", value: delivered, detail: `de ${totals.sent || 0} enviados` },
+      { label: "Aperturas", value: totals.opens || 0, detail: "totales" },
+      {
+        label: "Aperturas únicas",
+        value: totals.uniqueOpens || 0,
+        detail: `${formatRate(totals.uniqueOpens, delivered)} de los entregados`,
+      },
+      {
+        label: "Clics",
+        value: totals.clicks || 0,
+        detail: `${totals.uniqueClicks || 0} únicos`,
+      },
+      {
+        label: "Rebotes",
+        value: (totals.hardBounces || 0) + (totals.softBounces || 0),
+        detail: `${totals.hardBounces || 0} duros, ${totals.softBounces || 0} suaves`,
+      },
+      {
+        label: "Bajas",
+        value: totals.unsubscriptions || 0,
+        detail: `${formatRate(totals.unsubscriptions, delivered)} de los entregados`,
+      },
+    ];
+
+    const metricsHtml = metrics
+      .map(
+        (metric) => `
+          <div class="riilsa-analytics-metric">
+            <span class="riilsa-analytics-value">${parseInt(metric.value, 10)}</span>
+            <span class="riilsa-analytics-label">${escapeHtml(metric.label)}</span>
+            <span class="riilsa-analytics-detail">${escapeHtml(metric.detail)}</span>
+          </div>
+        `
+      )
+      .join("");
+
+    const items = data.items || [];
+    const rowsHtml = items
+      .map(
+        (item) => `
+          <tr>
+            <td>
+              <a href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(item.title)}</a>
+            </td>
+            <td>${escapeHtml(POSITION_LABELS[item.position] || "—")}</td>
+            <td class="riilsa-analytics-clicks">${parseInt(item.clicks, 10)}</td>
+          </tr>
+        `
+      )
+      .join("");
+
+    body.html(`
+      <div class="riilsa-analytics-metrics">${metricsHtml}</div>
+      <h4 class="riilsa-analytics-subtitle">Clics por noticia</h4>
+      ${
+        items.length
+          ? `<table class="riilsa-analytics-table">
+              <thead>
+                <tr>
+                  <th scope="col">Noticia</th>
+                  <th scope="col">Zona</th>
+                  <th scope="col" class="riilsa-analytics-clicks">Clics</th>
+                </tr>
+              </thead>
+              <tbody>${rowsHtml}</tbody>
+              <tfoot>
+                <tr>
+                  <td colspan="2">Otros enlaces (encabezado, pie, redes)</td>
+                  <td class="riilsa-analytics-clicks">${parseInt(data.otherClicks, 10) || 0}</td>
+                </tr>
+              </tfoot>
+            </table>`
+          : '<p class="riilsa-analytics-status">Las noticias de este boletín ya no existen.</p>'
+      }
+    `);
+  }
+
+  /**
+   * Format a share as a percentage with one decimal
+   *
+   * @param {number} value - Part
+   * @param {number} total - Whole
+   * @returns {string} e.g. "12.5 %", or "0 %" when there is no whole
+   */
+  function formatRate(value, total) {
+    if (!total) {
+      return "0 %";
+    }
+
+    return `${(((value || 0) / total) * 100).toFixed(1)} %`;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * Quotes are escaped too because post URLs go into href attributes
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+})(jQuery);
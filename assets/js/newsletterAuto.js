@@ -1,9 +1,9 @@
 /**
  * RIILSA Newsletter - Automatic Newsletter
- * 
- * Handles automatic newsletter with recent news
+ *
+ * Handles automatic newsletter with recent news and its date range
  * Compatible with Clean Architecture refactored backend (v3.1.0)
- * 
+ *
  * @package RIILSA
  * @version 3.1.0
  * @author Alexis Chacon Trujillo
@@ -12,6 +12,38 @@
 (function ($) {
   'use strict';
 
+  /**
+   * Date range presets
+   * Keys match the AutoNewsletterRangeDTO::PRESET_* constants
+   */
+  const PRESETS = [
+    { key: 'last-sent', label: 'Desde el último boletín enviado' },
+    { key: 'two-weeks', label: 'Últimas 2 semanas' },
+    { key: 'month', label: 'Último mes' },
+    { key: 'custom', label: 'Personalizado' }
+  ];
+
+  /**
+   * Last day of the month the automatic draft can be set to
+   * Matches AutoDraftSettingsDTO::MAX_DAY
+   */
+  const MAX_DRAFT_DAY = 28;
+
+  /**
+   * Range rendered by the page before any change
+   */
+  const DEFAULT_PRESET = 'month';
+
+  /**
+   * Range the auto section currently shows
+   */
+  let currentRange = null;
+
+  /**
+   * Request in flight, aborted when the range changes again
+   */
+  let pendingRequest = null;
+
   /**
    * Initialize automatic newsletter functionality
    */
@@ -20,31 +52,408 @@
       return; // Not on newsletter management page
     }
 
+    currentRange = getDefaultRange();
+
     setupDateDisplay();
+    setupRangePicker();
     // setupAutoSelectButton() is handled in newsletterSelection.js to avoid duplication
   });
 
   /**
-   * Setup date range display for automatic newsletter
+   * One month back from today, the range the page renders on load
+   *
+   * @returns {Object} Range with preset, start and end dates
    */
-  function setupDateDisplay() {
+  function getDefaultRange() {
     const today = new Date();
-    
-    // Calculate one month ago
+    today.setHours(0, 0, 0, 0);
+
     const monthAgo = new Date(today);
     monthAgo.setMonth(monthAgo.getMonth() - 1);
-    
-    const dateMonthAgo = formatDate(monthAgo);
-    const dateToday = formatDate(today);
 
-    // Update date displays
-    $('#oldBoletin h3').text(dateMonthAgo);
-    $('#newBoletin h3').text(dateToday);
+    return { preset: DEFAULT_PRESET, start: monthAgo, end: today };
+  }
+
+  /**
+   * Setup date range display for automatic newsletter
+   */
+  function setupDateDisplay() {
+    $('#oldBoletin h3').text(formatDate(currentRange.start));
+    $('#newBoletin h3').text(formatDate(currentRange.end));
+  }
+
+  /**
+   * Render the preset and date inputs at the top of the auto section
+   */
+  function setupRangePicker() {
+    if (!$('#newsAuto').length) {
+      return;
+    }
+
+    let presetOptions = '';
+    PRESETS.forEach(function (preset) {
+      presetOptions += `<option value="${preset.key}">${preset.label}</option>`;
+    });
+
+    const pickerHtml = `
+      <div id="riilsaAutoRange" class="riilsa-auto-range">
+        <label class="riilsa-auto-range-field">
+          Periodo
+          <select id="riilsaAutoPreset">${presetOptions}</select>
+        </label>
+        <label class="riilsa-auto-range-field">
+          Desde <input type="date" id="riilsaAutoFrom" disabled>
+        </label>
+        <label class="riilsa-auto-range-field">
+          Hasta <input type="date" id="riilsaAutoTo" disabled>
+        </label>
+        <span class="riilsa-auto-range-status" aria-live="polite"></span>
+        <button type="button" class="riilsa-auto-draft-btn">
+          <span class="dashicons dashicons-update"></span>
+          Borrador automático
+        </button>
+      </div>
+    `;
+
+    $('#riilsaAutoRange').remove();
+    $('#newsAuto').prepend(pickerHtml);
+
+    $('#riilsaAutoPreset').val(currentRange.preset);
+    $('#riilsaAutoFrom').val(toInputDate(currentRange.start));
+    $('#riilsaAutoTo').val(toInputDate(currentRange.end));
+
+    $(document).on('change', '#riilsaAutoPreset', function () {
+      const preset = $(this).val();
+      const custom = preset === 'custom';
+
+      $('#riilsaAutoFrom, #riilsaAutoTo').prop('disabled', !custom);
+
+      if (custom) {
+        $('#riilsaAutoFrom').trigger('focus');
+        return;
+      }
+
+      loadAutoNews({ preset: preset });
+    });
+
+    $(document).on('change', '#riilsaAutoFrom, #riilsaAutoTo', function () {
+      const from = $('#riilsaAutoFrom').val();
+      const to = $('#riilsaAutoTo').val();
+
+      if (!from || !to) {
+        return;
+      }
+
+      if (to < from) {
+        setStatus('La fecha final debe ser igual o posterior a la inicial.', true);
+        return;
+      }
+
+      loadAutoNews({ preset: 'custom', from: from, to: to });
+    });
+
+    $(document).on('click', '.riilsa-auto-draft-btn', handleAutoDraftSettings);
+  }
+
+  /**
+   * Fetch the published news of a range and refresh the auto section
+   *
+   * @param {Object} range - {preset, from, to}
+   */
+  function loadAutoNews(range) {
+    if (pendingRequest) {
+      pendingRequest.abort();
+    }
+
+    setStatus('Buscando noticias publicadas...', false);
+    $('#riilsaAutoRange').addClass('is-loading');
+
+    const request = riilsa.request('autoNewsletterNews', range);
+    pendingRequest = request;
+
+    request
+      .then(function (data) {
+        renderAutoNews(data, range.preset);
+      })
+      .catch(function (error) {
+        if (riilsa.isAbort(error)) {
+          return;
+        }
+
+        console.error('Auto newsletter news error:', error);
+        setStatus('No se pudieron cargar las noticias del periodo.', true);
+        window.showError('Error al cargar las noticias del periodo.', error);
+      })
+      .finally(function () {
+        if (pendingRequest === request) {
+          pendingRequest = null;
+          $('#riilsaAutoRange').removeClass('is-loading');
+        }
+      });
+  }
+
+  /**
+   * Replace the auto section items with the news of the new range
+   *
+   * @param {Object} data - {items, range, statistics}
+   * @param {string} requestedPreset - Preset the editor picked
+   */
+  function renderAutoNews(data, requestedPreset) {
+    const stats = data.statistics || {};
+
+    currentRange = {
+      preset: data.range.preset,
+      start: parseDate(data.range.start),
+      end: parseDate(data.range.end)
+    };
+
+    setupDateDisplay();
+    $('#riilsaAutoPreset').val(currentRange.preset);
+    $('#riilsaAutoFrom').val(data.range.start);
+    $('#riilsaAutoTo').val(data.range.end);
+
+    let list = $('#riilsaAutoList');
+
+    if (!list.length) {
+      // The first refresh swaps the page-rendered items for our own list
+      const rendered = $('#newsAuto .cb').closest('[id]');
+      list = $('<div id="riilsaAutoList" class="riilsa-auto-list"></div>');
+
+      if (rendered.length) {
+        rendered.first().parent().after(list);
+        rendered.remove();
+      } else {
+        $('#newsAuto').append(list);
+      }
+    }
+
+    list.empty();
+
+    if (!data.items.length) {
+      list.append('<p class="riilsa-auto-empty">No hay noticias publicadas en este periodo.</p>');
+    }
+
+    data.items.forEach(function (item) {
+      const meta = [formatDate(parseDate(item.date)), item.researchLine].filter(Boolean).join(' · ');
+
+      list.append(`
+        <div id="${escapeHtml(item.id)}" class="riilsa-auto-item">
+          <div class="news-container">
+            <span class="cb"><input type="checkbox" tabindex="-1"></span>
+            <div class="riilsa-auto-item-body">
+              <a class="elementor-heading-title" href="${escapeHtml(item.url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${escapeHtml(item.title)}</a>
+              <span class="riilsa-auto-item-meta">${escapeHtml(meta)}</span>
+            </div>
+          </div>
+        </div>
+      `);
+    });
+
+    // The auto section is all or nothing, as when it is opened
+    if ($('#b_newsAuto').hasClass('active')) {
+      list.find('.cb input').prop('checked', true).prop('disabled', true);
+    }
+
+    window.updateNewsCounter();
+
+    let status = `${data.items.length} noticias publicadas del ${formatDate(currentRange.start)} al ${formatDate(currentRange.end)}.`;
+
+    if (data.range.preset !== requestedPreset) {
+      status += ' Aún no hay boletines enviados; se muestra el último mes.';
+    }
+
+    if (stats.capacity && data.items.length > stats.capacity) {
+      status += ` El boletín admite ${stats.capacity} noticias.`;
+    }
+
+    setStatus(status, stats.capacity && data.items.length > stats.capacity);
+  }
+
+  /**
+   * Edit and save the recurring automatic draft settings
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleAutoDraftSettings(e) {
+    e.preventDefault();
+
+    const settings = await openAutoDraftDialog(riilsa_ajax.auto_draft || {});
+
+    if (!settings) {
+      return;
+    }
+
+    const button = $(this);
+    button.prop('disabled', true);
+
+    try {
+      const data = await riilsa.request('saveAutoDraftSettings', settings);
+
+      riilsa_ajax.auto_draft = data.settings;
+
+      window.showRiilsaModal({
+        title: 'Borrador automático',
+        type: 'success',
+        successes: [
+          data.settings.enabled
+            ? `El próximo borrador se generará el ${formatDate(getNextDraftDate(data.settings.dayOfMonth))}. Los editores recibirán un enlace para revisarlo y enviarlo.`
+            : 'El borrador automático está desactivado.'
+        ]
+      });
+    } catch (error) {
+      console.error('Auto draft settings error:', error);
+      window.showRiilsaModal({
+        title: 'No se pudo guardar la configuración',
+        type: 'error',
+        errors: [String(error.message || error)]
+      });
+    } finally {
+      button.prop('disabled', false);
+    }
+  }
+
+  /**
+   * Ask for the automatic draft settings
+   *
+   * @param {Object} current - Saved settings
+   * @returns {Promise<Object|null>} New settings, or null if the editor cancelled
+   */
+  function openAutoDraftDialog(current) {
+    return new Promise((resolve) => {
+      let presetOptions = '';
+      PRESETS.filter((preset) => preset.key !== 'custom').forEach(function (preset) {
+        const selected = preset.key === current.preset ? ' selected' : '';
+        presetOptions += `<option value="${preset.key}"${selected}>${preset.label}</option>`;
+      });
+
+      $('#riilsa-auto-draft-modal').remove();
+
+      const modalHtml = `
+        <div id="riilsa-auto-draft-modal" class="riilsa-modal-overlay" style="display: none;">
+          <div class="riilsa-modal-content info" role="dialog" aria-modal="true">
+            <div class="riilsa-modal-header">
+              <h3 class="riilsa-modal-title">
+                <span class="riilsa-modal-icon">🔁</span>
+                Borrador automático mensual
+              </h3>
+              <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="riilsa-modal-body">
+              <label class="riilsa-modal-checkbox">
+                <input type="checkbox" id="riilsaAutoDraftEnabled"${current.enabled ? ' checked' : ''}>
+                Generar un borrador cada mes
+              </label>
+              <label class="riilsa-modal-label" for="riilsaAutoDraftDay">Día del mes (1 a ${MAX_DRAFT_DAY})</label>
+              <input type="number" id="riilsaAutoDraftDay" class="riilsa-modal-field" min="1" max="${MAX_DRAFT_DAY}" value="${parseInt(current.dayOfMonth, 10) || 1}">
+              <label class="riilsa-modal-label" for="riilsaAutoDraftPreset">Noticias incluidas</label>
+              <select id="riilsaAutoDraftPreset" class="riilsa-modal-field">${presetOptions}</select>
+              <label class="riilsa-modal-label" for="riilsaAutoDraftHeader">Encabezado (vacío para usar las fechas del periodo)</label>
+              <input type="text" id="riilsaAutoDraftHeader" class="riilsa-modal-field">
+              <label class="riilsa-modal-label" for="riilsaAutoDraftRecipients">
+                Avisar a (vacío para todos los editores y administradores)
+              </label>
+              <textarea id="riilsaAutoDraftRecipients" class="riilsa-modal-field" rows="3">${escapeHtml((current.recipients || []).join('\n'))}</textarea>
+              <p class="riilsa-modal-field-error" style="display: none;"></p>
+            </div>
+            <div class="riilsa-modal-footer">
+              <button class="riilsa-btn riilsa-modal-cancel-btn" type="button">Cancelar</button>
+              <button class="riilsa-btn riilsa-btn-primary riilsa-modal-confirm-btn" type="button">Guardar</button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      $('body').append(modalHtml);
+
+      const modal = $('#riilsa-auto-draft-modal');
+      const errorBox = modal.find('.riilsa-modal-field-error');
+
+      // Set as a value so the stored header HTML is not parsed
+      modal.find('#riilsaAutoDraftHeader').val(current.headerText || '');
+
+      function close(value) {
+        $(document).off('keydown.riilsa-auto-draft');
+        modal.fadeOut(300, function () {
+          $(this).remove();
+        });
+        resolve(value);
+      }
+
+      modal.on('click', function (e) {
+        if (e.target === this) {
+          close(null);
+        }
+      });
+
+      modal.find('.riilsa-modal-close, .riilsa-modal-cancel-btn').on('click', function (e) {
+        e.preventDefault();
+        close(null);
+      });
+
+      modal.find('.riilsa-modal-confirm-btn').on('click', function (e) {
+        e.preventDefault();
+
+        const day = parseInt(modal.find('#riilsaAutoDraftDay').val(), 10);
+
+        if (!day || day < 1 || day > MAX_DRAFT_DAY) {
+          errorBox.text(`El día debe estar entre 1 y ${MAX_DRAFT_DAY}.`).show();
+          return;
+        }
+
+        close({
+          enabled: modal.find('#riilsaAutoDraftEnabled').is(':checked'),
+          dayOfMonth: day,
+          preset: modal.find('#riilsaAutoDraftPreset').val(),
+          headerText: modal.find('#riilsaAutoDraftHeader').val().trim(),
+          recipients: modal.find('#riilsaAutoDraftRecipients').val()
+        });
+      });
+
+      $(document).on('keydown.riilsa-auto-draft', function (e) {
+        if (e.key === 'Escape' || e.keyCode === 27) {
+          close(null);
+        }
+      });
+
+      modal.fadeIn(300);
+      modal.find('#riilsaAutoDraftEnabled').trigger('focus');
+    });
+  }
+
+  /**
+   * Next date the cron job will build a draft on
+   *
+   * @param {number} dayOfMonth - Configured day
+   * @returns {Date} Date
+   */
+  function getNextDraftDate(dayOfMonth) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const next = new Date(today.getFullYear(), today.getMonth(), dayOfMonth);
+
+    if (next < today) {
+      next.setMonth(next.getMonth() + 1);
+    }
+
+    return next;
+  }
+
+  /**
+   * Show a message next to the range inputs
+   *
+   * @param {string} message - Message
+   * @param {boolean} isWarning - Highlight the message
+   */
+  function setStatus(message, isWarning) {
+    $('#riilsaAutoRange .riilsa-auto-range-status')
+      .text(message)
+      .toggleClass('is-warning', !!isWarning);
   }
 
   /**
    * Format date as DD/MM/YYYY
-   * 
+   *
    * @param {Date} date - Date to format
    * @returns {string} Formatted date string
    */
@@ -52,25 +461,61 @@
     const day = String(date.getDate()).padStart(2, '0');
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const year = date.getFullYear();
-    
+
     return `${day}/${month}/${year}`;
   }
 
+  /**
+   * Format date as YYYY-MM-DD for date inputs
+   *
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date string
+   */
+  function toInputDate(date) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as a local date
+   *
+   * @param {string} value - Date string
+   * @returns {Date} Date
+   */
+  function parseDate(value) {
+    const parts = String(value).split('-').map(Number);
+
+    return new Date(parts[0], parts[1] - 1, parts[2]);
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   /**
    * Get automatic newsletter date range
-   * 
-   * @returns {Object} Object with start and end dates
+   *
+   * @returns {Object} Object with the preset and the chosen start and end dates
    */
   window.getAutoNewsletterDateRange = function () {
-    const today = new Date();
-    const monthAgo = new Date(today);
-    monthAgo.setMonth(monthAgo.getMonth() - 1);
+    const range = currentRange || getDefaultRange();
 
     return {
-      start: monthAgo,
-      end: today,
-      startFormatted: formatDate(monthAgo),
-      endFormatted: formatDate(today)
+      preset: range.preset,
+      start: range.start,
+      end: range.end,
+      startFormatted: formatDate(range.start),
+      endFormatted: formatDate(range.end)
     };
   };
 
@@ -0,0 +1,327 @@
+/**
+ * RIILSA Newsletter - Layout Composer
+ *
+ * Visual composer to place selected news into the highlight, normal and grid zones
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Newsletter zones in rendering order
+   */
+  const ZONES = [
+    { key: "highlight", label: "Destacadas" },
+    { key: "normal", label: "Normales" },
+    { key: "grid", label: "Cuadrícula" },
+  ];
+
+  /**
+   * Initialize composer when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    if (!$("#newsSelect").length) {
+      return;
+    }
+
+    renderComposer();
+    syncComposer();
+
+    // Keep composer in sync with the checkbox selection
+    $(document).on("riilsa:selectionChanged", syncComposer);
+
+    // Up/down controls as an alternative to dragging
+    $(document).on("click", "#riilsaComposer .riilsa-composer-move", handleMove);
+  });
+
+  /**
+   * Get zone capacities from the localized server limits
+   *
+   * @returns {Object} Capacity per zone key
+   */
+  function getLimits() {
+    return window.getNewsCategoryLimits();
+  }
+
+  /**
+   * Render the composer next to the selection panel
+   */
+  function renderComposer() {
+    const limits = getLimits();
+
+    let zonesHtml = "";
+    ZONES.forEach(function (zone) {
+      zonesHtml += `
+        <div class="riilsa-composer-zone" data-zone="${zone.key}">
+          <div class="riilsa-composer-zone-title">
+            <span>${zone.label}</span>
+            <span class="riilsa-composer-count">0 / ${limits[zone.key]}</span>
+          </div>
+          <ul class="riilsa-composer-list" data-zone="${zone.key}"></ul>
+        </div>
+      `;
+    });
+
+    const composerHtml = `
+      <div id="riilsaComposer" class="riilsa-composer">
+        <div class="riilsa-composer-header">
+          <h4>Composición del boletín</h4>
+          <p>Arrastra las noticias seleccionadas a una zona y ordénalas arrastrando o con las flechas. Las que queden sin asignar se ubicarán según su posición guardada.</p>
+        </div>
+        <div class="riilsa-composer-zone riilsa-composer-pool" data-zone="pool">
+          <div class="riilsa-composer-zone-title">
+            <span>Sin asignar</span>
+            <span class="riilsa-composer-count">0</span>
+          </div>
+          <ul class="riilsa-composer-list" data-zone="pool"></ul>
+        </div>
+        <div class="riilsa-composer-zones">${zonesHtml}</div>
+      </div>
+    `;
+
+    $("#riilsaComposer").remove();
+    $("#newsSelect").append(composerHtml);
+
+    $("#riilsaComposer .riilsa-composer-list").sortable({
+      connectWith: "#riilsaComposer .riilsa-composer-list",
+      placeholder: "riilsa-composer-placeholder",
+      tolerance: "pointer",
+      receive: function (event, ui) {
+        const zone = $(this).data("zone");
+
+        if (zone === "pool") {
+          return;
+        }
+
+        // Reject the drop if the zone is already full
+        if ($(this).children().length > getLimits()[zone]) {
+          $(ui.sender).sortable("cancel");
+          flashZone($(this).closest(".riilsa-composer-zone"));
+        }
+      },
+      update: notifyLayoutChanged,
+    });
+  }
+
+  /**
+   * Refresh counters and controls after the placement changed
+   */
+  function notifyLayoutChanged() {
+    updateCounts();
+    updateMoveButtons();
+
+    // Let the capacity meter follow the explicit placement
+    $(document).trigger("riilsa:layoutChanged");
+  }
+
+  /**
+   * Move an item one step up or down within its zone
+   *
+   * @param {Event} e - Click event
+   */
+  function handleMove(e) {
+    e.preventDefault();
+
+    const button = $(this);
+    const item = button.closest(".riilsa-composer-item");
+    const up = button.data("direction") === "up";
+    const target = up ? item.prev(".riilsa-composer-item") : item.next(".riilsa-composer-item");
+
+    if (!target.length) {
+      return;
+    }
+
+    if (up) {
+      item.insertBefore(target);
+    } else {
+      item.insertAfter(target);
+    }
+
+    notifyLayoutChanged();
+
+    // Keep focus on the same control so the item can be moved several steps
+    const moved = item.find(`.riilsa-composer-move[data-direction="${up ? "up" : "down"}"]`);
+    (moved.prop("disabled") ? item.find(".riilsa-composer-move:not(:disabled)") : moved).first().trigger("focus");
+  }
+
+  /**
+   * Disable the controls that would move an item past the ends of its zone
+   */
+  function updateMoveButtons() {
+    $("#riilsaComposer .riilsa-composer-list").each(function () {
+      const items = $(this).children(".riilsa-composer-item");
+
+      items.find(".riilsa-composer-move").prop("disabled", false);
+      items.first().find('.riilsa-composer-move[data-direction="up"]').prop("disabled", true);
+      items.last().find('.riilsa-composer-move[data-direction="down"]').prop("disabled", true);
+    });
+  }
+
+  /**
+   * Briefly mark a zone as full
+   *
+   * @param {jQuery} zone - Zone element
+   */
+  function flashZone(zone) {
+    zone.addClass("is-full");
+    setTimeout(function () {
+      zone.removeClass("is-full");
+    }, 800);
+  }
+
+  /**
+   * Update zone counters
+   */
+  function updateCounts() {
+    const limits = getLimits();
+
+    $("#riilsaComposer .riilsa-composer-zone").each(function () {
+      const zone = $(this).data("zone");
+      const count = $(this).find(".riilsa-composer-item").length;
+      const counter = $(this).find(".riilsa-composer-count");
+
+      if (zone === "pool") {
+        counter.text(count);
+        return;
+      }
+
+      counter.text(`${count} / ${limits[zone]}`);
+      $(this).toggleClass("at-limit", count >= limits[zone]);
+    });
+  }
+
+  /**
+   * Get the display title of a news item from the selection panel
+   *
+   * @param {string} id - News ID
+   * @returns {string} News title
+   */
+  function getNewsTitle(id) {
+    const item = $(`[id="${id}"]`);
+    const heading = item
+      .find(".elementor-heading-title, h1, h2, h3, h4, h5")
+      .first()
+      .text()
+      .trim();
+
+    return heading || `Noticia ${id}`;
+  }
+
+  /**
+   * Add newly selected items to the pool and drop deselected ones
+   */
+  function syncComposer() {
+    const composer = $("#riilsaComposer");
+
+    if (!composer.length) {
+      return;
+    }
+
+    const selectedIds = window.getSelectedNewsIds();
+
+    composer.find(".riilsa-composer-item").each(function () {
+      if (selectedIds.indexOf(String($(this).data("id"))) === -1) {
+        $(this).remove();
+      }
+    });
+
+    const pool = composer.find('.riilsa-composer-list[data-zone="pool"]');
+
+    selectedIds.forEach(function (id) {
+      if (composer.find(`.riilsa-composer-item[data-id="${id}"]`).length) {
+        return;
+      }
+
+      const title = getNewsTitle(id);
+
+      const item = $('<li class="riilsa-composer-item"></li>')
+        .attr("data-id", id)
+        .append('<span class="dashicons dashicons-menu"></span>')
+        .append($('<span class="riilsa-composer-item-title"></span>').text(title))
+        .append(
+          $('<span class="riilsa-composer-move-group"></span>')
+            .append(
+              $(
+                '<button type="button" class="riilsa-composer-move" data-direction="up"><span class="dashicons dashicons-arrow-up-alt2"></span></button>'
+              ).attr("aria-label", `Subir "${title}"`)
+            )
+            .append(
+              $(
+                '<button type="button" class="riilsa-composer-move" data-direction="down"><span class="dashicons dashicons-arrow-down-alt2"></span></button>'
+              ).attr("aria-label", `Bajar "${title}"`)
+            )
+        );
+
+      pool.append(item);
+    });
+
+    composer.find(".riilsa-composer-list").sortable("refresh");
+    updateCounts();
+    updateMoveButtons();
+  }
+
+  /**
+   * Get the explicit layout chosen in the composer
+   * Only items dropped into a zone are included
+   *
+   * @returns {Array<Object>} Array of {id, position, order}
+   */
+  window.getComposerLayout = function () {
+    const layout = [];
+
+    ZONES.forEach(function (zone) {
+      $(`#riilsaComposer .riilsa-composer-list[data-zone="${zone.key}"] .riilsa-composer-item`).each(
+        function (index) {
+          layout.push({
+            id: String($(this).data("id")),
+            position: zone.key,
+            order: index,
+          });
+        }
+      );
+    });
+
+    return layout;
+  };
+
+  /**
+   * Place the selected items as a stored layout says
+   * Items without an entry stay in the pool
+   *
+   * @param {Array<Object>} layout - Array of {id, position, order}
+   */
+  window.setComposerLayout = function (layout) {
+    const composer = $("#riilsaComposer");
+
+    if (!composer.length) {
+      return;
+    }
+
+    const pool = composer.find('.riilsa-composer-list[data-zone="pool"]');
+
+    composer.find(".riilsa-composer-item").appendTo(pool);
+
+    layout
+      .slice()
+      .sort((a, b) => a.order - b.order)
+      .forEach(function (entry) {
+        const zone = composer.find(`.riilsa-composer-list[data-zone="${entry.position}"]`);
+
+        if (zone.length) {
+          composer.find(`.riilsa-composer-item[data-id="${String(entry.id)}"]`).appendTo(zone);
+        }
+      });
+
+    composer.find(".riilsa-composer-list").sortable("refresh");
+    notifyLayoutChanged();
+  };
+})(jQuery);
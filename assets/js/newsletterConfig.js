@@ -124,8 +124,7 @@
           }
         } catch (error) {
           console.error("Button action error:", error);
-          const errorMessage = error.message || error;
-          window.showError("Ha ocurrido un error al procesar la solicitud.", errorMessage);
+          window.showError("Ha ocurrido un error al procesar la solicitud.", error);
         } finally {
           if (icon.length !== 0) {
             window.toggleLoading(icon, btn);
@@ -157,7 +156,7 @@
 
     // Validate email input
     if (!email) {
-      alert("Please enter an email address!");
+      window.showError("Escribe una dirección de correo.");
       return Promise.reject("No email provided");
     }
 
@@ -179,36 +178,24 @@
    * @returns {Promise} Promise that resolves when email is added
    */
   function addEmail(email, dep) {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "controlEmails",
-          nonce: riilsa_ajax.nonce,
-          emailAction: "add",
-          data: {
-            process: "create",
-            email: email,
-            dep: dep,
-          },
-        },
-        success: function (response) {
-          if (response.success === false) {
-            window.showError(response.message || response.data);
-            reject(response);
-            return;
-          }
-
-          alert("Email saved successfully. A confirmation email will be sent.");
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          window.showError("Failed to save email: " + error);
-          reject(error);
+    return riilsa
+      .request(
+        "controlEmails",
+        {
+          process: "create",
+          email: email,
+          dep: dep,
         },
+        { params: { emailAction: "add" } }
+      )
+      .then(function () {
+        window.showRiilsaModal({
+          title: "Correo guardado",
+          type: "success",
+          successes: [`${email} se guardó correctamente. Se le enviará un correo de confirmación.`],
+        });
+        return true;
       });
-    });
   }
 
   /**
@@ -217,10 +204,17 @@
    * @param {jQuery} btn - Button element that was clicked
    * @returns {Promise} Promise that resolves when email is deleted
    */
-  function deleteEmailInit(btn) {
+  async function deleteEmailInit(btn) {
     const id = btn.closest(".actions-wrapper").data("id");
 
-    if (!confirm("Are you sure you want to delete this email?")) {
+    const confirmed = await window.showRiilsaConfirm({
+      title: "Eliminar correo",
+      message: "¿Seguro que quieres eliminar este correo? Dejará de recibir los boletines.",
+      confirmLabel: "Eliminar",
+      danger: true,
+    });
+
+    if (!confirmed) {
       return Promise.reject("Delete cancelled");
     }
 
@@ -234,35 +228,23 @@
    * @returns {Promise} Promise that resolves when email is deleted
    */
   function deleteEmail(id) {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "controlEmails",
-          nonce: riilsa_ajax.nonce,
-          emailAction: "remove",
-          data: {
-            process: "delete",
-            id: id,
-          },
-        },
-        success: function (response) {
-          if (response.success === false) {
-            window.showError(response.message || response.data);
-            reject(response);
-            return;
-          }
-
-          alert("Email deleted successfully.");
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          window.showError("Failed to delete email: " + error);
-          reject(error);
+    return riilsa
+      .request(
+        "controlEmails",
+        {
+          process: "delete",
+          id: id,
         },
+        { params: { emailAction: "remove" } }
+      )
+      .then(function () {
+        window.showRiilsaModal({
+          title: "Correo eliminado",
+          type: "success",
+          successes: ["El correo se eliminó correctamente."],
+        });
+        return true;
       });
-    });
   }
 
   /**
@@ -283,35 +265,23 @@
    * @returns {Promise} Promise that resolves when email is sent
    */
   function requestEmail(id) {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "controlEmails",
-          nonce: riilsa_ajax.nonce,
-          emailAction: "resend",
-          data: {
-            process: "request",
-            id: id,
-          },
-        },
-        success: function (response) {
-          if (response.success === false) {
-            window.showError(response.message || response.data);
-            reject(response);
-            return;
-          }
-
-          alert("Confirmation email sent successfully.");
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          window.showError("Failed to send confirmation email: " + error);
-          reject(error);
+    return riilsa
+      .request(
+        "controlEmails",
+        {
+          process: "request",
+          id: id,
         },
+        { params: { emailAction: "resend" } }
+      )
+      .then(function () {
+        window.showRiilsaModal({
+          title: "Confirmación enviada",
+          type: "success",
+          successes: ["El correo de confirmación se envió correctamente."],
+        });
+        return true;
       });
-    });
   }
 
   /**
@@ -322,7 +292,7 @@
     const dep = $("#newDep").val().trim();
 
     if (!dep) {
-      alert("Please enter a department name!");
+      window.showError("Escribe el nombre de la dependencia.");
       return Promise.reject("No department provided");
     }
 
@@ -337,36 +307,24 @@
    * @returns {Promise} Promise that resolves when department is added
    */
   function addDep(dep) {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "controlDependencies",
-          nonce: riilsa_ajax.nonce,
-          dependencyAction: "add",
-          data: {
-            process: "create",
-            dep: dep,
-            description: dep,
-          },
-        },
-        success: function (response) {
-          if (response.success === false) {
-            window.showError(response.message || response.data);
-            reject(response);
-            return;
-          }
-
-          alert("Department saved successfully.");
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          window.showError("Failed to save department: " + error);
-          reject(error);
+    return riilsa
+      .request(
+        "controlDependencies",
+        {
+          process: "create",
+          dep: dep,
+          description: dep,
         },
+        { params: { dependencyAction: "add" } }
+      )
+      .then(function () {
+        window.showRiilsaModal({
+          title: "Dependencia guardada",
+          type: "success",
+          successes: [`La dependencia "${dep}" se guardó correctamente.`],
+        });
+        return true;
       });
-    });
   }
 
   /**
@@ -375,10 +333,17 @@
    * @param {jQuery} btn - Button element that was clicked
    * @returns {Promise} Promise that resolves when department is deleted
    */
-  function deleteDepInit(btn) {
+  async function deleteDepInit(btn) {
     const id = btn.closest(".actions-wrapper").data("id");
 
-    if (!confirm("Are you sure you want to delete this department?")) {
+    const confirmed = await window.showRiilsaConfirm({
+      title: "Eliminar dependencia",
+      message: "¿Seguro que quieres eliminar esta dependencia?",
+      confirmLabel: "Eliminar",
+      danger: true,
+    });
+
+    if (!confirmed) {
       return Promise.reject("Delete cancelled");
     }
 
@@ -392,35 +357,23 @@
    * @returns {Promise} Promise that resolves when department is deleted
    */
   function deleteDep(id) {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "controlDependencies",
-          nonce: riilsa_ajax.nonce,
-          dependencyAction: "remove",
-          data: {
-            process: "delete",
-            id: id,
-          },
-        },
-        success: function (response) {
-          if (response.success === false) {
-            window.showError(response.message || response.data);
-            reject(response);
-            return;
-          }
-
-          alert("Department deleted successfully.");
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          window.showError("Failed to delete department: " + error);
-          reject(error);
+    return riilsa
+      .request(
+        "controlDependencies",
+        {
+          process: "delete",
+          id: id,
         },
+        { params: { dependencyAction: "remove" } }
+      )
+      .then(function () {
+        window.showRiilsaModal({
+          title: "Dependencia eliminada",
+          type: "success",
+          successes: ["La dependencia se eliminó correctamente."],
+        });
+        return true;
       });
-    });
   }
 
   /**
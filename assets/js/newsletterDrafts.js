@@ -0,0 +1,498 @@
+/**
+ * RIILSA Newsletter - Draft Autosave
+ *
+ * Autosaves in-progress compositions as draft newsletters and offers to resume them
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Delay before an edit is pushed to the server (ms)
+   */
+  const AUTOSAVE_DELAY = 1500;
+
+  /**
+   * Prefix of the local browser copy key, suffixed with the user ID
+   */
+  const STORAGE_PREFIX = "riilsa_newsletter_draft_";
+
+  /**
+   * Draft record currently being edited
+   */
+  let currentDraftId = null;
+
+  /**
+   * Incremented on every section switch so late responses don't leak into a new composition
+   */
+  let compositionKey = 0;
+
+  let autosaveTimer = null;
+  let restoring = false;
+
+  /**
+   * Initialize draft autosave when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    if (!$(".btnSelection").length) {
+      return;
+    }
+
+    renderDraftsPanel();
+    loadDrafts(true);
+
+    // A section switch starts a new composition
+    $(".btnSelection").on("click", function () {
+      compositionKey++;
+
+      if (!restoring) {
+        currentDraftId = null;
+      }
+    });
+
+    $(document).on("input", ".textHeader, .numberBoletin", scheduleAutosave);
+    $(document).on("riilsa:selectionChanged", scheduleAutosave);
+
+    // Sent or scheduled newsletters are no longer drafts
+    $(document).on("riilsa:newsletterSent riilsa:newsletterScheduled", function () {
+      clearTimeout(autosaveTimer);
+      currentDraftId = null;
+      removeLocalCopy();
+      loadDrafts();
+    });
+  });
+
+  /**
+   * Read the composition of the active section
+   *
+   * @returns {Object|null} Composition or null if no section is active
+   */
+  function getComposition() {
+    const activeButton = $(".btnSelection.active");
+
+    if (!activeButton.length) {
+      return null;
+    }
+
+    const section = activeButton.attr("id").split("_")[1];
+    const container = $("#" + section);
+
+    return {
+      draftId: currentDraftId,
+      section: section,
+      number: container.find(".numberBoletin").val() || $("#numBoletin h2").text().trim(),
+      text: (container.find(".textHeader").val() || "").trim(),
+      idNews: container
+        .find(".cb input:checked")
+        .map(function () {
+          return $(this).closest("[id]").attr("id");
+        })
+        .get(),
+      key: compositionKey,
+      synced: false,
+      savedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Keep a local copy right away and push it to the server once edits settle
+   */
+  function scheduleAutosave() {
+    if (restoring) {
+      return;
+    }
+
+    const composition = getComposition();
+
+    // Nothing worth keeping (e.g. right after a section switch)
+    if (!composition || (!composition.text && composition.idNews.length === 0)) {
+      return;
+    }
+
+    writeLocalCopy(composition);
+
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(function () {
+      saveDraftAJAX(composition)
+        .then(function (data) {
+          if (composition.key === compositionKey) {
+            const isNew = currentDraftId !== data.draftId;
+            currentDraftId = data.draftId;
+
+            writeLocalCopy($.extend({}, composition, { draftId: data.draftId, synced: true }));
+
+            if (isNew) {
+              loadDrafts();
+            }
+          }
+
+          setStatus(`Borrador #${data.number} guardado a las ${formatTime(new Date())}`);
+        })
+        .catch(function (error) {
+          setStatus(`Borrador guardado solo en este navegador: ${error.message || error}`, true);
+        });
+    }, AUTOSAVE_DELAY);
+  }
+
+  /**
+   * Get the local browser copy key for the current user
+   *
+   * @returns {string} Storage key
+   */
+  function getStorageKey() {
+    const userId = typeof riilsa_ajax !== "undefined" ? riilsa_ajax.current_user : "";
+    return STORAGE_PREFIX + (userId || "guest");
+  }
+
+  /**
+   * Store the composition in the browser
+   *
+   * @param {Object} composition - Composition to store
+   */
+  function writeLocalCopy(composition) {
+    try {
+      window.localStorage.setItem(getStorageKey(), JSON.stringify(composition));
+    } catch (e) {
+      // Storage full or disabled, the server copy is still attempted
+    }
+  }
+
+  /**
+   * Read the composition stored in the browser
+   *
+   * @returns {Object|null} Stored composition
+   */
+  function readLocalCopy() {
+    try {
+      return JSON.parse(window.localStorage.getItem(getStorageKey()));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Remove the composition stored in the browser
+   */
+  function removeLocalCopy() {
+    try {
+      window.localStorage.removeItem(getStorageKey());
+    } catch (e) {
+      // Nothing to clean up
+    }
+  }
+
+  /**
+   * Render the open drafts panel above the sections
+   */
+  function renderDraftsPanel() {
+    const panelHtml = `
+      <div id="riilsaDrafts" class="riilsa-drafts" style="display: none;">
+        <div class="riilsa-drafts-header">
+          <h4>Borradores abiertos</h4>
+          <button type="button" class="riilsa-drafts-dismiss" aria-label="Ocultar borradores">&times;</button>
+        </div>
+        <div class="riilsa-drafts-resume"></div>
+        <ul class="riilsa-drafts-list"></ul>
+      </div>
+    `;
+
+    $("#riilsaDrafts").remove();
+
+    const target = $("#newsContainer");
+    if (target.length) {
+      target.before(panelHtml);
+    } else {
+      $(".entry-content, .post-content, #content, main").first().prepend(panelHtml);
+    }
+
+    $("#riilsaDrafts .riilsa-drafts-dismiss").on("click", function () {
+      $("#riilsaDrafts").slideUp(200);
+    });
+  }
+
+  /**
+   * Fetch open drafts and refresh the panel
+   *
+   * @param {boolean} reveal - Whether to show the panel if there is something to resume
+   */
+  function loadDrafts(reveal = false) {
+    listDraftsAJAX()
+      .then(function (drafts) {
+        updateDraftsPanel(drafts, readLocalCopy(), reveal);
+      })
+      .catch(function (error) {
+        console.error("Error loading drafts:", error);
+        updateDraftsPanel([], readLocalCopy(), reveal);
+      });
+  }
+
+  /**
+   * Fill the panel with the server drafts and the local copy
+   *
+   * @param {Array<Object>} drafts - Open drafts from the server
+   * @param {Object|null} localCopy - Composition stored in the browser
+   * @param {boolean} reveal - Whether to show the panel
+   */
+  function updateDraftsPanel(drafts, localCopy, reveal) {
+    const panel = $("#riilsaDrafts");
+    const resume = panel.find(".riilsa-drafts-resume").empty();
+    const list = panel.find(".riilsa-drafts-list").empty();
+
+    // A local copy the server never received takes precedence
+    const unsynced = localCopy && !localCopy.synced ? localCopy : null;
+    const ownDraft = drafts.find((draft) => draft.isOwn && draft.id !== currentDraftId);
+
+    if (unsynced) {
+      resume.append(
+        buildResumeOffer(
+          `Tienes cambios sin guardar en el servidor del boletín #${escapeHtml(unsynced.number || "?")}.`,
+          function () {
+            resumeDraft(unsynced);
+          }
+        )
+      );
+    } else if (ownDraft && currentDraftId === null) {
+      resume.append(
+        buildResumeOffer(
+          `Continúa tu borrador del boletín #${ownDraft.number}, editado el ${escapeHtml(formatDate(ownDraft.updatedAt))}.`,
+          function () {
+            resumeDraft(toComposition(ownDraft));
+          }
+        )
+      );
+    }
+
+    drafts.forEach(function (draft) {
+      const item = $(`
+        <li class="riilsa-drafts-item${draft.id === currentDraftId ? " is-current" : ""}">
+          <div class="riilsa-drafts-info">
+            <strong>#${draft.number}</strong>
+            <span class="riilsa-drafts-text">${escapeHtml(toPlainText(draft.headerText) || "Sin encabezado")}</span>
+            <span class="riilsa-drafts-meta">
+              ${draft.newsIds.length} noticias · ${escapeHtml(draft.ownerName)} · ${escapeHtml(formatDate(draft.updatedAt))}
+            </span>
+          </div>
+          <button type="button" class="riilsa-drafts-open">Reanudar</button>
+        </li>
+      `);
+
+      item.find(".riilsa-drafts-open").on("click", function () {
+        resumeDraft(toComposition(draft));
+      });
+
+      list.append(item);
+    });
+
+    if (drafts.length === 0 && unsynced === null) {
+      panel.hide();
+    } else if (reveal) {
+      panel.show();
+    }
+  }
+
+  /**
+   * Build the "resume draft" offer
+   *
+   * @param {string} message - Offer text (HTML-escaped)
+   * @param {Function} onResume - Resume handler
+   * @returns {jQuery} Offer element
+   */
+  function buildResumeOffer(message, onResume) {
+    const offer = $(`
+      <div class="riilsa-drafts-offer">
+        <span class="dashicons dashicons-backup"></span>
+        <span>${message}</span>
+        <button type="button" class="riilsa-drafts-resume-btn">Reanudar borrador</button>
+      </div>
+    `);
+
+    offer.find(".riilsa-drafts-resume-btn").on("click", onResume);
+
+    return offer;
+  }
+
+  /**
+   * Convert a server draft into a composition
+   *
+   * @param {Object} draft - Draft from the server
+   * @returns {Object} Composition
+   */
+  function toComposition(draft) {
+    return {
+      draftId: draft.id,
+      section: "newsSelect",
+      number: String(draft.number),
+      text: draft.headerText,
+      idNews: draft.newsIds.map(String),
+      synced: true,
+    };
+  }
+
+  /**
+   * Load a composition back into its section
+   *
+   * @param {Object} composition - Composition to restore
+   */
+  function resumeDraft(composition) {
+    const button = $("#b_" + composition.section);
+
+    if (!button.length) {
+      window.showError("No se encontró la sección del borrador.");
+      return;
+    }
+
+    restoring = true;
+
+    try {
+      button.trigger("click");
+
+      const container = $("#" + composition.section);
+      container.find(".textHeader").val(composition.text || "").trigger("change");
+      container.find(".numberBoletin").val(composition.number || "");
+
+      window.selectNewsItems(composition.idNews || []);
+      currentDraftId = composition.draftId || null;
+    } finally {
+      restoring = false;
+    }
+
+    const missing = (composition.idNews || []).filter(
+      (id) => window.getSelectedNewsIds().indexOf(id) === -1
+    );
+
+    if (missing.length) {
+      setStatus(`${missing.length} noticias del borrador ya no están disponibles`, true);
+    }
+
+    // Push local-only changes to the server
+    if (!composition.synced) {
+      scheduleAutosave();
+    }
+
+    $("#riilsaDrafts").slideUp(200);
+  }
+
+  /**
+   * Show the autosave status
+   *
+   * @param {string} message - Status message
+   * @param {boolean} isWarning - Whether to highlight the message
+   */
+  function setStatus(message, isWarning = false) {
+    let status = $("#riilsaAutosaveStatus");
+
+    if (!status.length) {
+      status = $('<div id="riilsaAutosaveStatus" class="riilsa-autosave-status" role="status"></div>');
+      $("body").append(status);
+    }
+
+    status.text(message).toggleClass("is-warning", isWarning).stop(true, true).fadeIn(200);
+
+    clearTimeout(status.data("timer"));
+    status.data(
+      "timer",
+      setTimeout(function () {
+        status.fadeOut(400);
+      }, 4000)
+    );
+  }
+
+  /**
+   * Format a time as HH:MM
+   *
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted time
+   */
+  function formatTime(date) {
+    return date.toLocaleTimeString("es-MX", { hour: "2-digit", minute: "2-digit" });
+  }
+
+  /**
+   * Format a server date (Y-m-d H:i:s) for display
+   *
+   * @param {string} value - Server date
+   * @returns {string} Formatted date
+   */
+  function formatDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})/.exec(value || "");
+    return match ? `${match[3]}/${match[2]}/${match[1]} ${match[4]}:${match[5]}` : value;
+  }
+
+  /**
+   * AJAX request to autosave the composition
+   *
+   * @param {Object} composition - Composition to save
+   * @returns {Promise} Promise that resolves with {draftId, number}
+   */
+  function saveDraftAJAX(composition) {
+    return riilsa.request("saveNewsletterDraft", {
+      draftId: composition.draftId,
+      idNewsletter: composition.number,
+      text: composition.text,
+      idNews: composition.idNews,
+    });
+  }
+
+  /**
+   * AJAX request to list open drafts
+   *
+   * @returns {Promise} Promise that resolves with the drafts array
+   */
+  function listDraftsAJAX() {
+    return riilsa.request("listNewsletterDrafts").then(function (data) {
+      return data.drafts || [];
+    });
+  }
+
+  /**
+   * Text content of the (rich) header
+   *
+   * @param {string} html - Header HTML
+   * @returns {string} Plain text
+   */
+  function toPlainText(html) {
+    return new DOMParser().parseFromString(String(html || ""), "text/html").body.textContent.trim();
+  }
+
+  /**
+   * Open a server draft in the composer and mark it as the draft being edited
+   * Used when a draft is created outside the composer, e.g. duplicated from history
+   *
+   * @param {Object} draft - {id, number, headerText, newsIds, layout, overrides}
+   */
+  window.openNewsletterDraft = function (draft) {
+    resumeDraft(toComposition(draft));
+
+    // Zone placement and newsletter-only content go on top of the restored selection
+    if (typeof window.setComposerLayout === "function") {
+      window.setComposerLayout(draft.layout || []);
+    }
+
+    if (typeof window.setNewsOverrides === "function") {
+      window.setNewsOverrides(draft.overrides || []);
+    }
+
+    loadDrafts();
+  };
+
+  /**
+   * Escape HTML to prevent XSS
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+})(jQuery);
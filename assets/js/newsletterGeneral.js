@@ -15,50 +15,183 @@
   /**
    * Initialize newsletter generation from user selection or history
    *
-   * @param {Array|undefined} params - Optional parameters from history [idNews, textHeader, idNewsletter]
+   * @param {Array|undefined} params - Optional parameters from history [idNews, textHeader, idNewsletter, layout, overrides]
    * @returns {Promise} Promise that resolves when generation completes
    */
-  window.initGenerarBoletin = function (params) {
+  window.initGenerarBoletin = async function (params) {
     // If direct parameters provided (from history)
-    if (typeof params === "object" && $(params).length === 3) {
-      const [idNews, textHeader, idNewsletter] = params;
-      return generarBoletinAJAX(idNews, textHeader, idNewsletter, false);
+    if (Array.isArray(params)) {
+      const [idNews, textHeader, idNewsletter, layout = [], overrides = []] = params;
+      return generarBoletinAJAX(idNews, textHeader, idNewsletter, false, layout, overrides);
     }
 
     // If called from main newsletter interface
-    const idSection = $(".btnSelection.active").attr("id").split("_")[1];
-
-    const textHeader = $("#" + idSection)
-      .find(".textHeader")
-      .val()
-      .trim();
-
-    const idNewsletter =
-      $("#" + idSection)
-        .find(".numberBoletin")
-        .val() || $("#numBoletin h2").text();
-
-    const idNews = $("#" + idSection)
-      .find(".cb input:checked")
-      .map(function () {
-        return $(this).closest("[id]").attr("id");
-      })
-      .get();
+    const composition = getComposition();
 
     // Validate inputs
-    if (!textHeader) {
-      alert("Please enter a header text");
+    if (!composition.text) {
+      window.showError("Escribe el texto del encabezado.");
       return Promise.reject("No header text provided");
     }
 
-    if (idNews.length === 0) {
-      alert("Please select at least one news item");
+    if (composition.idNews.length === 0) {
+      window.showError("Selecciona al menos una noticia.");
       return Promise.reject("No news selected");
     }
 
-    return generarBoletinAJAX(idNews, textHeader, idNewsletter, true);
+    // News that already went out in a previous newsletter
+    const repeated =
+      typeof window.getRepeatedNewsItems === "function"
+        ? window.getRepeatedNewsItems(composition.idNews, composition.idNewsletter)
+        : [];
+
+    if (repeated.length) {
+      const listed = repeated
+        .slice(0, 5)
+        .map((item) => `"${item.title}" (#${item.newsletterNumber})`)
+        .join(", ");
+      const more = repeated.length > 5 ? ` y ${repeated.length - 5} más` : "";
+
+      const confirmed = await window.showRiilsaConfirm({
+        title: "Noticias ya enviadas",
+        type: "warning",
+        message: `${repeated.length} de las noticias seleccionadas ya se enviaron en otro boletín: ${listed}${more}. ¿Generar de todos modos?`,
+        confirmLabel: "Generar de todos modos",
+      });
+
+      if (!confirmed) {
+        return Promise.reject("Generation cancelled by user");
+      }
+    }
+
+    return generarBoletinAJAX(
+      composition.idNews,
+      composition.text,
+      composition.idNewsletter,
+      true,
+      composition.layout,
+      composition.overrides
+    );
+  };
+
+  /**
+   * Preview request in flight, aborted when a newer one starts
+   */
+  let previewRequest = null;
+
+  /**
+   * Re-render the current preview with the composition as it is now, without saving it
+   * Does nothing until a preview has been generated
+   *
+   * @returns {Promise} Promise that resolves when the preview is updated
+   */
+  window.refreshNewsletterPreview = function () {
+    if (
+      !$("#boletinPreview").find("iframe").length ||
+      !$(".preview").is(":visible") ||
+      !$(".btnSelection.active").length
+    ) {
+      return Promise.resolve(false);
+    }
+
+    const composition = getComposition();
+
+    if (!composition.text || composition.idNews.length === 0) {
+      return Promise.resolve(false);
+    }
+
+    if (previewRequest) {
+      previewRequest.abort();
+    }
+
+    previewRequest = riilsa.request("generateNewsletter", {
+      idNews: composition.idNews,
+      text: composition.text,
+      idNewsletter: composition.idNewsletter,
+      updateDB: false,
+      layout: composition.layout,
+      overrides: composition.overrides,
+    });
+
+    return previewRequest
+      .then(function (data) {
+        previewRequest = null;
+        renderPreview(data.html, composition.idNewsletter);
+        // The preview no longer shows a stored version, sending saves it first
+        $("#boletinPreview").data({ version: null, unsaved: true });
+        return true;
+      })
+      .catch(function (error) {
+        if (riilsa.isAbort(error)) {
+          return false;
+        }
+
+        previewRequest = null;
+        throw error;
+      });
   };
 
+  /**
+   * Save the composition shown in a live preview as a new version
+   * Sending then uses that version, so history and its snapshots match what subscribers get
+   *
+   * @returns {Promise} Promise that resolves when the saved generation is in the preview
+   */
+  function saveLivePreview() {
+    if (previewRequest) {
+      previewRequest.abort();
+      previewRequest = null;
+    }
+
+    const composition = getComposition();
+
+    if (!composition.text || composition.idNews.length === 0) {
+      return Promise.reject(new Error("Completa el encabezado y las noticias antes de enviar el boletín."));
+    }
+
+    return generarBoletinAJAX(
+      composition.idNews,
+      composition.text,
+      composition.idNewsletter,
+      true,
+      composition.layout,
+      composition.overrides
+    );
+  }
+
+  /**
+   * Read the composition from the active section
+   *
+   * @returns {Object} {text, idNewsletter, idNews, layout, overrides}
+   */
+  function getComposition() {
+    const idSection = $(".btnSelection.active").attr("id").split("_")[1];
+    const section = $("#" + idSection);
+
+    const idNews = section
+      .find(".cb input:checked")
+      .map(function () {
+        return $(this).closest("[id]").attr("id");
+      })
+      .get();
+
+    return {
+      text: (section.find(".textHeader").val() || "").trim(),
+      idNewsletter: section.find(".numberBoletin").val() || $("#numBoletin h2").text(),
+      idNews: idNews,
+      // Explicit placement from the layout composer, if any
+      layout:
+        typeof window.getComposerLayout === "function"
+          ? window.getComposerLayout().filter((item) => idNews.includes(item.id))
+          : [],
+      // Title, excerpt and image changed for this newsletter only
+      overrides:
+        typeof window.getNewsOverrides === "function"
+          ? window.getNewsOverrides().filter((item) => idNews.includes(item.id))
+          : [],
+    };
+  }
+
   /**
    * Toggle loading state for button
    *
@@ -74,9 +207,14 @@
    * Display error message in error container
    *
    * @param {string} message - Error message to display
-   * @param {string|null} details - Optional technical details
+   * @param {string|Error|null} details - Optional technical details or request error
    */
   window.showError = function (message, details = null) {
+    // Request errors from riilsa.request carry their own details
+    if (details instanceof Error) {
+      details = details.details || details.message;
+    }
+
     // Remove existing errors
     $(".errorBoletin").remove();
     $(".riilsa-error-container").remove();
@@ -143,16 +281,36 @@
   /**
    * Initialize newsletter sending process
    *
+   * @param {boolean} fromFrame - Whether the newsletter number comes from the preview
+   * @param {string|null} scheduledAt - Optional send time (YYYY-MM-DDTHH:MM, site timezone)
    * @returns {Promise} Promise that resolves when send completes
    */
-  window.initSendBoletin = async function (fromFrame = true) {
-    const confirmSend = confirm(
-      "Are you sure you want to send the newsletter?"
-    );
+  window.initSendBoletin = async function (fromFrame = true, scheduledAt = null) {
+    if (fromFrame && $("#boletinPreview").data("unsaved")) {
+      await saveLivePreview();
+    }
+
+    const frameDocument = $("#boletinPreview").find("iframe").prop("contentDocument");
+
+    // Pre-send checks; blocking problems need an explicit override
+    const approved = await window.reviewNewsletterBeforeSend(frameDocument);
 
-    if (!confirmSend) {
+    if (!approved) {
       return Promise.reject("Send cancelled by user");
     }
+
+    // The schedule dialog already asked for confirmation
+    if (!scheduledAt) {
+      const confirmSend = await window.showRiilsaConfirm({
+        title: "Enviar boletín",
+        message: "¿Seguro que quieres enviar el boletín a todos los suscriptores?",
+        confirmLabel: "Enviar",
+      });
+
+      if (!confirmSend) {
+        return Promise.reject("Send cancelled by user");
+      }
+    }
     let idNewsletter;
     const idSection = $(".btnSelection.active").attr("id").split("_")[1];
 
@@ -162,11 +320,11 @@
       idNewsletter = $("#" + idSection).find(".numberHistory").text().replace(/[^0-9]/g, '');
     }
     
-    const htmlBoletin = $("#boletinPreview")
-      .find("iframe")
-      .prop("contentDocument").body.innerHTML;
+    const htmlBoletin = frameDocument.body.innerHTML;
+    // A stored version is sent as stored, the server ignores the iframe HTML
+    const version = fromFrame ? $("#boletinPreview").data("version") || null : null;
 
-    return sendBoletinAJAX(htmlBoletin, idNewsletter);
+    return sendBoletinAJAX(htmlBoletin, idNewsletter, scheduledAt, version);
   };
 
   /**
@@ -177,32 +335,12 @@
    * @returns {Promise} Promise that resolves when update completes
    */
   window.updateContainer = function (container, shortcode) {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "updateShortcodes",
-          nonce: riilsa_ajax.nonce,
-          shortcode: shortcode,
-        },
-        success: function (response) {
-          if (response.success === false) {
-            // Don't show error here, let the caller handle it to avoid duplicates
-            reject(response.message || response.data);
-            return;
-          }
-
-          container.empty();
-          const newDiv = $("<div></div>").append(response.data);
-          container.append(newDiv);
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          window.showError("Failed to update container: " + error);
-          reject(error);
-        },
-      });
+    // Errors are left to the caller to avoid duplicates
+    return riilsa.request("updateShortcodes", {}, { params: { shortcode: shortcode } }).then(function (content) {
+      container.empty();
+      const newDiv = $("<div></div>").append(content);
+      container.append(newDiv);
+      return true;
     });
   };
 
@@ -239,10 +377,7 @@
         await callback($(this));
       } catch (error) {
         console.error(errorMessage || "Action error:", error);
-        window.showError(
-          errorMessage || "Error processing request.",
-          error.message || error
-        );
+        window.showError(errorMessage || "Error processing request.", error);
       } finally {
         if (icon.length !== 0) {
           window.toggleLoading(icon, btn);
@@ -336,6 +471,7 @@
   function wipeCheckbox() {
     $(".cb input").prop("checked", false).prop("disabled", false);
     $("#countNews h2").text(0);
+    $(document).trigger("riilsa:selectionChanged");
   }
 
   /**
@@ -351,7 +487,7 @@
    * Clear all text inputs
    */
   function wipeInputText() {
-    $(".textHeader").val("");
+    $(".textHeader").val("").trigger("change");
     $(".numberBoletin").val("");
   }
 
@@ -362,64 +498,97 @@
    * @param {string} text - Header text for newsletter
    * @param {number} idNewsletter - Newsletter number
    * @param {boolean} updateDB - Whether to save to database
+   * @param {Array<Object>} layout - Optional explicit placement [{id, position, order}]
+   * @param {Array<Object>} overrides - Optional newsletter-only content [{id, title, excerpt, image}]
    * @returns {Promise} Promise that resolves with newsletter HTML
    */
-  function generarBoletinAJAX(idNews, text, idNewsletter, updateDB) {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "generateNewsletter",
-          nonce: riilsa_ajax.nonce,
-          data: {
-            idNews: idNews,
-            text: text,
-            idNewsletter: idNewsletter,
-            updateDB: updateDB,
-          },
-        },
-        success: function (response) {
-          if (response.success === false) {
-            reject(response.message || response.data);
-            return;
-          }
-
-          // Create iframe for preview
-          const iframe = document.createElement("iframe");
-          const display = $(".preview");
-          const containerFrame = $("#boletinPreview");
-
-          iframe.style.width = "100%";
-          iframe.style.height = "100%";
-
-          containerFrame.empty();
-          containerFrame.append(iframe);
-          containerFrame.data("idNewsletter", idNewsletter);
-
-          // Write newsletter HTML to iframe
-          iframe.contentWindow.document.open();
-          iframe.contentWindow.document.write(response.data.html);
-          iframe.contentWindow.document.close();
-
-          // Setup send button
-          $(".sendBoletin")
-            .off("click")
-            .on("click", function () {
-              window.initSendBoletin().catch(function(error) {
-                  console.error("Send error:", error);
-                  window.showError("Error al enviar el boletín.", error.message || error);
-              });
-            });
-
-          display.show();
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          reject(error);
-        },
+  function generarBoletinAJAX(idNews, text, idNewsletter, updateDB, layout = [], overrides = []) {
+    return riilsa
+      .request("generateNewsletter", {
+        idNews: idNews,
+        text: text,
+        idNewsletter: idNewsletter,
+        updateDB: updateDB,
+        layout: layout,
+        overrides: overrides,
+      })
+      .then(function (data) {
+        // A saved generation is sent as the version it was stored as
+        showPreview(data.html, idNewsletter, updateDB && data.statistics ? data.statistics.version || null : null);
+        return true;
       });
-    });
+  }
+
+  /**
+   * Show a stored version of a newsletter in the preview
+   * Sending from this preview sends that version as stored, not the HTML in the iframe
+   *
+   * @param {string} html - Version HTML
+   * @param {number} idNewsletter - Newsletter number
+   * @param {number} version - Version number
+   */
+  window.showNewsletterSnapshot = function (html, idNewsletter, version) {
+    showPreview(html, idNewsletter, version);
+  };
+
+  /**
+   * Create the preview iframe, write the newsletter into it and wire its send button
+   *
+   * @param {string} html - Newsletter HTML
+   * @param {number} idNewsletter - Newsletter number
+   * @param {number|null} version - Stored version shown, null for a fresh generation
+   */
+  function showPreview(html, idNewsletter, version) {
+    const iframe = document.createElement("iframe");
+    const display = $(".preview");
+    const containerFrame = $("#boletinPreview");
+
+    iframe.style.width = "100%";
+    iframe.style.height = "100%";
+
+    containerFrame.empty();
+    containerFrame.append(iframe);
+
+    renderPreview(html, idNewsletter);
+    containerFrame.data({ version: version, unsaved: false });
+
+    // Setup send button, the history cards wire their own
+    $(".preview .sendBoletin")
+      .off("click")
+      .on("click", function () {
+        window.initSendBoletin().catch(function (error) {
+          console.error("Send error:", error);
+          window.showError("Error al enviar el boletín.", error);
+        });
+      });
+
+    display.show();
+  }
+
+  /**
+   * Write newsletter HTML into the preview iframe, keeping the scroll position
+   *
+   * @param {string} html - Newsletter HTML
+   * @param {number} idNewsletter - Newsletter number
+   */
+  function renderPreview(html, idNewsletter) {
+    const containerFrame = $("#boletinPreview");
+    const iframe = containerFrame.find("iframe").get(0);
+    const scrollY = iframe.contentWindow ? iframe.contentWindow.scrollY : 0;
+
+    containerFrame.data("idNewsletter", idNewsletter);
+
+    // Write newsletter HTML to iframe
+    iframe.contentWindow.document.open();
+    iframe.contentWindow.document.write(html);
+    iframe.contentWindow.document.close();
+
+    if (scrollY) {
+      iframe.contentWindow.scrollTo(0, scrollY);
+    }
+
+    // Let the preview toolbar apply the current view mode
+    $(document).trigger("riilsa:previewRendered", [iframe]);
   }
 
   /**
@@ -427,41 +596,36 @@
    *
    * @param {string} html - Newsletter HTML content
    * @param {number} id - Newsletter ID
-   * @returns {Promise} Promise that resolves when send completes
+   * @param {string|null} scheduledAt - Optional send time, sends right away if empty
+   * @param {number|null} version - Stored version to send instead of the HTML
+   * @returns {Promise} Promise that resolves when the send reaches a final status
    */
-  function sendBoletinAJAX(html, id) {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "sendNewsletter",
-          nonce: riilsa_ajax.nonce,
-          data: {
-            html: html,
-            id: id,
-          },
-        },
-        success: function (response) {
-          if (response.success === false) {
-            reject(response.message || response.data);
-            return;
-          }
-
-          alert("Newsletter sent successfully!");
+  function sendBoletinAJAX(html, id, scheduledAt = null, version = null) {
+    return riilsa
+      .request("sendNewsletter", {
+        html: version ? "" : html,
+        id: id,
+        scheduledAt: scheduledAt || "",
+        version: version || "",
+      })
+      .then(function (data) {
+        if (scheduledAt) {
+          window.showRiilsaModal({
+            title: "Boletín programado",
+            type: "success",
+            successes: [`El boletín #${id} se enviará el ${data.statistics.scheduledAt}.`],
+          });
+
+          $(document).trigger("riilsa:newsletterScheduled", [id]);
+          return true;
+        }
 
-          // Show statistics if available
-          if (response.data && response.data.statistics) {
-            console.log("Send statistics:", response.data.statistics);
-          }
+        // Notify listeners (e.g. draft autosave) that the newsletter is going out
+        $(document).trigger("riilsa:newsletterSent", [id]);
 
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          reject(error);
-        },
+        // Delivery runs in the background, follow it until it ends
+        return window.trackNewsletterSend(data.statistics.trackingId || id);
       });
-    });
   }
 
   /**
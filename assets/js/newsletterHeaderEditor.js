@@ -0,0 +1,404 @@
+/**
+ * RIILSA Newsletter - Header Editor
+ *
+ * Small rich text editor for the newsletter header with a live preview re-render
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Wait after the last keystroke before re-rendering the preview (ms)
+   */
+  const PREVIEW_DELAY = 800;
+
+  /**
+   * Toolbar commands
+   */
+  const COMMANDS = [
+    { command: "bold", label: "Negrita", icon: "dashicons-editor-bold" },
+    { command: "italic", label: "Cursiva", icon: "dashicons-editor-italic" },
+    { command: "link", label: "Enlace", icon: "dashicons-admin-links" },
+    { command: "unlink", label: "Quitar enlace", icon: "dashicons-editor-unlink" },
+  ];
+
+  /**
+   * Link protocols accepted by the server
+   */
+  const LINK_PATTERN = /^(https?:\/\/|mailto:)\S+$/i;
+
+  /**
+   * Pending preview re-render
+   */
+  let previewTimer = null;
+
+  /**
+   * Initialize header editors when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    $(".textHeader").each(function () {
+      createEditor($(this));
+    });
+
+    // Keep the editor selection while clicking the toolbar
+    $(document).on("mousedown", ".riilsa-header-command", function (e) {
+      e.preventDefault();
+    });
+
+    $(document).on("click", ".riilsa-header-command", handleCommand);
+    $(document).on("input", ".riilsa-header-editor", function () {
+      sync($(this));
+    });
+    $(document).on("keydown", ".riilsa-header-editor", handleKeydown);
+    $(document).on("paste", ".riilsa-header-editor", handlePaste);
+    $(document).on("keyup mouseup", ".riilsa-header-editor", function () {
+      updateToolbar($(this));
+    });
+
+    // Values set from elsewhere (drafts, section switching)
+    $(document).on("change", ".textHeader", function () {
+      syncFromInput($(this));
+    });
+  });
+
+  /**
+   * Replace a header input with the editor
+   * The input stays in the DOM, hidden, and keeps holding the header HTML
+   *
+   * @param {jQuery} input - .textHeader input
+   */
+  function createEditor(input) {
+    if (input.data("riilsaEditor")) {
+      return;
+    }
+
+    let buttonsHtml = "";
+    COMMANDS.forEach(function (item) {
+      buttonsHtml += `
+        <button type="button" class="riilsa-header-command" data-command="${item.command}"
+          title="${item.label}" aria-label="${item.label}" aria-pressed="false">
+          <span class="dashicons ${item.icon}"></span>
+        </button>
+      `;
+    });
+
+    const placeholder = input.attr("placeholder") || "Texto del encabezado";
+
+    const wrap = $(`
+      <div class="riilsa-header-editor-wrap">
+        <div class="riilsa-header-toolbar" role="toolbar" aria-label="Formato del encabezado">${buttonsHtml}</div>
+        <div class="riilsa-header-editor" contenteditable="true" role="textbox" aria-multiline="true"
+          data-placeholder="${escapeAttr(placeholder)}"></div>
+        <p class="riilsa-header-hint">Enter agrega un salto de línea. La vista previa se actualiza al escribir.</p>
+      </div>
+    `);
+
+    const editor = wrap.find(".riilsa-header-editor");
+
+    input.hide().after(wrap);
+    input.data("riilsaEditor", editor);
+    editor.data("input", input);
+
+    editor.html(cleanHtml(input.val()));
+    toggleEmpty(editor);
+  }
+
+  /**
+   * Copy the editor content to its input and schedule a preview re-render
+   *
+   * @param {jQuery} editor - Editor element
+   */
+  function sync(editor) {
+    const input = editor.data("input");
+    const html = cleanHtml(editor.html());
+
+    toggleEmpty(editor);
+    updateToolbar(editor);
+
+    if (input.val() === html) {
+      return;
+    }
+
+    // Draft autosave listens to input events on .textHeader
+    input.val(html).trigger("input");
+    schedulePreview();
+  }
+
+  /**
+   * Load a value set on the input into its editor
+   *
+   * @param {jQuery} input - .textHeader input
+   */
+  function syncFromInput(input) {
+    const editor = input.data("riilsaEditor");
+
+    if (!editor || cleanHtml(editor.html()) === input.val()) {
+      return;
+    }
+
+    editor.html(cleanHtml(input.val()));
+    toggleEmpty(editor);
+  }
+
+  /**
+   * Run a toolbar command
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleCommand(e) {
+    e.preventDefault();
+
+    const command = $(this).data("command");
+    const editor = $(this).closest(".riilsa-header-editor-wrap").find(".riilsa-header-editor");
+
+    editor.trigger("focus");
+
+    if (command === "link") {
+      await insertLink(editor);
+      return;
+    }
+
+    document.execCommand(command, false, null);
+    sync(editor);
+  }
+
+  /**
+   * Ask for a URL and link the selected text, or insert the URL itself
+   *
+   * @param {jQuery} editor - Editor element
+   */
+  async function insertLink(editor) {
+    const selection = window.getSelection();
+    const range =
+      selection.rangeCount && editor.get(0).contains(selection.anchorNode) ? selection.getRangeAt(0).cloneRange() : null;
+    const current = range ? $(range.startContainer).closest("a").attr("href") : "";
+
+    const url = await window.showRiilsaPrompt({
+      title: "Insertar enlace",
+      label: "Dirección del enlace",
+      inputType: "url",
+      value: current || "",
+      placeholder: "https://",
+      confirmLabel: "Insertar",
+      validate: function (value) {
+        return LINK_PATTERN.test(value.trim()) ? null : "Escribe una dirección que empiece con https:// o mailto:";
+      },
+    });
+
+    editor.trigger("focus");
+
+    if (!url) {
+      return;
+    }
+
+    if (range) {
+      selection.removeAllRanges();
+      selection.addRange(range);
+    } else {
+      placeCaretAtEnd(editor.get(0));
+    }
+
+    const href = url.trim();
+
+    if (window.getSelection().isCollapsed) {
+      document.execCommand("insertHTML", false, `<a href="${escapeAttr(href)}">${escapeHtml(href)}</a>`);
+    } else {
+      document.execCommand("createLink", false, href);
+    }
+
+    sync(editor);
+  }
+
+  /**
+   * Enter inserts a line break instead of a new block, Ctrl+K adds a link
+   *
+   * @param {Event} e - Keydown event
+   */
+  function handleKeydown(e) {
+    if (e.key === "Enter") {
+      e.preventDefault();
+
+      if (!document.execCommand("insertLineBreak")) {
+        document.execCommand("insertHTML", false, "<br>");
+      }
+      return;
+    }
+
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      insertLink($(this));
+    }
+  }
+
+  /**
+   * Paste as plain text so no foreign markup gets in
+   *
+   * @param {Event} e - Paste event
+   */
+  function handlePaste(e) {
+    const clipboard = e.originalEvent && e.originalEvent.clipboardData;
+
+    if (!clipboard) {
+      return;
+    }
+
+    e.preventDefault();
+    document.execCommand("insertText", false, clipboard.getData("text/plain").replace(/\s*\n\s*/g, " "));
+  }
+
+  /**
+   * Reflect the formatting at the caret in the toolbar
+   *
+   * @param {jQuery} editor - Editor element
+   */
+  function updateToolbar(editor) {
+    const toolbar = editor.closest(".riilsa-header-editor-wrap").find(".riilsa-header-toolbar");
+
+    ["bold", "italic"].forEach(function (command) {
+      let active = false;
+
+      try {
+        active = document.queryCommandState(command);
+      } catch (error) {
+        // Unsupported command state, leave the button off
+      }
+
+      toolbar
+        .find(`[data-command="${command}"]`)
+        .toggleClass("active", active)
+        .attr("aria-pressed", active ? "true" : "false");
+    });
+  }
+
+  /**
+   * Re-render the preview once the editor stops typing
+   */
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+
+    previewTimer = setTimeout(function () {
+      if (typeof window.refreshNewsletterPreview !== "function") {
+        return;
+      }
+
+      window.refreshNewsletterPreview().catch(function (error) {
+        console.error("Preview error:", error);
+        window.showError("Error al actualizar la vista previa.", error);
+      });
+    }, PREVIEW_DELAY);
+  }
+
+  /**
+   * Reduce editor HTML to the markup the server keeps: strong, em, br and links
+   * The server sanitizes again; this only keeps the draft and the editor tidy
+   *
+   * @param {string} html - Raw HTML
+   * @returns {string} Clean HTML
+   */
+  function cleanHtml(html) {
+    const body = new DOMParser().parseFromString(String(html || ""), "text/html").body;
+
+    function walk(node) {
+      let out = "";
+
+      Array.prototype.forEach.call(node.childNodes, function (child) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          out += escapeHtml(child.nodeValue.replace(/\s+/g, " "));
+          return;
+        }
+
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+          return;
+        }
+
+        const inner = walk(child);
+
+        switch (child.tagName) {
+          case "BR":
+            out += "<br>";
+            break;
+          case "B":
+          case "STRONG":
+            out += inner ? `<strong>${inner}</strong>` : "";
+            break;
+          case "I":
+          case "EM":
+            out += inner ? `<em>${inner}</em>` : "";
+            break;
+          case "A": {
+            const href = (child.getAttribute("href") || "").trim();
+            out += LINK_PATTERN.test(href) && inner ? `<a href="${escapeAttr(href)}">${inner}</a>` : inner;
+            break;
+          }
+          case "DIV":
+          case "P":
+            out += out && inner ? `<br>${inner}` : inner;
+            break;
+          default:
+            out += inner;
+        }
+      });
+
+      return out;
+    }
+
+    return walk(body)
+      .replace(/^(\s|&nbsp;|<br>)+|(\s|&nbsp;|<br>)+$/g, "")
+      .trim();
+  }
+
+  /**
+   * Mark an editor as empty so the placeholder shows
+   *
+   * @param {jQuery} editor - Editor element
+   */
+  function toggleEmpty(editor) {
+    editor.toggleClass("is-empty", cleanHtml(editor.html()) === "");
+  }
+
+  /**
+   * Move the caret to the end of an element
+   *
+   * @param {HTMLElement} element - Editable element
+   */
+  function placeCaretAtEnd(element) {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Escape a value for an HTML attribute
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+})(jQuery);
@@ -12,6 +12,50 @@
 (function ($) {
   "use strict";
 
+  /**
+   * Newsletters per page
+   * Matches NewsletterHistoryQueryDTO::DEFAULT_PER_PAGE
+   */
+  const PER_PAGE = 12;
+
+  /**
+   * Longest header text search
+   * Matches NewsletterHistoryQueryDTO::MAX_SEARCH_LENGTH
+   */
+  const MAX_SEARCH_LENGTH = 100;
+
+  /**
+   * Wait after the last keystroke before searching (ms)
+   */
+  const SEARCH_DELAY = 350;
+
+  /**
+   * Spinner shown in the "Ver" button while the preview renders
+   */
+  const SPINNER_PATH =
+    "M304 48c0 26.51-21.49 48-48 48s-48-21.49-48-48 21.49-48 48-48 48 21.49 48 48zm-48 368c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48-21.49-48-48-48zm208-208c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48-21.49-48-48-48zM96 256c0-26.51-21.49-48-48-48S0 229.49 0 256s21.49 48 48 48 48-21.49 48-48zm12.922 99.078c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48c0-26.509-21.491-48-48-48zm294.156 0c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48c0-26.509-21.49-48-48-48zM108.922 60.922c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48-21.491-48-48-48z";
+
+  /**
+   * Newsletter number to open once the history loads (review link sent to editors)
+   * Matches EditorNotifier::REVIEW_ARG
+   */
+  let pendingReview = new URLSearchParams(window.location.search).get("revisar");
+
+  /**
+   * Last page loaded, 0 before the first load
+   */
+  let currentPage = 0;
+
+  /**
+   * History request in flight, aborted when the filters change
+   */
+  let historyRequest = null;
+
+  /**
+   * Debounce timer for the search box
+   */
+  let searchTimer = null;
+
   /**
    * Initialize history functionality when DOM is ready
    */
@@ -21,6 +65,43 @@
     }
 
     setupHistoryButton();
+
+    $(document).on("input", "#riilsaHistorySearch", function () {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(reloadHistory, SEARCH_DELAY);
+    });
+
+    $(document).on("change", "#riilsaHistory .riilsa-history-filter", reloadHistory);
+
+    $(document).on("click", ".riilsa-btn-archive", handleArchive);
+    $(document).on("click", ".riilsa-btn-delete", handleDelete);
+
+    $(document).on("click", "#riilsaHistory .riilsa-history-reset", function (e) {
+      e.preventDefault();
+      $("#riilsaHistory .riilsa-history-toolbar").find("input, select").val("");
+      $("#riilsaHistoryDateField").val("created");
+      reloadHistory();
+    });
+
+    $(document).on("click", "#riilsaHistory .riilsa-history-more", async function (e) {
+      e.preventDefault();
+
+      const button = $(this);
+      button.prop("disabled", true);
+
+      try {
+        await loadHistory(false);
+      } catch (error) {
+        console.error("Error loading more history:", error);
+        window.showError("Error al cargar más boletines.", error);
+      } finally {
+        button.prop("disabled", false);
+      }
+    });
+
+    if (pendingReview) {
+      $("#b_newsHistory").trigger("click");
+    }
   });
 
   /**
@@ -44,17 +125,20 @@
         // Show loading indicator
         loading.css("display", "flex").hide().fadeIn();
 
-        // Fetch newsletter history
-        await updateHistoryAJAX();
+        renderHistoryShell();
 
-        // Setup event handlers for history items
-        setupHistoryItemHandlers();
+        // Narrow the list to the reviewed newsletter, however old it is
+        if (pendingReview) {
+          const number = parseInt(pendingReview, 10);
+          $("#riilsaHistoryNumberFrom, #riilsaHistoryNumberTo").val(number || "");
+        }
+
+        // Fetch the first page of the newsletter history
+        await loadHistory(true);
+        openPendingReview();
       } catch (error) {
         console.error("Error updating history:", error);
-        window.showError(
-          "Error al cargar el historial de boletines.",
-          error.message || error
-        );
+        window.showError("Error al cargar el historial de boletines.", error);
       } finally {
         loading.fadeOut();
         $(this).css("pointer-events", "auto");
@@ -63,10 +147,334 @@
   }
 
   /**
-   * Setup event handlers for history items (view and send buttons)
+   * Open the preview of the newsletter named in the review link
+   */
+  function openPendingReview() {
+    if (!pendingReview) {
+      return;
+    }
+
+    const card = $(`.riilsa-actions-grid[data-newsletter="${parseInt(pendingReview, 10)}"]`);
+    pendingReview = null;
+
+    if (!card.length) {
+      window.showError("El boletín del enlace de revisión ya no existe.");
+      return;
+    }
+
+    card.closest(".containerHistory")[0].scrollIntoView({ behavior: "smooth", block: "center" });
+    card.find(".btnHistory.doBoletin").trigger("click");
+  }
+
+  /**
+   * Render the filters, the card grid and the "load more" button once
+   */
+  function renderHistoryShell() {
+    const container = $(".historySC");
+
+    if (!container.length) {
+      throw new Error("History container not found");
+    }
+
+    if (container.find("#riilsaHistory").length) {
+      return;
+    }
+
+    container.html(`
+      <div id="riilsaHistory" class="riilsa-history">
+        <div class="riilsa-history-toolbar" role="search">
+          <input type="search" id="riilsaHistorySearch" class="riilsa-history-search" maxlength="${MAX_SEARCH_LENGTH}" placeholder="Buscar en el encabezado" aria-label="Buscar en el encabezado">
+          <select id="riilsaHistoryStatus" class="riilsa-history-filter" aria-label="Estado">
+            <option value="">Todos los estados</option>
+          </select>
+          <select id="riilsaHistoryArchived" class="riilsa-history-filter" aria-label="Archivo">
+            <option value="">Sin archivar</option>
+            <option value="1">Archivados</option>
+          </select>
+          <span class="riilsa-history-range">
+            <input type="number" id="riilsaHistoryNumberFrom" class="riilsa-history-filter" min="1" placeholder="Nº desde" aria-label="Número desde">
+            <input type="number" id="riilsaHistoryNumberTo" class="riilsa-history-filter" min="1" placeholder="Nº hasta" aria-label="Número hasta">
+          </span>
+          <span class="riilsa-history-range">
+            <select id="riilsaHistoryDateField" class="riilsa-history-filter" aria-label="Fecha a filtrar">
+              <option value="created">Creado</option>
+              <option value="sent">Enviado</option>
+            </select>
+            <input type="date" id="riilsaHistoryDateFrom" class="riilsa-history-filter" aria-label="Desde">
+            <input type="date" id="riilsaHistoryDateTo" class="riilsa-history-filter" aria-label="Hasta">
+          </span>
+          <button type="button" class="riilsa-history-reset">Limpiar filtros</button>
+        </div>
+        <p class="riilsa-history-summary" aria-live="polite"></p>
+        <div class="gridHistory"></div>
+        <div class="riilsa-history-footer">
+          <button type="button" class="riilsa-history-more" style="display: none;">Cargar más</button>
+        </div>
+      </div>
+    `);
+  }
+
+  /**
+   * Read the current filters
+   *
+   * @returns {Object} {search, status, archived, numberFrom, numberTo, dateField, dateFrom, dateTo}
+   */
+  function getFilters() {
+    return {
+      search: ($("#riilsaHistorySearch").val() || "").trim(),
+      status: $("#riilsaHistoryStatus").val() || "",
+      archived: $("#riilsaHistoryArchived").val() || "",
+      numberFrom: $("#riilsaHistoryNumberFrom").val() || "",
+      numberTo: $("#riilsaHistoryNumberTo").val() || "",
+      dateField: $("#riilsaHistoryDateField").val() || "created",
+      dateFrom: $("#riilsaHistoryDateFrom").val() || "",
+      dateTo: $("#riilsaHistoryDateTo").val() || "",
+    };
+  }
+
+  /**
+   * Load the first page again after a filter changed
+   */
+  function reloadHistory() {
+    clearTimeout(searchTimer);
+
+    loadHistory(true).catch(function (error) {
+      console.error("Error filtering history:", error);
+      window.showError("Error al filtrar el historial de boletines.", error);
+    });
+  }
+
+  /**
+   * Load a page of the history and render its cards
+   *
+   * @param {boolean} reset - Start again from the first page instead of appending the next one
+   * @returns {Promise<boolean>} Resolves with false if a newer load replaced this one
+   */
+  function loadHistory(reset) {
+    if (historyRequest) {
+      historyRequest.abort();
+    }
+
+    const page = reset ? 1 : currentPage + 1;
+
+    historyRequest = updateHistoryAJAX(page);
+
+    return historyRequest
+      .then(function (data) {
+        historyRequest = null;
+        currentPage = data.page;
+
+        const history = $("#riilsaHistory");
+        const grid = history.find(".gridHistory");
+
+        renderStatusOptions((data.statistics && data.statistics.statuses) || []);
+
+        if (reset) {
+          grid.empty();
+        }
+
+        const cards = $(data.items.map(renderCard));
+        grid.append(cards);
+        setupHistoryItemHandlers(cards);
+
+        const shown = grid.find(".containerHistory").length;
+
+        if (!shown) {
+          grid.html('<p class="riilsa-history-empty">No se encontraron boletines.</p>');
+        }
+
+        history
+          .find(".riilsa-history-summary")
+          .text(shown ? `Mostrando ${shown} de ${data.total} boletines` : "");
+        history.find(".riilsa-history-more").toggle(!!data.hasMore);
+
+        return true;
+      })
+      .catch(function (error) {
+        if (riilsa.isAbort(error)) {
+          return false;
+        }
+
+        historyRequest = null;
+        throw error;
+      });
+  }
+
+  /**
+   * Fill the status filter, keeping the current choice
+   *
+   * @param {Array<Object>} statuses - [{value, label, count}]
+   */
+  function renderStatusOptions(statuses) {
+    const select = $("#riilsaHistoryStatus");
+    const current = select.val();
+
+    select.find("option:not(:first)").remove();
+
+    statuses.forEach(function (status) {
+      select.append(
+        $("<option></option>")
+          .val(String(status.value))
+          .text(`${status.label} (${status.count})`)
+      );
+    });
+
+    select.val(current);
+  }
+
+  /**
+   * Build the card of a newsletter
+   * Data attributes are read by the view, send, duplicate, analytics, reschedule and cancel actions
+   *
+   * @param {Object} item - Newsletter from the history endpoint
+   * @returns {HTMLElement} Card element
+   */
+  function renderCard(item) {
+    const card = $(`
+      <div class="containerHistory riilsa-card">
+        <div class="riilsa-gradient"></div>
+
+        <div class="riilsa-card-header">
+          <div>
+            <div class="numberHistory riilsa-card-number">#${parseInt(item.number, 10)}</div>
+            <div class="riilsa-card-id">ID: ${parseInt(item.id, 10)}</div>
+            ${
+              item.autoGenerated
+                ? `<div class="riilsa-auto-badge" title="Generado por el borrador automático mensual">
+                    <span class="dashicons dashicons-update"></span>
+                    Automático
+                  </div>`
+                : ""
+            }
+          </div>
+          <div class="riilsa-status-badge">${escapeHtml(item.statusLabel)}</div>
+        </div>
+
+        <div class="riilsa-info-section">
+          <div class="riilsa-info-item">
+            <span class="dashicons dashicons-calendar-alt riilsa-icon-blue"></span>
+            ${escapeHtml(item.createdAt)}
+          </div>
+          <div class="riilsa-info-item">
+            <span class="dashicons dashicons-media-text riilsa-icon-red"></span>
+            ${item.newsIds.length} noticias
+          </div>
+          ${
+            item.sentAt
+              ? `<div class="riilsa-info-item">
+                  <span class="dashicons dashicons-email riilsa-icon-blue"></span>
+                  Enviado: ${escapeHtml(item.sentAt)}
+                </div>`
+              : ""
+          }
+          ${
+            item.scheduledAt
+              ? `<div class="riilsa-info-item riilsa-info-scheduled">
+                  <span class="dashicons dashicons-clock riilsa-icon-blue"></span>
+                  Programado: ${escapeHtml(item.scheduledAt.replace("T", " "))}
+                </div>`
+              : ""
+          }
+        </div>
+
+        <div class="riilsa-actions-grid">
+          <button class="btnHistory doBoletin riilsa-btn-view">
+            <span class="elementor-button-icon fa-spin" style="display: none;">
+              <svg aria-hidden="true" class="e-font-icon-svg e-fas-spinner" viewBox="0 0 512 512" xmlns="http://www.w3.org/2000/svg">
+                <path fill="#ffffff" d="${SPINNER_PATH}"></path>
+              </svg>
+            </span>
+            <span class="dashicons dashicons-visibility elementor-button-text"></span>
+            Ver
+          </button>
+          <button class="btnHistory sendBoletin riilsa-btn-send elementor-button-text">
+            <span class="dashicons dashicons-email"></span>
+            Enviar
+          </button>
+          <button class="btnHistory duplicateBoletin riilsa-btn-duplicate">
+            <span class="elementor-button-icon fa-spin" style="display: none;">
+              <svg aria-hidden="true" class="e-font-icon-svg e-fas-spinner" viewBox="0 0 512 512" xmlns="http://www.w3.org/2000/svg">
+                <path fill="#ffffff" d="${SPINNER_PATH}"></path>
+              </svg>
+            </span>
+            <span class="dashicons dashicons-admin-page elementor-button-text"></span>
+            Duplicar
+          </button>
+          <button class="btnHistory riilsa-btn-versions">
+            <span class="dashicons dashicons-backup"></span>
+            Versiones
+          </button>
+          ${
+            item.sent
+              ? `<button class="btnHistory riilsa-btn-analytics">
+                  <span class="dashicons dashicons-chart-bar"></span>
+                  Estadísticas
+                </button>
+                <button class="btnHistory riilsa-btn-resend">
+                  <span class="dashicons dashicons-controls-repeat"></span>
+                  Reenviar a…
+                </button>`
+              : ""
+          }
+          ${
+            item.scheduledAt
+              ? `<button class="btnHistory riilsa-btn-reschedule">
+                  <span class="dashicons dashicons-calendar-alt"></span>
+                  Reprogramar
+                </button>`
+              : ""
+          }
+          ${
+            item.canCancel
+              ? `<button class="btnHistory riilsa-btn-cancel">
+                  <span class="dashicons dashicons-dismiss"></span>
+                  Cancelar
+                </button>`
+              : ""
+          }
+          ${
+            item.sent
+              ? `<button class="btnHistory riilsa-btn-archive" data-archived="${item.archived ? 1 : 0}">
+                  <span class="dashicons dashicons-archive"></span>
+                  ${item.archived ? "Desarchivar" : "Archivar"}
+                </button>`
+              : ""
+          }
+          ${
+            item.canDelete
+              ? `<button class="btnHistory riilsa-btn-delete">
+                  <span class="dashicons dashicons-trash"></span>
+                  Eliminar
+                </button>`
+              : ""
+          }
+        </div>
+      </div>
+    `);
+
+    // Set as attributes so jQuery's .data() reads them like the server-rendered cards
+    card.find(".riilsa-actions-grid").attr({
+      "data-id": item.newsIds.join(","),
+      "data-text": item.headerText,
+      "data-newsletter": item.number,
+      "data-scheduled": item.scheduledAt || "",
+      "data-layout": JSON.stringify(item.layout || []),
+      "data-overrides": JSON.stringify(item.overrides || []),
+      "data-version": item.version || "",
+    });
+
+    return card.get(0);
+  }
+
+  /**
+   * Setup event handlers for history items (view, send and duplicate buttons)
+   *
+   * @param {jQuery} cards - Cards to wire, defaults to every card in the history
    */
-  function setupHistoryItemHandlers() {
-    $(".btnHistory.sendBoletin, .btnHistory.doBoletin").each(function () {
+  function setupHistoryItemHandlers(cards) {
+    const actions = ".btnHistory.sendBoletin, .btnHistory.doBoletin, .btnHistory.duplicateBoletin";
+
+    (cards || $(".historySC")).find(actions).each(function () {
       const btn = $(this);
       
       if (typeof window.setupAsyncButton === 'function') {
@@ -77,9 +485,11 @@
               await handleSendFromHistory(button);
             } else if (button.hasClass("doBoletin")) {
               await handleViewFromHistory(button);
+            } else if (button.hasClass("duplicateBoletin")) {
+              await handleDuplicateFromHistory(button);
             }
           },
-          "No se puede ver/enviar el boletín."
+          "No se puede ver, enviar o duplicar el boletín."
         );
       } else {
         // Fallback if setupAsyncButton is not available (e.g. load order issues)
@@ -109,13 +519,12 @@
               await handleSendFromHistory($(this));
             } else if (btn.hasClass("doBoletin")) {
               await handleViewFromHistory($(this));
+            } else if (btn.hasClass("duplicateBoletin")) {
+              await handleDuplicateFromHistory($(this));
             }
           } catch (error) {
             console.error("History action error:", error);
-            window.showError(
-              "No se puede ver/enviar el boletín.",
-              error.message || error
-            );
+            window.showError("No se puede ver, enviar o duplicar el boletín.", error);
           } finally {
             if (icon.length !== 0) {
               window.toggleLoading(icon, btn);
@@ -129,6 +538,7 @@
 
   /**
    * Handle view newsletter from history
+   * Shows the stored snapshot, so sending from the preview sends that version and not a new render
    *
    * @param {jQuery} btn - Button element that was clicked
    * @returns {Promise} Promise that resolves when newsletter is displayed
@@ -138,68 +548,187 @@
     const idNews = parent.data("id").toString().split(",");
     const textHeader = parent.data("text");
     const idNewsletter = parent.data("newsletter");
+    const version = parseInt(parent.data("version"), 10) || null;
+    // Zone, order and newsletter-only content stored when it was generated, empty for older ones
+    const layout = parent.data("layout") || [];
+    const overrides = parent.data("overrides") || [];
 
     if (!idNews || !idNewsletter) {
       throw new Error("Invalid newsletter data");
     }
 
-    return window.initGenerarBoletin([idNews, textHeader, idNewsletter]);
+    if (version) {
+      const snapshot = await riilsa.request("newsletterVersion", { id: idNewsletter, version: version });
+      window.showNewsletterSnapshot(snapshot.html, idNewsletter, snapshot.version);
+      return true;
+    }
+
+    // Generated before versioning, render it again from its news
+    return window.initGenerarBoletin([idNews, textHeader, idNewsletter, layout, overrides]);
   }
 
   /**
    * Handle send newsletter from history
+   * Sends a stored version picked by the editor, not a new render of the current news
    *
    * @param {jQuery} btn - Button element that was clicked
    * @returns {Promise} Promise that resolves when newsletter is sent
    */
   async function handleSendFromHistory(btn) {
-    await handleViewFromHistory(btn.siblings(".doBoletin"));
-    return window.initSendBoletin(false);
+    const idNewsletter = parseInt(btn.parent().data("newsletter"), 10);
+
+    if (!idNewsletter) {
+      throw new Error("Invalid newsletter data");
+    }
+
+    if (typeof window.openNewsletterVersions !== "function") {
+      throw new Error("Las versiones del boletín no están disponibles en esta página.");
+    }
+
+    return window.openNewsletterVersions(idNewsletter, { send: true });
   }
 
   /**
-   * Fetch newsletter history via AJAX
+   * Handle duplicate newsletter from history
+   * The server creates a draft with the next free number, the composer then loads it as stored
    *
-   * @returns {Promise} Promise that resolves with history HTML
-   */
-  function updateHistoryAJAX() {
-    return new Promise((resolve, reject) => {
-      $.ajax({
-        url: riilsa_ajax.ajax_url || ajaxurl,
-        type: "POST",
-        data: {
-          action: "historyBoletin",
-          nonce: riilsa_ajax.nonce,
-        },
-        success: function (response) {
-          const container = $(".historySC");
-
-          if (!container.length) {
-            reject("History container not found");
-            return;
-          }
+   * @param {jQuery} btn - Button element that was clicked
+   * @returns {Promise} Promise that resolves when the copy is in the composer
+   */
+  async function handleDuplicateFromHistory(btn) {
+    const idNewsletter = btn.parent().data("newsletter");
+
+    if (!idNewsletter) {
+      throw new Error("Invalid newsletter data");
+    }
 
-          container.empty();
-          container.html(response);
+    if (typeof window.openNewsletterDraft !== "function") {
+      throw new Error("El compositor no está disponible en esta página.");
+    }
+
+    const data = await riilsa.request("duplicateNewsletter", { id: idNewsletter });
+
+    window.openNewsletterDraft(data.draft);
+
+    const composer = $("#newsSelect");
+    if (composer.length) {
+      composer[0].scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+  }
+
+  /**
+   * Archive a sent newsletter out of the default view, or bring it back
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleArchive(e) {
+    e.preventDefault();
+
+    const button = $(this);
+    const idNewsletter = button.closest(".riilsa-actions-grid").data("newsletter");
+    const archive = !parseInt(button.data("archived"), 10);
+
+    const confirmed = await window.showRiilsaConfirm({
+      title: archive ? "Archivar boletín" : "Desarchivar boletín",
+      message: archive
+        ? `¿Archivar el boletín #${idNewsletter}? Dejará de aparecer en el historial; lo verás eligiendo "Archivados".`
+        : `¿Devolver el boletín #${idNewsletter} al historial?`,
+      confirmLabel: archive ? "Archivar" : "Desarchivar",
+      cancelLabel: "Volver",
+    });
+
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      await riilsa.request("archiveNewsletter", { id: idNewsletter, archived: archive ? 1 : 0 });
 
-          resolve(true);
-        },
-        error: function (xhr, status, error) {
-          window.showError("Failed to load history: " + error);
-          reject(error);
-        },
+      window.showRiilsaModal({
+        title: archive ? "Boletín archivado" : "Boletín desarchivado",
+        type: "success",
+        successes: [
+          archive
+            ? `El boletín #${idNewsletter} se movió a "Archivados".`
+            : `El boletín #${idNewsletter} vuelve a aparecer en el historial.`,
+        ],
       });
+
+      await window.refreshNewsletterHistory();
+    } catch (error) {
+      console.error("Archive error:", error);
+      window.showError("Error al archivar el boletín.", error);
+    }
+  }
+
+  /**
+   * Delete a newsletter that was never sent
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleDelete(e) {
+    e.preventDefault();
+
+    const idNewsletter = $(this).closest(".riilsa-actions-grid").data("newsletter");
+
+    const confirmed = await window.showRiilsaConfirm({
+      title: "Eliminar boletín",
+      message: `¿Eliminar el boletín #${idNewsletter} y todas sus versiones? Esta acción no se puede deshacer.`,
+      confirmLabel: "Eliminar",
+      cancelLabel: "Volver",
+      danger: true,
     });
+
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      await riilsa.request("deleteNewsletter", { id: idNewsletter });
+
+      window.showRiilsaModal({
+        title: "Boletín eliminado",
+        type: "success",
+        successes: [`El boletín #${idNewsletter} se eliminó.`],
+      });
+
+      await window.refreshNewsletterHistory();
+    } catch (error) {
+      console.error("Delete error:", error);
+      window.showError("Error al eliminar el boletín.", error);
+    }
+  }
+
+  /**
+   * Fetch a page of the newsletter history via AJAX
+   *
+   * @param {number} page - Page number, starting at 1
+   * @returns {Promise} Promise that resolves with {items, total, page, perPage, hasMore, statistics}
+   */
+  function updateHistoryAJAX(page) {
+    return riilsa.request("historyBoletin", $.extend({ page: page, perPage: PER_PAGE }, getFilters()));
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
   }
 
   /**
    * Refresh newsletter history display
-   * Useful for reloading after operations
+   * Useful for reloading after operations, keeps the current filters
    */
   window.refreshNewsletterHistory = async function () {
     try {
-      await updateHistoryAJAX();
-      setupHistoryItemHandlers();
+      renderHistoryShell();
+      await loadHistory(true);
       return true;
     } catch (error) {
       console.error("Failed to refresh history:", error);
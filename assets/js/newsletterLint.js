@@ -0,0 +1,265 @@
+/**
+ * RIILSA Newsletter - Pre-send Checks
+ *
+ * Lints the generated newsletter DOM before it is sent and reports problems as a checklist
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Gmail clips messages larger than this (bytes)
+   */
+  const GMAIL_CLIP_BYTES = 102 * 1024;
+
+  /**
+   * Placeholders left behind by TemplateGenerationService when a replacement fails
+   */
+  const PLACEHOLDER_PATTERN = /-- [A-Z]+ --|__(?:title|description|url|img|area)__/g;
+
+  /**
+   * Lint the newsletter document
+   *
+   * @param {Document} doc - Preview iframe document
+   * @returns {Object} {checks: Array<{label, blocking, issues}>, blocking: Array<string>, warnings: Array<string>}
+   */
+  window.lintNewsletter = function (doc) {
+    const body = doc && doc.body;
+    const html = body ? body.innerHTML : "";
+
+    const checks = [
+      { label: "Imágenes con origen válido", blocking: true, issues: checkImageSources(body) },
+      { label: "Imágenes con texto alternativo", blocking: false, issues: checkImageAlt(body) },
+      { label: "Enlaces con destino", blocking: true, issues: checkLinks(body) },
+      { label: "Sin marcadores de plantilla", blocking: true, issues: checkPlaceholders(html) },
+      { label: "Sin noticias duplicadas", blocking: true, issues: checkDuplicates(body) },
+      { label: "Tamaño menor a 102 KB (recorte de Gmail)", blocking: false, issues: checkSize(html) },
+    ];
+
+    const result = { checks: checks, blocking: [], warnings: [] };
+
+    checks.forEach(function (check) {
+      const target = check.blocking ? result.blocking : result.warnings;
+      check.issues.forEach(function (issue) {
+        target.push(issue);
+      });
+    });
+
+    return result;
+  };
+
+  /**
+   * Lint the newsletter and let the editor decide whether to go on
+   * Resolves right away when there is nothing to report
+   *
+   * @param {Document} doc - Preview iframe document
+   * @returns {Promise<boolean>} Whether the send may continue
+   */
+  window.reviewNewsletterBeforeSend = function (doc) {
+    const result = window.lintNewsletter(doc);
+
+    if (!result.blocking.length && !result.warnings.length) {
+      return Promise.resolve(true);
+    }
+
+    return openReviewDialog(result);
+  };
+
+  /**
+   * Images with a missing, empty or broken src
+   *
+   * @param {HTMLElement} body - Newsletter body
+   * @returns {Array<string>} Issues
+   */
+  function checkImageSources(body) {
+    const issues = [];
+
+    $(body)
+      .find("img")
+      .each(function (index) {
+        const src = ($(this).attr("src") || "").trim();
+        const name = describeImage(this, index);
+
+        if (!src) {
+          issues.push(`${name} no tiene origen (src).`);
+        } else if (this.complete && this.naturalWidth === 0) {
+          issues.push(`${name} no se pudo cargar: ${shorten(src)}`);
+        }
+      });
+
+    return issues;
+  }
+
+  /**
+   * Images without alt text
+   *
+   * @param {HTMLElement} body - Newsletter body
+   * @returns {Array<string>} Issues
+   */
+  function checkImageAlt(body) {
+    const issues = [];
+
+    $(body)
+      .find("img")
+      .each(function (index) {
+        if (!($(this).attr("alt") || "").trim()) {
+          issues.push(`${describeImage(this, index)} no tiene texto alternativo.`);
+        }
+      });
+
+    return issues;
+  }
+
+  /**
+   * Links with an empty or "#" href
+   *
+   * @param {HTMLElement} body - Newsletter body
+   * @returns {Array<string>} Issues
+   */
+  function checkLinks(body) {
+    const issues = [];
+
+    $(body)
+      .find("a")
+      .each(function () {
+        const href = ($(this).attr("href") || "").trim();
+        const text = $(this).text().trim() || "(sin texto)";
+
+        if (!href || href === "#") {
+          issues.push(`El enlace "${shorten(text)}" no tiene destino.`);
+        }
+      });
+
+    return issues;
+  }
+
+  /**
+   * Template placeholders left in the HTML
+   *
+   * @param {string} html - Newsletter HTML
+   * @returns {Array<string>} Issues
+   */
+  function checkPlaceholders(html) {
+    const counts = {};
+
+    (html.match(PLACEHOLDER_PATTERN) || []).forEach(function (placeholder) {
+      counts[placeholder] = (counts[placeholder] || 0) + 1;
+    });
+
+    return Object.keys(counts).map(function (placeholder) {
+      return `Quedó el marcador "${placeholder}" (${counts[placeholder]} ${counts[placeholder] === 1 ? "vez" : "veces"}).`;
+    });
+  }
+
+  /**
+   * News items included more than once
+   * Every news block links to its post exactly once, so repeated links mean repeated news
+   *
+   * @param {HTMLElement} body - Newsletter body
+   * @returns {Array<string>} Issues
+   */
+  function checkDuplicates(body) {
+    const counts = {};
+
+    $(body)
+      .find("a[href]")
+      .each(function () {
+        const href = ($(this).attr("href") || "").trim();
+
+        if (!href || href === "#" || href.indexOf("mailto:") === 0) {
+          return;
+        }
+
+        counts[href] = (counts[href] || 0) + 1;
+      });
+
+    return Object.keys(counts)
+      .filter((href) => counts[href] > 1)
+      .map((href) => `La noticia ${shorten(href)} aparece ${counts[href]} veces.`);
+  }
+
+  /**
+   * HTML size above Gmail's clipping limit
+   *
+   * @param {string} html - Newsletter HTML
+   * @returns {Array<string>} Issues
+   */
+  function checkSize(html) {
+    const bytes = new Blob([html]).size;
+
+    if (bytes <= GMAIL_CLIP_BYTES) {
+      return [];
+    }
+
+    return [
+      `El boletín pesa ${(bytes / 1024).toFixed(1)} KB; Gmail recortará el contenido a partir de 102 KB.`,
+    ];
+  }
+
+  /**
+   * Human readable name for an image
+   *
+   * @param {HTMLElement} img - Image element
+   * @param {number} index - Position in the newsletter
+   * @returns {string} Description
+   */
+  function describeImage(img, index) {
+    const alt = ($(img).attr("alt") || "").trim();
+
+    return alt ? `La imagen "${shorten(alt)}"` : `La imagen #${index + 1}`;
+  }
+
+  /**
+   * Shorten long values for display
+   *
+   * @param {string} value - Value to shorten
+   * @returns {string} Shortened value
+   */
+  function shorten(value) {
+    const text = String(value);
+
+    return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+  }
+
+  /**
+   * Show the checklist and ask whether to continue
+   * Blocking problems have to be acknowledged before the send can go on
+   *
+   * @param {Object} result - Lint result
+   * @returns {Promise<boolean>} Whether the send may continue
+   */
+  function openReviewDialog(result) {
+    const hasBlocking = result.blocking.length > 0;
+
+    const checklist = $("<ul>", { class: "riilsa-lint-checklist" }).append(
+      result.checks.map(function (check) {
+        const state = !check.issues.length ? "ok" : check.blocking ? "blocking" : "warning";
+        const icon = state === "ok" ? "✅" : state === "blocking" ? "❌" : "⚠️";
+
+        return $("<li>", { class: `riilsa-lint-check ${state}` }).append(
+          $("<span>", { class: "riilsa-lint-icon" }).text(icon),
+          document.createTextNode(check.label),
+          check.issues.length ? $("<span>", { class: "riilsa-lint-count" }).text(check.issues.length) : $()
+        );
+      })
+    );
+
+    return window.showRiilsaConfirm({
+      title: "Revisión antes del envío",
+      type: hasBlocking ? "error" : "warning",
+      errors: result.blocking,
+      errorsTitle: "Problemas que impiden el envío",
+      warnings: result.warnings,
+      warningsTitle: "Advertencias",
+      body: checklist,
+      acknowledge: hasBlocking ? "Entiendo los problemas y quiero enviar de todos modos" : null,
+      confirmLabel: hasBlocking ? "Enviar de todos modos" : "Continuar",
+      cancelLabel: "Corregir",
+    });
+  }
+})(jQuery);
@@ -0,0 +1,270 @@
+/**
+ * RIILSA Newsletter - Item Overrides
+ *
+ * "Editar en el boletín" panel to change the title, excerpt and image of a selected news item
+ * for the current newsletter only, without touching the post
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Longest title override
+   * Matches NewsletterGenerationDTO::MAX_TITLE_LENGTH
+   */
+  const MAX_TITLE_LENGTH = 200;
+
+  /**
+   * Longest excerpt override
+   * Matches NewsletterGenerationDTO::MAX_EXCERPT_LENGTH
+   */
+  const MAX_EXCERPT_LENGTH = 1000;
+
+  /**
+   * Overrides of the current composition, keyed by news ID
+   */
+  const overrides = {};
+
+  /**
+   * Initialize overrides when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    if (!$("#riilsaComposer").length) {
+      return;
+    }
+
+    renderEditButtons();
+
+    // Composer items are rebuilt from the selection, keep the buttons and drop stale overrides
+    $(document).on("riilsa:selectionChanged", function () {
+      const selectedIds = window.getSelectedNewsIds();
+
+      Object.keys(overrides).forEach(function (id) {
+        if (selectedIds.indexOf(id) === -1) {
+          delete overrides[id];
+        }
+      });
+
+      renderEditButtons();
+    });
+
+    $(document).on("click", "#riilsaComposer .riilsa-composer-edit", handleEdit);
+  });
+
+  /**
+   * Add the edit button to composer items that do not have one yet
+   * and refresh the "edited" marker of every item
+   */
+  function renderEditButtons() {
+    $("#riilsaComposer .riilsa-composer-item").each(function () {
+      const item = $(this);
+      const id = String(item.data("id"));
+
+      if (!item.find(".riilsa-composer-edit").length) {
+        const title = item.find(".riilsa-composer-item-title").text();
+
+        $(
+          '<button type="button" class="riilsa-composer-edit"><span class="dashicons dashicons-edit"></span></button>'
+        )
+          .attr("aria-label", `Editar "${title}" en el boletín`)
+          .attr("title", "Editar en el boletín")
+          .insertAfter(item.find(".riilsa-composer-item-title"));
+      }
+
+      item.toggleClass("has-override", !!overrides[id]);
+    });
+  }
+
+  /**
+   * Open the override panel of a composer item and apply the result
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleEdit(e) {
+    e.preventDefault();
+
+    const button = $(this);
+    const id = String(button.closest(".riilsa-composer-item").data("id"));
+    const result = await openOverrideDialog(id);
+
+    button.trigger("focus");
+
+    if (result === null) {
+      return;
+    }
+
+    if (result.title || result.excerpt || result.image) {
+      overrides[id] = result;
+    } else {
+      delete overrides[id];
+    }
+
+    renderEditButtons();
+
+    if (typeof window.refreshNewsletterPreview === "function") {
+      window.refreshNewsletterPreview().catch(function (error) {
+        console.error("Preview error:", error);
+        window.showError("Error al actualizar la vista previa.", error);
+      });
+    }
+  }
+
+  /**
+   * Ask for the newsletter-only title, excerpt and image of a news item
+   * Empty fields keep the value of the post
+   *
+   * @param {string} id - News ID
+   * @returns {Promise<Object|null>} {title, excerpt, image}, or null if the editor cancelled
+   */
+  function openOverrideDialog(id) {
+    return new Promise((resolve) => {
+      const original = window.getNewsDetails(id);
+      const current = overrides[id] || {};
+
+      $("#riilsa-override-modal").remove();
+
+      const modalHtml = `
+        <div id="riilsa-override-modal" class="riilsa-modal-overlay" style="display: none;">
+          <div class="riilsa-modal-content info" role="dialog" aria-modal="true">
+            <div class="riilsa-modal-header">
+              <h3 class="riilsa-modal-title">
+                <span class="riilsa-modal-icon">✏️</span>
+                Editar en el boletín
+              </h3>
+              <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="riilsa-modal-body">
+              <p class="riilsa-override-note">Los cambios solo se aplican a este boletín; la publicación no se modifica. Deja un campo vacío para usar el de la publicación.</p>
+              <label class="riilsa-modal-label" for="riilsaOverrideTitle">Título</label>
+              <input type="text" id="riilsaOverrideTitle" class="riilsa-modal-field" maxlength="${MAX_TITLE_LENGTH}">
+              <label class="riilsa-modal-label" for="riilsaOverrideExcerpt">Extracto o viñetas</label>
+              <textarea id="riilsaOverrideExcerpt" class="riilsa-modal-field" rows="5" maxlength="${MAX_EXCERPT_LENGTH}"></textarea>
+              <label class="riilsa-modal-label" for="riilsaOverrideImage">URL de la imagen</label>
+              <input type="url" id="riilsaOverrideImage" class="riilsa-modal-field">
+              <p class="riilsa-modal-field-error" style="display: none;"></p>
+            </div>
+            <div class="riilsa-modal-footer">
+              <button class="riilsa-btn riilsa-override-reset" type="button">Restablecer</button>
+              <button class="riilsa-btn riilsa-modal-cancel-btn" type="button">Cancelar</button>
+              <button class="riilsa-btn riilsa-btn-primary riilsa-modal-confirm-btn" type="button">
+                Guardar
+              </button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      $("body").append(modalHtml);
+
+      const modal = $("#riilsa-override-modal");
+      const errorBox = modal.find(".riilsa-modal-field-error");
+      const titleField = modal.find("#riilsaOverrideTitle");
+      const excerptField = modal.find("#riilsaOverrideExcerpt");
+      const imageField = modal.find("#riilsaOverrideImage");
+
+      // Values set through jQuery so quotes in the post never break the markup
+      titleField.val(current.title || "").attr("placeholder", original.title);
+      excerptField.val(current.excerpt || "").attr("placeholder", original.excerpt);
+      imageField.val(current.image || "").attr("placeholder", original.image || "https://");
+
+      function close(value) {
+        $(document).off("keydown.riilsa-override");
+        modal.fadeOut(300, function () {
+          $(this).remove();
+        });
+        resolve(value);
+      }
+
+      modal.on("click", function (e) {
+        if (e.target === this) {
+          close(null);
+        }
+      });
+
+      modal.find(".riilsa-modal-close, .riilsa-modal-cancel-btn").on("click", function (e) {
+        e.preventDefault();
+        close(null);
+      });
+
+      modal.find(".riilsa-override-reset").on("click", function (e) {
+        e.preventDefault();
+        close({ title: "", excerpt: "", image: "" });
+      });
+
+      modal.find(".riilsa-modal-confirm-btn").on("click", function (e) {
+        e.preventDefault();
+
+        const title = titleField.val().trim();
+        const excerpt = excerptField.val().trim();
+        const image = imageField.val().trim();
+
+        if (title.length > MAX_TITLE_LENGTH) {
+          errorBox.text(`El título admite como máximo ${MAX_TITLE_LENGTH} caracteres.`).show();
+          return;
+        }
+
+        if (excerpt.length > MAX_EXCERPT_LENGTH) {
+          errorBox.text(`El extracto admite como máximo ${MAX_EXCERPT_LENGTH} caracteres.`).show();
+          return;
+        }
+
+        if (image && !/^https?:\/\/\S+$/i.test(image)) {
+          errorBox.text("La URL de la imagen debe empezar por http:// o https://.").show();
+          return;
+        }
+
+        close({ title: title, excerpt: excerpt, image: image });
+      });
+
+      $(document).on("keydown.riilsa-override", function (e) {
+        if (e.key === "Escape" || e.keyCode === 27) {
+          close(null);
+        }
+      });
+
+      modal.fadeIn(300);
+      titleField.trigger("focus");
+    });
+  }
+
+  /**
+   * Get the newsletter-only content set for the selected news
+   *
+   * @returns {Array<Object>} Array of {id, title, excerpt, image}
+   */
+  window.getNewsOverrides = function () {
+    return Object.keys(overrides).map(function (id) {
+      return $.extend({ id: id }, overrides[id]);
+    });
+  };
+
+  /**
+   * Replace the newsletter-only content, e.g. with the one stored in a draft
+   *
+   * @param {Array<Object>} items - Array of {id, title, excerpt, image}
+   */
+  window.setNewsOverrides = function (items) {
+    Object.keys(overrides).forEach(function (id) {
+      delete overrides[id];
+    });
+
+    items.forEach(function (item) {
+      overrides[String(item.id)] = {
+        title: item.title || "",
+        excerpt: item.excerpt || "",
+        image: item.image || "",
+      };
+    });
+
+    renderEditButtons();
+  };
+})(jQuery);
@@ -0,0 +1,288 @@
+/**
+ * RIILSA Newsletter - Preview Modes
+ *
+ * Toolbar to view the generated newsletter as desktop, mobile, dark mode or plain text
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Available preview modes
+   */
+  const MODES = [
+    { key: "desktop", label: "Escritorio", icon: "dashicons-desktop" },
+    { key: "mobile", label: "Móvil", icon: "dashicons-smartphone" },
+    { key: "dark", label: "Modo oscuro", icon: "dashicons-lightbulb" },
+    { key: "text", label: "Texto plano", icon: "dashicons-editor-alignleft" },
+  ];
+
+  /**
+   * Session key for the chosen mode, so it survives generate → send and history refreshes
+   */
+  const STORAGE_KEY = "riilsa_preview_mode";
+
+  /**
+   * Id of the style element injected in the iframe head for dark mode
+   * Kept out of the body so the HTML that gets sent is never affected
+   */
+  const DARK_STYLE_ID = "riilsa-preview-dark";
+
+  /**
+   * Id of the style element that points out items edited for this newsletter only
+   * Also kept in the head, the markers it styles are invisible in the sent email
+   */
+  const OVERRIDE_STYLE_ID = "riilsa-preview-overrides";
+
+  /**
+   * Elements whose end starts a new line in the plain text version
+   */
+  const BLOCK_TAGS = [
+    "ADDRESS", "ARTICLE", "BLOCKQUOTE", "DIV", "FOOTER", "H1", "H2", "H3", "H4", "H5", "H6",
+    "HEADER", "HR", "LI", "OL", "P", "SECTION", "TABLE", "TR", "UL",
+  ];
+
+  /**
+   * Initialize preview toolbar when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    if (!$("#boletinPreview").length) {
+      return;
+    }
+
+    renderToolbar();
+
+    $(document).on("click", ".riilsa-preview-mode", function (e) {
+      e.preventDefault();
+      setMode($(this).data("mode"));
+    });
+
+    $(document).on("riilsa:previewRendered", function () {
+      applyMode(getMode());
+    });
+  });
+
+  /**
+   * Get the current preview mode
+   *
+   * @returns {string} Mode key
+   */
+  function getMode() {
+    let mode = null;
+
+    try {
+      mode = window.sessionStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      // Storage disabled, fall back to desktop
+    }
+
+    return MODES.some((m) => m.key === mode) ? mode : "desktop";
+  }
+
+  /**
+   * Change and remember the preview mode
+   *
+   * @param {string} mode - Mode key
+   */
+  function setMode(mode) {
+    try {
+      window.sessionStorage.setItem(STORAGE_KEY, mode);
+    } catch (error) {
+      // Storage disabled, the mode will only last until the next page load
+    }
+
+    applyMode(mode);
+  }
+
+  /**
+   * Render the toolbar above the preview container
+   */
+  function renderToolbar() {
+    let buttonsHtml = "";
+
+    MODES.forEach(function (mode) {
+      buttonsHtml += `
+        <button type="button" class="riilsa-preview-mode" data-mode="${mode.key}" aria-pressed="false">
+          <span class="dashicons ${mode.icon}"></span>
+          ${mode.label}
+        </button>
+      `;
+    });
+
+    $("#riilsaPreviewToolbar").remove();
+    $("#boletinPreview").before(
+      `<div id="riilsaPreviewToolbar" class="riilsa-preview-toolbar" role="toolbar">${buttonsHtml}</div>`
+    );
+
+    applyMode(getMode());
+  }
+
+  /**
+   * Apply a mode to the toolbar and the current preview
+   *
+   * @param {string} mode - Mode key
+   */
+  function applyMode(mode) {
+    const container = $("#boletinPreview");
+    const iframe = container.find("iframe").get(0);
+
+    $(".riilsa-preview-mode").each(function () {
+      const active = $(this).data("mode") === mode;
+      $(this).toggleClass("active", active).attr("aria-pressed", active ? "true" : "false");
+    });
+
+    container
+      .removeClass("riilsa-preview-desktop riilsa-preview-mobile riilsa-preview-dark riilsa-preview-text")
+      .addClass(`riilsa-preview-${mode}`);
+
+    container.find(".riilsa-preview-plain").remove();
+
+    if (!iframe || !iframe.contentDocument) {
+      return;
+    }
+
+    toggleDarkStyle(iframe.contentDocument, mode === "dark");
+    addOverrideStyle(iframe.contentDocument);
+
+    if (mode === "text") {
+      const plain = $('<pre class="riilsa-preview-plain"></pre>').text(
+        toPlainText(iframe.contentDocument.body)
+      );
+      container.append(plain);
+    }
+  }
+
+  /**
+   * Add or remove the simulated dark mode inside the iframe
+   * Mimics clients that fully invert light emails, keeping images untouched
+   *
+   * @param {Document} doc - Iframe document
+   * @param {boolean} enabled - Whether dark mode is on
+   */
+  function toggleDarkStyle(doc, enabled) {
+    const existing = doc.getElementById(DARK_STYLE_ID);
+
+    if (!enabled) {
+      if (existing) {
+        existing.remove();
+      }
+      return;
+    }
+
+    if (existing || !doc.head) {
+      return;
+    }
+
+    const style = doc.createElement("style");
+    style.id = DARK_STYLE_ID;
+    style.textContent =
+      "html { filter: invert(1) hue-rotate(180deg); background-color: #fff; }" +
+      "img, picture, video, [style*='background-image'] { filter: invert(1) hue-rotate(180deg); }";
+    doc.head.appendChild(style);
+  }
+
+  /**
+   * Flag the news items whose title, excerpt or image was edited for this newsletter
+   * TemplateGenerationService wraps their title in a [data-riilsa-override] marker, stripped before storing or sending
+   *
+   * @param {Document} doc - Iframe document
+   */
+  function addOverrideStyle(doc) {
+    if (doc.getElementById(OVERRIDE_STYLE_ID) || !doc.head) {
+      return;
+    }
+
+    const style = doc.createElement("style");
+    style.id = OVERRIDE_STYLE_ID;
+    style.textContent =
+      "[data-riilsa-override] { outline: 2px dashed #F0AD4E; outline-offset: 2px; }" +
+      "[data-riilsa-override]::after { content: 'Editada en este boletín'; display: inline-block;" +
+      " margin-left: 6px; padding: 1px 6px; border-radius: 8px; background: #F0AD4E; color: #fff;" +
+      " font: 600 11px/1.4 sans-serif; vertical-align: middle; }";
+    doc.head.appendChild(style);
+  }
+
+  /**
+   * Derive the plain text alternative from the newsletter HTML
+   *
+   * @param {HTMLElement} root - Newsletter body
+   * @returns {string} Plain text
+   */
+  function toPlainText(root) {
+    if (!root) {
+      return "";
+    }
+
+    let text = "";
+
+    function walk(node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.nodeValue.replace(/\s+/g, " ");
+        return;
+      }
+
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+
+      const tag = node.tagName;
+
+      if (tag === "STYLE" || tag === "SCRIPT" || tag === "HEAD") {
+        return;
+      }
+
+      if (tag === "BR") {
+        text += "\n";
+        return;
+      }
+
+      if (tag === "IMG") {
+        const alt = (node.getAttribute("alt") || "").trim();
+        if (alt) {
+          text += `[${alt}]`;
+        }
+        return;
+      }
+
+      if (tag === "LI") {
+        text += "\n- ";
+      }
+
+      Array.prototype.forEach.call(node.childNodes, walk);
+
+      if (tag === "A") {
+        const href = (node.getAttribute("href") || "").trim();
+        const label = (node.textContent || "").trim();
+        if (href && href !== "#" && href !== label) {
+          text += ` (${href})`;
+        }
+      }
+
+      if (tag === "TD" || tag === "TH") {
+        text += " ";
+      }
+
+      if (BLOCK_TAGS.indexOf(tag) !== -1) {
+        text += "\n";
+      }
+    }
+
+    walk(root);
+
+    return text
+      .split("\n")
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+})(jQuery);
@@ -0,0 +1,223 @@
+/**
+ * RIILSA Newsletter - Recommendations
+ *
+ * Pre-selects recent published news, balanced across research lines, as a starting point
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Default date window in days
+   * Matches NewsRecommendationDTO::DEFAULT_DAYS
+   */
+  const DEFAULT_DAYS = 30;
+
+  /**
+   * Largest date window in days
+   * Matches NewsRecommendationDTO::MAX_DAYS
+   */
+  const MAX_DAYS = 365;
+
+  /**
+   * Initialize recommendations when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    const toolbar = $("#riilsaSelectionToolbar");
+
+    if (!toolbar.length) {
+      return;
+    }
+
+    toolbar.find(".riilsa-selection-counts").before(`
+      <button type="button" class="riilsa-recommend-btn">
+        <span class="dashicons dashicons-lightbulb"></span>
+        Recomendar
+      </button>
+    `);
+
+    $(document).on("click", ".riilsa-recommend-btn", handleRecommend);
+  });
+
+  /**
+   * Ask for the criteria, fetch the recommendation and pre-check it
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleRecommend(e) {
+    e.preventDefault();
+
+    const criteria = await openRecommendDialog();
+
+    if (!criteria) {
+      return;
+    }
+
+    const button = $(this);
+    button.prop("disabled", true);
+
+    try {
+      const data = await recommendAJAX(criteria);
+
+      const ids = (data.newsIds || []).map(String);
+      const available = ids.filter((id) => $(`[id="${id}"] .cb input`).length > 0);
+      const missing = ids.length - available.length;
+
+      window.selectNewsItems(available);
+
+      const statistics = {
+        "Publicadas en el periodo": data.statistics.candidates,
+        Recomendadas: data.statistics.recommended,
+      };
+
+      Object.keys(data.statistics.by_research_line || {}).forEach(function (line) {
+        statistics[line] = data.statistics.by_research_line[line];
+      });
+
+      window.showRiilsaModal({
+        title: "Noticias recomendadas",
+        type: missing ? "warning" : "success",
+        successes: [`Se preseleccionaron ${available.length} noticias. Ajusta la selección antes de generar.`],
+        warnings: missing
+          ? [`${missing} noticias recomendadas no aparecen en el panel de selección y no se marcaron.`]
+          : [],
+        statistics: statistics,
+      });
+    } catch (error) {
+      console.error("Recommendation error:", error);
+      window.showRiilsaModal({
+        title: "No se pudieron recomendar noticias",
+        type: "error",
+        errors: [String(error.message || error)],
+      });
+    } finally {
+      button.prop("disabled", false);
+    }
+  }
+
+  /**
+   * Ask for the recommendation criteria
+   *
+   * @returns {Promise<Object|null>} {days, maxItems, balance}, or null if the editor cancelled
+   */
+  function openRecommendDialog() {
+    return new Promise((resolve) => {
+      const limits = window.getNewsCategoryLimits();
+      const capacity = Object.keys(limits).reduce((total, key) => total + limits[key], 0);
+      const selectedCount = window.getSelectedNewsIds().length;
+
+      $("#riilsa-recommend-modal").remove();
+
+      const modalHtml = `
+        <div id="riilsa-recommend-modal" class="riilsa-modal-overlay" style="display: none;">
+          <div class="riilsa-modal-content info" role="dialog" aria-modal="true">
+            <div class="riilsa-modal-header">
+              <h3 class="riilsa-modal-title">
+                <span class="riilsa-modal-icon">💡</span>
+                Recomendar noticias
+              </h3>
+              <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="riilsa-modal-body">
+              <label class="riilsa-modal-label" for="riilsaRecommendDays">Publicadas en los últimos (días)</label>
+              <input type="number" id="riilsaRecommendDays" class="riilsa-modal-field" min="1" max="${MAX_DAYS}" value="${DEFAULT_DAYS}">
+              <label class="riilsa-modal-label" for="riilsaRecommendMax">Máximo de noticias (capacidad: ${capacity})</label>
+              <input type="number" id="riilsaRecommendMax" class="riilsa-modal-field" min="1" max="${capacity}" value="${capacity}">
+              <label class="riilsa-modal-checkbox">
+                <input type="checkbox" id="riilsaRecommendBalance" checked>
+                Equilibrar entre líneas de investigación
+              </label>
+              ${
+                selectedCount
+                  ? `<p class="riilsa-recommend-note">La recomendación reemplazará la selección actual (${selectedCount} noticias).</p>`
+                  : ""
+              }
+              <p class="riilsa-modal-field-error" style="display: none;"></p>
+            </div>
+            <div class="riilsa-modal-footer">
+              <button class="riilsa-btn riilsa-modal-cancel-btn" type="button">Cancelar</button>
+              <button class="riilsa-btn riilsa-btn-primary riilsa-modal-confirm-btn" type="button">
+                Recomendar
+              </button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      $("body").append(modalHtml);
+
+      const modal = $("#riilsa-recommend-modal");
+      const errorBox = modal.find(".riilsa-modal-field-error");
+
+      function close(value) {
+        $(document).off("keydown.riilsa-recommend");
+        modal.fadeOut(300, function () {
+          $(this).remove();
+        });
+        resolve(value);
+      }
+
+      modal.on("click", function (e) {
+        if (e.target === this) {
+          close(null);
+        }
+      });
+
+      modal.find(".riilsa-modal-close, .riilsa-modal-cancel-btn").on("click", function (e) {
+        e.preventDefault();
+        close(null);
+      });
+
+      modal.find(".riilsa-modal-confirm-btn").on("click", function (e) {
+        e.preventDefault();
+
+        const days = parseInt(modal.find("#riilsaRecommendDays").val(), 10);
+        const maxItems = parseInt(modal.find("#riilsaRecommendMax").val(), 10);
+
+        if (!days || days < 1 || days > MAX_DAYS) {
+          errorBox.text(`El periodo debe estar entre 1 y ${MAX_DAYS} días.`).show();
+          return;
+        }
+
+        if (!maxItems || maxItems < 1 || maxItems > capacity) {
+          errorBox.text(`El máximo debe estar entre 1 y ${capacity} noticias.`).show();
+          return;
+        }
+
+        close({
+          days: days,
+          maxItems: maxItems,
+          balance: modal.find("#riilsaRecommendBalance").is(":checked"),
+        });
+      });
+
+      $(document).on("keydown.riilsa-recommend", function (e) {
+        if (e.key === "Escape" || e.keyCode === 27) {
+          close(null);
+        }
+      });
+
+      modal.fadeIn(300);
+      modal.find("#riilsaRecommendDays").trigger("focus");
+    });
+  }
+
+  /**
+   * AJAX request for recommended news
+   *
+   * @param {Object} criteria - {days, maxItems, balance}
+   * @returns {Promise} Promise that resolves with the response data
+   */
+  function recommendAJAX(criteria) {
+    return riilsa.request("recommendNewsItems", criteria);
+  }
+})(jQuery);
@@ -0,0 +1,418 @@
+/**
+ * RIILSA Newsletter - Targeted Resend
+ *
+ * "Reenviar a…" dialog of sent newsletters: resends the sent HTML to chosen dependency lists,
+ * to the subscribers whose delivery bounced or to those who joined later, showing the
+ * recipient count before anything goes out
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Audiences offered in the dialog, in display order
+   */
+  const AUDIENCES = [
+    {
+      value: "dependencies",
+      label: "Listas de dependencias",
+      detail: "Suscriptores de las dependencias que elijas abajo.",
+    },
+    {
+      value: "failed",
+      label: "Entregas fallidas o rebotadas",
+      detail: "Suscriptores a quienes no se pudo enviar el original o cuyo correo rebotó.",
+    },
+    {
+      value: "new",
+      label: "Nuevos suscriptores",
+      detail: "Quienes se suscribieron después del envío original.",
+    },
+  ];
+
+  /**
+   * Milliseconds between checks while Brevo exports the bounces
+   */
+  const PENDING_POLL_INTERVAL = 5000;
+
+  /**
+   * Preview request in flight, aborted when the selection changes or the dialog closes
+   */
+  let pendingRequest = null;
+
+  /**
+   * Timer of the next check while the bounces are being exported
+   */
+  let pollTimer = null;
+
+  /**
+   * Initialize resend when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    $(document).on("click", ".riilsa-btn-resend", handleOpen);
+  });
+
+  /**
+   * Open the dialog for the newsletter of the clicked card
+   *
+   * @param {Event} e - Click event
+   */
+  function handleOpen(e) {
+    e.preventDefault();
+
+    const button = $(this);
+    const number = parseInt(button.closest(".riilsa-actions-grid").data("newsletter"), 10);
+
+    if (!number) {
+      return;
+    }
+
+    openDialog(number, button);
+  }
+
+  /**
+   * Build the dialog and bind its controls
+   *
+   * @param {number} number - Newsletter number
+   * @param {jQuery} opener - Button focused again when the dialog closes
+   */
+  function openDialog(number, opener) {
+    closeDialog(false);
+
+    const audiencesHtml = AUDIENCES.map(
+      (audience, index) => `
+        <label class="riilsa-resend-audience">
+          <input type="radio" name="riilsaResendAudience" value="${audience.value}" ${index === 0 ? "checked" : ""}>
+          <span>
+            <strong>${audience.label}</strong>
+            <span class="riilsa-resend-detail">${audience.detail}</span>
+          </span>
+        </label>
+      `
+    ).join("");
+
+    const modalHtml = `
+      <div id="riilsa-resend-modal" class="riilsa-modal-overlay" style="display: none;">
+        <div class="riilsa-modal-content info" role="dialog" aria-modal="true" aria-labelledby="riilsaResendTitle">
+          <div class="riilsa-modal-header">
+            <h3 id="riilsaResendTitle" class="riilsa-modal-title">
+              <span class="riilsa-modal-icon">↻</span>
+              Reenviar el boletín #${number}
+            </h3>
+            <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+          </div>
+          <div class="riilsa-modal-body">
+            <fieldset class="riilsa-resend-audiences">
+              <legend>¿A quién?</legend>
+              ${audiencesHtml}
+            </fieldset>
+            <fieldset class="riilsa-resend-dependencies">
+              <legend>Dependencias</legend>
+              <p class="riilsa-resend-detail riilsa-resend-hint"></p>
+              <div class="riilsa-resend-dependency-list">
+                <p class="riilsa-resend-detail">Cargando dependencias…</p>
+              </div>
+            </fieldset>
+            <p class="riilsa-resend-count" role="status" aria-live="polite"></p>
+            <p class="riilsa-resend-error" role="alert" style="display: none;"></p>
+          </div>
+          <div class="riilsa-modal-footer">
+            <button class="riilsa-btn riilsa-modal-cancel-btn" type="button">Cancelar</button>
+            <button class="riilsa-btn riilsa-btn-primary riilsa-resend-send" type="button" disabled>Reenviar</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    $("body").append(modalHtml);
+
+    const modal = $("#riilsa-resend-modal");
+
+    modal.data({ number: number, opener: opener });
+
+    modal.on("click", function (e) {
+      if (e.target === this) {
+        closeDialog(true);
+      }
+    });
+
+    modal.find(".riilsa-modal-close, .riilsa-modal-cancel-btn").on("click", function (e) {
+      e.preventDefault();
+      closeDialog(true);
+    });
+
+    modal.on("change", "input[name='riilsaResendAudience'], .riilsa-resend-dependency-list input", function () {
+      updateHint(modal);
+      loadPreview();
+    });
+
+    modal.find(".riilsa-resend-send").on("click", function (e) {
+      e.preventDefault();
+      handleResend($(this));
+    });
+
+    $(document).on("keydown.riilsa-resend", function (e) {
+      // The confirmation dialog closes first
+      if ((e.key === "Escape" || e.keyCode === 27) && !$("#riilsa-dialog-modal").length) {
+        closeDialog(true);
+      }
+    });
+
+    updateHint(modal);
+    modal.fadeIn(300);
+    modal.find("input[name='riilsaResendAudience']:checked").trigger("focus");
+
+    loadPreview();
+  }
+
+  /**
+   * Remove the dialog and drop its pending request
+   *
+   * @param {boolean} restoreFocus - Focus the button that opened it
+   */
+  function closeDialog(restoreFocus) {
+    const modal = $("#riilsa-resend-modal");
+
+    stopPreview();
+    $(document).off("keydown.riilsa-resend");
+
+    if (!modal.length) {
+      return;
+    }
+
+    const opener = modal.data("opener");
+
+    modal.remove();
+
+    if (restoreFocus && opener && opener.length) {
+      opener.trigger("focus");
+    }
+  }
+
+  /**
+   * Abort the preview in flight and the next scheduled check
+   */
+  function stopPreview() {
+    if (pendingRequest) {
+      pendingRequest.abort();
+      pendingRequest = null;
+    }
+
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  /**
+   * Read the audience and dependency lists chosen in the dialog
+   *
+   * @param {jQuery} modal - Dialog
+   * @returns {Object} {id, audience, dependencies}
+   */
+  function getSelection(modal) {
+    return {
+      id: modal.data("number"),
+      audience: modal.find("input[name='riilsaResendAudience']:checked").val(),
+      dependencies: modal
+        .find(".riilsa-resend-dependency-list input:checked")
+        .map(function () {
+          return parseInt($(this).val(), 10);
+        })
+        .get(),
+    };
+  }
+
+  /**
+   * Explain what the dependency lists do for the chosen audience
+   *
+   * @param {jQuery} modal - Dialog
+   */
+  function updateHint(modal) {
+    const audience = modal.find("input[name='riilsaResendAudience']:checked").val();
+
+    modal
+      .find(".riilsa-resend-hint")
+      .text(
+        audience === "dependencies"
+          ? "Elige al menos una dependencia."
+          : "Opcional: deja marcadas solo las dependencias a las que quieras limitar el reenvío."
+      );
+  }
+
+  /**
+   * Count the recipients of the current selection
+   * While Brevo exports the bounces the count is checked again every few seconds
+   */
+  function loadPreview() {
+    const modal = $("#riilsa-resend-modal");
+    const count = modal.find(".riilsa-resend-count");
+    const sendButton = modal.find(".riilsa-resend-send");
+    const selection = getSelection(modal);
+
+    stopPreview();
+
+    sendButton.prop("disabled", true);
+    modal.find(".riilsa-resend-error").hide();
+    count.text("Contando destinatarios…");
+
+    const request = riilsa.request("newsletterResendPreview", selection);
+    pendingRequest = request;
+
+    request
+      .then(function (data) {
+        renderDependencies(modal, data.dependencies || []);
+
+        if (data.pending) {
+          count.text("Brevo está preparando la lista de rebotes; el conteo se actualizará en unos segundos…");
+          pollTimer = setTimeout(loadPreview, PENDING_POLL_INTERVAL);
+          return;
+        }
+
+        const recipients = parseInt(data.recipients, 10) || 0;
+        const batchSize = parseInt(data.batchSize, 10) || 0;
+
+        modal.data("recipients", recipients);
+
+        if (selection.audience === "dependencies" && !selection.dependencies.length) {
+          count.text("Elige al menos una dependencia para ver cuántos lo recibirán.");
+        } else if (recipients === 0) {
+          count.text("Ningún suscriptor coincide con esta selección.");
+        } else if (batchSize && recipients > batchSize) {
+          const batches = Math.ceil(recipients / batchSize);
+
+          count.text(`Se reenviará a ${recipients} destinatarios en ${batches} envíos diarios de hasta ${batchSize}.`);
+          sendButton.prop("disabled", false);
+        } else {
+          count.text(`Se reenviará a ${recipients} ${recipients === 1 ? "destinatario" : "destinatarios"}.`);
+          sendButton.prop("disabled", false);
+        }
+      })
+      .catch(function (error) {
+        if (riilsa.isAbort(error)) {
+          return;
+        }
+
+        console.error("Resend preview error:", error);
+        count.text("");
+        showDialogError(modal, `No se pudo contar los destinatarios: ${error.message || "error desconocido"}`);
+      })
+      .finally(function () {
+        if (pendingRequest === request) {
+          pendingRequest = null;
+        }
+      });
+  }
+
+  /**
+   * Fill the dependency checkboxes once, keeping what the editor already ticked
+   *
+   * @param {jQuery} modal - Dialog
+   * @param {Array<Object>} dependencies - [{id, description, recipients}]
+   */
+  function renderDependencies(modal, dependencies) {
+    const list = modal.find(".riilsa-resend-dependency-list");
+
+    if (list.data("rendered")) {
+      return;
+    }
+
+    list.data("rendered", true);
+
+    if (!dependencies.length) {
+      list.html('<p class="riilsa-resend-detail">No hay dependencias registradas.</p>');
+      return;
+    }
+
+    list.html(
+      dependencies
+        .map(
+          (dependency) => `
+            <label class="riilsa-resend-dependency">
+              <input type="checkbox" value="${parseInt(dependency.id, 10)}">
+              ${escapeHtml(dependency.description)}
+              <span class="riilsa-resend-detail">(${parseInt(dependency.recipients, 10)})</span>
+            </label>
+          `
+        )
+        .join("")
+    );
+  }
+
+  /**
+   * Confirm and send the resend
+   *
+   * @param {jQuery} button - Send button
+   */
+  async function handleResend(button) {
+    const modal = $("#riilsa-resend-modal");
+    const selection = getSelection(modal);
+    const recipients = modal.data("recipients");
+
+    const confirmed = await window.showRiilsaConfirm({
+      title: "Reenviar boletín",
+      message: `¿Reenviar el boletín #${selection.id} a ${recipients} ${recipients === 1 ? "destinatario" : "destinatarios"}?`,
+      confirmLabel: "Reenviar",
+    });
+
+    if (!confirmed || !$("#riilsa-resend-modal").length) {
+      return;
+    }
+
+    stopPreview();
+    button.prop("disabled", true).text("Reenviando…");
+
+    try {
+      const data = await riilsa.request("resendNewsletter", selection);
+      const statistics = data.statistics || {};
+      const batches = (statistics.batches || []).length;
+      const sent = parseInt(data.sentCount, 10);
+
+      closeDialog(true);
+
+      window.showRiilsaModal({
+        title: "Reenvío programado",
+        type: "success",
+        successes: [
+          batches > 1
+            ? `El boletín #${selection.id} se reenviará a ${sent} destinatarios en ${batches} envíos diarios; el primero sale en unos minutos.`
+            : `El boletín #${selection.id} se reenviará a ${sent} destinatarios en unos minutos.`,
+        ],
+        errors: statistics.errors || [],
+      });
+    } catch (error) {
+      console.error("Resend error:", error);
+      button.prop("disabled", false).text("Reenviar");
+      showDialogError(modal, `No se pudo reenviar el boletín: ${error.message || "error desconocido"}`);
+    }
+  }
+
+  /**
+   * Show an error inside the dialog
+   *
+   * @param {jQuery} modal - Dialog
+   * @param {string} message - Error message
+   */
+  function showDialogError(modal, message) {
+    modal.find(".riilsa-resend-error").text(message).show();
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+})(jQuery);
@@ -0,0 +1,227 @@
+/**
+ * RIILSA Newsletter - Scheduled Sending
+ *
+ * Schedules the previewed newsletter and lets editors reschedule or cancel it from history
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Minimum lead time for a scheduled send (minutes)
+   */
+  const MIN_LEAD_MINUTES = 5;
+
+  /**
+   * Initialize scheduling when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    addScheduleButton();
+
+    $(document).on("click", ".riilsa-schedule-btn", handleSchedule);
+    $(document).on("click", ".riilsa-btn-reschedule", handleReschedule);
+    $(document).on("click", ".riilsa-btn-cancel", handleCancel);
+  });
+
+  /**
+   * Add a "Programar" button next to the preview's send button
+   */
+  function addScheduleButton() {
+    $(".preview .sendBoletin")
+      .not(".btnHistory")
+      .each(function () {
+        const sendButton = $(this);
+        const anchor = sendButton.closest(".elementor-widget").length
+          ? sendButton.closest(".elementor-widget")
+          : sendButton;
+
+        if (anchor.siblings(".riilsa-schedule-btn").length) {
+          return;
+        }
+
+        anchor.after(`
+          <button type="button" class="riilsa-schedule-btn">
+            <span class="dashicons dashicons-clock"></span>
+            Programar envío
+          </button>
+        `);
+      });
+  }
+
+  /**
+   * Schedule the previewed newsletter
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleSchedule(e) {
+    e.preventDefault();
+
+    const scheduledAt = await openScheduleDialog({
+      title: "Programar envío",
+      confirmLabel: "Programar",
+    });
+
+    if (!scheduledAt) {
+      return;
+    }
+
+    try {
+      await window.initSendBoletin(true, scheduledAt);
+
+      if (typeof window.refreshNewsletterHistory === "function") {
+        window.refreshNewsletterHistory();
+      }
+    } catch (error) {
+      console.error("Schedule error:", error);
+      window.showError("Error al programar el boletín.", error);
+    }
+  }
+
+  /**
+   * Move a scheduled newsletter to a new time
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleReschedule(e) {
+    e.preventDefault();
+
+    const actions = $(this).closest(".riilsa-actions-grid");
+    const idNewsletter = actions.data("newsletter");
+
+    const scheduledAt = await openScheduleDialog({
+      title: `Reprogramar boletín #${idNewsletter}`,
+      confirmLabel: "Reprogramar",
+      value: actions.data("scheduled"),
+    });
+
+    if (!scheduledAt) {
+      return;
+    }
+
+    try {
+      const data = await scheduleActionAJAX("rescheduleNewsletter", {
+        id: idNewsletter,
+        scheduledAt: scheduledAt,
+      });
+
+      window.showRiilsaModal({
+        title: "Boletín reprogramado",
+        type: "success",
+        successes: [
+          `El boletín #${idNewsletter} se enviará el ${data.statistics.scheduledAt}.`,
+        ],
+      });
+
+      await window.refreshNewsletterHistory();
+    } catch (error) {
+      console.error("Reschedule error:", error);
+      window.showError("Error al reprogramar el boletín.", error);
+    }
+  }
+
+  /**
+   * Cancel a draft or scheduled newsletter
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleCancel(e) {
+    e.preventDefault();
+
+    const parent = $(this).closest(".riilsa-actions-grid");
+    const idNewsletter = parent.data("newsletter");
+    const scheduled = Boolean(parent.data("scheduled"));
+
+    const confirmed = await window.showRiilsaConfirm({
+      title: scheduled ? "Cancelar envío programado" : "Cancelar borrador",
+      message: scheduled
+        ? `¿Cancelar el envío programado del boletín #${idNewsletter}?`
+        : `¿Cancelar el borrador del boletín #${idNewsletter}? Quedará como cancelado y no podrá enviarse.`,
+      confirmLabel: scheduled ? "Cancelar envío" : "Cancelar borrador",
+      cancelLabel: "Volver",
+      danger: true,
+    });
+
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      await scheduleActionAJAX("cancelNewsletter", { id: idNewsletter });
+
+      window.showRiilsaModal({
+        title: "Envío cancelado",
+        type: "success",
+        successes: [`El boletín #${idNewsletter} ya no se enviará.`],
+      });
+
+      await window.refreshNewsletterHistory();
+    } catch (error) {
+      console.error("Cancel error:", error);
+      window.showError("Error al cancelar el boletín.", error);
+    }
+  }
+
+  /**
+   * Format a date for a datetime-local input
+   *
+   * @param {Date} date - Date to format
+   * @returns {string} YYYY-MM-DDTHH:MM
+   */
+  function toInputValue(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+
+    return (
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+    );
+  }
+
+  /**
+   * Ask for a send date and time
+   *
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.confirmLabel - Confirm button label
+   * @param {string} options.value - Optional initial value (YYYY-MM-DDTHH:MM)
+   * @returns {Promise<string|null>} Chosen value, or null if the editor cancelled
+   */
+  function openScheduleDialog(options) {
+    const minValue = toInputValue(new Date(Date.now() + MIN_LEAD_MINUTES * 60000));
+
+    return window.showRiilsaPrompt({
+      title: options.title,
+      label: "Fecha y hora de envío",
+      inputType: "datetime-local",
+      value: options.value || minValue,
+      attributes: { min: minValue },
+      confirmLabel: options.confirmLabel,
+      validate: function (value) {
+        if (!value || new Date(value) < new Date(Date.now() + MIN_LEAD_MINUTES * 60000)) {
+          return `Elige una fecha al menos ${MIN_LEAD_MINUTES} minutos en el futuro.`;
+        }
+
+        return null;
+      },
+    });
+  }
+
+  /**
+   * AJAX request for a schedule action (rescheduleNewsletter, cancelNewsletter)
+   *
+   * @param {string} action - AJAX action
+   * @param {Object} data - Request data
+   * @returns {Promise} Promise that resolves with the response data
+   */
+  function scheduleActionAJAX(action, data) {
+    return riilsa.request(action, data);
+  }
+})(jQuery);
@@ -13,10 +13,59 @@
   "use strict";
 
   /**
-   * Maximum number of news items that can be selected
-   * Matches domain service limit (NewsletterContentService::getTotalCapacity)
+   * Fallback capacities if the server limits are not localized
+   * The page normally gets them from NewsletterContentService::getCategoryLimits
    */
-  const MAX_NEWS_LIMIT = 21;
+  const DEFAULT_LIMITS = { highlight: 3, normal: 9, grid: 9 };
+
+  /**
+   * Zones tried when the preferred one is full
+   * Matches NewsletterContentService::findAlternativePosition
+   */
+  const FALLBACK_ZONES = {
+    highlight: ["normal", "grid"],
+    normal: ["grid", "highlight"],
+    grid: ["normal", "highlight"],
+  };
+
+  /**
+   * Zone labels for the capacity meter
+   */
+  const ZONE_LABELS = {
+    highlight: "Destacadas",
+    normal: "Normales",
+    grid: "Cuadrícula",
+  };
+
+  /**
+   * Zone labels for the position filter
+   */
+  const POSITION_LABELS = {
+    highlight: "Destacada",
+    normal: "Normal",
+    grid: "Cuadrícula",
+  };
+
+  /**
+   * Sort options for the selection panel
+   */
+  const SORT_OPTIONS = [
+    { key: "original", label: "Orden original" },
+    { key: "date-desc", label: "Más recientes" },
+    { key: "date-asc", label: "Más antiguas" },
+    { key: "title-asc", label: "Título (A-Z)" },
+    { key: "title-desc", label: "Título (Z-A)" },
+  ];
+
+  /**
+   * Details of the news in the selection panel, keyed by ID
+   */
+  const newsDetails = {};
+
+  /**
+   * Last item toggled by click or keyboard, start of shift-click ranges
+   */
+  let rangeAnchor = null;
 
   /**
    * Initialize news selection functionality
@@ -28,35 +77,852 @@
 
     setupNewsSelection();
     setupAutoSelectButton();
+    setupToolbar();
+    setupCapacityMeter();
+    setupBulkActions();
+    loadNewsDetails();
   });
 
   /**
-   * Setup news selection checkboxes with limit enforcement
+   * Get zone capacities from the localized server limits
+   *
+   * @returns {Object} Capacity per zone key
+   */
+  window.getNewsCategoryLimits = function () {
+    const limits = $.extend({}, DEFAULT_LIMITS);
+    const serverLimits =
+      typeof riilsa_ajax !== "undefined" && riilsa_ajax.category_limits ? riilsa_ajax.category_limits : {};
+
+    Object.keys(serverLimits).forEach(function (key) {
+      limits[key] = parseInt(serverLimits[key], 10) || 0;
+    });
+
+    return limits;
+  };
+
+  /**
+   * Get the maximum number of news items a newsletter can hold
+   * Same as NewsletterContentService::getTotalCapacity
+   *
+   * @returns {number} Sum of the zone capacities
+   */
+  function getTotalCapacity() {
+    const limits = window.getNewsCategoryLimits();
+
+    return Object.keys(limits).reduce((total, key) => total + limits[key], 0);
+  }
+
+  /**
+   * Setup news selection checkboxes with limit enforcement, shift-click ranges and keyboard operation
    */
   function setupNewsSelection() {
+    getPanelItems().each(function () {
+      $(this).addClass("riilsa-news-item").attr({ tabindex: -1, role: "checkbox" });
+    });
+
     $("#newsSelect .cb").each(function () {
-      $(this).on("click", function (e) {
-        const input = $(this).find("input");
-
-        // Toggle checkbox with limit check
-        if (input.prop("checked")) {
-          input.prop("checked", false);
-        } else {
-          const selectedCount = $(".cb input:checked").length;
-
-          if (selectedCount < MAX_NEWS_LIMIT) {
-            input.prop("checked", true);
-          } else {
-            alert(`You cannot select more than ${MAX_NEWS_LIMIT} news items`);
-            e.preventDefault();
-            return false;
+      $(this).on("click", async function (e) {
+        const item = $(this).closest("[id]");
+
+        if (e.shiftKey && rangeAnchor && rangeAnchor !== item.get(0)) {
+          e.preventDefault();
+          selectRange(item.get(0));
+          return false;
+        }
+
+        focusItem(item.get(0), false);
+
+        if (await toggleItem(item, e)) {
+          rangeAnchor = item.get(0);
+        }
+      });
+    });
+
+    $(document).on("keydown", "#newsSelect .riilsa-news-item", handleItemKeydown);
+    $(document).on("riilsa:selectionChanged", syncItemStates);
+
+    syncItemStates();
+  }
+
+  /**
+   * Toggle a single news item
+   * Selecting checks the total capacity and asks before the item spills into another zone
+   *
+   * @param {jQuery} item - Item element
+   * @param {Event} e - Click event, if the toggle comes from a click
+   * @returns {Promise<boolean>} Whether the item changed
+   */
+  async function toggleItem(item, e) {
+    const input = item.find(".cb input");
+
+    if (input.prop("disabled")) {
+      return false;
+    }
+
+    if (input.prop("checked")) {
+      input.prop("checked", false);
+      window.updateNewsCounter();
+      return true;
+    }
+
+    const selectedCount = $(".cb input:checked").length;
+    const totalCapacity = getTotalCapacity();
+
+    if (selectedCount >= totalCapacity) {
+      window.showRiilsaModal({
+        title: "Límite de noticias",
+        type: "warning",
+        warnings: [`No puedes seleccionar más de ${totalCapacity} noticias.`],
+      });
+      if (e) {
+        e.preventDefault();
+      }
+      return false;
+    }
+
+    const id = item.attr("id");
+    const placement = getPlacement(window.getSelectedNewsIds().concat(id)).byId[id];
+
+    // Ask before the item spills into another zone
+    if (placement && placement.from) {
+      if (e) {
+        e.preventDefault();
+      }
+
+      const confirmed = await window.showRiilsaConfirm({
+        title: "Zona llena",
+        type: "warning",
+        message:
+          `La zona ${ZONE_LABELS[placement.from]} ya está completa. ` +
+          `"${getNewsTitle(id)}" se ubicará en ${ZONE_LABELS[placement.to]}. ¿Seleccionarla de todos modos?`,
+        confirmLabel: "Seleccionar",
+      });
+
+      if (!confirmed) {
+        return false;
+      }
+    }
+
+    input.prop("checked", true);
+    window.updateNewsCounter();
+    return true;
+  }
+
+  /**
+   * Give every visible item from the anchor to the target the anchor's state
+   *
+   * @param {HTMLElement} target - Item at the other end of the range
+   */
+  function selectRange(target) {
+    const items = getVisibleItems().get();
+    const from = items.indexOf(rangeAnchor);
+    const to = items.indexOf(target);
+
+    if (from === -1 || to === -1) {
+      rangeAnchor = target;
+      return;
+    }
+
+    const range = items.slice(Math.min(from, to), Math.max(from, to) + 1);
+    const select = $(rangeAnchor).find(".cb input").is(":checked");
+
+    applyBulk(select ? range : [], select ? [] : range, "Selección por rango");
+    focusItem(target, true);
+  }
+
+  /**
+   * Check and uncheck several items at once
+   * Items are checked in panel order until the capacity is reached; the rest are reported
+   *
+   * @param {Array<HTMLElement>} toSelect - Items to check
+   * @param {Array<HTMLElement>} toDeselect - Items to uncheck
+   * @param {string} title - Action name for the skipped items message
+   */
+  function applyBulk(toSelect, toDeselect, title) {
+    toDeselect.forEach(function (item) {
+      $(item).find(".cb input").not(":disabled").prop("checked", false);
+    });
+
+    const totalCapacity = getTotalCapacity();
+    const pending = toSelect.filter(function (item) {
+      const input = $(item).find(".cb input");
+      return !input.prop("checked") && !input.prop("disabled");
+    });
+    const free = Math.max(0, totalCapacity - $(".cb input:checked").length);
+    const skipped = pending.slice(free);
+
+    pending.slice(0, free).forEach(function (item) {
+      $(item).find(".cb input").prop("checked", true);
+    });
+
+    window.updateNewsCounter();
+
+    if (!skipped.length) {
+      return;
+    }
+
+    window.showRiilsaModal({
+      title: title,
+      type: "warning",
+      warnings: [
+        `Se alcanzó el límite de ${totalCapacity} noticias. ${skipped.length} no se seleccionaron:`,
+      ].concat(skipped.map((item) => `"${getNewsTitle($(item).attr("id"))}"`)),
+    });
+  }
+
+  /**
+   * Move between items with the arrow keys and toggle them with the space bar
+   *
+   * @param {Event} e - Keydown event
+   */
+  async function handleItemKeydown(e) {
+    if (e.target !== this) {
+      return; // Links and buttons inside the item keep their keys
+    }
+
+    const items = getVisibleItems().get();
+    const index = items.indexOf(this);
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowRight":
+        e.preventDefault();
+        focusItem(items[Math.min(items.length - 1, index + 1)], true);
+        break;
+      case "ArrowUp":
+      case "ArrowLeft":
+        e.preventDefault();
+        focusItem(items[Math.max(0, index - 1)], true);
+        break;
+      case "Home":
+        e.preventDefault();
+        focusItem(items[0], true);
+        break;
+      case "End":
+        e.preventDefault();
+        focusItem(items[items.length - 1], true);
+        break;
+      case " ":
+      case "Spacebar":
+        e.preventDefault();
+
+        if (e.shiftKey && rangeAnchor && rangeAnchor !== this) {
+          selectRange(this);
+          break;
+        }
+
+        if (await toggleItem($(this))) {
+          rangeAnchor = this;
+        }
+        break;
+    }
+  }
+
+  /**
+   * Make an item the one reached with Tab and optionally focus it
+   *
+   * @param {HTMLElement} item - Item element
+   * @param {boolean} focus - Whether to move the focus
+   */
+  function focusItem(item, focus) {
+    if (!item) {
+      return;
+    }
+
+    getPanelItems().attr("tabindex", -1);
+    $(item).attr("tabindex", 0);
+
+    if (focus) {
+      item.focus();
+    }
+  }
+
+  /**
+   * Reflect the checked state on the items and keep one of them reachable with Tab
+   */
+  function syncItemStates() {
+    const items = getPanelItems();
+
+    items.each(function () {
+      $(this).attr("aria-checked", $(this).find(".cb input").is(":checked") ? "true" : "false");
+    });
+
+    if (!items.filter('[tabindex="0"]').not(".riilsa-filtered-out").length) {
+      focusItem(getVisibleItems().get(0), false);
+    }
+  }
+
+  /**
+   * Get the panel items not hidden by the filters, in display order
+   *
+   * @param {HTMLElement} parent - Optional container to restrict the items to
+   * @returns {jQuery} Item elements
+   */
+  function getVisibleItems(parent) {
+    return getPanelItems().filter(function () {
+      return !$(this).hasClass("riilsa-filtered-out") && (!parent || this.parentNode === parent);
+    });
+  }
+
+  /**
+   * Add "select visible" and "invert" buttons above each group of panel items
+   */
+  function setupBulkActions() {
+    const parents = [];
+
+    getPanelItems().each(function () {
+      if (parents.indexOf(this.parentNode) === -1) {
+        parents.push(this.parentNode);
+      }
+    });
+
+    $(".riilsa-bulk-bar").remove();
+
+    parents.forEach(function (parent, index) {
+      const bar = $(`
+        <div class="riilsa-bulk-bar" role="group" aria-label="Selección en bloque">
+          ${parents.length > 1 ? `<span class="riilsa-bulk-label">Sección ${index + 1}</span>` : ""}
+          <button type="button" class="riilsa-bulk-btn" data-bulk="visible">Seleccionar visibles</button>
+          <button type="button" class="riilsa-bulk-btn" data-bulk="invert">Invertir</button>
+          <span class="riilsa-bulk-hint">Mayús + clic selecciona un rango · Flechas para moverse y Espacio para marcar</span>
+        </div>
+      `);
+
+      bar.data("riilsaParent", parent);
+
+      if (parent !== $("#newsSelect").get(0) && $.contains($("#newsSelect").get(0), parent)) {
+        $(parent).before(bar);
+      } else {
+        $("#newsSelect").prepend(bar);
+      }
+    });
+
+    $(document).on("click", ".riilsa-bulk-btn", function (e) {
+      e.preventDefault();
+
+      const items = getVisibleItems($(this).closest(".riilsa-bulk-bar").data("riilsaParent")).get();
+
+      if ($(this).data("bulk") === "visible") {
+        applyBulk(items, [], "Seleccionar visibles");
+        return;
+      }
+
+      const checked = items.filter((item) => $(item).find(".cb input").is(":checked"));
+      const unchecked = items.filter((item) => checked.indexOf(item) === -1);
+
+      applyBulk(unchecked, checked, "Invertir selección");
+    });
+  }
+
+  /**
+   * Get the news items of the selection panel
+   *
+   * @returns {jQuery} Item elements (the element carrying the news ID)
+   */
+  function getPanelItems() {
+    return $("#newsSelect .cb").map(function () {
+      return $(this).closest("[id]").get(0);
+    });
+  }
+
+  /**
+   * Render the search, filter and sort toolbar above the selection panel
+   */
+  function setupToolbar() {
+    const items = getPanelItems();
+
+    if (!items.length) {
+      return;
+    }
+
+    items.each(function (index) {
+      $(this).attr("data-riilsa-order", index);
+    });
+
+    let positionOptions = '<option value="">Todas las posiciones</option>';
+    Object.keys(POSITION_LABELS).forEach(function (key) {
+      positionOptions += `<option value="${key}">${POSITION_LABELS[key]}</option>`;
+    });
+
+    let sortOptions = "";
+    SORT_OPTIONS.forEach(function (option) {
+      sortOptions += `<option value="${option.key}">${option.label}</option>`;
+    });
+
+    const toolbarHtml = `
+      <div id="riilsaSelectionToolbar" class="riilsa-selection-toolbar">
+        <input type="search" id="riilsaNewsSearch" class="riilsa-selection-search" placeholder="Buscar por título" aria-label="Buscar por título">
+        <select id="riilsaNewsLine" aria-label="Línea de investigación" disabled>
+          <option value="">Todas las líneas</option>
+        </select>
+        <select id="riilsaNewsPosition" aria-label="Posición" disabled>${positionOptions}</select>
+        <label class="riilsa-selection-date">
+          Desde <input type="date" id="riilsaNewsFrom" disabled>
+        </label>
+        <label class="riilsa-selection-date">
+          Hasta <input type="date" id="riilsaNewsTo" disabled>
+        </label>
+        <select id="riilsaNewsSort" aria-label="Ordenar">${sortOptions}</select>
+        <label class="riilsa-selection-toggle">
+          <input type="checkbox" id="riilsaHideSent" disabled> Ocultar ya enviadas
+        </label>
+        <button type="button" id="riilsaNewsReset" class="riilsa-selection-reset">Limpiar filtros</button>
+        <span class="riilsa-selection-counts" aria-live="polite"></span>
+      </div>
+    `;
+
+    $("#riilsaSelectionToolbar").remove();
+    $("#newsSelect").prepend(toolbarHtml);
+
+    $(document).on("input change", "#riilsaSelectionToolbar input, #riilsaSelectionToolbar select", applyFilters);
+    $(document).on("click", "#riilsaNewsReset", function (e) {
+      e.preventDefault();
+      $("#riilsaSelectionToolbar").find("input:not([type=checkbox]), select").val("");
+      $("#riilsaNewsSort").val("original");
+      $("#riilsaHideSent").prop("checked", false);
+      applyFilters();
+    });
+    $(document).on("riilsa:selectionChanged", function () {
+      revealSelected();
+      updateToolbarCounts();
+    });
+
+    applyFilters();
+  }
+
+  /**
+   * Load research line, position and date of the panel news
+   *
+   * @param {jQuery} items - Item elements
+   */
+  function loadNewsDetails() {
+    const ids = $(".cb")
+      .map(function () {
+        return $(this).closest("[id]").attr("id");
+      })
+      .get();
+
+    if (!ids.length) {
+      return;
+    }
+
+    riilsa
+      .request("newsDetails", { ids: ids })
+      .then(function (data) {
+        $.extend(newsDetails, data.items || {});
+
+        const lines = [];
+        getPanelItems().each(function () {
+          const line = getItemDetails(this).researchLine;
+          if (line && lines.indexOf(line) === -1) {
+            lines.push(line);
           }
+        });
+
+        lines.sort((a, b) => a.localeCompare(b, "es"));
+
+        const lineSelect = $("#riilsaNewsLine");
+        lines.forEach(function (line) {
+          lineSelect.append($("<option></option>").val(line).text(line));
+        });
+
+        $("#riilsaSelectionToolbar").find("select, input").prop("disabled", false);
+        renderSentBadges();
+        applyFilters();
+        updateCapacityMeter();
+      })
+      .catch(function (error) {
+        // Title search and sorting by title keep working without the details
+        console.error("News details error:", error);
+        $("#riilsaSelectionToolbar").addClass("is-degraded");
+      });
+  }
+
+  /**
+   * Get the details of a panel item
+   *
+   * @param {HTMLElement} item - Item element
+   * @returns {Object} {title, researchLine, position, date, newsletterNumber, sent}
+   */
+  function getItemDetails(item) {
+    const id = $(item).attr("id");
+    const details = newsDetails[id] || {};
+    const heading = $(item).find(".elementor-heading-title, h1, h2, h3, h4, h5").first().text().trim();
+
+    return {
+      title: details.title || heading || "",
+      researchLine: details.researchLine || "",
+      position: details.position || "",
+      date: details.date || "",
+      newsletterNumber: details.newsletterNumber || null,
+      sent: !!details.sent,
+    };
+  }
+
+  /**
+   * Flag news that already went out in a newsletter
+   */
+  function renderSentBadges() {
+    $(".cb").each(function () {
+      const item = $(this).closest("[id]");
+      const details = getItemDetails(item.get(0));
+
+      item.find(".riilsa-sent-badge").remove();
+
+      if (!details.newsletterNumber) {
+        return;
+      }
+
+      const badge = $('<span class="riilsa-sent-badge"></span>')
+        .toggleClass("is-sent", details.sent)
+        .text(
+          details.sent ? `Enviada en #${details.newsletterNumber}` : `En el boletín #${details.newsletterNumber}`
+        );
+
+      const container = item.find(".news-container").first();
+      (container.length ? container : item).append(badge);
+    });
+  }
+
+  /**
+   * Get the selected news that already went out in another newsletter
+   *
+   * @param {Array<string>} ids - Selected news IDs
+   * @param {number|string} currentNumber - Number of the newsletter being generated
+   * @returns {Array<Object>} Array of {id, title, newsletterNumber}
+   */
+  window.getRepeatedNewsItems = function (ids, currentNumber) {
+    return ids
+      .map(function (id) {
+        const details = newsDetails[id];
+
+        if (!details || !details.sent || parseInt(details.newsletterNumber, 10) === parseInt(currentNumber, 10)) {
+          return null;
         }
 
-        // Update counter display
-        window.updateNewsCounter();
+        return { id: id, title: getNewsTitle(id), newsletterNumber: details.newsletterNumber };
+      })
+      .filter(Boolean);
+  };
+
+  /**
+   * Get the stored title, excerpt and image of a news item, as the server sent them
+   *
+   * @param {string} id - News ID
+   * @returns {Object} {title, excerpt, image}, empty strings until the details load
+   */
+  window.getNewsDetails = function (id) {
+    const details = newsDetails[id] || {};
+
+    return {
+      title: details.title || getNewsTitle(id),
+      excerpt: details.excerpt || "",
+      image: details.image || "",
+    };
+  };
+
+  /**
+   * Whether a panel item matches the toolbar filters
+   *
+   * @param {HTMLElement} item - Item element
+   * @param {Object} filters - Current filters
+   * @returns {boolean}
+   */
+  function matchesFilters(item, filters) {
+    const details = getItemDetails(item);
+
+    if (filters.search && normalize(details.title).indexOf(filters.search) === -1) {
+      return false;
+    }
+
+    if (filters.line && details.researchLine !== filters.line) {
+      return false;
+    }
+
+    if (filters.position && details.position !== filters.position) {
+      return false;
+    }
+
+    if ((filters.from || filters.to) && !details.date) {
+      return false;
+    }
+
+    if (filters.from && details.date < filters.from) {
+      return false;
+    }
+
+    if (filters.to && details.date > filters.to) {
+      return false;
+    }
+
+    if (filters.hideSent && details.sent) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply search, filters and sorting to the selection panel
+   * Selected items always stay visible so a filter never hides part of the selection
+   */
+  function applyFilters() {
+    const filters = {
+      search: normalize($("#riilsaNewsSearch").val() || "").trim(),
+      line: $("#riilsaNewsLine").val() || "",
+      position: $("#riilsaNewsPosition").val() || "",
+      from: $("#riilsaNewsFrom").val() || "",
+      to: $("#riilsaNewsTo").val() || "",
+      hideSent: $("#riilsaHideSent").is(":checked"),
+    };
+
+    getPanelItems().each(function () {
+      const item = $(this);
+      const matches = matchesFilters(this, filters);
+      const selected = item.find(".cb input").is(":checked");
+
+      item.toggleClass("riilsa-filtered-out", !matches && !selected);
+      item.toggleClass("riilsa-kept-selected", !matches && selected);
+    });
+
+    sortItems($("#riilsaNewsSort").val() || "original");
+    updateToolbarCounts();
+    syncItemStates();
+  }
+
+  /**
+   * Show items selected while hidden by a filter (e.g. restored drafts, recommendations)
+   * Deselected items stay until the filters change, so nothing jumps under the cursor
+   */
+  function revealSelected() {
+    getPanelItems()
+      .filter(".riilsa-filtered-out")
+      .each(function () {
+        if ($(this).find(".cb input").is(":checked")) {
+          $(this).removeClass("riilsa-filtered-out").addClass("riilsa-kept-selected");
+        }
       });
+  }
+
+  /**
+   * Reorder the panel items inside their containers
+   *
+   * @param {string} sort - Sort option key
+   */
+  function sortItems(sort) {
+    const [field, direction] = sort === "original" ? ["order", "asc"] : sort.split("-");
+    const factor = direction === "desc" ? -1 : 1;
+    const groups = {};
+
+    getPanelItems().each(function () {
+      const parent = this.parentNode;
+      const key = $(parent).data("riilsaGroup") || `g${Object.keys(groups).length}`;
+
+      $(parent).data("riilsaGroup", key);
+      groups[key] = groups[key] || { parent: parent, items: [] };
+      groups[key].items.push(this);
+    });
+
+    Object.keys(groups).forEach(function (key) {
+      groups[key].items
+        .sort(function (a, b) {
+          if (field === "order") {
+            return $(a).data("riilsaOrder") - $(b).data("riilsaOrder");
+          }
+
+          const first = getItemDetails(a)[field];
+          const second = getItemDetails(b)[field];
+
+          return factor * String(first).localeCompare(String(second), "es", { sensitivity: "base" });
+        })
+        .forEach(function (item) {
+          groups[key].parent.appendChild(item);
+        });
+    });
+  }
+
+  /**
+   * Update the "visible / selected" counts of the toolbar
+   */
+  function updateToolbarCounts() {
+    const items = getPanelItems();
+    const visible = items.filter(function () {
+      return !$(this).hasClass("riilsa-filtered-out");
+    }).length;
+    const selected = items.filter(function () {
+      return $(this).find(".cb input").is(":checked");
+    }).length;
+
+    $("#riilsaSelectionToolbar .riilsa-selection-counts").text(
+      `${visible} de ${items.length} visibles · ${selected} seleccionadas`
+    );
+  }
+
+  /**
+   * Lowercase and strip accents for searching
+   *
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  function normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "");
+  }
+
+  /**
+   * Render the per-zone capacity meter above the selection panel
+   */
+  function setupCapacityMeter() {
+    if (!$("#newsSelect").length) {
+      return;
+    }
+
+    let zonesHtml = "";
+    Object.keys(ZONE_LABELS).forEach(function (zone) {
+      zonesHtml += `
+        <div class="riilsa-capacity-zone" data-zone="${zone}">
+          <div class="riilsa-capacity-label">
+            <span>${ZONE_LABELS[zone]}</span>
+            <span class="riilsa-capacity-count"></span>
+          </div>
+          <div class="riilsa-capacity-bar"><span></span></div>
+        </div>
+      `;
     });
+
+    const meterHtml = `
+      <div id="riilsaCapacityMeter" class="riilsa-capacity-meter" aria-live="polite">
+        <div class="riilsa-capacity-zones">${zonesHtml}</div>
+        <ul class="riilsa-capacity-warnings"></ul>
+      </div>
+    `;
+
+    $("#riilsaCapacityMeter").remove();
+
+    const toolbar = $("#riilsaSelectionToolbar");
+    if (toolbar.length) {
+      toolbar.after(meterHtml);
+    } else {
+      $("#newsSelect").prepend(meterHtml);
+    }
+
+    $(document).on("riilsa:selectionChanged riilsa:layoutChanged", updateCapacityMeter);
+    updateCapacityMeter();
+  }
+
+  /**
+   * Work out where each news item will land, the same way the server does:
+   * items placed in the composer first, then the rest by their stored position,
+   * falling back to another zone when the preferred one is full
+   *
+   * @param {Array<string>} ids - Selected news IDs in selection order
+   * @returns {Object} {zones: {zone: [ids]}, byId: {id: {zone, from, to}}, overflow: [ids]}
+   */
+  function getPlacement(ids) {
+    const limits = window.getNewsCategoryLimits();
+    const zones = { highlight: [], normal: [], grid: [] };
+    const byId = {};
+    const overflow = [];
+
+    const layout = typeof window.getComposerLayout === "function" ? window.getComposerLayout() : [];
+    const placed = [];
+
+    layout.forEach(function (entry) {
+      if (ids.indexOf(entry.id) !== -1 && zones[entry.position]) {
+        zones[entry.position].push(entry.id);
+        byId[entry.id] = { zone: entry.position };
+        placed.push(entry.id);
+      }
+    });
+
+    ids.forEach(function (id) {
+      if (placed.indexOf(id) !== -1) {
+        return;
+      }
+
+      let preferred = (newsDetails[id] && newsDetails[id].position) || "normal";
+      if (!zones[preferred]) {
+        preferred = "normal";
+      }
+
+      if (zones[preferred].length < limits[preferred]) {
+        zones[preferred].push(id);
+        byId[id] = { zone: preferred };
+        return;
+      }
+
+      const fallback = FALLBACK_ZONES[preferred].find((zone) => zones[zone].length < limits[zone]);
+
+      if (!fallback) {
+        overflow.push(id);
+        return;
+      }
+
+      zones[fallback].push(id);
+      byId[id] = { zone: fallback, from: preferred, to: fallback };
+    });
+
+    return { zones: zones, byId: byId, overflow: overflow };
+  }
+
+  /**
+   * Update the capacity meter with the current selection
+   */
+  function updateCapacityMeter() {
+    const meter = $("#riilsaCapacityMeter");
+
+    if (!meter.length) {
+      return;
+    }
+
+    const limits = window.getNewsCategoryLimits();
+    const placement = getPlacement(window.getSelectedNewsIds());
+
+    Object.keys(ZONE_LABELS).forEach(function (zone) {
+      const count = placement.zones[zone].length;
+      const limit = limits[zone];
+      const element = meter.find(`.riilsa-capacity-zone[data-zone="${zone}"]`);
+
+      element.find(".riilsa-capacity-count").text(`${count} / ${limit}`);
+      element.find(".riilsa-capacity-bar span").css("width", `${limit ? Math.min(100, (count / limit) * 100) : 0}%`);
+      element.toggleClass("at-limit", count >= limit);
+    });
+
+    const warnings = [];
+
+    Object.keys(placement.byId).forEach(function (id) {
+      const item = placement.byId[id];
+
+      if (item.from) {
+        warnings.push(
+          `"${getNewsTitle(id)}" irá en ${ZONE_LABELS[item.to]} porque ${ZONE_LABELS[item.from]} está completa.`
+        );
+      }
+    });
+
+    placement.overflow.forEach(function (id) {
+      warnings.push(`"${getNewsTitle(id)}" no cabe en ninguna zona.`);
+    });
+
+    const list = meter.find(".riilsa-capacity-warnings").empty();
+    warnings.forEach(function (warning) {
+      list.append($("<li></li>").text(warning));
+    });
+  }
+
+  /**
+   * Get the display title of a news item
+   *
+   * @param {string} id - News ID
+   * @returns {string} News title
+   */
+  function getNewsTitle(id) {
+    const item = $(`[id="${id}"]`).get(0);
+    const title = item ? getItemDetails(item).title : "";
+
+    return title || `Noticia ${id}`;
   }
 
   /**
@@ -67,11 +933,14 @@
     $("#countNews h2").text(selectedCount);
 
     // Update visual feedback based on limit
-    if (selectedCount >= MAX_NEWS_LIMIT) {
+    if (selectedCount >= getTotalCapacity()) {
       $("#countNews").addClass("at-limit");
     } else {
       $("#countNews").removeClass("at-limit");
     }
+
+    // Notify listeners (e.g. layout composer) of the new selection
+    $(document).trigger("riilsa:selectionChanged");
   }
 
   /**
@@ -0,0 +1,236 @@
+/**
+ * RIILSA Newsletter - Send Progress
+ *
+ * Polls the send status of a newsletter and shows live progress until it is sent or fails
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Delay between status checks (ms)
+   */
+  const POLL_INTERVAL = 3000;
+
+  /**
+   * Give up watching after this long (ms); the send keeps going on the server
+   */
+  const MAX_WAIT = 10 * 60 * 1000;
+
+  /**
+   * Consecutive failed status checks tolerated before giving up
+   */
+  const MAX_POLL_ERRORS = 5;
+
+  /**
+   * Watch a newsletter send until it reaches a final status
+   *
+   * @param {number} trackingId - Tracking id returned by sendNewsletter
+   * @returns {Promise<Object>} Promise that resolves with the final status data
+   */
+  window.trackNewsletterSend = function (trackingId) {
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      let pollErrors = 0;
+
+      renderPanel(trackingId);
+
+      function poll() {
+        sendStatusAJAX(trackingId)
+          .then(function (data) {
+            pollErrors = 0;
+            updatePanel(data);
+
+            if (data.isFinal) {
+              closePanel();
+              showResult(trackingId, data);
+              resolve(data);
+              return;
+            }
+
+            if (Date.now() - startedAt > MAX_WAIT) {
+              closePanel();
+              window.showRiilsaModal({
+                title: "El envío sigue en curso",
+                type: "warning",
+                warnings: [
+                  `El boletín #${trackingId} todavía se está enviando. Revisa el historial en unos minutos.`,
+                ],
+              });
+              resolve(data);
+              return;
+            }
+
+            setTimeout(poll, POLL_INTERVAL);
+          })
+          .catch(function (error) {
+            pollErrors++;
+
+            if (pollErrors < MAX_POLL_ERRORS) {
+              setTimeout(poll, POLL_INTERVAL);
+              return;
+            }
+
+            closePanel();
+            reject(error);
+          });
+      }
+
+      setTimeout(poll, POLL_INTERVAL);
+    });
+  };
+
+  /**
+   * Render the progress panel
+   *
+   * @param {number} trackingId - Newsletter number
+   */
+  function renderPanel(trackingId) {
+    $("#riilsa-send-progress-modal").remove();
+
+    const panelHtml = `
+      <div id="riilsa-send-progress-modal" class="riilsa-modal-overlay" style="display: none;">
+        <div class="riilsa-modal-content info">
+          <div class="riilsa-modal-header">
+            <h3 class="riilsa-modal-title">
+              <span class="riilsa-modal-icon">📤</span>
+              Enviando boletín #${escapeHtml(trackingId)}
+            </h3>
+          </div>
+          <div class="riilsa-modal-body">
+            <p class="riilsa-send-progress-status">
+              <span class="riilsa-send-progress-pill" data-status="SENDING">SENDING</span>
+              <span class="riilsa-send-progress-label">Preparando el envío...</span>
+            </p>
+            <div class="riilsa-send-progress-bar"><span style="width: 0%;"></span></div>
+            <ul class="riilsa-send-progress-stats">
+              <li><strong>Destinatarios:</strong> <span data-stat="recipientCount">-</span></li>
+              <li><strong>Enviados:</strong> <span data-stat="sentCount">-</span></li>
+              <li><strong>Tasa de fallos:</strong> <span data-stat="failureRate">-</span></li>
+            </ul>
+          </div>
+          <div class="riilsa-modal-footer">
+            <button class="riilsa-btn riilsa-modal-cancel-btn" type="button">Seguir en segundo plano</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    $("body").append(panelHtml);
+
+    // The send keeps going and the result modal still shows up when it ends
+    $("#riilsa-send-progress-modal .riilsa-modal-cancel-btn").on("click", function (e) {
+      e.preventDefault();
+      closePanel();
+    });
+
+    $("#riilsa-send-progress-modal").fadeIn(300);
+  }
+
+  /**
+   * Update the progress panel with the latest status
+   *
+   * @param {Object} data - Status data
+   */
+  function updatePanel(data) {
+    const panel = $("#riilsa-send-progress-modal");
+
+    if (!panel.length) {
+      return;
+    }
+
+    const progress = data.recipientCount
+      ? Math.min(100, Math.round((data.sentCount / data.recipientCount) * 100))
+      : 0;
+
+    panel
+      .find(".riilsa-send-progress-pill")
+      .attr("data-status", data.status)
+      .text(data.status);
+    panel.find(".riilsa-send-progress-label").text(data.statusLabel);
+    panel.find(".riilsa-send-progress-bar span").css("width", `${progress}%`);
+    panel.find('[data-stat="recipientCount"]').text(data.recipientCount);
+    panel.find('[data-stat="sentCount"]').text(data.sentCount);
+    panel.find('[data-stat="failureRate"]').text(formatRate(data.failureRate));
+  }
+
+  /**
+   * Close the progress panel
+   */
+  function closePanel() {
+    $("#riilsa-send-progress-modal").fadeOut(300, function () {
+      $(this).remove();
+    });
+  }
+
+  /**
+   * Show the final statistics in the RIILSA modal
+   *
+   * @param {number} trackingId - Newsletter number
+   * @param {Object} data - Final status data
+   */
+  function showResult(trackingId, data) {
+    const failed = data.status === "FAILED";
+    const statistics = {
+      Estado: data.statusLabel,
+      Destinatarios: data.recipientCount,
+      Enviados: data.sentCount,
+      "Tasa de fallos": formatRate(data.failureRate),
+    };
+
+    if (data.statistics && data.statistics.campaignId) {
+      statistics["Campaña Brevo"] = data.statistics.campaignId;
+    }
+
+    window.showRiilsaModal({
+      title: failed ? "Error en el envío" : "Boletín enviado",
+      type: failed ? "error" : data.failureRate > 0 ? "warning" : "success",
+      successes: failed
+        ? []
+        : [`El boletín #${trackingId} se envió a ${data.sentCount} de ${data.recipientCount} destinatarios.`],
+      errors: data.errors || [],
+      statistics: statistics,
+    });
+
+    if (typeof window.refreshNewsletterHistory === "function") {
+      window.refreshNewsletterHistory();
+    }
+  }
+
+  /**
+   * Format a 0-1 ratio as a percentage
+   *
+   * @param {number} rate - Ratio
+   * @returns {string} Percentage
+   */
+  function formatRate(rate) {
+    return `${(Number(rate || 0) * 100).toFixed(1)}%`;
+  }
+
+  /**
+   * AJAX request for the send status
+   *
+   * @param {number} trackingId - Newsletter number
+   * @returns {Promise} Promise that resolves with the status data
+   */
+  function sendStatusAJAX(trackingId) {
+    return riilsa.request("newsletterSendStatus", { trackingId: trackingId }, { timeout: 10000 });
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+})(jQuery);
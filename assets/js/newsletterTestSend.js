@@ -0,0 +1,259 @@
+/**
+ * RIILSA Newsletter - Test Send
+ *
+ * Sends the previewed newsletter to a few test addresses without touching its status
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Initialize test send when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    addTestSendButton();
+
+    $(document).on("click", ".riilsa-test-send-btn", handleTestSend);
+  });
+
+  /**
+   * Add an "Enviar prueba" button next to the preview's send button
+   */
+  function addTestSendButton() {
+    $(".preview .sendBoletin")
+      .not(".btnHistory")
+      .each(function () {
+        const sendButton = $(this);
+        const anchor = sendButton.closest(".elementor-widget").length
+          ? sendButton.closest(".elementor-widget")
+          : sendButton;
+
+        if (anchor.siblings(".riilsa-test-send-btn").length) {
+          return;
+        }
+
+        anchor.after(`
+          <button type="button" class="riilsa-test-send-btn">
+            <span class="dashicons dashicons-email-alt"></span>
+            Enviar prueba
+          </button>
+        `);
+      });
+  }
+
+  /**
+   * Send the previewed newsletter to test addresses
+   *
+   * @param {Event} e - Click event
+   */
+  async function handleTestSend(e) {
+    e.preventDefault();
+
+    const iframe = $("#boletinPreview").find("iframe");
+    const idNewsletter = $("#boletinPreview").data("idNewsletter");
+
+    if (!iframe.length || !idNewsletter) {
+      window.showError("Genera la vista previa del boletín antes de enviar una prueba.");
+      return;
+    }
+
+    const request = await openTestSendDialog(idNewsletter);
+
+    if (!request) {
+      return;
+    }
+
+    const button = $(this);
+    button.prop("disabled", true);
+
+    try {
+      const data = await testSendAJAX({
+        id: idNewsletter,
+        html: iframe.prop("contentDocument").body.innerHTML,
+        emails: request.emails,
+        saveAsDefault: request.saveAsDefault,
+      });
+
+      if (request.saveAsDefault) {
+        riilsa_ajax.test_recipients = request.emails;
+      }
+
+      const delivered = data.statistics.delivered || [];
+      const errors = data.statistics.errors || [];
+
+      window.showRiilsaModal({
+        title: "Prueba enviada",
+        type: errors.length ? "warning" : "success",
+        successes: delivered.map((email) => `Prueba del boletín #${idNewsletter} enviada a ${email}`),
+        errors: errors,
+        statistics: {
+          destinatarios: data.recipientCount,
+          enviados: data.sentCount,
+        },
+      });
+    } catch (error) {
+      console.error("Test send error:", error);
+      window.showRiilsaModal({
+        title: "No se pudo enviar la prueba",
+        type: "error",
+        errors: [String(error.message || error)],
+      });
+    } finally {
+      button.prop("disabled", false);
+    }
+  }
+
+  /**
+   * Parse a list of addresses separated by commas, semicolons or new lines
+   *
+   * @param {string} value - Raw input
+   * @returns {Array<string>} Unique addresses
+   */
+  function parseEmails(value) {
+    const emails = String(value || "")
+      .split(/[\s,;]+/)
+      .map((email) => email.trim().toLowerCase())
+      .filter(Boolean);
+
+    return emails.filter((email, index) => emails.indexOf(email) === index);
+  }
+
+  /**
+   * Ask for the test addresses
+   *
+   * @param {number} idNewsletter - Newsletter number
+   * @returns {Promise<Object|null>} {emails, saveAsDefault}, or null if the editor cancelled
+   */
+  function openTestSendDialog(idNewsletter) {
+    return new Promise((resolve) => {
+      const saved = riilsa_ajax.test_recipients || [];
+      const max = parseInt(riilsa_ajax.test_recipients_max, 10) || 10;
+      const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+      $("#riilsa-test-send-modal").remove();
+
+      const modalHtml = `
+        <div id="riilsa-test-send-modal" class="riilsa-modal-overlay" style="display: none;">
+          <div class="riilsa-modal-content info">
+            <div class="riilsa-modal-header">
+              <h3 class="riilsa-modal-title">
+                <span class="riilsa-modal-icon">✉</span>
+                Enviar prueba del boletín #${escapeHtml(idNewsletter)}
+              </h3>
+              <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="riilsa-modal-body">
+              <label class="riilsa-modal-label" for="riilsaTestEmails">
+                Direcciones de prueba (máximo ${max}, separadas por comas o saltos de línea)
+              </label>
+              <textarea id="riilsaTestEmails" class="riilsa-modal-field" rows="4">${escapeHtml(saved.join("\n"))}</textarea>
+              <label class="riilsa-modal-checkbox">
+                <input type="checkbox" id="riilsaTestSave">
+                Guardar estas direcciones para próximas pruebas
+              </label>
+              <p class="riilsa-modal-field-error" style="display: none;"></p>
+            </div>
+            <div class="riilsa-modal-footer">
+              <button class="riilsa-btn riilsa-modal-cancel-btn" type="button">Cancelar</button>
+              <button class="riilsa-btn riilsa-btn-primary riilsa-modal-confirm-btn" type="button">
+                Enviar prueba
+              </button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      $("body").append(modalHtml);
+
+      const modal = $("#riilsa-test-send-modal");
+      const input = modal.find("#riilsaTestEmails");
+      const errorBox = modal.find(".riilsa-modal-field-error");
+
+      function close(value) {
+        $(document).off("keydown.riilsa-test-send");
+        modal.fadeOut(300, function () {
+          $(this).remove();
+        });
+        resolve(value);
+      }
+
+      modal.on("click", function (e) {
+        if (e.target === this) {
+          close(null);
+        }
+      });
+
+      modal.find(".riilsa-modal-close, .riilsa-modal-cancel-btn").on("click", function (e) {
+        e.preventDefault();
+        close(null);
+      });
+
+      modal.find(".riilsa-modal-confirm-btn").on("click", function (e) {
+        e.preventDefault();
+
+        const emails = parseEmails(input.val());
+        const invalid = emails.filter((email) => !emailPattern.test(email));
+
+        if (!emails.length) {
+          errorBox.text("Escribe al menos una dirección de correo.").show();
+          return;
+        }
+
+        if (invalid.length) {
+          errorBox.text(`Direcciones no válidas: ${invalid.join(", ")}`).show();
+          return;
+        }
+
+        if (emails.length > max) {
+          errorBox.text(`Puedes enviar la prueba a un máximo de ${max} direcciones.`).show();
+          return;
+        }
+
+        close({
+          emails: emails,
+          saveAsDefault: modal.find("#riilsaTestSave").is(":checked"),
+        });
+      });
+
+      $(document).on("keydown.riilsa-test-send", function (e) {
+        if (e.key === "Escape" || e.keyCode === 27) {
+          close(null);
+        }
+      });
+
+      modal.fadeIn(300);
+      input.trigger("focus");
+    });
+  }
+
+  /**
+   * AJAX request to send a test newsletter
+   *
+   * @param {Object} data - Request data
+   * @returns {Promise} Promise that resolves with the response data
+   */
+  function testSendAJAX(data) {
+    return riilsa.request("sendTestNewsletter", data, { timeout: 60000 });
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+})(jQuery);
@@ -0,0 +1,506 @@
+/**
+ * RIILSA Newsletter - HTML Versions
+ *
+ * Lists the HTML stored on every generation of a newsletter, shows or sends one of them
+ * exactly as it was approved, and compares two of them side by side
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Style injected in the compared versions to mark the changed blocks
+   */
+  const DIFF_STYLE = `
+    .riilsa-diff-removed { outline: 3px solid #dc3545 !important; outline-offset: 2px; background-color: rgba(220, 53, 69, 0.12) !important; }
+    .riilsa-diff-added { outline: 3px solid #28a745 !important; outline-offset: 2px; background-color: rgba(40, 167, 69, 0.12) !important; }
+  `;
+
+  /**
+   * Initialize versions when on newsletter management page
+   */
+  $(document).ready(function () {
+    if (window.location.href.indexOf("gestion-boletin") === -1) {
+      return; // Not on newsletter management page
+    }
+
+    $(document).on("click", ".riilsa-btn-versions", function (e) {
+      e.preventDefault();
+
+      const button = $(this);
+      const number = parseInt(button.closest(".riilsa-actions-grid").data("newsletter"), 10);
+
+      window
+        .openNewsletterVersions(number)
+        .catch(function (error) {
+          console.error("Versions error:", error);
+          window.showError("No se pudieron cargar las versiones del boletín.", error);
+        })
+        .finally(function () {
+          button.trigger("focus");
+        });
+    });
+  });
+
+  /**
+   * Open the versions of a newsletter and carry out what the editor picks
+   *
+   * @param {number} number - Newsletter number
+   * @param {Object} options - {send: true} to start on the send action
+   * @returns {Promise} Resolves when the dialog closes, or when the chosen version was sent
+   */
+  window.openNewsletterVersions = async function (number, options = {}) {
+    const data = await riilsa.request("newsletterVersions", { id: number });
+    const choice = await openVersionsDialog(data, !!options.send);
+
+    if (!choice) {
+      return false;
+    }
+
+    const version = await loadVersion(number, choice.version);
+
+    window.showNewsletterSnapshot(version.html, number, version.version);
+
+    if (choice.action === "send") {
+      return window.initSendBoletin(true);
+    }
+
+    const preview = $("#boletinPreview");
+    if (preview.length) {
+      preview[0].scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+
+    return true;
+  };
+
+  /**
+   * Show the versions list
+   * One version is picked to view or send, two can be ticked to compare them
+   *
+   * @param {Object} data - {number, canSend, sentVersion, versions}
+   * @param {boolean} focusSend - Start on the send button
+   * @returns {Promise<Object|null>} {action: "view"|"send", version}, or null if dismissed
+   */
+  function openVersionsDialog(data, focusSend) {
+    return new Promise((resolve) => {
+      const versions = data.versions || [];
+
+      $("#riilsa-versions-modal").remove();
+
+      const rowsHtml = versions
+        .map(
+          (item, index) => `
+            <tr>
+              <td>
+                <input type="radio" name="riilsaVersionPick" value="${item.version}" ${index === 0 ? "checked" : ""}
+                  aria-label="Elegir la versión ${item.version}">
+              </td>
+              <td>
+                <input type="checkbox" class="riilsa-version-compare" value="${item.version}"
+                  aria-label="Comparar la versión ${item.version}">
+              </td>
+              <td>
+                <strong>v${item.version}</strong>
+                ${index === 0 ? '<span class="riilsa-version-tag">Última</span>' : ""}
+                ${item.version === data.sentVersion ? '<span class="riilsa-version-tag is-sent">Enviada</span>' : ""}
+              </td>
+              <td>${escapeHtml(formatDate(item.createdAt))}</td>
+              <td>${escapeHtml(item.authorName)}</td>
+              <td class="riilsa-version-size">${formatSize(item.size)}</td>
+            </tr>
+          `
+        )
+        .join("");
+
+      const modalHtml = `
+        <div id="riilsa-versions-modal" class="riilsa-modal-overlay" style="display: none;">
+          <div class="riilsa-modal-content info riilsa-versions-content" role="dialog" aria-modal="true">
+            <div class="riilsa-modal-header">
+              <h3 class="riilsa-modal-title">
+                <span class="riilsa-modal-icon">🕘</span>
+                Versiones del boletín #${parseInt(data.number, 10)}
+              </h3>
+              <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="riilsa-modal-body">
+              ${
+                versions.length
+                  ? `<p class="riilsa-versions-note">Cada vez que se genera el boletín se guarda su HTML. Elige la versión que quieres ver o enviar; marca dos para compararlas.</p>
+                    <table class="riilsa-versions-table">
+                      <thead>
+                        <tr>
+                          <th scope="col">Usar</th>
+                          <th scope="col">Comparar</th>
+                          <th scope="col">Versión</th>
+                          <th scope="col">Generada</th>
+                          <th scope="col">Autor</th>
+                          <th scope="col" class="riilsa-version-size">Tamaño</th>
+                        </tr>
+                      </thead>
+                      <tbody>${rowsHtml}</tbody>
+                    </table>`
+                  : '<p class="riilsa-versions-note">Este boletín todavía no tiene versiones guardadas. Genéralo para crear la primera.</p>'
+              }
+            </div>
+            <div class="riilsa-modal-footer">
+              <button class="riilsa-btn riilsa-versions-compare" type="button" disabled>Comparar</button>
+              <button class="riilsa-btn riilsa-modal-cancel-btn" type="button">Cerrar</button>
+              <button class="riilsa-btn riilsa-versions-view" type="button">Ver</button>
+              ${
+                data.canSend
+                  ? '<button class="riilsa-btn riilsa-btn-primary riilsa-versions-send" type="button">Enviar esta versión</button>'
+                  : ""
+              }
+            </div>
+          </div>
+        </div>
+      `;
+
+      $("body").append(modalHtml);
+
+      const modal = $("#riilsa-versions-modal");
+      const compareButton = modal.find(".riilsa-versions-compare");
+
+      if (!versions.length) {
+        modal.find(".riilsa-versions-view, .riilsa-versions-send, .riilsa-versions-compare").remove();
+      }
+
+      function close(value) {
+        $(document).off("keydown.riilsa-versions");
+        modal.fadeOut(300, function () {
+          $(this).remove();
+        });
+        resolve(value);
+      }
+
+      function picked(action) {
+        const version = parseInt(modal.find("input[name='riilsaVersionPick']:checked").val(), 10);
+        return version ? { action: action, version: version } : null;
+      }
+
+      modal.on("click", function (e) {
+        if (e.target === this) {
+          close(null);
+        }
+      });
+
+      modal.find(".riilsa-modal-close, .riilsa-modal-cancel-btn").on("click", function (e) {
+        e.preventDefault();
+        close(null);
+      });
+
+      modal.find(".riilsa-versions-view").on("click", function (e) {
+        e.preventDefault();
+        close(picked("view"));
+      });
+
+      modal.find(".riilsa-versions-send").on("click", function (e) {
+        e.preventDefault();
+        close(picked("send"));
+      });
+
+      modal.find(".riilsa-version-compare").on("change", function () {
+        compareButton.prop("disabled", modal.find(".riilsa-version-compare:checked").length !== 2);
+      });
+
+      compareButton.on("click", function (e) {
+        e.preventDefault();
+
+        // Oldest on the left
+        const selected = modal
+          .find(".riilsa-version-compare:checked")
+          .map(function () {
+            return parseInt($(this).val(), 10);
+          })
+          .get()
+          .sort((a, b) => a - b);
+
+        compareButton.prop("disabled", true);
+
+        openDiff(data.number, selected[0], selected[1])
+          .catch(function (error) {
+            console.error("Version diff error:", error);
+            window.showError("No se pudieron comparar las versiones.", error);
+          })
+          .finally(function () {
+            compareButton.prop("disabled", false).trigger("focus");
+          });
+      });
+
+      $(document).on("keydown.riilsa-versions", function (e) {
+        // The comparison closes first
+        if ((e.key === "Escape" || e.keyCode === 27) && !$("#riilsa-version-diff").length) {
+          close(null);
+        }
+      });
+
+      modal.fadeIn(300);
+
+      const focusTarget = focusSend ? modal.find(".riilsa-versions-send") : $();
+      (focusTarget.length ? focusTarget : modal.find(".riilsa-modal-close")).trigger("focus");
+    });
+  }
+
+  /**
+   * Compare two versions side by side, marking the blocks that only one of them has
+   *
+   * @param {number} number - Newsletter number
+   * @param {number} versionA - Older version
+   * @param {number} versionB - Newer version
+   * @returns {Promise} Resolves when the comparison is closed
+   */
+  async function openDiff(number, versionA, versionB) {
+    const [left, right] = await Promise.all([loadVersion(number, versionA), loadVersion(number, versionB)]);
+
+    return new Promise((resolve) => {
+      $("#riilsa-version-diff").remove();
+
+      const modalHtml = `
+        <div id="riilsa-version-diff" class="riilsa-modal-overlay" style="display: none;">
+          <div class="riilsa-modal-content info riilsa-diff-content" role="dialog" aria-modal="true">
+            <div class="riilsa-modal-header">
+              <h3 class="riilsa-modal-title">
+                <span class="riilsa-modal-icon">🔍</span>
+                Boletín #${parseInt(number, 10)}: v${left.version} frente a v${right.version}
+              </h3>
+              <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="riilsa-modal-body">
+              <p class="riilsa-diff-summary" role="status"></p>
+              <div class="riilsa-diff-panes">
+                <div class="riilsa-diff-pane">
+                  <div class="riilsa-diff-label">
+                    v${left.version} · ${escapeHtml(formatDate(left.createdAt))}
+                    <span class="riilsa-diff-legend is-removed">Solo en esta versión</span>
+                  </div>
+                  <iframe class="riilsa-diff-frame" sandbox="allow-same-origin" title="Versión ${left.version}"></iframe>
+                </div>
+                <div class="riilsa-diff-pane">
+                  <div class="riilsa-diff-label">
+                    v${right.version} · ${escapeHtml(formatDate(right.createdAt))}
+                    <span class="riilsa-diff-legend is-added">Solo en esta versión</span>
+                  </div>
+                  <iframe class="riilsa-diff-frame" sandbox="allow-same-origin" title="Versión ${right.version}"></iframe>
+                </div>
+              </div>
+            </div>
+            <div class="riilsa-modal-footer">
+              <button class="riilsa-btn riilsa-modal-cancel-btn" type="button">Cerrar</button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      $("body").append(modalHtml);
+
+      const modal = $("#riilsa-version-diff");
+      const frames = modal.find(".riilsa-diff-frame");
+
+      function close() {
+        $(document).off("keydown.riilsa-version-diff");
+        modal.fadeOut(300, function () {
+          $(this).remove();
+        });
+        resolve();
+      }
+
+      modal.on("click", function (e) {
+        if (e.target === this) {
+          close();
+        }
+      });
+
+      modal.find(".riilsa-modal-close, .riilsa-modal-cancel-btn").on("click", function (e) {
+        e.preventDefault();
+        close();
+      });
+
+      $(document).on("keydown.riilsa-version-diff", function (e) {
+        if (e.key === "Escape" || e.keyCode === 27) {
+          close();
+        }
+      });
+
+      modal.show();
+
+      const leftDoc = writeFrame(frames.get(0), left.html);
+      const rightDoc = writeFrame(frames.get(1), right.html);
+
+      const removed = markUnmatched(collectBlocks(leftDoc), collectBlocks(rightDoc), "riilsa-diff-removed");
+      const added = markUnmatched(collectBlocks(rightDoc), collectBlocks(leftDoc), "riilsa-diff-added");
+
+      modal
+        .find(".riilsa-diff-summary")
+        .text(
+          left.html === right.html
+            ? "Las dos versiones son idénticas."
+            : removed + added === 0
+              ? "El contenido visible es el mismo; cambian solo el código o los estilos."
+              : `${removed} bloques solo en v${left.version} (rojo) y ${added} solo en v${right.version} (verde).`
+        );
+
+      syncScroll(frames.get(0), frames.get(1));
+      modal.find(".riilsa-modal-close").trigger("focus");
+    });
+  }
+
+  /**
+   * Write a version into a comparison iframe
+   *
+   * @param {HTMLIFrameElement} frame - Target iframe
+   * @param {string} html - Version HTML
+   * @returns {Document} Frame document
+   */
+  function writeFrame(frame, html) {
+    const doc = frame.contentDocument;
+
+    doc.open();
+    doc.write(html);
+    doc.close();
+
+    const style = doc.createElement("style");
+    style.textContent = DIFF_STYLE;
+    (doc.head || doc.body).appendChild(style);
+
+    return doc;
+  }
+
+  /**
+   * Collect the visible blocks of a version: images by source, elements with their own text by text
+   *
+   * @param {Document} doc - Version document
+   * @returns {Array<Object>} [{key, element}]
+   */
+  function collectBlocks(doc) {
+    const blocks = [];
+
+    if (!doc.body) {
+      return blocks;
+    }
+
+    doc.body.querySelectorAll("*").forEach(function (element) {
+      if (element.tagName === "IMG") {
+        blocks.push({ key: "img:" + (element.getAttribute("src") || ""), element: element });
+        return;
+      }
+
+      const ownText = Array.from(element.childNodes).some(
+        (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== ""
+      );
+
+      if (ownText) {
+        blocks.push({ key: "text:" + element.textContent.replace(/\s+/g, " ").trim(), element: element });
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Mark the blocks that have no counterpart in the other version
+   * Repeated blocks are matched one to one
+   *
+   * @param {Array<Object>} blocks - Blocks to mark
+   * @param {Array<Object>} otherBlocks - Blocks of the other version
+   * @param {string} className - Class added to unmatched blocks
+   * @returns {number} Unmatched blocks
+   */
+  function markUnmatched(blocks, otherBlocks, className) {
+    const available = {};
+    otherBlocks.forEach(function (block) {
+      available[block.key] = (available[block.key] || 0) + 1;
+    });
+
+    let unmatched = 0;
+
+    blocks.forEach(function (block) {
+      if (available[block.key]) {
+        available[block.key]--;
+        return;
+      }
+
+      block.element.classList.add(className);
+      unmatched++;
+    });
+
+    return unmatched;
+  }
+
+  /**
+   * Keep both comparison panes at the same relative scroll position
+   *
+   * @param {HTMLIFrameElement} first - Left iframe
+   * @param {HTMLIFrameElement} second - Right iframe
+   */
+  function syncScroll(first, second) {
+    let syncing = false;
+
+    function follow(source, target) {
+      source.contentWindow.addEventListener("scroll", function () {
+        if (syncing) {
+          syncing = false;
+          return;
+        }
+
+        const sourceDoc = source.contentDocument.documentElement;
+        const targetDoc = target.contentDocument.documentElement;
+        const ratio = sourceDoc.scrollTop / Math.max(1, sourceDoc.scrollHeight - sourceDoc.clientHeight);
+
+        syncing = true;
+        target.contentWindow.scrollTo(0, ratio * (targetDoc.scrollHeight - targetDoc.clientHeight));
+      });
+    }
+
+    follow(first, second);
+    follow(second, first);
+  }
+
+  /**
+   * AJAX request for the HTML of a version
+   *
+   * @param {number} number - Newsletter number
+   * @param {number} version - Version number
+   * @returns {Promise} Promise that resolves with {number, version, html, createdAt}
+   */
+  function loadVersion(number, version) {
+    return riilsa.request("newsletterVersion", { id: number, version: version });
+  }
+
+  /**
+   * Format a server date (Y-m-d H:i:s) for display
+   *
+   * @param {string} value - Server date
+   * @returns {string} Formatted date
+   */
+  function formatDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})/.exec(value || "");
+    return match ? `${match[3]}/${match[2]}/${match[1]} ${match[4]}:${match[5]}` : value;
+  }
+
+  /**
+   * Format a size in bytes
+   *
+   * @param {number} bytes - Size
+   * @returns {string} e.g. "48 KB"
+   */
+  function formatSize(bytes) {
+    return `${Math.max(1, Math.round((bytes || 0) / 1024))} KB`;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   *
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+})(jQuery);
@@ -0,0 +1,331 @@
+/**
+ * RIILSA AJAX Client
+ *
+ * Shared request client for admin-ajax.php with timeouts, retries, cancellation and nonce refresh
+ * Compatible with Clean Architecture refactored backend (v3.1.0)
+ *
+ * @package RIILSA
+ * @version 3.1.0
+ * @author Alexis Chacon Trujillo
+ */
+
+(function ($) {
+  "use strict";
+
+  /**
+   * Default request timeout (ms)
+   */
+  const DEFAULT_TIMEOUT = 30000;
+
+  /**
+   * Default number of retries for idempotent actions
+   */
+  const DEFAULT_RETRIES = 2;
+
+  /**
+   * Base delay for the exponential backoff between retries (ms)
+   */
+  const BACKOFF_BASE = 500;
+
+  /**
+   * Read-only actions that are safe to repeat after a timeout or network error
+   */
+  const IDEMPOTENT_ACTIONS = [
+    "autoNewsletterNews",
+    "historyBoletin",
+    "historyNewsletter",
+    "listNewsletterDrafts",
+    "newsDetails",
+    "newsletterAnalytics",
+    "newsletterSendStatus",
+    "newsletterVersion",
+    "newsletterVersions",
+    "updateShortcodes",
+  ];
+
+  /**
+   * Error code sent by the server when the nonce is no longer valid
+   */
+  const INVALID_NONCE = "invalid_nonce";
+
+  /**
+   * Nonce refresh in flight, shared by every request that hits an expired nonce
+   */
+  let nonceRefresh = null;
+
+  /**
+   * Send a request to admin-ajax.php
+   *
+   * @param {string} action - AJAX action
+   * @param {Object} data - Payload sent as `data`
+   * @param {Object} options - Request options
+   * @param {Object} options.params - Extra top-level fields (e.g. emailAction)
+   * @param {number} options.timeout - Timeout per attempt (ms)
+   * @param {boolean} options.idempotent - Whether the action may be retried, defaults to the known read-only actions
+   * @param {number} options.retries - Retries after timeouts, network and 5xx errors
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {boolean} options.raw - Resolve with the raw response (HTML endpoints)
+   * @returns {Promise} Promise that resolves with `response.data`, with an `abort()` method
+   */
+  function request(action, data = {}, options = {}) {
+    const idempotent =
+      options.idempotent !== undefined ? options.idempotent : IDEMPOTENT_ACTIONS.indexOf(action) !== -1;
+    const retries = options.retries !== undefined ? options.retries : idempotent ? DEFAULT_RETRIES : 0;
+
+    let xhr = null;
+    let aborted = false;
+    let cancel = null;
+
+    const promise = new Promise((resolve, reject) => {
+      cancel = function () {
+        aborted = true;
+
+        if (xhr) {
+          xhr.abort();
+        } else {
+          reject(createError(action, { code: "abort" }));
+        }
+      };
+
+      if (options.signal) {
+        if (options.signal.aborted) {
+          cancel();
+          return;
+        }
+        options.signal.addEventListener("abort", cancel, { once: true });
+      }
+
+      let nonceRefreshed = false;
+
+      function attempt(retry) {
+        if (aborted) {
+          reject(createError(action, { code: "abort" }));
+          return;
+        }
+
+        xhr = send(action, data, options);
+
+        xhr
+          .done(function (response) {
+            xhr = null;
+
+            if (options.raw) {
+              resolve(response);
+              return;
+            }
+
+            if (response && response.success === false) {
+              const error = createError(action, { response: response });
+
+              if (error.code === INVALID_NONCE && !nonceRefreshed) {
+                nonceRefreshed = true;
+                refreshNonce()
+                  .then(() => attempt(retry))
+                  .catch(reject);
+                return;
+              }
+
+              reject(error);
+              return;
+            }
+
+            resolve(response && response.data !== undefined ? response.data : response);
+          })
+          .fail(function (jqXHR, textStatus) {
+            xhr = null;
+
+            const error = createError(action, {
+              code: aborted ? "abort" : textStatus === "timeout" ? "timeout" : null,
+              xhr: jqXHR,
+            });
+
+            if (error.code === INVALID_NONCE && !nonceRefreshed) {
+              nonceRefreshed = true;
+              refreshNonce()
+                .then(() => attempt(retry))
+                .catch(reject);
+              return;
+            }
+
+            if (retry < retries && isRetryable(error)) {
+              setTimeout(() => attempt(retry + 1), BACKOFF_BASE * Math.pow(2, retry));
+              return;
+            }
+
+            reject(error);
+          });
+      }
+
+      attempt(0);
+    });
+
+    promise.abort = function () {
+      cancel();
+    };
+
+    return promise;
+  }
+
+  /**
+   * Fire a single $.ajax call
+   *
+   * @param {string} action - AJAX action
+   * @param {Object} data - Payload
+   * @param {Object} options - Request options
+   * @returns {jqXHR} Request
+   */
+  function send(action, data, options) {
+    const payload = $.extend({}, options.params || {}, {
+      action: action,
+      nonce: riilsa_ajax.nonce,
+    });
+
+    if (data && Object.keys(data).length) {
+      payload.data = data;
+    }
+
+    return $.ajax({
+      url: riilsa_ajax.ajax_url || ajaxurl,
+      type: "POST",
+      data: payload,
+      timeout: options.timeout || DEFAULT_TIMEOUT,
+    });
+  }
+
+  /**
+   * Get a fresh nonce and store it in riilsa_ajax.nonce
+   * Concurrent callers share the same refresh
+   *
+   * @returns {Promise<string>} New nonce
+   */
+  function refreshNonce() {
+    if (nonceRefresh) {
+      return nonceRefresh;
+    }
+
+    nonceRefresh = new Promise((resolve, reject) => {
+      $.ajax({
+        url: riilsa_ajax.ajax_url || ajaxurl,
+        type: "POST",
+        data: { action: "refreshNewsletterNonce" },
+        timeout: DEFAULT_TIMEOUT,
+      })
+        .done(function (response) {
+          if (!response || response.success === false || !response.data || !response.data.nonce) {
+            reject(createError("refreshNewsletterNonce", { code: "session_expired" }));
+            return;
+          }
+
+          riilsa_ajax.nonce = response.data.nonce;
+          resolve(response.data.nonce);
+        })
+        .fail(function () {
+          reject(createError("refreshNewsletterNonce", { code: "session_expired" }));
+        })
+        .always(function () {
+          nonceRefresh = null;
+        });
+    });
+
+    return nonceRefresh;
+  }
+
+  /**
+   * Whether a failed attempt may be repeated
+   *
+   * @param {Error} error - Normalized error
+   * @returns {boolean}
+   */
+  function isRetryable(error) {
+    return error.code === "timeout" || error.code === "network" || error.status >= 500;
+  }
+
+  /**
+   * Build a normalized error
+   *
+   * @param {string} action - AJAX action
+   * @param {Object} source - {code, response, xhr}
+   * @returns {Error} Error with action, code, status, errors and details
+   */
+  function createError(action, source) {
+    const xhr = source.xhr || null;
+    let response = source.response || null;
+
+    if (!response && xhr && xhr.responseJSON) {
+      response = xhr.responseJSON;
+    }
+
+    const payload = response && typeof response.data === "object" && response.data ? response.data : {};
+    const status = xhr ? xhr.status : 200;
+
+    let code = source.code || payload.code || null;
+    if (!code) {
+      code = xhr ? (status === 0 ? "network" : "http") : "server";
+    }
+
+    const message =
+      payload.message ||
+      (response && typeof response.data === "string" && response.data) ||
+      (response && response.message) ||
+      defaultMessage(code, status);
+
+    const error = new Error(message);
+    error.name = "RiilsaRequestError";
+    error.action = action;
+    error.code = code;
+    error.status = status;
+    error.errors = Array.isArray(payload.errors) ? payload.errors : [];
+
+    const details = [`Acción: ${action}`, `Código: ${code}`];
+    if (xhr) {
+      details.push(`HTTP: ${status}`);
+    }
+    details.push(`Mensaje: ${message}`);
+    error.errors.forEach(function (item) {
+      details.push(`- ${item}`);
+    });
+    error.details = details.join("\n");
+
+    return error;
+  }
+
+  /**
+   * Fallback message per error code
+   *
+   * @param {string} code - Error code
+   * @param {number} status - HTTP status
+   * @returns {string} Message
+   */
+  function defaultMessage(code, status) {
+    switch (code) {
+      case "timeout":
+        return "El servidor tardó demasiado en responder.";
+      case "network":
+        return "No se pudo conectar con el servidor.";
+      case "abort":
+        return "La solicitud fue cancelada.";
+      case "session_expired":
+        return "Tu sesión expiró. Recarga la página para continuar.";
+      case "http":
+        return `El servidor respondió con un error (HTTP ${status}).`;
+      default:
+        return "Ocurrió un error inesperado.";
+    }
+  }
+
+  /**
+   * Whether an error comes from a cancelled request
+   *
+   * @param {*} error - Rejection reason
+   * @returns {boolean}
+   */
+  function isAbort(error) {
+    return !!error && error.code === "abort";
+  }
+
+  // Expose client globally for external use
+  window.riilsa = window.riilsa || {};
+  window.riilsa.request = request;
+  window.riilsa.refreshNonce = refreshNonce;
+  window.riilsa.isAbort = isAbort;
+})(jQuery);
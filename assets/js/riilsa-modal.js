@@ -171,41 +171,8 @@
   function generateModalBody(modalData) {
     let html = "";
 
-    // Render errors section
-    if (modalData.errors && modalData.errors.length > 0) {
-      html += '<div class="riilsa-message-section riilsa-errors">';
-      html += '<h4><span class="riilsa-section-icon">❌</span> Errors</h4>';
-      html += "<ul>";
-      modalData.errors.forEach(function (error) {
-        html += `<li class="riilsa-error-item">${escapeHtml(error)}</li>`;
-      });
-      html += "</ul>";
-      html += "</div>";
-    }
-
-    // Render warnings section
-    if (modalData.warnings && modalData.warnings.length > 0) {
-      html += '<div class="riilsa-message-section riilsa-warnings">';
-      html += '<h4><span class="riilsa-section-icon">⚠️</span> Warnings</h4>';
-      html += "<ul>";
-      modalData.warnings.forEach(function (warning) {
-        html += `<li class="riilsa-warning-item">${escapeHtml(warning)}</li>`;
-      });
-      html += "</ul>";
-      html += "</div>";
-    }
-
-    // Render successes section
-    if (modalData.successes && modalData.successes.length > 0) {
-      html += '<div class="riilsa-message-section riilsa-successes">';
-      html += '<h4><span class="riilsa-section-icon">✅</span> Success</h4>';
-      html += "<ul>";
-      modalData.successes.forEach(function (success) {
-        html += `<li class="riilsa-success-item">${escapeHtml(success)}</li>`;
-      });
-      html += "</ul>";
-      html += "</div>";
-    }
+    // Render errors, warnings and successes sections
+    html += generateMessageSections(modalData);
 
     // Render statistics if available
     if (modalData.statistics && Object.keys(modalData.statistics).length > 0) {
@@ -227,6 +194,44 @@
     return html || "<p>No detailed information available.</p>";
   }
 
+  /**
+   * Generate the errors, warnings and successes sections
+   *
+   * @param {Object} modalData - Modal data object
+   * @param {Array} modalData.errors - Error messages
+   * @param {Array} modalData.warnings - Warning messages
+   * @param {Array} modalData.successes - Success messages
+   * @param {string} modalData.errorsTitle - Errors heading (default "Errors")
+   * @param {string} modalData.warningsTitle - Warnings heading (default "Warnings")
+   * @returns {string} HTML string, empty when there are no messages
+   */
+  function generateMessageSections(modalData) {
+    const sections = [
+      { items: modalData.errors, className: "riilsa-errors", itemClass: "riilsa-error-item", icon: "❌", title: modalData.errorsTitle || "Errors" },
+      { items: modalData.warnings, className: "riilsa-warnings", itemClass: "riilsa-warning-item", icon: "⚠️", title: modalData.warningsTitle || "Warnings" },
+      { items: modalData.successes, className: "riilsa-successes", itemClass: "riilsa-success-item", icon: "✅", title: "Success" },
+    ];
+
+    let html = "";
+
+    sections.forEach(function (section) {
+      if (!section.items || section.items.length === 0) {
+        return;
+      }
+
+      html += `<div class="riilsa-message-section ${section.className}">`;
+      html += `<h4><span class="riilsa-section-icon">${section.icon}</span> ${escapeHtml(section.title)}</h4>`;
+      html += "<ul>";
+      section.items.forEach(function (item) {
+        html += `<li class="${section.itemClass}">${escapeHtml(item)}</li>`;
+      });
+      html += "</ul>";
+      html += "</div>";
+    });
+
+    return html;
+  }
+
   /**
    * Format statistics key for display
    *
@@ -254,8 +259,256 @@
     return div.innerHTML;
   }
 
+  /**
+   * Focusable elements inside a dialog, used for the focus trap
+   */
+  const FOCUSABLE =
+    'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  /**
+   * Open a dialog that resolves when the editor confirms or dismisses it
+   * Pattern: Template Method - confirm and prompt only differ in body and result
+   *
+   * @param {Object} options - Dialog options (see showRiilsaConfirm)
+   * @param {string|Array|jQuery} body - Extra body content, appended after the message
+   * @param {Function} getResult - Called on confirm with the modal; returns the result or undefined to stay open
+   * @param {*} dismissValue - Value resolved when the dialog is dismissed
+   * @returns {Promise} Promise that resolves with the result
+   */
+  function openDialog(options, body, getResult, dismissValue) {
+    return new Promise((resolve) => {
+      const type = options.danger ? "error danger" : options.type || "info";
+      const previousFocus = document.activeElement;
+
+      $("#riilsa-dialog-modal").remove();
+
+      const modalHtml = `
+        <div id="riilsa-dialog-modal" class="riilsa-modal-overlay" style="display: none;">
+          <div class="riilsa-modal-content ${type}" role="dialog" aria-modal="true" aria-labelledby="riilsaDialogTitle">
+            <div class="riilsa-modal-header">
+              <h3 class="riilsa-modal-title" id="riilsaDialogTitle">
+                <span class="riilsa-modal-icon">
+                  ${getModalIcon(options.danger ? "warning" : options.type || "info")}
+                </span>
+                ${escapeHtml(options.title || "")}
+              </h3>
+              <button class="riilsa-modal-close" type="button" aria-label="Cerrar">&times;</button>
+            </div>
+            <div class="riilsa-modal-body">
+              ${options.message ? `<p class="riilsa-dialog-message">${escapeHtml(options.message)}</p>` : ""}
+            </div>
+            <div class="riilsa-modal-footer">
+              ${
+                options.cancelLabel === null
+                  ? ""
+                  : `<button class="riilsa-btn riilsa-modal-cancel-btn" type="button">${escapeHtml(options.cancelLabel || "Cancelar")}</button>`
+              }
+              <button class="riilsa-btn ${options.danger ? "riilsa-btn-danger" : "riilsa-btn-primary"} riilsa-modal-confirm-btn" type="button" ${options.acknowledge ? "disabled" : ""}>
+                ${escapeHtml(options.confirmLabel || "Aceptar")}
+              </button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      $("body").append(modalHtml);
+
+      const modal = $("#riilsa-dialog-modal");
+
+      modal.find(".riilsa-modal-body").append(body);
+
+      function close(value) {
+        $(document).off("keydown.riilsa-dialog");
+        modal.fadeOut(200, function () {
+          $(this).remove();
+        });
+
+        if (previousFocus && typeof previousFocus.focus === "function") {
+          previousFocus.focus();
+        }
+
+        resolve(value);
+      }
+
+      function confirmDialog() {
+        const result = getResult(modal);
+
+        if (result !== undefined) {
+          close(result);
+        }
+      }
+
+      // Close on overlay click
+      modal.on("click", function (e) {
+        if (e.target === this) {
+          close(dismissValue);
+        }
+      });
+
+      modal.find(".riilsa-modal-close, .riilsa-modal-cancel-btn").on("click", function (e) {
+        e.preventDefault();
+        close(dismissValue);
+      });
+
+      modal.find(".riilsa-modal-confirm-btn").on("click", function (e) {
+        e.preventDefault();
+        confirmDialog();
+      });
+
+      // Enter in a single-line field confirms
+      modal.find("input.riilsa-modal-field").on("keydown", function (e) {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          confirmDialog();
+        }
+      });
+
+      // ESC closes, Tab stays inside the dialog
+      $(document).on("keydown.riilsa-dialog", function (e) {
+        if (e.key === "Escape" || e.keyCode === 27) {
+          e.stopImmediatePropagation();
+          close(dismissValue);
+          return;
+        }
+
+        if (e.key !== "Tab") {
+          return;
+        }
+
+        const focusable = modal.find(FOCUSABLE).filter(":visible");
+
+        if (!focusable.length) {
+          return;
+        }
+
+        const first = focusable.get(0);
+        const last = focusable.get(focusable.length - 1);
+
+        if (e.shiftKey && (document.activeElement === first || !modal.has(document.activeElement).length)) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !modal.has(document.activeElement).length)) {
+          e.preventDefault();
+          first.focus();
+        }
+      });
+
+      modal.fadeIn(200);
+
+      // Focus the field, or the safe button for dangerous actions
+      const field = modal.find(".riilsa-modal-field").first();
+      if (field.length) {
+        field.trigger("focus");
+      } else if ((options.danger || options.acknowledge) && modal.find(".riilsa-modal-cancel-btn").length) {
+        modal.find(".riilsa-modal-cancel-btn").trigger("focus");
+      } else {
+        modal.find(".riilsa-modal-confirm-btn").trigger("focus");
+      }
+    });
+  }
+
+  /**
+   * Ask the editor to confirm an action
+   *
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.message - Question shown in the body
+   * @param {string} options.confirmLabel - Confirm button label (default "Aceptar")
+   * @param {string|null} options.cancelLabel - Cancel button label (default "Cancelar"), null hides it
+   * @param {boolean} options.danger - Destructive action styling
+   * @param {string} options.type - Modal type when not dangerous (info, success, warning, error)
+   * @param {Array} options.errors - Error messages, shown like the showRiilsaModal sections
+   * @param {Array} options.warnings - Warning messages
+   * @param {string} options.errorsTitle - Errors heading
+   * @param {string} options.warningsTitle - Warnings heading
+   * @param {string|Array|jQuery} options.body - Extra content shown after the messages
+   * @param {string} options.acknowledge - Checkbox label the editor must tick before confirming
+   * @returns {Promise<boolean>} Whether the editor confirmed
+   */
+  function showRiilsaConfirm(options) {
+    options = options || {};
+
+    const acknowledge = options.acknowledge
+      ? $("<label>", { class: "riilsa-modal-checkbox" }).append(
+          $("<input>", { type: "checkbox", class: "riilsa-modal-acknowledge" }).on("change", function () {
+            $(this).closest(".riilsa-modal-content").find(".riilsa-modal-confirm-btn").prop("disabled", !this.checked);
+          }),
+          document.createTextNode(" " + options.acknowledge)
+        )
+      : $();
+
+    const body = [
+      generateMessageSections({
+        errors: options.errors,
+        warnings: options.warnings,
+        errorsTitle: options.errorsTitle,
+        warningsTitle: options.warningsTitle,
+      }),
+      options.body || "",
+      acknowledge,
+    ];
+
+    return openDialog(
+      options,
+      body,
+      (modal) => (!options.acknowledge || modal.find(".riilsa-modal-acknowledge").prop("checked") ? true : undefined),
+      false
+    );
+  }
+
+  /**
+   * Ask the editor for a value
+   *
+   * @param {Object} options - Dialog options, plus:
+   * @param {string} options.label - Field label
+   * @param {string} options.value - Initial value
+   * @param {string} options.placeholder - Field placeholder
+   * @param {string} options.inputType - Input type (text, email, datetime-local...), "textarea" for multiline
+   * @param {Object} options.attributes - Extra field attributes (e.g. {min: "..."})
+   * @param {Function} options.validate - Returns an error message for invalid values
+   * @returns {Promise<string|null>} Entered value, or null if dismissed
+   */
+  function showRiilsaPrompt(options) {
+    options = options || {};
+
+    const inputType = options.inputType || "text";
+
+    // Built as elements so values with quotes (e.g. link URLs) can't break out of the attributes
+    const field = (inputType === "textarea" ? $("<textarea>", { rows: 4 }) : $("<input>", { type: inputType }))
+      .attr({ id: "riilsaDialogField", class: "riilsa-modal-field", placeholder: options.placeholder || "" })
+      .attr(options.attributes || {})
+      .val(options.value === undefined || options.value === null ? "" : String(options.value));
+
+    const body = [
+      options.label
+        ? $("<label>", { class: "riilsa-modal-label", for: "riilsaDialogField" }).text(options.label)
+        : $(),
+      field,
+      $("<p>", { class: "riilsa-modal-field-error" }).hide(),
+    ];
+
+    return openDialog(
+      options,
+      body,
+      function (modal) {
+        const entered = modal.find("#riilsaDialogField").val();
+        const error = typeof options.validate === "function" ? options.validate(entered) : null;
+
+        if (error) {
+          modal.find(".riilsa-modal-field-error").text(error).show();
+          return undefined;
+        }
+
+        return entered;
+      },
+      null
+    );
+  }
+
   // Expose modal function globally for external use
   window.showRiilsaModal = showRiilsaModal;
+  window.showRiilsaConfirm = showRiilsaConfirm;
+  window.showRiilsaPrompt = showRiilsaPrompt;
 
   /**
    * Test function for modal (development only)
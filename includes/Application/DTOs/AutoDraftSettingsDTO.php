@@ -0,0 +1,139 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Auto Draft Settings DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+use function RIILSA\Core\sanitizeHeaderHtml;
+
+/**
+ * Data Transfer Object for the recurring automatic draft settings
+ *
+ * Pattern: DTO Pattern
+ * This class transfers when and how the cron job builds the monthly draft
+ */
+final class AutoDraftSettingsDTO
+{
+    /**
+     * Last day of the month that exists in every month
+     */
+    public const MAX_DAY = 28;
+
+    /**
+     * Maximum number of editors notified
+     */
+    public const MAX_RECIPIENTS = 10;
+
+    /**
+     * Constructor
+     *
+     * @param bool $enabled
+     * @param int $dayOfMonth Day of the month the draft is built on (1-28)
+     * @param string $preset News range, one of the AutoNewsletterRangeDTO presets except custom
+     * @param string $headerText Header HTML, empty for the default header
+     * @param array<string> $recipients Editors notified, empty for every editor and administrator
+     */
+    public function __construct(
+        public readonly bool $enabled = false,
+        public readonly int $dayOfMonth = 1,
+        public readonly string $preset = AutoNewsletterRangeDTO::PRESET_LAST_SENT,
+        public readonly string $headerText = '',
+        public readonly array $recipients = []
+    ) {
+    }
+
+    /**
+     * Create from request data
+     *
+     * @param array $data
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data): self
+    {
+        $dayOfMonth = (int)($data['dayOfMonth'] ?? 1);
+
+        if ($dayOfMonth < 1 || $dayOfMonth > self::MAX_DAY) {
+            throw new \InvalidArgumentException(
+                sprintf('Day of the month must be between 1 and %d', self::MAX_DAY)
+            );
+        }
+
+        $preset = (string)($data['preset'] ?? AutoNewsletterRangeDTO::PRESET_LAST_SENT);
+
+        if ($preset === AutoNewsletterRangeDTO::PRESET_CUSTOM
+            || !in_array($preset, AutoNewsletterRangeDTO::presets(), true)) {
+            throw new \InvalidArgumentException('Invalid date range preset');
+        }
+
+        $rawEmails = is_array($data['recipients'] ?? null)
+            ? $data['recipients']
+            : preg_split('/[\s,;]+/', (string)($data['recipients'] ?? ''));
+
+        $recipients = [];
+        foreach (array_filter(array_map('trim', $rawEmails)) as $rawEmail) {
+            $email = filter_var($rawEmail, FILTER_SANITIZE_EMAIL);
+
+            if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+                throw new \InvalidArgumentException(sprintf('Invalid email format: %s', $rawEmail));
+            }
+
+            $recipients[] = strtolower($email);
+        }
+
+        $recipients = array_values(array_unique($recipients));
+
+        if (count($recipients) > self::MAX_RECIPIENTS) {
+            throw new \InvalidArgumentException(
+                sprintf('At most %d editors can be notified', self::MAX_RECIPIENTS)
+            );
+        }
+
+        return new self(
+            enabled: filter_var($data['enabled'] ?? false, FILTER_VALIDATE_BOOLEAN),
+            dayOfMonth: $dayOfMonth,
+            preset: $preset,
+            headerText: sanitizeHeaderHtml((string)($data['headerText'] ?? '')),
+            recipients: $recipients
+        );
+    }
+
+    /**
+     * Create from the stored settings
+     * Invalid or missing values fall back to the defaults
+     *
+     * @param array $data
+     * @return self
+     */
+    public static function fromArray(array $data): self
+    {
+        try {
+            return self::fromRequest($data);
+        } catch (\InvalidArgumentException $e) {
+            return new self();
+        }
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'enabled' => $this->enabled,
+            'dayOfMonth' => $this->dayOfMonth,
+            'preset' => $this->preset,
+            'headerText' => $this->headerText,
+            'recipients' => $this->recipients,
+        ];
+    }
+}
@@ -0,0 +1,96 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Auto Newsletter News Result DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Automatic newsletter news result DTO
+ */
+final class AutoNewsletterNewsResultDTO
+{
+    /**
+     * Constructor
+     *
+     * @param bool $success
+     * @param array $items Published news in the range, newest first
+     * @param array $range Resolved range: preset, start, end (Y-m-d)
+     * @param array $statistics
+     * @param array $errors
+     */
+    public function __construct(
+        public readonly bool $success,
+        public readonly array $items = [],
+        public readonly array $range = [],
+        public readonly array $statistics = [],
+        public readonly array $errors = []
+    ) {
+    }
+
+    /**
+     * Create a success result
+     *
+     * @param array $items
+     * @param array $range
+     * @param array $statistics
+     * @return self
+     */
+    public static function success(array $items, array $range, array $statistics = []): self
+    {
+        return new self(
+            success: true,
+            items: $items,
+            range: $range,
+            statistics: $statistics,
+            errors: []
+        );
+    }
+
+    /**
+     * Create a failure result
+     *
+     * @param array $errors
+     * @return self
+     */
+    public static function failure(array $errors): self
+    {
+        return new self(
+            success: false,
+            errors: $errors
+        );
+    }
+
+    /**
+     * Get error messages as string
+     *
+     * @param string $separator
+     * @return string
+     */
+    public function getErrorMessage(string $separator = ', '): string
+    {
+        return implode($separator, $this->errors);
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'success' => $this->success,
+            'items' => $this->items,
+            'range' => $this->range,
+            'statistics' => $this->statistics,
+            'errors' => $this->errors,
+        ];
+    }
+}
@@ -0,0 +1,149 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Auto Newsletter Range DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Data Transfer Object for the date range of the automatic newsletter
+ * 
+ * Pattern: DTO Pattern
+ * This class transfers the preset or custom dates chosen in the auto section
+ */
+final class AutoNewsletterRangeDTO
+{
+    /**
+     * Since the last sent newsletter
+     */
+    public const PRESET_LAST_SENT = 'last-sent';
+
+    /**
+     * Last 14 days
+     */
+    public const PRESET_TWO_WEEKS = 'two-weeks';
+
+    /**
+     * One month back from today
+     */
+    public const PRESET_MONTH = 'month';
+
+    /**
+     * Dates picked by the editor
+     */
+    public const PRESET_CUSTOM = 'custom';
+
+    /**
+     * Longest custom range in days
+     */
+    public const MAX_DAYS = 365;
+
+    /**
+     * Constructor
+     *
+     * @param string $preset One of the PRESET_* constants
+     * @param string|null $from Start date (Y-m-d), custom ranges only
+     * @param string|null $to End date (Y-m-d), custom ranges only
+     */
+    public function __construct(
+        public readonly string $preset = self::PRESET_MONTH,
+        public readonly ?string $from = null,
+        public readonly ?string $to = null
+    ) {
+    }
+
+    /**
+     * Create from request data
+     *
+     * @param array $data
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data): self
+    {
+        $preset = (string)($data['preset'] ?? self::PRESET_MONTH);
+
+        if (!in_array($preset, self::presets(), true)) {
+            throw new \InvalidArgumentException('Invalid date range preset');
+        }
+
+        if ($preset !== self::PRESET_CUSTOM) {
+            return new self(preset: $preset);
+        }
+
+        $from = self::parseDate($data['from'] ?? '');
+        $to = self::parseDate($data['to'] ?? '');
+
+        if (!$from || !$to) {
+            throw new \InvalidArgumentException('Start and end dates are required (YYYY-MM-DD)');
+        }
+
+        if ($to < $from) {
+            throw new \InvalidArgumentException('End date must be after or equal to start date');
+        }
+
+        if ($from->diff($to)->days > self::MAX_DAYS) {
+            throw new \InvalidArgumentException(
+                sprintf('Date range cannot be longer than %d days', self::MAX_DAYS)
+            );
+        }
+
+        return new self(
+            preset: $preset,
+            from: $from->format('Y-m-d'),
+            to: $to->format('Y-m-d')
+        );
+    }
+
+    /**
+     * Get the accepted presets
+     *
+     * @return array<string>
+     */
+    public static function presets(): array
+    {
+        return [
+            self::PRESET_LAST_SENT,
+            self::PRESET_TWO_WEEKS,
+            self::PRESET_MONTH,
+            self::PRESET_CUSTOM,
+        ];
+    }
+
+    /**
+     * Parse a Y-m-d date
+     *
+     * @param mixed $value
+     * @return \DateTimeImmutable|null
+     */
+    private static function parseDate(mixed $value): ?\DateTimeImmutable
+    {
+        if (!is_string($value) || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $value)) {
+            return null;
+        }
+
+        $date = \DateTimeImmutable::createFromFormat('!Y-m-d', $value, wp_timezone());
+
+        return $date && $date->format('Y-m-d') === $value ? $date : null;
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'preset' => $this->preset,
+            'from' => $this->from,
+            'to' => $this->to,
+        ];
+    }
+}
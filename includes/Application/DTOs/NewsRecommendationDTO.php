@@ -0,0 +1,89 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * News Recommendation DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Data Transfer Object for news recommendation criteria
+ * 
+ * Pattern: DTO Pattern
+ * This class transfers the recommendation criteria chosen in the selection panel
+ */
+final class NewsRecommendationDTO
+{
+    /**
+     * Default date window in days
+     */
+    public const DEFAULT_DAYS = 30;
+
+    /**
+     * Largest date window in days
+     */
+    public const MAX_DAYS = 365;
+
+    /**
+     * Constructor
+     *
+     * @param int $days Published within the last N days
+     * @param int|null $maxItems Null for the newsletter capacity
+     * @param bool $balanceResearchLines
+     */
+    public function __construct(
+        public readonly int $days = self::DEFAULT_DAYS,
+        public readonly ?int $maxItems = null,
+        public readonly bool $balanceResearchLines = true
+    ) {
+    }
+
+    /**
+     * Create from request data
+     *
+     * @param array $data
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data): self
+    {
+        $days = (int)($data['days'] ?? self::DEFAULT_DAYS);
+
+        if ($days < 1 || $days > self::MAX_DAYS) {
+            throw new \InvalidArgumentException(
+                sprintf('Date window must be between 1 and %d days', self::MAX_DAYS)
+            );
+        }
+
+        $maxItems = isset($data['maxItems']) && $data['maxItems'] !== '' ? (int)$data['maxItems'] : null;
+
+        if ($maxItems !== null && $maxItems < 1) {
+            throw new \InvalidArgumentException('Maximum items must be at least 1');
+        }
+
+        return new self(
+            days: $days,
+            maxItems: $maxItems,
+            balanceResearchLines: filter_var($data['balance'] ?? true, FILTER_VALIDATE_BOOLEAN)
+        );
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'days' => $this->days,
+            'maxItems' => $this->maxItems,
+            'balanceResearchLines' => $this->balanceResearchLines,
+        ];
+    }
+}
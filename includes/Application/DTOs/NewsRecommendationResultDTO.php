@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * News Recommendation Result DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * News recommendation result DTO
+ */
+final class NewsRecommendationResultDTO
+{
+    /**
+     * Constructor
+     *
+     * @param bool $success
+     * @param array<int> $newsIds Recommended news IDs in selection order
+     * @param array $statistics
+     * @param array $errors
+     */
+    public function __construct(
+        public readonly bool $success,
+        public readonly array $newsIds = [],
+        public readonly array $statistics = [],
+        public readonly array $errors = []
+    ) {
+    }
+
+    /**
+     * Create a success result
+     *
+     * @param array<int> $newsIds
+     * @param array $statistics
+     * @return self
+     */
+    public static function success(array $newsIds, array $statistics = []): self
+    {
+        return new self(
+            success: true,
+            newsIds: $newsIds,
+            statistics: $statistics,
+            errors: []
+        );
+    }
+
+    /**
+     * Create a failure result
+     *
+     * @param array $errors
+     * @return self
+     */
+    public static function failure(array $errors): self
+    {
+        return new self(
+            success: false,
+            errors: $errors
+        );
+    }
+
+    /**
+     * Get error messages as string
+     *
+     * @param string $separator
+     * @return string
+     */
+    public function getErrorMessage(string $separator = ', '): string
+    {
+        return implode($separator, $this->errors);
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'success' => $this->success,
+            'newsIds' => $this->newsIds,
+            'statistics' => $this->statistics,
+            'errors' => $this->errors,
+        ];
+    }
+}
@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Analytics DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Newsletter engagement analytics request DTO
+ */
+final class NewsletterAnalyticsDTO
+{
+    /**
+     * Constructor
+     *
+     * @param int $newsletterId Newsletter number
+     * @param bool $refresh Ask Brevo again instead of using the cached numbers
+     */
+    public function __construct(
+        public readonly int $newsletterId,
+        public readonly bool $refresh = false
+    ) {
+    }
+
+    /**
+     * Create from request data
+     *
+     * @param array $data
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data): self
+    {
+        if (empty($data['id'])) {
+            throw new \InvalidArgumentException('Newsletter ID is required');
+        }
+
+        return new self(
+            newsletterId: (int)$data['id'],
+            refresh: filter_var($data['refresh'] ?? false, FILTER_VALIDATE_BOOLEAN)
+        );
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'newsletterId' => $this->newsletterId,
+            'refresh' => $this->refresh,
+        ];
+    }
+}
@@ -0,0 +1,111 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Analytics Result DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Newsletter engagement analytics result DTO
+ */
+final class NewsletterAnalyticsResultDTO
+{
+    /**
+     * Constructor
+     *
+     * @param bool $success
+     * @param int $newsletterId Newsletter number
+     * @param array $totals Delivered, opens, unique opens, clicks, bounces and unsubscribes
+     * @param array $items Clicks per news item, in newsletter order
+     * @param int $otherClicks Clicks on links that are not a news item (header, footer, social)
+     * @param string|null $fetchedAt When the numbers were taken from Brevo (Y-m-d H:i:s)
+     * @param array $errors
+     */
+    public function __construct(
+        public readonly bool $success,
+        public readonly int $newsletterId = 0,
+        public readonly array $totals = [],
+        public readonly array $items = [],
+        public readonly int $otherClicks = 0,
+        public readonly ?string $fetchedAt = null,
+        public readonly array $errors = []
+    ) {
+    }
+
+    /**
+     * Create a success result
+     *
+     * @param int $newsletterId
+     * @param array $totals
+     * @param array $items
+     * @param int $otherClicks
+     * @param string $fetchedAt
+     * @return self
+     */
+    public static function success(
+        int $newsletterId,
+        array $totals,
+        array $items,
+        int $otherClicks,
+        string $fetchedAt
+    ): self {
+        return new self(
+            success: true,
+            newsletterId: $newsletterId,
+            totals: $totals,
+            items: $items,
+            otherClicks: $otherClicks,
+            fetchedAt: $fetchedAt,
+            errors: []
+        );
+    }
+
+    /**
+     * Create a failure result
+     *
+     * @param array $errors
+     * @return self
+     */
+    public static function failure(array $errors): self
+    {
+        return new self(
+            success: false,
+            errors: $errors
+        );
+    }
+
+    /**
+     * Get error messages as string
+     *
+     * @param string $separator
+     * @return string
+     */
+    public function getErrorMessage(string $separator = ', '): string
+    {
+        return implode($separator, $this->errors);
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'success' => $this->success,
+            'newsletterId' => $this->newsletterId,
+            'totals' => $this->totals,
+            'items' => $this->items,
+            'otherClicks' => $this->otherClicks,
+            'fetchedAt' => $this->fetchedAt,
+            'errors' => $this->errors,
+        ];
+    }
+}
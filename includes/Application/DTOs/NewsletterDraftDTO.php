@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Draft DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+use function RIILSA\Core\sanitizeHeaderHtml;
+
+/**
+ * Newsletter draft DTO
+ */
+final class NewsletterDraftDTO
+{
+    /**
+     * Constructor
+     *
+     * @param int|null $draftId Existing draft record ID, null for a new draft
+     * @param int $number
+     * @param string $headerText
+     * @param array<int> $newsIds
+     * @param int $ownerId WordPress user saving the draft
+     */
+    public function __construct(
+        public readonly ?int $draftId,
+        public readonly int $number,
+        public readonly string $headerText,
+        public readonly array $newsIds,
+        public readonly int $ownerId
+    ) {
+    }
+
+    /**
+     * Create from request data
+     *
+     * @param array $data
+     * @param int $ownerId
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data, int $ownerId): self
+    {
+        $number = (int)($data['idNewsletter'] ?? 0);
+
+        if ($number <= 0) {
+            throw new \InvalidArgumentException('Newsletter number is required');
+        }
+
+        $newsIds = is_array($data['idNews'] ?? null)
+            ? array_values(array_filter(array_map('intval', $data['idNews'])))
+            : [];
+
+        return new self(
+            draftId: !empty($data['draftId']) ? (int)$data['draftId'] : null,
+            number: $number,
+            headerText: sanitizeHeaderHtml((string)($data['text'] ?? '')),
+            newsIds: $newsIds,
+            ownerId: $ownerId
+        );
+    }
+
+    /**
+     * Check if there is anything worth saving
+     *
+     * @return bool
+     */
+    public function hasContent(): bool
+    {
+        return trim($this->headerText) !== '' || !empty($this->newsIds);
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'draftId' => $this->draftId,
+            'number' => $this->number,
+            'headerText' => $this->headerText,
+            'newsIds' => $this->newsIds,
+            'ownerId' => $this->ownerId,
+        ];
+    }
+}
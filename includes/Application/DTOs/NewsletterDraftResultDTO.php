@@ -0,0 +1,98 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Draft Result DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Newsletter draft autosave result DTO
+ */
+final class NewsletterDraftResultDTO
+{
+    /**
+     * Constructor
+     *
+     * @param bool $success
+     * @param int|null $draftId
+     * @param int|null $number
+     * @param array $errors
+     * @param array $draft Composition the composer opens, when the draft was created on the server
+     */
+    public function __construct(
+        public readonly bool $success,
+        public readonly ?int $draftId,
+        public readonly ?int $number,
+        public readonly array $errors = [],
+        public readonly array $draft = []
+    ) {
+    }
+
+    /**
+     * Create a success result
+     *
+     * @param int $draftId
+     * @param int $number
+     * @param array $draft
+     * @return self
+     */
+    public static function success(int $draftId, int $number, array $draft = []): self
+    {
+        return new self(
+            success: true,
+            draftId: $draftId,
+            number: $number,
+            errors: [],
+            draft: $draft
+        );
+    }
+
+    /**
+     * Create a failure result
+     *
+     * @param array $errors
+     * @return self
+     */
+    public static function failure(array $errors): self
+    {
+        return new self(
+            success: false,
+            draftId: null,
+            number: null,
+            errors: $errors
+        );
+    }
+
+    /**
+     * Get error messages as string
+     *
+     * @param string $separator
+     * @return string
+     */
+    public function getErrorMessage(string $separator = ', '): string
+    {
+        return implode($separator, $this->errors);
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'success' => $this->success,
+            'draftId' => $this->draftId,
+            'number' => $this->number,
+            'errors' => $this->errors,
+            'draft' => $this->draft,
+        ];
+    }
+}
@@ -11,6 +11,8 @@ declare(strict_types=1);
 
 namespace RIILSA\Application\DTOs;
 
+use function RIILSA\Core\sanitizeHeaderHtml;
+
 /**
  * Data Transfer Object for newsletter generation
  * 
@@ -19,6 +21,23 @@ namespace RIILSA\Application\DTOs;
  */
 final class NewsletterGenerationDTO
 {
+    /**
+     * Zones a news item can be placed in
+     *
+     * @var array<string>
+     */
+    private const POSITIONS = ['highlight', 'normal', 'grid'];
+
+    /**
+     * Longest title override
+     */
+    public const MAX_TITLE_LENGTH = 200;
+
+    /**
+     * Longest excerpt override
+     */
+    public const MAX_EXCERPT_LENGTH = 1000;
+
     /**
      * Constructor
      *
@@ -27,13 +46,19 @@ final class NewsletterGenerationDTO
      * @param array<int> $newsIds
      * @param bool $updateDatabase
      * @param array $options Additional options
+     * @param array<int, array{position: string, order: int}> $layout Explicit placement keyed by news ID
+     * @param array<int, array{title?: string, excerpt?: string, image?: string}> $overrides Newsletter-only content keyed by news ID
+     * @param int|null $editorId WordPress user generating, recorded on the saved version
      */
     public function __construct(
         public readonly int $newsletterNumber,
         public readonly string $headerText,
         public readonly array $newsIds,
         public readonly bool $updateDatabase = true,
-        public readonly array $options = []
+        public readonly array $options = [],
+        public readonly array $layout = [],
+        public readonly array $overrides = [],
+        public readonly ?int $editorId = null
     ) {
     }
     
@@ -41,17 +66,20 @@ final class NewsletterGenerationDTO
      * Create from request data
      *
      * @param array $data
+     * @param int|null $editorId
      * @return self
      * @throws \InvalidArgumentException
      */
-    public static function fromRequest(array $data): self
+    public static function fromRequest(array $data, ?int $editorId = null): self
     {
         // Validate required fields
         if (empty($data['idNewsletter'])) {
             throw new \InvalidArgumentException('Newsletter number is required');
         }
         
-        if (empty($data['text'])) {
+        $headerText = sanitizeHeaderHtml((string)($data['text'] ?? ''));
+
+        if ($headerText === '') {
             throw new \InvalidArgumentException('Header text is required');
         }
         
@@ -59,14 +87,128 @@ final class NewsletterGenerationDTO
             throw new \InvalidArgumentException('At least one news item must be selected');
         }
         
+        $newsIds = array_map('intval', $data['idNews']);
+
         return new self(
             newsletterNumber: (int)$data['idNewsletter'],
-            headerText: trim($data['text']),
-            newsIds: array_map('intval', $data['idNews']),
+            headerText: $headerText,
+            newsIds: $newsIds,
             updateDatabase: filter_var($data['updateDB'] ?? true, FILTER_VALIDATE_BOOLEAN),
-            options: $data['options'] ?? []
+            options: $data['options'] ?? [],
+            layout: self::parseLayout($data['layout'] ?? [], $newsIds),
+            overrides: self::parseOverrides($data['overrides'] ?? [], $newsIds),
+            editorId: $editorId
         );
     }
+
+    /**
+     * Parse the per-item layout sent by the composer
+     *
+     * @param mixed $layout List of ['id', 'position', 'order'] entries
+     * @param array<int> $newsIds Selected news IDs
+     * @return array<int, array{position: string, order: int}>
+     * @throws \InvalidArgumentException
+     */
+    private static function parseLayout(mixed $layout, array $newsIds): array
+    {
+        if (empty($layout)) {
+            return [];
+        }
+
+        if (!is_array($layout)) {
+            throw new \InvalidArgumentException('Invalid newsletter layout');
+        }
+
+        $parsed = [];
+
+        foreach ($layout as $entry) {
+            $id = (int)($entry['id'] ?? 0);
+            $position = (string)($entry['position'] ?? '');
+
+            if (!in_array($id, $newsIds, true)) {
+                throw new \InvalidArgumentException("Layout references a news item that is not selected: {$id}");
+            }
+
+            if (!in_array($position, self::POSITIONS, true)) {
+                throw new \InvalidArgumentException("Invalid layout position: {$position}");
+            }
+
+            $parsed[$id] = [
+                'position' => $position,
+                'order' => (int)($entry['order'] ?? count($parsed)),
+            ];
+        }
+
+        return $parsed;
+    }
+
+    /**
+     * Parse the title, excerpt and image overrides set for this newsletter only
+     * Empty fields are dropped, so the post's own value is used
+     *
+     * @param mixed $overrides List of ['id', 'title', 'excerpt', 'image'] entries
+     * @param array<int> $newsIds Selected news IDs
+     * @return array<int, array{title?: string, excerpt?: string, image?: string}>
+     * @throws \InvalidArgumentException
+     */
+    private static function parseOverrides(mixed $overrides, array $newsIds): array
+    {
+        if (empty($overrides)) {
+            return [];
+        }
+
+        if (!is_array($overrides)) {
+            throw new \InvalidArgumentException('Invalid news overrides');
+        }
+
+        $parsed = [];
+
+        foreach ($overrides as $entry) {
+            if (!is_array($entry)) {
+                throw new \InvalidArgumentException('Invalid news overrides');
+            }
+
+            $id = (int)($entry['id'] ?? 0);
+
+            if (!in_array($id, $newsIds, true)) {
+                throw new \InvalidArgumentException("Override references a news item that is not selected: {$id}");
+            }
+
+            $title = trim(strip_tags((string)($entry['title'] ?? '')));
+            $excerpt = trim(strip_tags((string)($entry['excerpt'] ?? '')));
+            $image = trim((string)($entry['image'] ?? ''));
+
+            if (mb_strlen($title) > self::MAX_TITLE_LENGTH) {
+                throw new \InvalidArgumentException(
+                    sprintf('Title overrides are limited to %d characters', self::MAX_TITLE_LENGTH)
+                );
+            }
+
+            if (mb_strlen($excerpt) > self::MAX_EXCERPT_LENGTH) {
+                throw new \InvalidArgumentException(
+                    sprintf('Excerpt overrides are limited to %d characters', self::MAX_EXCERPT_LENGTH)
+                );
+            }
+
+            if ($image !== ''
+                && (!filter_var($image, FILTER_VALIDATE_URL)
+                    || !in_array(parse_url($image, PHP_URL_SCHEME), ['http', 'https'], true))) {
+                throw new \InvalidArgumentException("Invalid image URL: {$image}");
+            }
+
+            $fields = array_filter([
+                'title' => $title,
+                'excerpt' => $excerpt,
+                'image' => $image,
+            ], fn(string $value) => $value !== '');
+
+            if (!empty($fields)) {
+                $parsed[$id] = $fields;
+            }
+        }
+
+        return $parsed;
+    }
     
     /**
      * Get the number of selected news items
@@ -93,6 +235,26 @@ final class NewsletterGenerationDTO
         return true;
     }
     
+    /**
+     * Check if an explicit layout was provided
+     *
+     * @return bool
+     */
+    public function hasLayout(): bool
+    {
+        return !empty($this->layout);
+    }
+    
+    /**
+     * Check if any news item has newsletter-only content
+     *
+     * @return bool
+     */
+    public function hasOverrides(): bool
+    {
+        return !empty($this->overrides);
+    }
+    
     /**
      * Get a specific option value
      *
@@ -118,6 +280,9 @@ final class NewsletterGenerationDTO
             'newsIds' => $this->newsIds,
             'updateDatabase' => $this->updateDatabase,
             'options' => $this->options,
+            'layout' => $this->layout,
+            'overrides' => $this->overrides,
+            'editorId' => $this->editorId,
         ];
     }
 }
@@ -0,0 +1,246 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter History Query DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+
+/**
+ * Data Transfer Object for a page of the newsletter history
+ *
+ * Pattern: DTO Pattern
+ * This class transfers the history filters and the requested page
+ */
+final class NewsletterHistoryQueryDTO
+{
+    /**
+     * Newsletters per page unless the client asks for another size
+     */
+    public const DEFAULT_PER_PAGE = 12;
+
+    /**
+     * Largest page the client may ask for
+     */
+    public const MAX_PER_PAGE = 50;
+
+    /**
+     * Filter dates by creation date
+     */
+    public const DATE_CREATED = 'created';
+
+    /**
+     * Filter dates by send date
+     */
+    public const DATE_SENT = 'sent';
+
+    /**
+     * Longest header text search
+     */
+    public const MAX_SEARCH_LENGTH = 100;
+
+    /**
+     * Constructor
+     *
+     * @param int $page Page number, starting at 1
+     * @param int $perPage Newsletters per page
+     * @param NewsletterStatus|null $status Only newsletters in this status
+     * @param int|null $numberFrom Lowest newsletter number
+     * @param int|null $numberTo Highest newsletter number
+     * @param string $dateField Date the range applies to, one of the DATE_* constants
+     * @param string|null $dateFrom First day (Y-m-d)
+     * @param string|null $dateTo Last day (Y-m-d)
+     * @param string $search Text searched in the header
+     * @param bool $archived Show the archived newsletters instead of the rest
+     */
+    public function __construct(
+        public readonly int $page = 1,
+        public readonly int $perPage = self::DEFAULT_PER_PAGE,
+        public readonly ?NewsletterStatus $status = null,
+        public readonly ?int $numberFrom = null,
+        public readonly ?int $numberTo = null,
+        public readonly string $dateField = self::DATE_CREATED,
+        public readonly ?string $dateFrom = null,
+        public readonly ?string $dateTo = null,
+        public readonly string $search = '',
+        public readonly bool $archived = false
+    ) {
+    }
+
+    /**
+     * Create from request data
+     * Empty fields leave the matching filter off
+     *
+     * @param array $data
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data): self
+    {
+        $page = (int)($data['page'] ?? 1);
+
+        if ($page < 1) {
+            throw new \InvalidArgumentException('Page must be 1 or greater');
+        }
+
+        $perPage = (int)($data['perPage'] ?? self::DEFAULT_PER_PAGE);
+
+        if ($perPage < 1 || $perPage > self::MAX_PER_PAGE) {
+            throw new \InvalidArgumentException(
+                sprintf('Page size must be between 1 and %d', self::MAX_PER_PAGE)
+            );
+        }
+
+        $status = null;
+        if (($data['status'] ?? '') !== '') {
+            $status = NewsletterStatus::tryFrom((int)$data['status']);
+
+            if ($status === null) {
+                throw new \InvalidArgumentException('Invalid newsletter status');
+            }
+        }
+
+        $numberFrom = ($data['numberFrom'] ?? '') !== '' ? (int)$data['numberFrom'] : null;
+        $numberTo = ($data['numberTo'] ?? '') !== '' ? (int)$data['numberTo'] : null;
+
+        if ($numberFrom !== null && $numberTo !== null && $numberTo < $numberFrom) {
+            throw new \InvalidArgumentException('Highest number must be greater than or equal to the lowest');
+        }
+
+        $dateField = (string)($data['dateField'] ?? self::DATE_CREATED);
+
+        if (!in_array($dateField, [self::DATE_CREATED, self::DATE_SENT], true)) {
+            throw new \InvalidArgumentException('Invalid date filter');
+        }
+
+        $dateFrom = self::parseDate($data['dateFrom'] ?? '');
+        $dateTo = self::parseDate($data['dateTo'] ?? '');
+
+        if ($dateFrom && $dateTo && $dateTo < $dateFrom) {
+            throw new \InvalidArgumentException('End date must be after or equal to start date');
+        }
+
+        $search = trim((string)($data['search'] ?? ''));
+
+        if (mb_strlen($search) > self::MAX_SEARCH_LENGTH) {
+            throw new \InvalidArgumentException(
+                sprintf('Search is limited to %d characters', self::MAX_SEARCH_LENGTH)
+            );
+        }
+
+        return new self(
+            page: $page,
+            perPage: $perPage,
+            status: $status,
+            numberFrom: $numberFrom,
+            numberTo: $numberTo,
+            dateField: $dateField,
+            dateFrom: $dateFrom?->format('Y-m-d'),
+            dateTo: $dateTo?->format('Y-m-d'),
+            search: $search,
+            archived: filter_var($data['archived'] ?? false, FILTER_VALIDATE_BOOLEAN)
+        );
+    }
+
+    /**
+     * Get the offset of the first newsletter in the page
+     *
+     * @return int
+     */
+    public function getOffset(): int
+    {
+        return ($this->page - 1) * $this->perPage;
+    }
+
+    /**
+     * Get the repository criteria for the filters
+     *
+     * @return array
+     */
+    public function toCriteria(): array
+    {
+        $criteria = [];
+
+        if ($this->status !== null) {
+            $criteria['status'] = $this->status;
+        }
+
+        if ($this->numberFrom !== null) {
+            $criteria['numberFrom'] = $this->numberFrom;
+        }
+
+        if ($this->numberTo !== null) {
+            $criteria['numberTo'] = $this->numberTo;
+        }
+
+        $prefix = $this->dateField === self::DATE_SENT ? 'sent' : 'created';
+
+        if ($this->dateFrom !== null) {
+            $criteria[$prefix . 'From'] = $this->dateFrom . ' 00:00:00';
+        }
+
+        if ($this->dateTo !== null) {
+            $criteria[$prefix . 'To'] = $this->dateTo . ' 23:59:59';
+        }
+
+        if ($this->search !== '') {
+            $criteria['search'] = $this->search;
+        }
+
+        $criteria['archived'] = $this->archived;
+
+        return $criteria;
+    }
+
+    /**
+     * Parse a Y-m-d date
+     *
+     * @param mixed $value
+     * @return \DateTimeImmutable|null
+     * @throws \InvalidArgumentException
+     */
+    private static function parseDate(mixed $value): ?\DateTimeImmutable
+    {
+        if ($value === '' || $value === null) {
+            return null;
+        }
+
+        $date = is_string($value) && preg_match('/^\d{4}-\d{2}-\d{2}$/', $value)
+            ? \DateTimeImmutable::createFromFormat('!Y-m-d', $value, wp_timezone())
+            : false;
+
+        if (!$date || $date->format('Y-m-d') !== $value) {
+            throw new \InvalidArgumentException('Invalid date (YYYY-MM-DD)');
+        }
+
+        return $date;
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'page' => $this->page,
+            'perPage' => $this->perPage,
+            'status' => $this->status?->value,
+            'numberFrom' => $this->numberFrom,
+            'numberTo' => $this->numberTo,
+            'dateField' => $this->dateField,
+            'dateFrom' => $this->dateFrom,
+            'dateTo' => $this->dateTo,
+            'search' => $this->search,
+            'archived' => $this->archived,
+        ];
+    }
+}
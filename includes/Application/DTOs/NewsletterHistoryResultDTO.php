@@ -0,0 +1,122 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter History Result DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Newsletter history page result DTO
+ */
+final class NewsletterHistoryResultDTO
+{
+    /**
+     * Constructor
+     *
+     * @param bool $success
+     * @param array $items Newsletters in the page, highest number first
+     * @param int $total Newsletters matching the filters
+     * @param int $page
+     * @param int $perPage
+     * @param array $statistics Newsletters per status, ignoring the filters
+     * @param array $errors
+     */
+    public function __construct(
+        public readonly bool $success,
+        public readonly array $items = [],
+        public readonly int $total = 0,
+        public readonly int $page = 1,
+        public readonly int $perPage = NewsletterHistoryQueryDTO::DEFAULT_PER_PAGE,
+        public readonly array $statistics = [],
+        public readonly array $errors = []
+    ) {
+    }
+
+    /**
+     * Create a success result
+     *
+     * @param array $items
+     * @param int $total
+     * @param int $page
+     * @param int $perPage
+     * @param array $statistics
+     * @return self
+     */
+    public static function success(
+        array $items,
+        int $total,
+        int $page,
+        int $perPage,
+        array $statistics = []
+    ): self {
+        return new self(
+            success: true,
+            items: $items,
+            total: $total,
+            page: $page,
+            perPage: $perPage,
+            statistics: $statistics,
+            errors: []
+        );
+    }
+
+    /**
+     * Create a failure result
+     *
+     * @param array $errors
+     * @return self
+     */
+    public static function failure(array $errors): self
+    {
+        return new self(
+            success: false,
+            errors: $errors
+        );
+    }
+
+    /**
+     * Whether more pages follow this one
+     *
+     * @return bool
+     */
+    public function hasMore(): bool
+    {
+        return $this->page * $this->perPage < $this->total;
+    }
+
+    /**
+     * Get error messages as string
+     *
+     * @param string $separator
+     * @return string
+     */
+    public function getErrorMessage(string $separator = ', '): string
+    {
+        return implode($separator, $this->errors);
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'success' => $this->success,
+            'items' => $this->items,
+            'total' => $this->total,
+            'page' => $this->page,
+            'perPage' => $this->perPage,
+            'hasMore' => $this->hasMore(),
+            'statistics' => $this->statistics,
+            'errors' => $this->errors,
+        ];
+    }
+}
@@ -0,0 +1,89 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Resend DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Newsletter resend request DTO
+ */
+final class NewsletterResendDTO
+{
+    /**
+     * Subscribers of the chosen dependency lists
+     */
+    public const AUDIENCE_DEPENDENCIES = 'dependencies';
+
+    /**
+     * Subscribers whose delivery failed in a send batch or bounced, hard or soft
+     */
+    public const AUDIENCE_FAILED = 'failed';
+
+    /**
+     * Subscribers who joined after the newsletter was sent
+     */
+    public const AUDIENCE_NEW = 'new';
+
+    /**
+     * Constructor
+     *
+     * @param int $newsletterId Newsletter number
+     * @param string $audience One of the AUDIENCE_* constants
+     * @param array<int> $dependencyIds Lists to send to, or to narrow the other audiences to
+     */
+    public function __construct(
+        public readonly int $newsletterId,
+        public readonly string $audience,
+        public readonly array $dependencyIds = []
+    ) {
+    }
+
+    /**
+     * Create from request data
+     *
+     * @param array $data
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data): self
+    {
+        if (empty($data['id'])) {
+            throw new \InvalidArgumentException('Newsletter ID is required');
+        }
+
+        $audience = (string)($data['audience'] ?? '');
+
+        if (!in_array($audience, [self::AUDIENCE_DEPENDENCIES, self::AUDIENCE_FAILED, self::AUDIENCE_NEW], true)) {
+            throw new \InvalidArgumentException('Invalid resend audience');
+        }
+
+        $dependencyIds = is_array($data['dependencies'] ?? null) ? $data['dependencies'] : [];
+
+        return new self(
+            newsletterId: (int)$data['id'],
+            audience: $audience,
+            dependencyIds: array_values(array_unique(array_filter(array_map('intval', $dependencyIds))))
+        );
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'newsletterId' => $this->newsletterId,
+            'audience' => $this->audience,
+            'dependencyIds' => $this->dependencyIds,
+        ];
+    }
+}
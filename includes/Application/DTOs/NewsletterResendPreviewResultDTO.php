@@ -0,0 +1,117 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Resend Preview Result DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Newsletter resend audience preview result DTO
+ */
+final class NewsletterResendPreviewResultDTO
+{
+    /**
+     * Constructor
+     *
+     * @param bool $success
+     * @param int $newsletterId Newsletter number
+     * @param string $audience
+     * @param int $recipients Subscribers the resend would go to
+     * @param int $batchSize Recipients per campaign, larger resends go out one batch per day
+     * @param bool $pending Brevo is still exporting the bounces, the count is not known yet
+     * @param array $dependencies Dependency lists with their subscribers, for the picker
+     * @param array $errors
+     */
+    public function __construct(
+        public readonly bool $success,
+        public readonly int $newsletterId = 0,
+        public readonly string $audience = '',
+        public readonly int $recipients = 0,
+        public readonly int $batchSize = 0,
+        public readonly bool $pending = false,
+        public readonly array $dependencies = [],
+        public readonly array $errors = []
+    ) {
+    }
+
+    /**
+     * Create a success result
+     *
+     * @param int $newsletterId
+     * @param string $audience
+     * @param int $recipients
+     * @param int $batchSize
+     * @param bool $pending
+     * @param array $dependencies
+     * @return self
+     */
+    public static function success(
+        int $newsletterId,
+        string $audience,
+        int $recipients,
+        int $batchSize,
+        bool $pending,
+        array $dependencies
+    ): self {
+        return new self(
+            success: true,
+            newsletterId: $newsletterId,
+            audience: $audience,
+            recipients: $recipients,
+            batchSize: $batchSize,
+            pending: $pending,
+            dependencies: $dependencies,
+            errors: []
+        );
+    }
+
+    /**
+     * Create a failure result
+     *
+     * @param array $errors
+     * @return self
+     */
+    public static function failure(array $errors): self
+    {
+        return new self(
+            success: false,
+            errors: $errors
+        );
+    }
+
+    /**
+     * Get error messages as string
+     *
+     * @param string $separator
+     * @return string
+     */
+    public function getErrorMessage(string $separator = ', '): string
+    {
+        return implode($separator, $this->errors);
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'success' => $this->success,
+            'newsletterId' => $this->newsletterId,
+            'audience' => $this->audience,
+            'recipients' => $this->recipients,
+            'batchSize' => $this->batchSize,
+            'pending' => $this->pending,
+            'dependencies' => $this->dependencies,
+            'errors' => $this->errors,
+        ];
+    }
+}
@@ -0,0 +1,73 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Schedule DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Newsletter schedule change DTO
+ */
+final class NewsletterScheduleDTO
+{
+    /**
+     * Constructor
+     *
+     * @param int $newsletterId Newsletter number
+     * @param \DateTimeInterface $scheduledAt
+     */
+    public function __construct(
+        public readonly int $newsletterId,
+        public readonly \DateTimeInterface $scheduledAt
+    ) {
+    }
+
+    /**
+     * Create from request data
+     *
+     * @param array $data
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data): self
+    {
+        if (empty($data['id'])) {
+            throw new \InvalidArgumentException('Newsletter ID is required');
+        }
+
+        if (empty($data['scheduledAt'])) {
+            throw new \InvalidArgumentException('Scheduled date is required');
+        }
+
+        try {
+            // Editors pick the time in the site's timezone
+            $scheduledAt = new \DateTimeImmutable($data['scheduledAt'], wp_timezone());
+        } catch (\Exception $e) {
+            throw new \InvalidArgumentException('Invalid scheduled date');
+        }
+
+        return new self(
+            newsletterId: (int)$data['id'],
+            scheduledAt: $scheduledAt
+        );
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'newsletterId' => $this->newsletterId,
+            'scheduledAt' => $this->scheduledAt->format('Y-m-d H:i:s'),
+        ];
+    }
+}
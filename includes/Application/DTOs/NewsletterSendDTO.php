@@ -23,12 +23,14 @@ final class NewsletterSendDTO
      * @param string $html
      * @param array $recipientFilters
      * @param \DateTimeInterface|null $scheduledAt
+     * @param int|null $version Stored version to send, replaces $html
      */
     public function __construct(
         public readonly int $newsletterId,
         public readonly string $html,
         public readonly array $recipientFilters = [],
-        public readonly ?\DateTimeInterface $scheduledAt = null
+        public readonly ?\DateTimeInterface $scheduledAt = null,
+        public readonly ?int $version = null
     ) {
     }
     
@@ -45,20 +47,28 @@ final class NewsletterSendDTO
             throw new \InvalidArgumentException('Newsletter ID is required');
         }
         
-        if (empty($data['html'])) {
+        $version = !empty($data['version']) ? (int)$data['version'] : null;
+
+        if ($version !== null && $version < 1) {
+            throw new \InvalidArgumentException('Invalid newsletter version');
+        }
+
+        if ($version === null && empty($data['html'])) {
             throw new \InvalidArgumentException('Newsletter HTML content is required');
         }
         
         $scheduledAt = null;
         if (!empty($data['scheduledAt'])) {
-            $scheduledAt = new \DateTimeImmutable($data['scheduledAt']);
+            // Editors pick the time in the site's timezone
+            $scheduledAt = new \DateTimeImmutable($data['scheduledAt'], wp_timezone());
         }
         
         return new self(
             newsletterId: (int)$data['id'],
-            html: $data['html'],
+            html: $version === null ? $data['html'] : '',
             recipientFilters: $data['filters'] ?? [],
-            scheduledAt: $scheduledAt
+            scheduledAt: $scheduledAt,
+            version: $version
         );
     }
     
@@ -72,6 +82,16 @@ final class NewsletterSendDTO
         return $this->scheduledAt !== null;
     }
     
+    /**
+     * Check if a stored version is sent instead of the HTML from the request
+     *
+     * @return bool
+     */
+    public function usesVersion(): bool
+    {
+        return $this->version !== null;
+    }
+    
     /**
      * Check if scheduled time is valid
      *
@@ -110,6 +130,7 @@ final class NewsletterSendDTO
             'html' => $this->html,
             'recipientFilters' => $this->recipientFilters,
             'scheduledAt' => $this->scheduledAt?->format('Y-m-d H:i:s'),
+            'version' => $this->version,
         ];
     }
 }
@@ -0,0 +1,106 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Test Send DTO
+ *
+ * @package RIILSA\Application\DTOs
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\DTOs;
+
+/**
+ * Newsletter test send DTO
+ */
+final class NewsletterTestSendDTO
+{
+    /**
+     * Maximum number of addresses per test send
+     */
+    public const MAX_RECIPIENTS = 10;
+
+    /**
+     * Constructor
+     *
+     * @param int $newsletterId Newsletter number
+     * @param string $html
+     * @param array<string> $emails
+     * @param bool $saveAsDefault Whether to keep the addresses for future tests
+     */
+    public function __construct(
+        public readonly int $newsletterId,
+        public readonly string $html,
+        public readonly array $emails,
+        public readonly bool $saveAsDefault = false
+    ) {
+    }
+
+    /**
+     * Create from request data
+     *
+     * @param array $data
+     * @return self
+     * @throws \InvalidArgumentException
+     */
+    public static function fromRequest(array $data): self
+    {
+        if (empty($data['id'])) {
+            throw new \InvalidArgumentException('Newsletter ID is required');
+        }
+
+        if (empty($data['html'])) {
+            throw new \InvalidArgumentException('Newsletter HTML content is required');
+        }
+
+        $rawEmails = is_array($data['emails'] ?? null)
+            ? $data['emails']
+            : preg_split('/[\s,;]+/', (string)($data['emails'] ?? ''));
+
+        $emails = [];
+        foreach (array_filter(array_map('trim', $rawEmails)) as $rawEmail) {
+            $email = filter_var($rawEmail, FILTER_SANITIZE_EMAIL);
+
+            if (!filter_var($email, FILTER_VALIDATE_EMAIL)) {
+                throw new \InvalidArgumentException(sprintf('Invalid email format: %s', $rawEmail));
+            }
+
+            $emails[] = strtolower($email);
+        }
+
+        $emails = array_values(array_unique($emails));
+
+        if (empty($emails)) {
+            throw new \InvalidArgumentException('At least one email address is required');
+        }
+
+        if (count($emails) > self::MAX_RECIPIENTS) {
+            throw new \InvalidArgumentException(
+                sprintf('A test can be sent to at most %d addresses', self::MAX_RECIPIENTS)
+            );
+        }
+
+        return new self(
+            newsletterId: (int)$data['id'],
+            html: $data['html'],
+            emails: $emails,
+            saveAsDefault: filter_var($data['saveAsDefault'] ?? false, FILTER_VALIDATE_BOOLEAN)
+        );
+    }
+
+    /**
+     * Convert to array
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'newsletterId' => $this->newsletterId,
+            'html' => $this->html,
+            'emails' => $this->emails,
+            'saveAsDefault' => $this->saveAsDefault,
+        ];
+    }
+}
@@ -54,7 +54,10 @@ class TemplateGenerationService
         $html = $this->replaceBasePlaceholders($baseTemplate, $newsletter);
 
         // Generate content sections
-        $contentHtml = $this->generateContentSections($newsletter->getCategorizedNews());
+        $contentHtml = $this->generateContentSections(
+            $newsletter->getCategorizedNews(),
+            $newsletter->getOverrides()
+        );
 
         // Replace content placeholder
         $html = str_replace('-- REPLACE --', $contentHtml, $html);
@@ -118,25 +121,26 @@ class TemplateGenerationService
      * Generate content sections
      *
      * @param array $categorizedNews
+     * @param array<int, array> $overrides Newsletter-only content keyed by news ID
      * @return string
      */
-    private function generateContentSections(array $categorizedNews): string
+    private function generateContentSections(array $categorizedNews, array $overrides = []): string
     {
         $sections = [];
 
         // Process highlights
         if (!empty($categorizedNews['highlight'])) {
-            $sections = array_merge($sections, $this->generateHighlights($categorizedNews['highlight']));
+            $sections = array_merge($sections, $this->generateHighlights($categorizedNews['highlight'], $overrides));
         }
 
         // Process normal news
         if (!empty($categorizedNews['normal'])) {
-            $sections = array_merge($sections, $this->generateNormalNews($categorizedNews['normal']));
+            $sections = array_merge($sections, $this->generateNormalNews($categorizedNews['normal'], $overrides));
         }
 
         // Process grid news
         if (!empty($categorizedNews['grid'])) {
-            $sections = array_merge($sections, $this->generateGridNews($categorizedNews['grid']));
+            $sections = array_merge($sections, $this->generateGridNews($categorizedNews['grid'], $overrides));
         }
 
         // Interleave with spacers
@@ -147,15 +151,16 @@ class TemplateGenerationService
      * Generate highlight sections
      *
      * @param array<News> $newsItems
+     * @param array<int, array> $overrides Newsletter-only content keyed by news ID
      * @return array
      */
-    private function generateHighlights(array $newsItems): array
+    private function generateHighlights(array $newsItems, array $overrides = []): array
     {
         $sections = [];
         $template = $this->loadTemplate('highlight');
 
         foreach ($newsItems as $news) {
-            $sections[] = $this->replaceNewsPlaceholders($template, $news);
+            $sections[] = $this->replaceNewsPlaceholders($template, $news, $overrides[$news->getId()] ?? []);
         }
 
         return $sections;
@@ -165,9 +170,10 @@ class TemplateGenerationService
      * Generate normal news sections
      *
      * @param array<News> $newsItems
+     * @param array<int, array> $overrides Newsletter-only content keyed by news ID
      * @return array
      */
-    private function generateNormalNews(array $newsItems): array
+    private function generateNormalNews(array $newsItems, array $overrides = []): array
     {
         $sections = [];
         $template = $this->loadTemplate('normal');
@@ -178,7 +184,7 @@ class TemplateGenerationService
         foreach ($chunks as $chunk) {
             $sectionHtml = '';
             foreach ($chunk as $news) {
-                $sectionHtml .= $this->replaceNewsPlaceholders($template, $news);
+                $sectionHtml .= $this->replaceNewsPlaceholders($template, $news, $overrides[$news->getId()] ?? []);
             }
             $sections[] = $sectionHtml;
         }
@@ -190,9 +196,10 @@ class TemplateGenerationService
      * Generate grid news sections
      *
      * @param array<News> $newsItems
+     * @param array<int, array> $overrides Newsletter-only content keyed by news ID
      * @return array
      */
-    private function generateGridNews(array $newsItems): array
+    private function generateGridNews(array $newsItems, array $overrides = []): array
     {
         $sections = [];
         $gridTemplate = $this->loadTemplate('grid');
@@ -206,7 +213,7 @@ class TemplateGenerationService
 
             // Replace each item placeholder
             foreach ($chunk as $news) {
-                $itemHtml = $this->replaceNewsPlaceholders($itemTemplate, $news);
+                $itemHtml = $this->replaceNewsPlaceholders($itemTemplate, $news, $overrides[$news->getId()] ?? []);
                 $gridHtml = $this->replaceFirst('-- ITEM --', $itemHtml, $gridHtml);
             }
 
@@ -224,15 +231,26 @@ class TemplateGenerationService
      *
      * @param string $template
      * @param News $news
+     * @param array{title?: string, excerpt?: string, image?: string} $override Newsletter-only content
      * @return string
      */
-    private function replaceNewsPlaceholders(string $template, News $news): string
+    private function replaceNewsPlaceholders(string $template, News $news, array $override = []): string
     {
+        $title = $this->escapeHtml($override['title'] ?? $news->getTitle());
+
         $replacements = [
-            '__title__' => $this->escapeHtml($news->getTitle()),
-            '__description__' => $this->escapeHtml($news->getExcerpt()),
+            // Overridden items are tagged so the preview can point them out, see stripOverrideMarkers()
+            '__title__' => empty($override) ? $title : sprintf(
+                '<span data-riilsa-override="%s">%s</span>',
+                implode(' ', array_keys($override)),
+                $title
+            ),
+            '__alt__' => $title,
+            '__description__' => isset($override['excerpt'])
+                ? nl2br($this->escapeHtml($override['excerpt']), false)
+                : $this->escapeHtml($news->getExcerpt()),
             '__url__' => esc_url($news->getUrl()),
-            '__img__' => esc_url($news->getFeaturedImageUrl() ?? $this->getDefaultImageUrl()),
+            '__img__' => esc_url($override['image'] ?? $news->getFeaturedImageUrl() ?? $this->getDefaultImageUrl()),
             '__area__' => $this->escapeHtml($news->getResearchLine() ?? ''),
         ];
 
@@ -243,6 +261,18 @@ class TemplateGenerationService
         );
     }
 
+    /**
+     * Remove the preview-only override markers, leaving their text
+     * Applied to every HTML that is stored or mailed
+     *
+     * @param string $html
+     * @return string
+     */
+    public function stripOverrideMarkers(string $html): string
+    {
+        return (string) preg_replace('#<span data-riilsa-override="[^"]*">([^<]*)</span>#', '$1', $html);
+    }
+
     /**
      * Interleave sections with spacers
      *
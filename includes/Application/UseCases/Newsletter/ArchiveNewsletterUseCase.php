@@ -0,0 +1,70 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Archive Newsletter Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterSendResultDTO;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for archiving a sent newsletter or bringing it back
+ * 
+ * Pattern: Use Case Pattern
+ * This class moves sent newsletters out of the default history view, keeping their status
+ */
+class ArchiveNewsletterUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param int $newsletterNumber
+     * @param bool $archived Archive it, or bring it back to the default view
+     * @return NewsletterSendResultDTO
+     */
+    public function execute(int $newsletterNumber, bool $archived = true): NewsletterSendResultDTO
+    {
+        try {
+            $newsletter = $this->newsletterRepository->findByNumber($newsletterNumber);
+
+            if (!$newsletter) {
+                return NewsletterSendResultDTO::failure(['Newsletter not found']);
+            }
+
+            if ($archived) {
+                $newsletter->archive();
+            } else {
+                $newsletter->unarchive();
+            }
+
+            $this->newsletterRepository->save($newsletter);
+
+            return NewsletterSendResultDTO::success(0, 0, ['archived' => $archived]);
+
+        } catch (\DomainException $e) {
+            return NewsletterSendResultDTO::failure([$e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Newsletter archive error: ' . $e->getMessage(), 'error');
+
+            return NewsletterSendResultDTO::failure([
+                'Newsletter archive failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Cancel Newsletter Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterSendResultDTO;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for cancelling a draft or scheduled newsletter
+ * 
+ * Pattern: Use Case Pattern
+ * This class moves the newsletter to CANCELLED and drops its queued send
+ */
+class CancelNewsletterUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly NewsletterScheduler $scheduler
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param int $newsletterNumber
+     * @return NewsletterSendResultDTO
+     */
+    public function execute(int $newsletterNumber): NewsletterSendResultDTO
+    {
+        try {
+            $newsletter = $this->newsletterRepository->findByNumber($newsletterNumber);
+
+            if (!$newsletter) {
+                return NewsletterSendResultDTO::failure(['Newsletter not found']);
+            }
+
+            $newsletter->cancel();
+
+            $this->scheduler->unqueue($newsletter->getNumber());
+            $this->newsletterRepository->save($newsletter);
+
+            return NewsletterSendResultDTO::success(0, 0, ['status' => 'cancelled']);
+
+        } catch (\DomainException $e) {
+            return NewsletterSendResultDTO::failure([$e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Newsletter cancel error: ' . $e->getMessage(), 'error');
+
+            return NewsletterSendResultDTO::failure([
+                'Newsletter cancel failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+}
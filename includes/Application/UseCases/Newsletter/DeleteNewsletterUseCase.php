@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Delete Newsletter Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterSendResultDTO;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for deleting a newsletter that was never sent
+ * 
+ * Pattern: Use Case Pattern
+ * This class removes the newsletter with its queued send and HTML versions
+ */
+class DeleteNewsletterUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly NewsletterVersionRepositoryInterface $versionRepository,
+        private readonly NewsletterScheduler $scheduler
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param int $newsletterNumber
+     * @return NewsletterSendResultDTO
+     */
+    public function execute(int $newsletterNumber): NewsletterSendResultDTO
+    {
+        try {
+            $newsletter = $this->newsletterRepository->findByNumber($newsletterNumber);
+
+            if (!$newsletter) {
+                return NewsletterSendResultDTO::failure(['Newsletter not found']);
+            }
+
+            if (!$newsletter->canDelete()) {
+                return NewsletterSendResultDTO::failure([
+                    'Only draft or cancelled newsletters that were never sent can be deleted'
+                ]);
+            }
+
+            $this->scheduler->unqueue($newsletter->getNumber());
+            $this->versionRepository->deleteByNewsletter($newsletter->getId());
+
+            if (!$this->newsletterRepository->delete($newsletter)) {
+                throw new \RuntimeException('Failed to delete newsletter record');
+            }
+
+            return NewsletterSendResultDTO::success(0, 0, ['status' => 'deleted']);
+
+        } catch (\Exception $e) {
+            debugLog('Newsletter delete error: ' . $e->getMessage(), 'error');
+
+            return NewsletterSendResultDTO::failure([
+                'Newsletter delete failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+}
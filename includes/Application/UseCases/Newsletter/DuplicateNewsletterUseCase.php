@@ -0,0 +1,108 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Duplicate Newsletter Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterDraftResultDTO;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for starting a new newsletter from an existing one
+ *
+ * Pattern: Use Case Pattern
+ * This class copies the header, news, layout and overrides of a newsletter into a new draft
+ * with the next free number
+ */
+class DuplicateNewsletterUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     * The source newsletter is only read
+     *
+     * @param int $newsletterNumber Newsletter to copy
+     * @param int $ownerId User the new draft belongs to
+     * @return NewsletterDraftResultDTO
+     */
+    public function execute(int $newsletterNumber, int $ownerId): NewsletterDraftResultDTO
+    {
+        try {
+            $source = $this->newsletterRepository->findByNumber($newsletterNumber);
+
+            if (!$source) {
+                return NewsletterDraftResultDTO::failure(['Newsletter not found']);
+            }
+
+            $draft = new Newsletter(
+                $this->newsletterRepository->getNextNewsletterNumber(),
+                $source->getHeaderText(),
+                $source->getNewsIds()
+            );
+            $draft->assignOwner($ownerId);
+            $draft->setLayout($source->getLayout());
+            $draft->setOverrides($source->getOverrides());
+
+            $draft = $this->newsletterRepository->save($draft);
+
+            return NewsletterDraftResultDTO::success(
+                draftId: (int)$draft->getId(),
+                number: $draft->getNumber(),
+                draft: $this->toComposition($draft)
+            );
+
+        } catch (\DomainException $e) {
+            return NewsletterDraftResultDTO::failure([$e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Newsletter duplicate error: ' . $e->getMessage(), 'error');
+
+            return NewsletterDraftResultDTO::failure([
+                'Newsletter could not be duplicated: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Get the draft in the shape the composer sends, lists with the news ID in each entry
+     *
+     * @param Newsletter $draft
+     * @return array
+     */
+    private function toComposition(Newsletter $draft): array
+    {
+        $layout = [];
+        foreach ($draft->getLayout() as $newsId => $entry) {
+            $layout[] = ['id' => (string)$newsId] + $entry;
+        }
+
+        $overrides = [];
+        foreach ($draft->getOverrides() as $newsId => $fields) {
+            $overrides[] = ['id' => (string)$newsId] + $fields;
+        }
+
+        return [
+            'id' => $draft->getId(),
+            'number' => $draft->getNumber(),
+            'headerText' => $draft->getHeaderText(),
+            'newsIds' => $draft->getNewsIds(),
+            'layout' => $layout,
+            'overrides' => $overrides,
+        ];
+    }
+}
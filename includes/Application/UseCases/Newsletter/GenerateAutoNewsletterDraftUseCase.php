@@ -0,0 +1,130 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Generate Auto Newsletter Draft Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\AutoDraftSettingsDTO;
+use RIILSA\Application\DTOs\AutoNewsletterRangeDTO;
+use RIILSA\Application\DTOs\NewsletterGenerationDTO;
+use RIILSA\Application\DTOs\NewsletterGenerationResultDTO;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Services\NewsletterContentService;
+use RIILSA\Infrastructure\WordPress\EditorNotifier;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for building the recurring automatic newsletter draft
+ *
+ * Pattern: Use Case Pattern
+ * This class picks the recent published news, renders a draft and asks the editors to review it
+ */
+class GenerateAutoNewsletterDraftUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly GetAutoNewsletterNewsUseCase $getAutoNewsletterNewsUseCase,
+        private readonly GenerateNewsletterUseCase $generateNewsletterUseCase,
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly NewsletterContentService $contentService,
+        private readonly EditorNotifier $editorNotifier
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param AutoDraftSettingsDTO $dto
+     * @return NewsletterGenerationResultDTO
+     */
+    public function execute(AutoDraftSettingsDTO $dto): NewsletterGenerationResultDTO
+    {
+        try {
+            // Same news the auto section shows for the configured range
+            $news = $this->getAutoNewsletterNewsUseCase->execute(new AutoNewsletterRangeDTO($dto->preset));
+
+            if (!$news->success) {
+                return NewsletterGenerationResultDTO::failure($news->errors);
+            }
+
+            if (empty($news->items)) {
+                return NewsletterGenerationResultDTO::failure([
+                    sprintf('No published news between %s and %s', $news->range['start'], $news->range['end'])
+                ]);
+            }
+
+            // Items come newest first, keep what fits
+            $newsIds = array_slice(
+                array_map(fn(array $item) => (int) $item['id'], $news->items),
+                0,
+                $this->contentService->getTotalCapacity()
+            );
+
+            $number = $this->newsletterRepository->getLastNewsletterNumber() + 1;
+
+            $result = $this->generateNewsletterUseCase->execute(new NewsletterGenerationDTO(
+                newsletterNumber: $number,
+                headerText: $dto->headerText !== '' ? $dto->headerText : $this->getDefaultHeader($news->range),
+                newsIds: $newsIds
+            ));
+
+            if (!$result->success) {
+                return $result;
+            }
+
+            $newsletter = $this->newsletterRepository->findByNumber($number);
+
+            if (!$newsletter) {
+                return NewsletterGenerationResultDTO::failure([
+                    sprintf('Newsletter #%d was not saved', $number)
+                ]);
+            }
+
+            $newsletter->markAutoGenerated();
+            $this->newsletterRepository->save($newsletter);
+
+            $notified = $this->editorNotifier->notifyAutoDraft($newsletter, $dto->recipients);
+
+            return NewsletterGenerationResultDTO::success(
+                html: $result->html,
+                newsletterId: $result->newsletterId ?? 0,
+                statistics: array_merge($result->statistics, [
+                    'number' => $number,
+                    'range' => $news->range,
+                    'notified' => $notified,
+                ])
+            );
+
+        } catch (\Exception $e) {
+            debugLog('Auto newsletter draft error: ' . $e->getMessage(), 'error');
+
+            return NewsletterGenerationResultDTO::failure([
+                'Automatic newsletter draft failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Header used when the settings leave it empty
+     *
+     * @param array $range Resolved range with start and end (Y-m-d)
+     * @return string
+     */
+    private function getDefaultHeader(array $range): string
+    {
+        return sprintf(
+            __('Noticias publicadas del %s al %s', 'riilsa'),
+            date_i18n('j \d\e F', strtotime($range['start'])),
+            date_i18n('j \d\e F \d\e Y', strtotime($range['end']))
+        );
+    }
+}
@@ -16,8 +16,10 @@ use RIILSA\Application\DTOs\NewsletterGenerationResultDTO;
 use RIILSA\Application\Services\TemplateGenerationService;
 use RIILSA\Domain\Entities\Newsletter;
 use RIILSA\Domain\Entities\News;
+use RIILSA\Domain\Entities\NewsletterVersion;
 use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
 use RIILSA\Domain\Repositories\NewsRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
 use RIILSA\Domain\Services\NewsletterContentService;
 use function RIILSA\Core\debugLog;
 
@@ -35,6 +37,7 @@ class GenerateNewsletterUseCase
     public function __construct(
         private readonly NewsletterRepositoryInterface $newsletterRepository,
         private readonly NewsRepositoryInterface $newsRepository,
+        private readonly NewsletterVersionRepositoryInterface $versionRepository,
         private readonly NewsletterContentService $contentService,
         private readonly TemplateGenerationService $templateService
     ) {
@@ -67,21 +70,21 @@ class GenerateNewsletterUseCase
 
             // Create or get newsletter
             $newsletter = $this->getOrCreateNewsletter($dto);
+            $newsletter->setOverrides($dto->overrides);
 
-            // Categorize news items
-            $categorizedNews = $this->contentService->categorizeNewsItems(
-                $newsItems,
-                $dto->newsIds
-            );
+            // Categorize news items, honoring the editor's layout when provided
+            $categorizedNews = $dto->hasLayout()
+                ? $this->contentService->arrangeNewsItems($newsItems, $dto->layout)
+                : $this->contentService->categorizeNewsItems($newsItems, $dto->newsIds);
 
             // Add categorized news to newsletter
             foreach ($categorizedNews as $category => $items) {
                 $newsletter->addCategorizedNews($category, $items);
             }
 
-            // Generate HTML content
+            // Generate HTML content, the override markers are only for the preview
             $html = $this->templateService->generateNewsletterHtml($newsletter);
-            $newsletter->setHtmlContent($html);
+            $newsletter->setHtmlContent($this->templateService->stripOverrideMarkers($html));
 
             // Validate newsletter content
             $validation = $this->contentService->validateNewsletterContent($newsletter);
@@ -90,9 +93,18 @@ class GenerateNewsletterUseCase
             }
 
             // Save if requested
+            $version = null;
             if ($dto->updateDatabase) {
                 $newsletter = $this->newsletterRepository->save($newsletter);
 
+                // Every saved generation is kept, so history can send exactly what was approved
+                $version = $this->versionRepository->add(new NewsletterVersion(
+                    (int)$newsletter->getId(),
+                    $this->versionRepository->getLatestVersionNumber((int)$newsletter->getId()) + 1,
+                    (string)$newsletter->getHtmlContent(),
+                    $dto->editorId
+                ));
+
                 // Update news items with newsletter association
                 $this->newsRepository->updateNewsletterAssociation(
                     $dto->newsIds,
@@ -103,6 +115,10 @@ class GenerateNewsletterUseCase
             // Get statistics
             $statistics = $this->contentService->getContentStatistics($newsletter);
 
+            if ($version) {
+                $statistics['version'] = $version->getVersion();
+            }
+
             return NewsletterGenerationResultDTO::success(
                 html: $html,
                 newsletterId: $newsletter->getId() ?? 0,
@@ -120,10 +136,11 @@ class GenerateNewsletterUseCase
 
     /**
      * Get existing newsletter or create new one
+     * An existing newsletter only gets its content replaced, its send history is kept
      *
      * @param NewsletterGenerationDTO $dto
      * @return Newsletter
-     * @throws \RuntimeException
+     * @throws \DomainException
      */
     private function getOrCreateNewsletter(NewsletterGenerationDTO $dto): Newsletter
     {
@@ -131,17 +148,17 @@ class GenerateNewsletterUseCase
         $existing = $this->newsletterRepository->findByNumber($dto->newsletterNumber);
 
         if ($existing) {
-            $oldId = $existing->getId();
-            $existing = new Newsletter(
-                $existing->getNumber(),
-                $dto->headerText,
-                $dto->newsIds
-            );
-
-            if ($oldId !== null) {
-                $existing->setId($oldId);
+            // Sending, sent and cancelled newsletters can still be previewed but not saved over
+            if ($dto->updateDatabase && !$existing->getStatus()->canSend()) {
+                throw new \DomainException(sprintf(
+                    'Newsletter #%d can no longer be changed in status: %s',
+                    $existing->getNumber(),
+                    $existing->getStatus()->label()
+                ));
             }
 
+            $existing->replaceContent($dto->headerText, $dto->newsIds);
+
             return $existing;
         }
 
@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Get Auto Newsletter News Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\AutoNewsletterNewsResultDTO;
+use RIILSA\Application\DTOs\AutoNewsletterRangeDTO;
+use RIILSA\Domain\Entities\News;
+use RIILSA\Domain\Repositories\NewsRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Services\NewsletterContentService;
+use RIILSA\Domain\ValueObjects\DateRange;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+use RIILSA\Domain\ValueObjects\PostStatus;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for listing the news of the automatic newsletter
+ * 
+ * Pattern: Use Case Pattern
+ * This class resolves the chosen date range and finds the news published in it
+ */
+class GetAutoNewsletterNewsUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsRepositoryInterface $newsRepository,
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly NewsletterContentService $contentService
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param AutoNewsletterRangeDTO $dto
+     * @return AutoNewsletterNewsResultDTO
+     */
+    public function execute(AutoNewsletterRangeDTO $dto): AutoNewsletterNewsResultDTO
+    {
+        try {
+            $lastSent = $this->newsletterRepository->findByStatus(NewsletterStatus::SENT, 1)[0] ?? null;
+            $preset = $dto->preset;
+
+            // Nothing sent yet, fall back to the usual month
+            if ($preset === AutoNewsletterRangeDTO::PRESET_LAST_SENT && (!$lastSent || !$lastSent->getSentAt())) {
+                $preset = AutoNewsletterRangeDTO::PRESET_MONTH;
+            }
+
+            $dateRange = $this->resolveDateRange($preset, $dto, $lastSent?->getSentAt());
+
+            $news = $this->newsRepository->findByDateRange($dateRange, PostStatus::PUBLISHED);
+
+            usort($news, fn(News $a, News $b) => $this->getDate($b) <=> $this->getDate($a));
+
+            $items = array_map(fn(News $item) => [
+                'id' => $item->getId(),
+                'title' => $item->getTitle(),
+                'researchLine' => $item->getResearchLine() ?? '',
+                'position' => $item->getPosition(),
+                'date' => $this->getDate($item)->format('Y-m-d'),
+                'url' => $item->getUrl(),
+            ], $news);
+
+            return AutoNewsletterNewsResultDTO::success(
+                items: $items,
+                range: [
+                    'preset' => $preset,
+                    'start' => $dateRange->getStartDate()->format('Y-m-d'),
+                    'end' => $dateRange->getEndDate()->format('Y-m-d'),
+                ],
+                statistics: [
+                    'count' => count($items),
+                    'capacity' => $this->contentService->getTotalCapacity(),
+                    'lastSentNumber' => $lastSent?->getNumber(),
+                    'lastSentAt' => $lastSent?->getSentAt()?->format('Y-m-d'),
+                ]
+            );
+
+        } catch (\InvalidArgumentException $e) {
+            return AutoNewsletterNewsResultDTO::failure([$e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Auto newsletter news error: ' . $e->getMessage(), 'error');
+
+            return AutoNewsletterNewsResultDTO::failure([
+                'Loading the automatic newsletter news failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Build the date range of a preset
+     *
+     * @param string $preset
+     * @param AutoNewsletterRangeDTO $dto
+     * @param \DateTimeImmutable|null $lastSentAt
+     * @return DateRange
+     */
+    private function resolveDateRange(
+        string $preset,
+        AutoNewsletterRangeDTO $dto,
+        ?\DateTimeImmutable $lastSentAt
+    ): DateRange {
+        $today = new \DateTimeImmutable('today', wp_timezone());
+
+        return match ($preset) {
+            AutoNewsletterRangeDTO::PRESET_LAST_SENT => new DateRange(
+                min($lastSentAt->setTimezone(wp_timezone())->setTime(0, 0), $today),
+                $today
+            ),
+            AutoNewsletterRangeDTO::PRESET_TWO_WEEKS => new DateRange($today->modify('-14 days'), $today),
+            AutoNewsletterRangeDTO::PRESET_CUSTOM => DateRange::fromStrings($dto->from, $dto->to),
+            default => new DateRange($today->modify('-1 month'), $today),
+        };
+    }
+
+    /**
+     * Get the date a news item counts from
+     *
+     * @param News $news
+     * @return \DateTimeImmutable
+     */
+    private function getDate(News $news): \DateTimeImmutable
+    {
+        return $news->getPublishedAt() ?? $news->getCreatedAt();
+    }
+}
@@ -0,0 +1,218 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Get Newsletter Analytics Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterAnalyticsDTO;
+use RIILSA\Application\DTOs\NewsletterAnalyticsResultDTO;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsRepositoryInterface;
+use RIILSA\Infrastructure\Services\BrevoMailService;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for the engagement analytics of a sent newsletter
+ *
+ * Pattern: Use Case Pattern
+ * This class reads the Brevo campaign statistics, caches them in the newsletter
+ * and breaks the clicks down per news item
+ */
+class GetNewsletterAnalyticsUseCase
+{
+    /**
+     * Totals kept in the cache, as returned by BrevoMailService::getCampaignStatistics()
+     */
+    private const TOTAL_FIELDS = [
+        'delivered',
+        'sent',
+        'opens',
+        'uniqueOpens',
+        'clicks',
+        'uniqueClicks',
+        'hardBounces',
+        'softBounces',
+        'unsubscriptions',
+        'complaints',
+    ];
+
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly NewsRepositoryInterface $newsRepository,
+        private readonly BrevoMailService $brevoMailService
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param NewsletterAnalyticsDTO $dto
+     * @return NewsletterAnalyticsResultDTO
+     */
+    public function execute(NewsletterAnalyticsDTO $dto): NewsletterAnalyticsResultDTO
+    {
+        try {
+            $newsletter = $this->newsletterRepository->findByNumber($dto->newsletterId);
+
+            if (!$newsletter) {
+                return NewsletterAnalyticsResultDTO::failure(['Newsletter not found']);
+            }
+
+            if (!$newsletter->isSent()) {
+                return NewsletterAnalyticsResultDTO::failure(['Only sent newsletters have analytics']);
+            }
+
+            $analytics = $newsletter->getStatistics()['analytics'] ?? null;
+
+            if ($dto->refresh || !is_array($analytics)) {
+                $analytics = $this->fetchAnalytics($newsletter);
+            }
+
+            [$items, $otherClicks] = $this->getItemClicks($newsletter, $analytics['links']);
+
+            return NewsletterAnalyticsResultDTO::success(
+                newsletterId: $newsletter->getNumber(),
+                totals: $analytics['totals'],
+                items: $items,
+                otherClicks: $otherClicks,
+                fetchedAt: $analytics['fetchedAt']
+            );
+
+        } catch (\Exception $e) {
+            debugLog('Newsletter analytics error: ' . $e->getMessage(), 'error');
+
+            return NewsletterAnalyticsResultDTO::failure([
+                'Failed to load newsletter analytics: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Read the statistics of every campaign of the newsletter and cache the sum
+     *
+     * @param Newsletter $newsletter
+     * @return array{fetchedAt: string, totals: array<string, int>, links: array<string, int>}
+     * @throws \RuntimeException
+     */
+    private function fetchAnalytics(Newsletter $newsletter): array
+    {
+        $campaignIds = $newsletter->getCampaignIds();
+
+        if (empty($campaignIds)) {
+            throw new \RuntimeException('The newsletter has no Brevo campaign');
+        }
+
+        $totals = array_fill_keys(self::TOTAL_FIELDS, 0);
+        $links = [];
+
+        foreach ($campaignIds as $campaignId) {
+            $campaign = $this->brevoMailService->getCampaignStatistics($campaignId);
+
+            foreach (self::TOTAL_FIELDS as $field) {
+                $totals[$field] += (int)($campaign[$field] ?? 0);
+            }
+
+            foreach ($campaign['links'] ?? [] as $url => $clicks) {
+                $links[$url] = ($links[$url] ?? 0) + (int)$clicks;
+            }
+        }
+
+        $analytics = [
+            'fetchedAt' => current_time('mysql'),
+            'totals' => $totals,
+            'links' => $links,
+        ];
+
+        // The legacy counters are filled too so older screens show the same numbers
+        $newsletter->updateStatistics([
+            'analytics' => $analytics,
+            'opened' => $totals['uniqueOpens'],
+            'clicked' => $totals['uniqueClicks'],
+            'bounced' => $totals['hardBounces'] + $totals['softBounces'],
+            'unsubscribed' => $totals['unsubscriptions'],
+        ]);
+
+        $this->newsletterRepository->updateStatistics($newsletter->getId(), $newsletter->getStatistics());
+
+        return $analytics;
+    }
+
+    /**
+     * Match the clicked links with the news items of the newsletter
+     *
+     * @param Newsletter $newsletter
+     * @param array<string, int> $links Clicks per URL
+     * @return array{0: array, 1: int} Items with their clicks, and clicks on any other link
+     */
+    private function getItemClicks(Newsletter $newsletter, array $links): array
+    {
+        $clicksByUrl = [];
+        foreach ($links as $url => $clicks) {
+            $key = $this->normalizeUrl((string)$url);
+            $clicksByUrl[$key] = ($clicksByUrl[$key] ?? 0) + (int)$clicks;
+        }
+
+        $layout = $newsletter->getLayout();
+        $items = [];
+
+        foreach ($this->newsRepository->findByIds($newsletter->getNewsIds()) as $news) {
+            $url = $news->getUrl();
+            $key = $this->normalizeUrl($url);
+
+            $items[] = [
+                'id' => $news->getId(),
+                'title' => $news->getTitle(),
+                'url' => $url,
+                'position' => $layout[$news->getId()]['position'] ?? null,
+                'clicks' => $clicksByUrl[$key] ?? 0,
+            ];
+
+            // Whatever is left once every item took its URL are the other links
+            unset($clicksByUrl[$key]);
+        }
+
+        usort($items, fn(array $a, array $b) => $b['clicks'] <=> $a['clicks']);
+
+        return [$items, array_sum($clicksByUrl)];
+    }
+
+    /**
+     * Reduce a URL to host, path and query so utm_* parameters and http/https do not split its clicks
+     * The query stays because plain permalinks tell posts apart by ?p=
+     *
+     * @param string $url
+     * @return string
+     */
+    private function normalizeUrl(string $url): string
+    {
+        $parts = wp_parse_url($url);
+
+        if (!is_array($parts) || empty($parts['host'])) {
+            return $url;
+        }
+
+        $query = [];
+        wp_parse_str($parts['query'] ?? '', $query);
+        $query = array_filter(
+            $query,
+            fn($key) => !str_starts_with((string)$key, 'utm_'),
+            ARRAY_FILTER_USE_KEY
+        );
+        ksort($query);
+
+        return strtolower($parts['host'])
+            . rtrim($parts['path'] ?? '', '/')
+            . ($query ? '?' . http_build_query($query) : '');
+    }
+}
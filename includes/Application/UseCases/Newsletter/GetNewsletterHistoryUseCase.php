@@ -0,0 +1,142 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Get Newsletter History Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterHistoryQueryDTO;
+use RIILSA\Application\DTOs\NewsletterHistoryResultDTO;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for listing the newsletter history one page at a time
+ *
+ * Pattern: Use Case Pattern
+ * This class filters the newsletters and shapes each one for the history cards
+ */
+class GetNewsletterHistoryUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly NewsletterVersionRepositoryInterface $versionRepository
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param NewsletterHistoryQueryDTO $dto
+     * @return NewsletterHistoryResultDTO
+     */
+    public function execute(NewsletterHistoryQueryDTO $dto): NewsletterHistoryResultDTO
+    {
+        try {
+            $criteria = $dto->toCriteria();
+
+            $total = $this->newsletterRepository->count($criteria);
+
+            $newsletters = $total > $dto->getOffset()
+                ? $this->newsletterRepository->findAll(
+                    $criteria,
+                    ['number' => 'DESC'],
+                    $dto->perPage,
+                    $dto->getOffset()
+                )
+                : [];
+
+            return NewsletterHistoryResultDTO::success(
+                items: array_map(fn(Newsletter $newsletter) => $this->toHistoryItem($newsletter), $newsletters),
+                total: $total,
+                page: $dto->page,
+                perPage: $dto->perPage,
+                statistics: [
+                    'statuses' => $this->getStatusCounts(),
+                ]
+            );
+
+        } catch (\Exception $e) {
+            debugLog('Newsletter history error: ' . $e->getMessage(), 'error');
+
+            return NewsletterHistoryResultDTO::failure([
+                'Failed to load newsletter history: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Shape a newsletter for its history card
+     *
+     * @param Newsletter $newsletter
+     * @return array
+     */
+    private function toHistoryItem(Newsletter $newsletter): array
+    {
+        $status = $newsletter->getStatus();
+        $scheduledAt = $newsletter->isScheduled() ? $newsletter->getScheduledAt() : null;
+
+        // Same shape the composer sends, so "Ver" and "Enviar" render the stored order and content
+        $layout = [];
+        foreach ($newsletter->getLayout() as $newsId => $entry) {
+            $layout[] = ['id' => (string)$newsId] + $entry;
+        }
+
+        $overrides = [];
+        foreach ($newsletter->getOverrides() as $newsId => $fields) {
+            $overrides[] = ['id' => (string)$newsId] + $fields;
+        }
+
+        // The stored snapshot "Ver" shows and sends, none for newsletters generated before versioning
+        $version = $this->versionRepository->getLatestVersionNumber((int)$newsletter->getId());
+
+        return [
+            'id' => $newsletter->getId(),
+            'number' => $newsletter->getNumber(),
+            'status' => $status->value,
+            'statusLabel' => $status->label(),
+            'headerText' => $newsletter->getHeaderText(),
+            'newsIds' => $newsletter->getNewsIds(),
+            'createdAt' => $newsletter->getCreatedAt()->format('Y-m-d H:i:s'),
+            'sentAt' => $newsletter->getSentAt()?->format('Y-m-d H:i:s'),
+            'scheduledAt' => $scheduledAt?->format('Y-m-d\TH:i'),
+            'autoGenerated' => $newsletter->isAutoGenerated(),
+            'sent' => $newsletter->isSent(),
+            'archived' => $newsletter->isArchived(),
+            'canCancel' => $newsletter->canCancel(),
+            'canDelete' => $newsletter->canDelete(),
+            'layout' => $layout,
+            'overrides' => $overrides,
+            'version' => $version ?: null,
+        ];
+    }
+
+    /**
+     * Count every newsletter per status, for the status filter
+     *
+     * @return array<array{value: int, label: string, count: int}>
+     */
+    private function getStatusCounts(): array
+    {
+        return array_map(
+            fn(NewsletterStatus $status) => [
+                'value' => $status->value,
+                'label' => $status->label(),
+                'count' => $this->newsletterRepository->countByStatus($status),
+            ],
+            NewsletterStatus::cases()
+        );
+    }
+}
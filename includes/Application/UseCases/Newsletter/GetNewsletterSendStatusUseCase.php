@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Get Newsletter Send Status Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterSendResultDTO;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+
+/**
+ * Use case for reporting the progress of a newsletter send
+ * 
+ * Pattern: Use Case Pattern
+ * This class turns the stored status and statistics into a send result
+ */
+class GetNewsletterSendStatusUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param int $trackingId Newsletter number returned when the send started
+     * @return NewsletterSendResultDTO|null Null if the newsletter does not exist
+     */
+    public function execute(int $trackingId): ?NewsletterSendResultDTO
+    {
+        $newsletter = $this->newsletterRepository->findByNumber($trackingId);
+
+        if (!$newsletter) {
+            return null;
+        }
+
+        $status = $newsletter->getStatus();
+        $statistics = $newsletter->getStatistics();
+        $errors = array_values(array_filter((array) ($statistics['errors'] ?? [])));
+
+        if ($status === NewsletterStatus::FAILED && !empty($statistics['failure_reason'])) {
+            $errors[] = $statistics['failure_reason'];
+        }
+
+        return new NewsletterSendResultDTO(
+            success: $status !== NewsletterStatus::FAILED,
+            recipientCount: (int) ($statistics['recipients'] ?? 0),
+            sentCount: (int) ($statistics['sent'] ?? 0),
+            errors: array_values(array_unique($errors)),
+            statistics: array_merge($statistics, [
+                'status' => $status->name,
+                'statusLabel' => $status->label(),
+                'isFinal' => $status !== NewsletterStatus::SENDING,
+            ])
+        );
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Recommend News Items Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsRecommendationDTO;
+use RIILSA\Application\DTOs\NewsRecommendationResultDTO;
+use RIILSA\Domain\Entities\News;
+use RIILSA\Domain\Repositories\NewsRepositoryInterface;
+use RIILSA\Domain\Services\NewsletterContentService;
+use RIILSA\Domain\ValueObjects\DateRange;
+use RIILSA\Domain\ValueObjects\PostStatus;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for recommending news items for the next newsletter
+ * 
+ * Pattern: Use Case Pattern
+ * This class picks recent published news as a starting selection
+ */
+class RecommendNewsItemsUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsRepositoryInterface $newsRepository,
+        private readonly NewsletterContentService $contentService
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param NewsRecommendationDTO $dto
+     * @return NewsRecommendationResultDTO
+     */
+    public function execute(NewsRecommendationDTO $dto): NewsRecommendationResultDTO
+    {
+        try {
+            $capacity = $this->contentService->getTotalCapacity();
+            $maxItems = min($dto->maxItems ?? $capacity, $capacity);
+
+            $today = new \DateTimeImmutable('today');
+            $dateRange = new DateRange($today->modify(sprintf('-%d days', $dto->days)), $today);
+
+            $candidates = $this->newsRepository->findByDateRange($dateRange, PostStatus::PUBLISHED);
+
+            if (empty($candidates)) {
+                return NewsRecommendationResultDTO::failure([
+                    sprintf('No published news in the last %d days', $dto->days)
+                ]);
+            }
+
+            $recommended = $this->contentService->recommendNewsItems($candidates, [
+                'max_items' => $maxItems,
+                'prioritize_recent' => true,
+                'balance_research_lines' => $dto->balanceResearchLines,
+            ]);
+
+            $byResearchLine = [];
+            foreach ($recommended as $news) {
+                $line = $news->getResearchLine() ?? 'Sin línea';
+                $byResearchLine[$line] = ($byResearchLine[$line] ?? 0) + 1;
+            }
+
+            return NewsRecommendationResultDTO::success(
+                newsIds: array_map(fn(News $news) => (int) $news->getId(), array_values($recommended)),
+                statistics: [
+                    'candidates' => count($candidates),
+                    'recommended' => count($recommended),
+                    'maxItems' => $maxItems,
+                    'by_research_line' => $byResearchLine,
+                ]
+            );
+
+        } catch (\Exception $e) {
+            debugLog('News recommendation error: ' . $e->getMessage(), 'error');
+
+            return NewsRecommendationResultDTO::failure([
+                'News recommendation failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+}
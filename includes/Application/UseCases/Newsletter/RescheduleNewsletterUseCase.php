@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Reschedule Newsletter Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterScheduleDTO;
+use RIILSA\Application\DTOs\NewsletterSendResultDTO;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for moving a scheduled newsletter to a new send time
+ * 
+ * Pattern: Use Case Pattern
+ * This class updates the schedule and the queued WP-Cron event together
+ */
+class RescheduleNewsletterUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly NewsletterScheduler $scheduler
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param NewsletterScheduleDTO $dto
+     * @return NewsletterSendResultDTO
+     */
+    public function execute(NewsletterScheduleDTO $dto): NewsletterSendResultDTO
+    {
+        try {
+            $newsletter = $this->newsletterRepository->findByNumber($dto->newsletterId);
+
+            if (!$newsletter) {
+                return NewsletterSendResultDTO::failure(['Newsletter not found']);
+            }
+
+            if (!$newsletter->isScheduled()) {
+                return NewsletterSendResultDTO::failure([
+                    sprintf(
+                        'Only scheduled newsletters can be rescheduled, this one is: %s',
+                        $newsletter->getStatus()->label()
+                    )
+                ]);
+            }
+
+            $newsletter->schedule($dto->scheduledAt);
+
+            if (!$this->scheduler->queue($newsletter, $dto->scheduledAt)) {
+                return NewsletterSendResultDTO::failure(['The scheduled send could not be queued']);
+            }
+
+            $this->newsletterRepository->save($newsletter);
+
+            return NewsletterSendResultDTO::success(
+                0,
+                0,
+                ['status' => 'scheduled', 'scheduledAt' => $dto->scheduledAt->format('Y-m-d H:i:s')]
+            );
+
+        } catch (\InvalidArgumentException | \DomainException $e) {
+            return NewsletterSendResultDTO::failure([$e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Newsletter reschedule error: ' . $e->getMessage(), 'error');
+
+            return NewsletterSendResultDTO::failure([
+                'Newsletter reschedule failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+}
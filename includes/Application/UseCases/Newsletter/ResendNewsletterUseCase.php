@@ -0,0 +1,367 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Resend Newsletter Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterResendDTO;
+use RIILSA\Application\DTOs\NewsletterResendPreviewResultDTO;
+use RIILSA\Application\DTOs\NewsletterSendResultDTO;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Entities\Subscriber;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\SubscriberRepositoryInterface;
+use RIILSA\Infrastructure\Services\BrevoMailService;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for resending a sent newsletter to part of the subscribers
+ *
+ * Pattern: Use Case Pattern
+ * This class resolves the chosen audience, previews its size and sends the
+ * stored HTML to it through temporary Brevo lists
+ */
+class ResendNewsletterUseCase
+{
+    /**
+     * Recipients per campaign, larger resends go out one batch per day like full sends
+     */
+    public const BATCH_SIZE = 300;
+
+    /**
+     * Seconds the exported bounces are reused before asking Brevo again
+     */
+    private const BOUNCES_TTL = HOUR_IN_SECONDS;
+
+    /**
+     * Seconds after which an export that never finished is requested again
+     */
+    private const EXPORT_TIMEOUT = 15 * MINUTE_IN_SECONDS;
+
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly SubscriberRepositoryInterface $subscriberRepository,
+        private readonly BrevoMailService $brevoMailService,
+        private readonly NewsletterScheduler $scheduler
+    ) {
+    }
+
+    /**
+     * Count the subscribers the resend would go to
+     *
+     * @param NewsletterResendDTO $dto
+     * @return NewsletterResendPreviewResultDTO
+     */
+    public function preview(NewsletterResendDTO $dto): NewsletterResendPreviewResultDTO
+    {
+        try {
+            $newsletter = $this->newsletterRepository->findByNumber($dto->newsletterId);
+
+            if (!$newsletter) {
+                return NewsletterResendPreviewResultDTO::failure(['Newsletter not found']);
+            }
+
+            if (!$newsletter->isSent()) {
+                return NewsletterResendPreviewResultDTO::failure(['Only sent newsletters can be resent']);
+            }
+
+            $recipients = $this->resolveRecipients($newsletter, $dto);
+
+            return NewsletterResendPreviewResultDTO::success(
+                newsletterId: $newsletter->getNumber(),
+                audience: $dto->audience,
+                recipients: $recipients === null ? 0 : count($recipients),
+                batchSize: self::BATCH_SIZE,
+                pending: $recipients === null,
+                dependencies: $this->subscriberRepository->getDependencyRecipientCounts()
+            );
+
+        } catch (\Exception $e) {
+            debugLog('Newsletter resend preview error: ' . $e->getMessage(), 'error');
+
+            return NewsletterResendPreviewResultDTO::failure([
+                'Failed to count the resend recipients: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param NewsletterResendDTO $dto
+     * @return NewsletterSendResultDTO
+     */
+    public function execute(NewsletterResendDTO $dto): NewsletterSendResultDTO
+    {
+        try {
+            $newsletter = $this->newsletterRepository->findByNumber($dto->newsletterId);
+
+            if (!$newsletter) {
+                return NewsletterSendResultDTO::failure(['Newsletter not found']);
+            }
+
+            if (!$newsletter->isSent()) {
+                return NewsletterSendResultDTO::failure(['Only sent newsletters can be resent']);
+            }
+
+            // The HTML stored on send, so the resend matches what everyone else got
+            $html = (string)$newsletter->getHtmlContent();
+
+            if (trim($html) === '') {
+                return NewsletterSendResultDTO::failure(['Newsletter HTML content is empty']);
+            }
+
+            if ($dto->audience === NewsletterResendDTO::AUDIENCE_DEPENDENCIES && empty($dto->dependencyIds)) {
+                return NewsletterSendResultDTO::failure(['Choose at least one dependency list']);
+            }
+
+            $recipients = $this->resolveRecipients($newsletter, $dto);
+
+            if ($recipients === null) {
+                return NewsletterSendResultDTO::failure(['Brevo is still exporting the bounces, try again in a minute']);
+            }
+
+            $recipientCount = count($recipients);
+
+            if ($recipientCount === 0) {
+                return NewsletterSendResultDTO::failure(['No recipients found']);
+            }
+
+            $batches = [];
+            $errors = [];
+
+            foreach (array_chunk($recipients, self::BATCH_SIZE) as $index => $batch) {
+                // The first batch goes out now, each next one a day after the previous
+                $scheduledAt = $index > 0 ? new \DateTimeImmutable(sprintf('+%d day', $index)) : null;
+                $result = $this->sendBatch($newsletter, $html, $batch, $index + 1, $scheduledAt);
+
+                if ($result['success']) {
+                    $batches[] = [
+                        'campaignId' => $result['campaignId'],
+                        'recipients' => count($batch),
+                        'scheduledAt' => $scheduledAt ? $scheduledAt->format('Y-m-d H:i:s') : null,
+                    ];
+                } else {
+                    $errors[] = sprintf('Batch %d failed: %s', $index + 1, $result['error']);
+                }
+            }
+
+            if (empty($batches)) {
+                return NewsletterSendResultDTO::failure($errors, $recipientCount);
+            }
+
+            $sentCount = array_sum(array_column($batches, 'recipients'));
+
+            $resend = [
+                'audience' => $dto->audience,
+                'dependencies' => $dto->dependencyIds,
+                'recipients' => $recipientCount,
+                'batches' => $batches,
+                'errors' => $errors,
+                'sentAt' => current_time('mysql'),
+            ];
+
+            // The status stays sent, the resend is only recorded next to the original send
+            $newsletter->updateStatistics([
+                'resends' => array_merge($newsletter->getStatistics()['resends'] ?? [], [$resend]),
+            ]);
+            $this->newsletterRepository->updateStatistics($newsletter->getId(), $newsletter->getStatistics());
+
+            return NewsletterSendResultDTO::success($recipientCount, $sentCount, $resend);
+
+        } catch (\Exception $e) {
+            debugLog('Newsletter resend error: ' . $e->getMessage(), 'error');
+
+            return NewsletterSendResultDTO::failure([
+                'Newsletter resend failed: ' . $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Send one batch of the resend through its own temporary Brevo list
+     * The list is deleted once the campaign went out, or right away when it could not be created
+     *
+     * @param Newsletter $newsletter
+     * @param string $html
+     * @param array<Subscriber> $batch
+     * @param int $number Batch number, starting at 1
+     * @param \DateTimeInterface|null $scheduledAt Null to send now
+     * @return array Result with success status, campaign ID and error
+     */
+    private function sendBatch(
+        Newsletter $newsletter,
+        string $html,
+        array $batch,
+        int $number,
+        ?\DateTimeInterface $scheduledAt
+    ): array {
+        $listId = null;
+
+        try {
+            $list = $this->brevoMailService->createContactList(
+                sprintf('Newsletter #%d - Resend - Batch %d - %s', $newsletter->getNumber(), $number, date('YmdHis'))
+            );
+
+            if (empty($list['id'])) {
+                throw new \RuntimeException('Failed to create the temporary list for the resend');
+            }
+
+            $listId = (int)$list['id'];
+
+            $this->brevoMailService->addContactsToList(
+                $listId,
+                array_map(fn(Subscriber $subscriber) => $subscriber->getEmail()->getValue(), $batch)
+            );
+
+            $campaign = $this->brevoMailService->createAndSendListCampaign(
+                [$listId],
+                $html,
+                sprintf('%d_resend_batch%d', $newsletter->getNumber(), $number),
+                $newsletter->getSubject(),
+                $scheduledAt
+            );
+
+            if (!$campaign['success']) {
+                throw new \RuntimeException($campaign['error'] ?? 'Campaign creation failed');
+            }
+
+            // Brevo reads the list when the campaign goes out, so it is kept until the day after
+            $sendAt = $scheduledAt ? \DateTimeImmutable::createFromInterface($scheduledAt) : new \DateTimeImmutable();
+            $this->scheduler->queueListDeletion($listId, $sendAt->modify('+1 day'));
+
+            return ['success' => true, 'campaignId' => $campaign['campaignId'] ?? null, 'error' => null];
+
+        } catch (\Exception $e) {
+            if ($listId !== null) {
+                try {
+                    $this->brevoMailService->deleteContactList($listId);
+                } catch (\Exception $deleteError) {
+                    debugLog('Failed to delete the temporary resend list: ' . $deleteError->getMessage(), 'error');
+                }
+            }
+
+            return ['success' => false, 'campaignId' => null, 'error' => $e->getMessage()];
+        }
+    }
+
+    /**
+     * Get the subscribers of the chosen audience who can receive emails
+     *
+     * @param Newsletter $newsletter
+     * @param NewsletterResendDTO $dto
+     * @return array<Subscriber>|null Null while Brevo is still exporting the bounces
+     */
+    private function resolveRecipients(Newsletter $newsletter, NewsletterResendDTO $dto): ?array
+    {
+        if ($dto->audience === NewsletterResendDTO::AUDIENCE_DEPENDENCIES && empty($dto->dependencyIds)) {
+            return [];
+        }
+
+        $subscribers = $this->subscriberRepository->findRecipients($dto->dependencyIds ?: null);
+
+        if ($dto->audience === NewsletterResendDTO::AUDIENCE_NEW) {
+            $sentAt = $newsletter->getSentAt();
+
+            return array_values(array_filter(
+                $subscribers,
+                fn(Subscriber $subscriber) => !$sentAt
+                    || ($subscriber->getConfirmedAt() ?? $subscriber->getSubscribedAt()) > $sentAt
+            ));
+        }
+
+        if ($dto->audience === NewsletterResendDTO::AUDIENCE_FAILED) {
+            $bounced = $this->getBouncedEmails($newsletter);
+
+            if ($bounced === null) {
+                return null;
+            }
+
+            // Bounces in Brevo plus the send batches that failed before reaching it
+            $failed = array_flip(array_merge($bounced, $newsletter->getStatistics()['failedRecipients'] ?? []));
+
+            return array_values(array_filter(
+                $subscribers,
+                fn(Subscriber $subscriber) => isset($failed[strtolower($subscriber->getEmail()->getValue())])
+            ));
+        }
+
+        return $subscribers;
+    }
+
+    /**
+     * Get the addresses that bounced in any campaign of the newsletter
+     * Brevo exports them in the background, the first call only starts the export
+     *
+     * @param Newsletter $newsletter
+     * @return array<string>|null Lowercase addresses, or null while the export runs
+     * @throws \RuntimeException
+     */
+    private function getBouncedEmails(Newsletter $newsletter): ?array
+    {
+        $statistics = $newsletter->getStatistics();
+        $bounces = $statistics['bounces'] ?? null;
+
+        if (is_array($bounces) && strtotime($bounces['fetchedAt']) > current_time('timestamp') - self::BOUNCES_TTL) {
+            return $bounces['emails'];
+        }
+
+        $export = $statistics['bounceExport'] ?? null;
+
+        if (!is_array($export) || strtotime($export['requestedAt']) < current_time('timestamp') - self::EXPORT_TIMEOUT) {
+            $campaignIds = $newsletter->getCampaignIds();
+
+            if (empty($campaignIds)) {
+                throw new \RuntimeException('The newsletter has no Brevo campaign');
+            }
+
+            $processIds = [];
+            foreach ($campaignIds as $campaignId) {
+                $processIds = array_merge($processIds, $this->brevoMailService->requestBounceExport($campaignId));
+            }
+
+            $newsletter->updateStatistics([
+                'bounceExport' => [
+                    'requestedAt' => current_time('mysql'),
+                    'processes' => $processIds,
+                ],
+            ]);
+            $this->newsletterRepository->updateStatistics($newsletter->getId(), $newsletter->getStatistics());
+
+            return null;
+        }
+
+        $emails = [];
+        foreach ($export['processes'] as $processId) {
+            $exported = $this->brevoMailService->getExportedEmails((int)$processId);
+
+            if ($exported === null) {
+                return null;
+            }
+
+            $emails = array_merge($emails, $exported);
+        }
+
+        $newsletter->updateStatistics([
+            'bounces' => [
+                'fetchedAt' => current_time('mysql'),
+                'emails' => array_values(array_unique($emails)),
+            ],
+            'bounceExport' => null,
+        ]);
+        $this->newsletterRepository->updateStatistics($newsletter->getId(), $newsletter->getStatistics());
+
+        return $newsletter->getStatistics()['bounces']['emails'];
+    }
+}
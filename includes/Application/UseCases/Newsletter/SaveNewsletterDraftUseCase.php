@@ -0,0 +1,107 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Save Newsletter Draft Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterDraftDTO;
+use RIILSA\Application\DTOs\NewsletterDraftResultDTO;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for autosaving in-progress newsletter compositions
+ * 
+ * Pattern: Use Case Pattern
+ * This class persists the editor's composition as a draft newsletter record
+ */
+class SaveNewsletterDraftUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param NewsletterDraftDTO $dto
+     * @return NewsletterDraftResultDTO
+     */
+    public function execute(NewsletterDraftDTO $dto): NewsletterDraftResultDTO
+    {
+        try {
+            if (!$dto->hasContent()) {
+                return NewsletterDraftResultDTO::failure(
+                    ['Nothing to save: add a header text or select news items']
+                );
+            }
+
+            $draft = $dto->draftId !== null
+                ? $this->newsletterRepository->findById($dto->draftId)
+                : null;
+
+            if ($draft && !$draft->isDraft()) {
+                return NewsletterDraftResultDTO::failure([
+                    sprintf('Newsletter #%d is no longer a draft', $draft->getNumber())
+                ]);
+            }
+
+            // The number must be free or belong to a draft we can take over
+            $sameNumber = $this->newsletterRepository->findByNumber($dto->number);
+
+            if ($sameNumber && $sameNumber->getId() !== $draft?->getId()) {
+                if (!$sameNumber->isDraft()) {
+                    return NewsletterDraftResultDTO::failure([
+                        sprintf('Newsletter #%d already exists and is not a draft', $dto->number)
+                    ]);
+                }
+
+                if ($draft) {
+                    return NewsletterDraftResultDTO::failure([
+                        sprintf('Newsletter #%d is already used by another draft', $dto->number)
+                    ]);
+                }
+
+                $draft = $sameNumber;
+            }
+
+            if (!$draft) {
+                $draft = new Newsletter($dto->number, $dto->headerText, $dto->newsIds);
+            }
+
+            $draft->updateDraft($dto->number, $dto->headerText, $dto->newsIds);
+
+            if ($draft->getOwnerId() === null) {
+                $draft->assignOwner($dto->ownerId);
+            }
+
+            $draft = $this->newsletterRepository->save($draft);
+
+            return NewsletterDraftResultDTO::success(
+                draftId: (int)$draft->getId(),
+                number: $draft->getNumber()
+            );
+
+        } catch (\DomainException $e) {
+            return NewsletterDraftResultDTO::failure([$e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Newsletter draft autosave error: ' . $e->getMessage(), 'error');
+
+            return NewsletterDraftResultDTO::failure([
+                'Draft could not be saved: ' . $e->getMessage()
+            ]);
+        }
+    }
+}
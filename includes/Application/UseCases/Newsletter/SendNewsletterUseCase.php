@@ -13,10 +13,13 @@ namespace RIILSA\Application\UseCases\Newsletter;
 
 use RIILSA\Application\DTOs\NewsletterSendDTO;
 use RIILSA\Application\DTOs\NewsletterSendResultDTO;
+use RIILSA\Application\Services\TemplateGenerationService;
 use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
 use RIILSA\Domain\Repositories\SubscriberRepositoryInterface;
 use RIILSA\Domain\ValueObjects\NewsletterStatus;
 use RIILSA\Infrastructure\Services\BrevoMailService;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
 use RIILSA\Domain\Entities\Newsletter;
 use function RIILSA\Core\debugLog;
 
@@ -41,7 +44,10 @@ class SendNewsletterUseCase
     public function __construct(
         private readonly NewsletterRepositoryInterface $newsletterRepository,
         private readonly SubscriberRepositoryInterface $subscriberRepository,
-        BrevoMailService $mailService
+        private readonly NewsletterVersionRepositoryInterface $versionRepository,
+        BrevoMailService $mailService,
+        private readonly NewsletterScheduler $scheduler,
+        private readonly TemplateGenerationService $templateService
     ) {
         $this->mailService = $mailService;
     }
@@ -80,6 +86,27 @@ class SendNewsletterUseCase
                 );
             }
 
+            // The preview HTML still carries the override markers
+            $html = $this->templateService->stripOverrideMarkers($dto->html);
+
+            // A stored version goes out byte for byte, whatever the posts look like now
+            if ($dto->usesVersion()) {
+                $version = $this->versionRepository->findVersion((int)$newsletter->getId(), $dto->version);
+
+                if (!$version) {
+                    return NewsletterSendResultDTO::failure(
+                        [sprintf('Version %d of newsletter #%d not found', $dto->version, $newsletter->getNumber())],
+                        0,
+                        0
+                    );
+                }
+
+                $html = (string)$version->getHtmlContent();
+            }
+
+            // Null when the editor sent the HTML of the preview
+            $newsletter->updateStatistics(['version' => $dto->version]);
+
             // Handle scheduled send
             if ($dto->isScheduled()) {
                 if (!$dto->isScheduledTimeValid()) {
@@ -90,7 +117,18 @@ class SendNewsletterUseCase
                     );
                 }
 
+                // Keep the approved HTML so the cron dispatch sends exactly this
+                $newsletter->setHtmlContent($html);
                 $newsletter->schedule($dto->scheduledAt);
+
+                if (!$this->scheduler->queue($newsletter, $dto->scheduledAt)) {
+                    return NewsletterSendResultDTO::failure(
+                        ['The scheduled send could not be queued'],
+                        0,
+                        0
+                    );
+                }
+
                 $this->newsletterRepository->save($newsletter);
 
                 return NewsletterSendResultDTO::success(
@@ -100,80 +138,195 @@ class SendNewsletterUseCase
                 );
             }
 
-            try {
-                // Mark as sending
-                $newsletter->markAsSending();
-                $this->newsletterRepository->save($newsletter);
+            return $this->startDelivery($newsletter, $html, $dto->recipientFilters);
 
-                // Get recipients
-                $recipients = $this->getRecipients($dto->recipientFilters);
+        } catch (\Exception $e) {
+            debugLog('Newsletter send error: ' . $e->getMessage(), 'error');
 
-                if (empty($recipients)) {
-                    throw new \RuntimeException('No recipients found');
-                }
+            return NewsletterSendResultDTO::failure(
+                ['Newsletter send failed: ' . $e->getMessage()],
+                0,
+                0
+            );
+        }
+    }
 
-                // Check for split sending (limit 300)
-                // Only if not already scheduled and has more than 300 recipients
-                if (count($recipients) > 300 && !$dto->isScheduled()) {
-                    $sendResult = $this->sendSplitBatches($newsletter, $dto->html, $recipients);
-                } else {
-                    // Standard send
-                    $sendResult = $this->sendToRecipients(
-                        $newsletter,
-                        $dto->html,
-                        $recipients,
-                        $dto->scheduledAt
-                    );
-                }
+    /**
+     * Mark the newsletter as sending and hand the delivery to a background event
+     * The newsletter number doubles as the tracking id polled by the UI
+     *
+     * @param Newsletter $newsletter
+     * @param string $html
+     * @param array $recipientFilters
+     * @return NewsletterSendResultDTO
+     */
+    private function startDelivery(Newsletter $newsletter, string $html, array $recipientFilters): NewsletterSendResultDTO
+    {
+        if (trim($html) === '') {
+            return NewsletterSendResultDTO::failure(['Newsletter HTML content is empty']);
+        }
 
-                // Update newsletter status
-                if ($sendResult['success']) {
-                    // Check if it was a split batch with scheduling
-                    $isSplitScheduled = isset($sendResult['statistics']['batches']['batch2']['status']) &&
-                        $sendResult['statistics']['batches']['batch2']['status'] === 'scheduled';
-
-                    if ($isSplitScheduled) {
-                        $scheduledAtStr = $sendResult['statistics']['batches']['batch2']['scheduledAt'];
-                        $scheduledAt = new \DateTimeImmutable($scheduledAtStr);
-
-                        $newsletter->schedule($scheduledAt);
-                        $newsletter->updateStatistics($sendResult['statistics']);
-                    } else {
-                        $newsletter->markAsSent($sendResult['statistics']);
-                    }
-                } else {
-                    $newsletter->markAsFailed($sendResult['error'] ?? 'Unknown error');
-                }
+        $recipientCount = count($this->getRecipients($recipientFilters));
 
-                $this->newsletterRepository->save($newsletter);
+        if ($recipientCount === 0) {
+            return NewsletterSendResultDTO::failure(['No recipients found']);
+        }
 
-                return $sendResult['success']
-                    ? NewsletterSendResultDTO::success(
-                        $sendResult['recipientCount'],
-                        $sendResult['sentCount'],
-                        $sendResult['statistics']
-                    )
-                    : NewsletterSendResultDTO::failure(
-                        [$sendResult['error'] ?? 'Send failed'],
-                        $sendResult['recipientCount'],
-                        $sendResult['sentCount']
-                    );
+        // A pending scheduled send is superseded by this one
+        $this->scheduler->unqueue($newsletter->getNumber());
 
-            } catch (\Exception $e) {
-                throw $e;
-            }
+        $newsletter->setHtmlContent($html);
+        $newsletter->markAsSending();
+        $newsletter->updateStatistics([
+            'recipients' => $recipientCount,
+            'sent' => 0,
+            'failed' => 0,
+            'errors' => [],
+        ]);
+        $this->newsletterRepository->save($newsletter);
+
+        if (!$this->scheduler->dispatch($newsletter, $recipientFilters)) {
+            $newsletter->markAsFailed('The send could not be started');
+            $this->newsletterRepository->save($newsletter);
+
+            return NewsletterSendResultDTO::failure(['The send could not be started'], $recipientCount, 0);
+        }
+
+        return NewsletterSendResultDTO::success(
+            $recipientCount,
+            0,
+            ['status' => 'sending', 'trackingId' => $newsletter->getNumber()]
+        );
+    }
+
+    /**
+     * Deliver a newsletter whose send was started from the UI
+     * Called from the background event queued by NewsletterScheduler::dispatch
+     *
+     * @param int $newsletterNumber
+     * @param array $recipientFilters
+     * @return NewsletterSendResultDTO
+     */
+    public function dispatchQueued(int $newsletterNumber, array $recipientFilters = []): NewsletterSendResultDTO
+    {
+        $newsletter = $this->newsletterRepository->findByNumber($newsletterNumber);
 
+        if (!$newsletter || !$newsletter->isSending()) {
+            return NewsletterSendResultDTO::failure(
+                [sprintf('Newsletter #%d is not waiting to be sent', $newsletterNumber)]
+            );
+        }
+
+        try {
+            return $this->deliver($newsletter, (string) $newsletter->getHtmlContent(), $recipientFilters);
         } catch (\Exception $e) {
-            debugLog('Newsletter send error: ' . $e->getMessage(), 'error');
+            debugLog('Queued newsletter send error: ' . $e->getMessage(), 'error');
+
+            // The UI is polling for a final status, never leave it stuck in sending
+            $newsletter->markAsFailed($e->getMessage());
+            $this->newsletterRepository->save($newsletter);
 
             return NewsletterSendResultDTO::failure(
-                ['Newsletter send failed: ' . $e->getMessage()],
-                0,
-                0
+                ['Newsletter send failed: ' . $e->getMessage()]
+            );
+        }
+    }
+
+    /**
+     * Send a scheduled newsletter whose time has come
+     * Called from the WP-Cron event queued by NewsletterScheduler
+     *
+     * @param int $newsletterNumber
+     * @return NewsletterSendResultDTO
+     */
+    public function dispatchScheduled(int $newsletterNumber): NewsletterSendResultDTO
+    {
+        $newsletter = $this->newsletterRepository->findByNumber($newsletterNumber);
+
+        // Cancelled or already sent in the meantime
+        if (!$newsletter || !$newsletter->isScheduled()) {
+            return NewsletterSendResultDTO::failure(
+                [sprintf('Newsletter #%d is no longer scheduled', $newsletterNumber)]
+            );
+        }
+
+        try {
+            return $this->deliver($newsletter, (string) $newsletter->getHtmlContent(), []);
+        } catch (\Exception $e) {
+            debugLog('Scheduled newsletter send error: ' . $e->getMessage(), 'error');
+
+            // Nobody is watching a cron run, so leave a visible status behind
+            $newsletter->markAsFailed($e->getMessage());
+            $this->newsletterRepository->save($newsletter);
+
+            return NewsletterSendResultDTO::failure(
+                ['Newsletter send failed: ' . $e->getMessage()]
             );
         }
     }
 
+    /**
+     * Send the newsletter to its recipients right away
+     *
+     * @param Newsletter $newsletter
+     * @param string $html
+     * @param array $recipientFilters
+     * @return NewsletterSendResultDTO
+     * @throws \Exception
+     */
+    private function deliver(Newsletter $newsletter, string $html, array $recipientFilters): NewsletterSendResultDTO
+    {
+        if (trim($html) === '') {
+            throw new \RuntimeException('Newsletter HTML content is empty');
+        }
+
+        // A pending scheduled send is superseded by this one
+        $this->scheduler->unqueue($newsletter->getNumber());
+
+        // Sends started from the UI are already marked as sending
+        if (!$newsletter->isSending()) {
+            $newsletter->markAsSending();
+            $this->newsletterRepository->save($newsletter);
+        }
+
+        // Get recipients
+        $recipients = $this->getRecipients($recipientFilters);
+
+        if (empty($recipients)) {
+            throw new \RuntimeException('No recipients found');
+        }
+
+        // Check for split sending (limit 300)
+        if (count($recipients) > 300) {
+            $sendResult = $this->sendSplitBatches($newsletter, $html, $recipients);
+        } else {
+            // Standard send
+            $sendResult = $this->sendToRecipients($newsletter, $html, $recipients);
+        }
+
+        // Update newsletter status
+        if ($sendResult['success']) {
+            // A split send is sent once batch 1 is out, batch 2 waits in Brevo under statistics['batches']
+            $newsletter->markAsSent($sendResult['statistics']);
+        } else {
+            $newsletter->markAsFailed($sendResult['error'] ?? 'Unknown error');
+        }
+
+        $this->newsletterRepository->save($newsletter);
+
+        return $sendResult['success']
+            ? NewsletterSendResultDTO::success(
+                $sendResult['recipientCount'],
+                $sendResult['sentCount'],
+                $sendResult['statistics']
+            )
+            : NewsletterSendResultDTO::failure(
+                [$sendResult['error'] ?? 'Send failed'],
+                $sendResult['recipientCount'],
+                $sendResult['sentCount']
+            );
+    }
+
     /**
      * Get recipients based on filters
      *
@@ -237,11 +390,13 @@ class SendNewsletterUseCase
             } else {
                 $errors[] = $campaignResult['error'] ?? 'Campaign creation failed';
                 $statistics['failed'] = $recipientCount;
+                $statistics['failedRecipients'] = $this->getRecipientEmails($recipients);
             }
 
         } catch (\Exception $e) {
             $errors[] = $e->getMessage();
             $statistics['failed'] = $recipientCount;
+            $statistics['failedRecipients'] = $this->getRecipientEmails($recipients);
         }
 
         $statistics['errors'] = $errors;
@@ -274,7 +429,8 @@ class SendNewsletterUseCase
             'sent' => 0,
             'failed' => 0,
             'errors' => [],
-            'batches' => []
+            'batches' => [],
+            'failedRecipients' => []
         ];
 
         $errors = [];
@@ -327,6 +483,7 @@ class SendNewsletterUseCase
                 $statistics['batches']['batch1'] = ['status' => 'sent', 'campaignId' => $result1['campaignId']];
             } else {
                 $statistics['failed'] += count($batch1);
+                $statistics['failedRecipients'] = array_merge($statistics['failedRecipients'], $this->getRecipientEmails($batch1));
                 $errors[] = 'Batch 1 failed: ' . ($result1['error'] ?? 'Unknown');
             }
 
@@ -335,6 +492,7 @@ class SendNewsletterUseCase
                 $statistics['batches']['batch2'] = ['status' => 'scheduled', 'campaignId' => $result2['campaignId'], 'scheduledAt' => $tomorrow->format('Y-m-d H:i:s')];
             } else {
                 $statistics['failed'] += count($batch2);
+                $statistics['failedRecipients'] = array_merge($statistics['failedRecipients'], $this->getRecipientEmails($batch2));
                 $errors[] = 'Batch 2 failed: ' . ($result2['error'] ?? 'Unknown');
             }
 
@@ -343,6 +501,7 @@ class SendNewsletterUseCase
         } catch (\Exception $e) {
             $errors[] = $e->getMessage();
             $statistics['failed'] = count($recipients);
+            $statistics['failedRecipients'] = $this->getRecipientEmails($recipients);
         }
 
         $statistics['errors'] = $errors;
@@ -356,6 +515,17 @@ class SendNewsletterUseCase
         ];
     }
 
+    /**
+     * Get the lowercase addresses of recipients, kept for resending to failed deliveries
+     *
+     * @param array $recipients
+     * @return array<string>
+     */
+    private function getRecipientEmails(array $recipients): array
+    {
+        return array_map(fn($r) => strtolower($r->getEmail()->getValue()), $recipients);
+    }
+
     /**
      * Get list IDs from recipients
      *
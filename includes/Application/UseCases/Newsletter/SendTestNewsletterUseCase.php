@@ -0,0 +1,99 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Send Test Newsletter Use Case
+ *
+ * @package RIILSA\Application\UseCases\Newsletter
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Application\UseCases\Newsletter;
+
+use RIILSA\Application\DTOs\NewsletterSendResultDTO;
+use RIILSA\Application\DTOs\NewsletterTestSendDTO;
+use RIILSA\Application\Services\TemplateGenerationService;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Infrastructure\Services\BrevoMailService;
+use RIILSA\Infrastructure\WordPress\NewsletterSettings;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Use case for sending a test copy of a newsletter
+ * 
+ * Pattern: Use Case Pattern
+ * This class delivers the rendered HTML through the transactional path,
+ * leaving the newsletter's status and statistics untouched
+ */
+class SendTestNewsletterUseCase
+{
+    /**
+     * Constructor
+     */
+    public function __construct(
+        private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly BrevoMailService $mailService,
+        private readonly NewsletterSettings $settings,
+        private readonly TemplateGenerationService $templateService
+    ) {
+    }
+
+    /**
+     * Execute the use case
+     *
+     * @param NewsletterTestSendDTO $dto
+     * @return NewsletterSendResultDTO
+     */
+    public function execute(NewsletterTestSendDTO $dto): NewsletterSendResultDTO
+    {
+        $recipientCount = count($dto->emails);
+
+        if (!$this->mailService->isAvailable()) {
+            return NewsletterSendResultDTO::failure(
+                ['Brevo service not configured'],
+                $recipientCount,
+                0
+            );
+        }
+
+        // Read only: the newsletter record is never saved here
+        $newsletter = $this->newsletterRepository->findByNumber($dto->newsletterId);
+        $subject = $newsletter
+            ? $newsletter->getSubject()
+            : sprintf(__('Newsletter #%d RIILSA', 'riilsa'), $dto->newsletterId);
+
+        $delivered = [];
+        $errors = [];
+
+        foreach ($dto->emails as $email) {
+            try {
+                $this->mailService->sendTransactionalEmail($email, [
+                    'subject' => sprintf(__('[Prueba] %s', 'riilsa'), $subject),
+                    'html' => $this->templateService->stripOverrideMarkers($dto->html),
+                    'tags' => ['RIILSA_NEWSLETTER_TEST'],
+                ]);
+
+                $delivered[] = $email;
+            } catch (\Exception $e) {
+                debugLog('Newsletter test send error: ' . $e->getMessage(), 'warning');
+                $errors[] = sprintf('%s: %s', $email, $e->getMessage());
+            }
+        }
+
+        if ($dto->saveAsDefault) {
+            $this->settings->saveTestRecipients($dto->emails);
+        }
+
+        $statistics = [
+            'delivered' => $delivered,
+            'errors' => $errors,
+        ];
+
+        if (empty($delivered)) {
+            return NewsletterSendResultDTO::failure($errors, $recipientCount, 0);
+        }
+
+        return NewsletterSendResultDTO::success($recipientCount, count($delivered), $statistics);
+    }
+}
@@ -212,6 +212,14 @@ class Bootstrap
                 true
             );
 
+            wp_register_script(
+                'riilsa-ajax',
+                pluginUrl('assets/js/riilsa-ajax.js'),
+                ['jquery'],
+                pluginVersion(),
+                true
+            );
+
             // Newsletter specific assets
             if (is_page('gestion-boletin')) {
                 wp_enqueue_style(
@@ -235,10 +243,26 @@ class Bootstrap
                     pluginVersion()
                 );
 
+                wp_enqueue_script(
+                    'riilsa-newsletter-send-progress',
+                    pluginUrl('assets/js/newsletterSendProgress.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-lint',
+                    pluginUrl('assets/js/newsletterLint.js'),
+                    ['jquery', 'riilsa-modal'],
+                    pluginVersion(),
+                    true
+                );
+
                 wp_enqueue_script(
                     'riilsa-newsletter-general',
                     pluginUrl('assets/js/newsletterGeneral.js'),
-                    ['jquery'],
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal', 'riilsa-newsletter-send-progress', 'riilsa-newsletter-lint'],
                     pluginVersion(),
                     true
                 );
@@ -246,7 +270,107 @@ class Bootstrap
                 wp_enqueue_script(
                     'riilsa-newsletter-selection',
                     pluginUrl('assets/js/newsletterSelection.js'),
-                    ['jquery'],
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-recommend',
+                    pluginUrl('assets/js/newsletterRecommend.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal', 'riilsa-newsletter-selection'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-auto',
+                    pluginUrl('assets/js/newsletterAuto.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal', 'riilsa-newsletter-selection'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_style(
+                    'riilsa-newsletter-composer',
+                    pluginUrl('assets/css/newsletterComposer.css'),
+                    ['riilsa-main'],
+                    pluginVersion()
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-composer',
+                    pluginUrl('assets/js/newsletterComposer.js'),
+                    ['jquery', 'jquery-ui-sortable', 'riilsa-newsletter-selection'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-overrides',
+                    pluginUrl('assets/js/newsletterOverrides.js'),
+                    ['jquery', 'riilsa-modal', 'riilsa-newsletter-composer'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_style(
+                    'riilsa-newsletter-drafts',
+                    pluginUrl('assets/css/newsletterDrafts.css'),
+                    ['riilsa-main'],
+                    pluginVersion()
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-drafts',
+                    pluginUrl('assets/js/newsletterDrafts.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-newsletter-general', 'riilsa-newsletter-selection'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-schedule',
+                    pluginUrl('assets/js/newsletterSchedule.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal', 'riilsa-newsletter-general'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_style(
+                    'riilsa-newsletter-header-editor',
+                    pluginUrl('assets/css/newsletterHeaderEditor.css'),
+                    ['riilsa-main'],
+                    pluginVersion()
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-header-editor',
+                    pluginUrl('assets/js/newsletterHeaderEditor.js'),
+                    ['jquery', 'riilsa-modal', 'riilsa-newsletter-general'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_style(
+                    'riilsa-newsletter-preview',
+                    pluginUrl('assets/css/newsletterPreview.css'),
+                    ['riilsa-main'],
+                    pluginVersion()
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-preview',
+                    pluginUrl('assets/js/newsletterPreview.js'),
+                    ['jquery', 'riilsa-newsletter-general'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-test-send',
+                    pluginUrl('assets/js/newsletterTestSend.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal', 'riilsa-newsletter-general'],
                     pluginVersion(),
                     true
                 );
@@ -254,7 +378,7 @@ class Bootstrap
                 wp_enqueue_script(
                     'riilsa-newsletter-config',
                     pluginUrl('assets/js/newsletterConfig.js'),
-                    ['jquery'],
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal'],
                     pluginVersion(),
                     true
                 );
@@ -262,7 +386,31 @@ class Bootstrap
                 wp_enqueue_script(
                     'riilsa-newsletter-history',
                     pluginUrl('assets/js/newsletterHistory.js'),
-                    ['jquery'],
+                    ['jquery', 'riilsa-ajax'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-analytics',
+                    pluginUrl('assets/js/newsletterAnalytics.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal', 'riilsa-newsletter-history'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-resend',
+                    pluginUrl('assets/js/newsletterResend.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal', 'riilsa-newsletter-history'],
+                    pluginVersion(),
+                    true
+                );
+
+                wp_enqueue_script(
+                    'riilsa-newsletter-versions',
+                    pluginUrl('assets/js/newsletterVersions.js'),
+                    ['jquery', 'riilsa-ajax', 'riilsa-modal', 'riilsa-newsletter-general', 'riilsa-newsletter-history'],
                     pluginVersion(),
                     true
                 );
@@ -270,11 +418,21 @@ class Bootstrap
                 $brevoService = $this->container->get(\RIILSA\Infrastructure\Services\BrevoMailService::class);
                 $isBrevoAvailable = $brevoService->isAvailable();
 
+                $contentService = $this->container->get(\RIILSA\Domain\Services\NewsletterContentService::class);
+                $newsletterSettings = $this->container->get(\RIILSA\Infrastructure\WordPress\NewsletterSettings::class);
+
                 // Localize script with AJAX data
                 wp_localize_script('riilsa-newsletter-general', 'riilsa_ajax', [
                     'ajax_url' => admin_url('admin-ajax.php'),
                     'nonce' => createNonce('newsletter_actions'),
                     'brevo_available' => $isBrevoAvailable,
+                    'category_limits' => $contentService->getCategoryLimits(),
+                    'current_user' => get_current_user_id(),
+                    'test_recipients' => $newsletterSettings->getTestRecipients(),
+                    'test_recipients_max' => \RIILSA\Application\DTOs\NewsletterTestSendDTO::MAX_RECIPIENTS,
+                    'auto_draft' => \RIILSA\Application\DTOs\AutoDraftSettingsDTO::fromArray(
+                        $newsletterSettings->getAutoDraftSettings()
+                    )->toArray(),
                     'strings' => [
                         'processing' => __('Processing...', 'riilsa'),
                         'success' => __('Success', 'riilsa'),
@@ -363,6 +521,7 @@ class Bootstrap
     {
         // Clean up scheduled events
         wp_clear_scheduled_hook('riilsa_daily_cleanup');
+        wp_clear_scheduled_hook('riilsa_auto_newsletter_draft');
 
         // Flush rewrite rules
         flush_rewrite_rules();
@@ -384,6 +543,7 @@ class Bootstrap
 
         // Remove options
         delete_option('riilsa_version');
+        delete_option(\RIILSA\Infrastructure\WordPress\NewsletterSettings::TEST_RECIPIENTS_OPTION);
 
         // Note: We don't remove database tables by default
         // to prevent accidental data loss
@@ -149,6 +149,7 @@ final class Constants
         define('RIILSA_TABLE_EMAIL', "{$wpdb->prefix}newsletter_email");
         define('RIILSA_TABLE_EMAIL_TOKENS', "{$wpdb->prefix}newsletter_email_tokens");
         define('RIILSA_TABLE_NEWSLETTER_LOGS', "{$wpdb->prefix}newsletter_logs");
+        define('RIILSA_TABLE_NEWSLETTER_VERSIONS', "{$wpdb->prefix}newsletter_versions");
         define('RIILSA_TABLE_DEPENDENCY_CATALOG', "{$wpdb->prefix}newsletter_dependency_catalog");
 
         // Legacy constants for backward compatibility
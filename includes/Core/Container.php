@@ -21,11 +21,13 @@ use RIILSA\Infrastructure\Repositories\WordPressProjectRepository;
 use RIILSA\Infrastructure\Repositories\WordPressNewsRepository;
 use RIILSA\Infrastructure\Repositories\WordPressCallRepository;
 use RIILSA\Infrastructure\Repositories\DatabaseNewsletterRepository;
+use RIILSA\Infrastructure\Repositories\DatabaseNewsletterVersionRepository;
 use RIILSA\Infrastructure\Repositories\DatabaseSubscriberRepository;
 use RIILSA\Domain\Repositories\ProjectRepositoryInterface;
 use RIILSA\Domain\Repositories\NewsRepositoryInterface;
 use RIILSA\Domain\Repositories\CallRepositoryInterface;
 use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
 use RIILSA\Domain\Repositories\SubscriberRepositoryInterface;
 
 /**
@@ -129,10 +131,13 @@ class Container implements ContainerInterface
             NewsRepositoryInterface::class => \DI\autowire(WordPressNewsRepository::class),
             CallRepositoryInterface::class => \DI\autowire(WordPressCallRepository::class),
             NewsletterRepositoryInterface::class => \DI\autowire(DatabaseNewsletterRepository::class),
+            NewsletterVersionRepositoryInterface::class => \DI\autowire(DatabaseNewsletterVersionRepository::class),
             SubscriberRepositoryInterface::class => \DI\autowire(DatabaseSubscriberRepository::class),
 
             // Service bindings
-            'mail_service' => \DI\autowire(BrevoMailService::class),
+            BrevoMailService::class => \DI\autowire()
+                ->constructorParameter('apiHost', defined('RIILSA_BREVO_API_HOST') ? RIILSA_BREVO_API_HOST : null),
+            'mail_service' => \DI\get(BrevoMailService::class),
             'excel_service' => \DI\autowire(PhpSpreadsheetExcelService::class),
             'template_service' => \DI\autowire(MJMLTemplateService::class),
 
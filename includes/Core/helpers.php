@@ -101,6 +101,47 @@ function sanitizeEmail(string $email): string|false {
     return filter_var($email, FILTER_VALIDATE_EMAIL) ? $email : false;
 }
 
+/**
+ * Sanitize the newsletter header HTML
+ *
+ * Keeps only markup that renders the same in every email client:
+ * bold, italic, line breaks and links with inline styles.
+ *
+ * @param string $html
+ * @return string
+ */
+function sanitizeHeaderHtml(string $html): string {
+    // Paragraphs and divs from the editor become line breaks
+    $html = preg_replace('#<(?:p|div)\b[^>]*>#i', '', $html);
+    $html = preg_replace('#</(?:p|div)>#i', '<br>', $html);
+
+    $html = wp_kses($html, [
+        'strong' => [],
+        'b' => [],
+        'em' => [],
+        'i' => [],
+        'br' => [],
+        'a' => ['href' => true],
+    ], ['http', 'https', 'mailto']);
+
+    $html = preg_replace(['#<(/?)b>#i', '#<(/?)i>#i'], ['<$1strong>', '<$1em>'], $html);
+
+    // Links without a destination are just text
+    $html = preg_replace('#<a>(.*?)</a>#is', '$1', $html);
+
+    // Email clients ignore stylesheets, links carry their own style
+    $html = preg_replace(
+        '#<a href=#i',
+        '<a style="color: inherit; text-decoration: underline;" target="_blank" href=',
+        $html
+    );
+
+    // No leading or trailing line breaks
+    $html = preg_replace('#^(?:\s|&nbsp;|<br\s*/?>)+|(?:\s|&nbsp;|<br\s*/?>)+$#i', '', $html);
+
+    return trim($html);
+}
+
 /**
  * Format a date according to WordPress settings
  *
@@ -56,6 +56,20 @@ class Newsletter
      */
     private array $categorizedNews = [];
     
+    /**
+     * Zone and order of every news item, as last rendered
+     *
+     * @var array<int, array{position: string, order: int}>
+     */
+    private array $layout = [];
+    
+    /**
+     * Title, excerpt and image used for this newsletter only, keyed by news ID
+     *
+     * @var array<int, array{title?: string, excerpt?: string, image?: string}>
+     */
+    private array $overrides = [];
+    
     /**
      * Generated HTML content
      *
@@ -84,6 +98,13 @@ class Newsletter
      */
     private ?\DateTimeImmutable $sentAt = null;
     
+    /**
+     * Date it was archived out of the default history view
+     *
+     * @var \DateTimeImmutable|null
+     */
+    private ?\DateTimeImmutable $archivedAt = null;
+    
     /**
      * Creation date
      *
@@ -98,6 +119,20 @@ class Newsletter
      */
     private ?\DateTimeImmutable $updatedAt = null;
     
+    /**
+     * ID of the WordPress user who started the newsletter
+     *
+     * @var int|null
+     */
+    private ?int $ownerId = null;
+    
+    /**
+     * Whether the recurring cron job built the newsletter
+     *
+     * @var bool
+     */
+    private bool $autoGenerated = false;
+    
     /**
      * Send statistics
      *
@@ -154,11 +189,26 @@ class Newsletter
         $newsletter->sentAt = isset($data['sent_at']) 
             ? new \DateTimeImmutable($data['sent_at']) 
             : null;
+        $newsletter->archivedAt = isset($data['archived_at']) 
+            ? new \DateTimeImmutable($data['archived_at']) 
+            : null;
+        $newsletter->ownerId = !empty($data['owner_id']) 
+            ? (int)$data['owner_id'] 
+            : null;
+        $newsletter->autoGenerated = !empty($data['auto_generated']);
         
         if (isset($data['statistics'])) {
             $newsletter->statistics = json_decode($data['statistics'], true) ?? [];
         }
 
+        if (!empty($data['layout'])) {
+            $newsletter->layout = json_decode($data['layout'], true) ?? [];
+        }
+
+        if (!empty($data['overrides'])) {
+            $newsletter->overrides = json_decode($data['overrides'], true) ?? [];
+        }
+
         $newsletter->htmlContent = isset($data['html_content'])
             ? (string)$data['html_content']
             : null;
@@ -193,6 +243,16 @@ class Newsletter
         return $this->categorizedNews;
     }
     
+    public function getLayout(): array
+    {
+        return $this->layout;
+    }
+    
+    public function getOverrides(): array
+    {
+        return $this->overrides;
+    }
+    
     public function getHtmlContent(): ?string
     {
         return $this->htmlContent;
@@ -213,6 +273,11 @@ class Newsletter
         return $this->sentAt;
     }
     
+    public function getArchivedAt(): ?\DateTimeImmutable
+    {
+        return $this->archivedAt;
+    }
+    
     public function getCreatedAt(): \DateTimeImmutable
     {
         return $this->createdAt;
@@ -228,6 +293,16 @@ class Newsletter
         return $this->statistics;
     }
     
+    public function getOwnerId(): ?int
+    {
+        return $this->ownerId;
+    }
+    
+    public function isAutoGenerated(): bool
+    {
+        return $this->autoGenerated;
+    }
+    
     /**
      * Get the title for display
      *
@@ -248,6 +323,37 @@ class Newsletter
         return sprintf(__('Newsletter #%d RIILSA', 'riilsa'), $this->number);
     }
     
+    /**
+     * Get the Brevo campaigns the newsletter went out in
+     * Split sends keep one campaign per batch and every resend adds its own
+     *
+     * @return array<int>
+     */
+    public function getCampaignIds(): array
+    {
+        $campaignIds = [];
+
+        if (!empty($this->statistics['campaignId'])) {
+            $campaignIds[] = (int)$this->statistics['campaignId'];
+        }
+
+        foreach ($this->statistics['batches'] ?? [] as $batch) {
+            if (!empty($batch['campaignId'])) {
+                $campaignIds[] = (int)$batch['campaignId'];
+            }
+        }
+
+        foreach ($this->statistics['resends'] ?? [] as $resend) {
+            foreach ($resend['batches'] ?? [] as $batch) {
+                if (!empty($batch['campaignId'])) {
+                    $campaignIds[] = (int)$batch['campaignId'];
+                }
+            }
+        }
+
+        return array_values(array_unique($campaignIds));
+    }
+    
     // Setters and business logic
     
     public function setId(int $id): void
@@ -255,6 +361,92 @@ class Newsletter
         $this->id = $id;
     }
     
+    /**
+     * Assign the user who owns the newsletter
+     *
+     * @param int $ownerId WordPress user ID
+     * @return void
+     */
+    public function assignOwner(int $ownerId): void
+    {
+        $this->ownerId = $ownerId;
+    }
+    
+    /**
+     * Flag the newsletter as built by the recurring cron job
+     *
+     * @return void
+     */
+    public function markAutoGenerated(): void
+    {
+        $this->autoGenerated = true;
+    }
+    
+    /**
+     * Update the composition of a draft
+     *
+     * @param int $number
+     * @param string $headerText
+     * @param array<int> $newsIds
+     * @return void
+     * @throws \DomainException
+     */
+    public function updateDraft(int $number, string $headerText, array $newsIds): void
+    {
+        if (!$this->isDraft()) {
+            throw new \DomainException('Only draft newsletters can be updated');
+        }
+        
+        $this->number = $number;
+        $this->headerText = $headerText;
+        $this->newsIds = array_map('intval', $newsIds);
+        $this->updatedAt = new \DateTimeImmutable();
+    }
+    
+    /**
+     * Replace the header and news of a newsletter that is generated again
+     * Status, statistics and dates stay, the placement is rebuilt on the next render
+     *
+     * @param string $headerText
+     * @param array<int> $newsIds
+     * @return void
+     */
+    public function replaceContent(string $headerText, array $newsIds): void
+    {
+        $this->headerText = $headerText;
+        $this->newsIds = array_map('intval', $newsIds);
+        $this->categorizedNews = [];
+        $this->layout = [];
+        $this->overrides = array_intersect_key($this->overrides, array_flip($this->newsIds));
+        $this->updatedAt = new \DateTimeImmutable();
+    }
+    
+    /**
+     * Replace the zone and order of the news items
+     * Entries for news that are not in the newsletter are dropped
+     *
+     * @param array<int, array{position: string, order: int}> $layout Keyed by news ID
+     * @return void
+     */
+    public function setLayout(array $layout): void
+    {
+        $this->layout = array_intersect_key($layout, array_flip($this->newsIds));
+        $this->updatedAt = new \DateTimeImmutable();
+    }
+    
+    /**
+     * Replace the newsletter-only content of the news items
+     * Overrides for news that are not in the newsletter are dropped
+     *
+     * @param array<int, array{title?: string, excerpt?: string, image?: string}> $overrides Keyed by news ID
+     * @return void
+     */
+    public function setOverrides(array $overrides): void
+    {
+        $this->overrides = array_intersect_key($overrides, array_flip($this->newsIds));
+        $this->updatedAt = new \DateTimeImmutable();
+    }
+    
     /**
      * Add categorized news
      *
@@ -269,6 +461,20 @@ class Newsletter
         }
         
         $this->categorizedNews[$category] = $newsItems;
+        
+        // Remember the placement so the newsletter can be rendered the same way again
+        $this->layout = array_filter(
+            $this->layout,
+            fn(array $entry) => $entry['position'] !== $category
+        );
+        
+        foreach (array_values($newsItems) as $order => $news) {
+            $this->layout[$news->getId()] = [
+                'position' => $category,
+                'order' => $order,
+            ];
+        }
+        
         $this->updatedAt = new \DateTimeImmutable();
     }
     
@@ -363,10 +569,50 @@ class Newsletter
             throw new \DomainException('Cannot cancel newsletter in current status');
         }
         
+        if ($this->hasBatchScheduledInBrevo()) {
+            throw new \DomainException('Part of this newsletter is already scheduled in Brevo, cancel that campaign in Brevo');
+        }
+        
         $this->status = NewsletterStatus::CANCELLED;
         $this->updatedAt = new \DateTimeImmutable();
     }
     
+    /**
+     * Archive a sent newsletter out of the default history view
+     *
+     * @return void
+     * @throws \DomainException
+     */
+    public function archive(): void
+    {
+        if (!$this->isSent()) {
+            throw new \DomainException('Only sent newsletters can be archived');
+        }
+        
+        if ($this->isArchived()) {
+            throw new \DomainException('Newsletter is already archived');
+        }
+        
+        $this->archivedAt = new \DateTimeImmutable();
+        $this->updatedAt = new \DateTimeImmutable();
+    }
+    
+    /**
+     * Bring an archived newsletter back to the default history view
+     *
+     * @return void
+     * @throws \DomainException
+     */
+    public function unarchive(): void
+    {
+        if (!$this->isArchived()) {
+            throw new \DomainException('Newsletter is not archived');
+        }
+        
+        $this->archivedAt = null;
+        $this->updatedAt = new \DateTimeImmutable();
+    }
+    
     /**
      * Update statistics
      *
@@ -401,6 +647,54 @@ class Newsletter
         return $this->status === NewsletterStatus::SCHEDULED;
     }
     
+    public function isSending(): bool
+    {
+        return $this->status === NewsletterStatus::SENDING;
+    }
+    
+    public function isDraft(): bool
+    {
+        return $this->status === NewsletterStatus::DRAFT;
+    }
+    
+    public function isArchived(): bool
+    {
+        return $this->archivedAt !== null;
+    }
+    
+    public function canCancel(): bool
+    {
+        return $this->status->canCancel() && !$this->hasBatchScheduledInBrevo();
+    }
+    
+    /**
+     * Check if a batch of a split send is waiting in Brevo
+     * Brevo delivers it whatever the local status says
+     *
+     * @return bool
+     */
+    public function hasBatchScheduledInBrevo(): bool
+    {
+        foreach ($this->statistics['batches'] ?? [] as $batch) {
+            if (($batch['status'] ?? '') === 'scheduled') {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Check if the newsletter can be deleted
+     * Only newsletters that never reached a Brevo campaign, so nothing about a send is lost
+     *
+     * @return bool
+     */
+    public function canDelete(): bool
+    {
+        return $this->status->canDelete() && $this->sentAt === null && empty($this->getCampaignIds());
+    }
+    
     /**
      * Convert to array for persistence
      *
@@ -418,9 +712,14 @@ class Newsletter
             'html_content' => $this->htmlContent,
             'scheduled_at' => $this->scheduledAt?->format('Y-m-d H:i:s'),
             'sent_at' => $this->sentAt?->format('Y-m-d H:i:s'),
+            'archived_at' => $this->archivedAt?->format('Y-m-d H:i:s'),
             'date_created' => $this->createdAt->format('Y-m-d H:i:s'),
             'date_updated' => $this->updatedAt?->format('Y-m-d H:i:s'),
             'statistics' => json_encode($this->statistics),
+            'owner_id' => $this->ownerId,
+            'auto_generated' => $this->autoGenerated ? 1 : 0,
+            'layout' => json_encode($this->layout),
+            'overrides' => json_encode($this->overrides),
         ];
     }
 }
@@ -0,0 +1,179 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Version Entity
+ *
+ * @package RIILSA\Domain\Entities
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Domain\Entities;
+
+/**
+ * Newsletter version entity
+ *
+ * Pattern: Entity Pattern
+ * This class represents the HTML of a newsletter as it was generated at one point in time.
+ * Versions are immutable: a new generation adds a version, it never changes an older one
+ */
+class NewsletterVersion
+{
+    /**
+     * Version ID
+     *
+     * @var int|null
+     */
+    private ?int $id = null;
+
+    /**
+     * ID of the newsletter the version belongs to
+     *
+     * @var int
+     */
+    private int $newsletterId;
+
+    /**
+     * Version number, starting at 1 for each newsletter
+     *
+     * @var int
+     */
+    private int $version;
+
+    /**
+     * Generated HTML, null when the version was loaded for a listing
+     *
+     * @var string|null
+     */
+    private ?string $htmlContent;
+
+    /**
+     * HTML size in bytes
+     *
+     * @var int
+     */
+    private int $contentSize;
+
+    /**
+     * User who generated the version
+     *
+     * @var int|null
+     */
+    private ?int $authorId;
+
+    /**
+     * Creation date
+     *
+     * @var \DateTimeImmutable
+     */
+    private \DateTimeImmutable $createdAt;
+
+    /**
+     * Constructor
+     *
+     * @param int $newsletterId
+     * @param int $version
+     * @param string $htmlContent
+     * @param int|null $authorId
+     */
+    public function __construct(int $newsletterId, int $version, string $htmlContent, ?int $authorId = null)
+    {
+        if ($version < 1) {
+            throw new \InvalidArgumentException('Version number must be 1 or greater');
+        }
+
+        $this->newsletterId = $newsletterId;
+        $this->version = $version;
+        $this->htmlContent = $htmlContent;
+        $this->contentSize = strlen($htmlContent);
+        $this->authorId = $authorId;
+        $this->createdAt = new \DateTimeImmutable();
+    }
+
+    /**
+     * Create from database record
+     * The html_content column may be left out of the query
+     *
+     * @param array $data
+     * @return self
+     */
+    public static function fromDatabaseRecord(array $data): self
+    {
+        $version = new self(
+            (int)$data['newsletter_id'],
+            (int)$data['version'],
+            (string)($data['html_content'] ?? ''),
+            !empty($data['author_id']) ? (int)$data['author_id'] : null
+        );
+
+        $version->id = (int)$data['id'];
+        $version->htmlContent = isset($data['html_content']) ? (string)$data['html_content'] : null;
+        $version->contentSize = (int)$data['content_size'];
+        $version->createdAt = new \DateTimeImmutable($data['date_created']);
+
+        return $version;
+    }
+
+    // Getters
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getNewsletterId(): int
+    {
+        return $this->newsletterId;
+    }
+
+    public function getVersion(): int
+    {
+        return $this->version;
+    }
+
+    public function getHtmlContent(): ?string
+    {
+        return $this->htmlContent;
+    }
+
+    public function getContentSize(): int
+    {
+        return $this->contentSize;
+    }
+
+    public function getAuthorId(): ?int
+    {
+        return $this->authorId;
+    }
+
+    public function getCreatedAt(): \DateTimeImmutable
+    {
+        return $this->createdAt;
+    }
+
+    // Setters
+
+    public function setId(int $id): void
+    {
+        $this->id = $id;
+    }
+
+    /**
+     * Convert to array for persistence
+     *
+     * @return array
+     */
+    public function toArray(): array
+    {
+        return [
+            'id' => $this->id,
+            'newsletter_id' => $this->newsletterId,
+            'version' => $this->version,
+            'html_content' => $this->htmlContent,
+            'content_size' => $this->contentSize,
+            'author_id' => $this->authorId,
+            'date_created' => $this->createdAt->format('Y-m-d H:i:s'),
+        ];
+    }
+}
@@ -42,6 +42,9 @@ interface NewsletterRepositoryInterface
     /**
      * Get all newsletters
      *
+     * Supported criteria: status (NewsletterStatus), number, numberFrom, numberTo,
+     * createdFrom, createdTo, sentFrom, sentTo ('Y-m-d H:i:s') and search (header text)
+     *
      * @param array $criteria Optional filter criteria
      * @param array $orderBy Optional ordering
      * @param int|null $limit
@@ -83,6 +86,13 @@ interface NewsletterRepositoryInterface
         int $offset = 0
     ): array;
 
+    /**
+     * Get open drafts, most recently edited first
+     *
+     * @return array<Newsletter>
+     */
+    public function findDrafts(): array;
+
     /**
      * Get newsletters scheduled for a specific date range
      *
@@ -151,7 +161,7 @@ interface NewsletterRepositoryInterface
     /**
      * Count newsletters by criteria
      *
-     * @param array $criteria
+     * @param array $criteria Same criteria as findAll()
      * @return int
      */
     public function count(array $criteria = []): int;
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Version Repository Interface
+ *
+ * @package RIILSA\Domain\Repositories
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Domain\Repositories;
+
+use RIILSA\Domain\Entities\NewsletterVersion;
+
+/**
+ * Repository interface for NewsletterVersion entities
+ *
+ * Pattern: Repository Pattern
+ * This interface defines the contract for newsletter HTML version persistence.
+ * Versions are only ever added, there is no update. They are removed only
+ * together with a newsletter that was never sent
+ */
+interface NewsletterVersionRepositoryInterface
+{
+    /**
+     * Get the versions of a newsletter, newest first
+     * The HTML is left out, load a single version to get it
+     *
+     * @param int $newsletterId
+     * @return array<NewsletterVersion>
+     */
+    public function findByNewsletter(int $newsletterId): array;
+
+    /**
+     * Find a version of a newsletter, with its HTML
+     *
+     * @param int $newsletterId
+     * @param int $version
+     * @return NewsletterVersion|null
+     */
+    public function findVersion(int $newsletterId, int $version): ?NewsletterVersion;
+
+    /**
+     * Get the highest version number of a newsletter
+     *
+     * @param int $newsletterId
+     * @return int 0 if the newsletter has no versions
+     */
+    public function getLatestVersionNumber(int $newsletterId): int;
+
+    /**
+     * Store a new version
+     *
+     * @param NewsletterVersion $version
+     * @return NewsletterVersion
+     * @throws \RuntimeException If the version number is already taken
+     */
+    public function add(NewsletterVersion $version): NewsletterVersion;
+
+    /**
+     * Delete every version of a newsletter
+     *
+     * @param int $newsletterId
+     * @return int Number of versions deleted
+     */
+    public function deleteByNewsletter(int $newsletterId): int;
+}
@@ -226,6 +226,13 @@ interface SubscriberRepositoryInterface
      */
     public function countByDependency(int $dependencyId, ?SubscriberStatus $status = null): int;
     
+    /**
+     * Get every dependency with the number of subscribers who can receive emails
+     *
+     * @return array<array{id: int, description: string, recipients: int}>
+     */
+    public function getDependencyRecipientCounts(): array;
+    
     /**
      * Get subscriber statistics
      *
@@ -45,13 +45,7 @@ class NewsletterContentService
     public function categorizeNewsItems(array $newsItems, array $selectedIds): array
     {
         // Validate all news items are published
-        foreach ($newsItems as $news) {
-            if (!$news->isPublished()) {
-                throw new \DomainException(
-                    "News item '{$news->getTitle()}' is not published and cannot be added to newsletter"
-                );
-            }
-        }
+        $this->assertPublished($newsItems);
 
         // Categorize based on position
         $categorized = [
@@ -61,29 +55,121 @@ class NewsletterContentService
         ];
 
         foreach ($newsItems as $news) {
-            $position = $news->getPosition();
+            $position = $this->resolveStoredPosition($categorized, $news);
+            $categorized[$position][] = $news;
+        }
 
-            if (!isset($categorized[$position])) {
-                $position = 'normal'; // Default position
+        return $categorized;
+    }
+
+    /**
+     * Arrange news items following an explicit editorial layout
+     *
+     * Items present in the layout keep the zone and order chosen by the editor,
+     * without falling back to other zones. Items missing from the layout are
+     * placed afterwards by their stored position.
+     *
+     * @param array<News> $newsItems
+     * @param array<int, array{position: string, order: int}> $layout Keyed by news ID
+     * @return array Categorized news items
+     * @throws \DomainException If validation fails or a zone exceeds its capacity
+     */
+    public function arrangeNewsItems(array $newsItems, array $layout): array
+    {
+        // Validate all news items are published
+        $this->assertPublished($newsItems);
+
+        $placed = [
+            'highlight' => [],
+            'normal' => [],
+            'grid' => []
+        ];
+        $unplaced = [];
+
+        foreach ($newsItems as $news) {
+            $entry = $layout[$news->getId()] ?? null;
+
+            if ($entry === null || !isset($placed[$entry['position']])) {
+                $unplaced[] = $news;
+                continue;
             }
 
-            // Check category limits
-            if (count($categorized[$position]) >= $this->categoryLimits[$position]) {
-                // Try to place in another category
-                $position = $this->findAlternativePosition($categorized, $position);
-                if (!$position) {
-                    throw new \DomainException(
-                        "Cannot add more news items. All categories are at their limits."
-                    );
-                }
+            $placed[$entry['position']][] = ['order' => (int) $entry['order'], 'news' => $news];
+        }
+
+        // Keep the editor's order and enforce zone capacities
+        $categorized = [];
+        foreach ($placed as $position => $entries) {
+            if (count($entries) > $this->categoryLimits[$position]) {
+                throw new \DomainException(sprintf(
+                    "The '%s' zone holds at most %d news items, %d were assigned.",
+                    $position,
+                    $this->categoryLimits[$position],
+                    count($entries)
+                ));
             }
 
+            usort($entries, fn(array $a, array $b) => $a['order'] <=> $b['order']);
+            $categorized[$position] = array_column($entries, 'news');
+        }
+
+        // Remaining items fill the free slots by their stored position
+        foreach ($unplaced as $news) {
+            $position = $this->resolveStoredPosition($categorized, $news);
             $categorized[$position][] = $news;
         }
 
         return $categorized;
     }
 
+    /**
+     * Ensure every news item is published
+     *
+     * @param array<News> $newsItems
+     * @return void
+     * @throws \DomainException
+     */
+    private function assertPublished(array $newsItems): void
+    {
+        foreach ($newsItems as $news) {
+            if (!$news->isPublished()) {
+                throw new \DomainException(
+                    "News item '{$news->getTitle()}' is not published and cannot be added to newsletter"
+                );
+            }
+        }
+    }
+
+    /**
+     * Resolve the category for a news item from its stored position
+     *
+     * @param array $categorized Items already placed
+     * @param News $news
+     * @return string
+     * @throws \DomainException If all categories are full
+     */
+    private function resolveStoredPosition(array $categorized, News $news): string
+    {
+        $position = $news->getPosition();
+
+        if (!isset($categorized[$position])) {
+            $position = 'normal'; // Default position
+        }
+
+        // Check category limits
+        if (count($categorized[$position]) >= $this->categoryLimits[$position]) {
+            // Try to place in another category
+            $position = $this->findAlternativePosition($categorized, $position);
+            if (!$position) {
+                throw new \DomainException(
+                    "Cannot add more news items. All categories are at their limits."
+                );
+            }
+        }
+
+        return $position;
+    }
+
     /**
      * Find an alternative position when the preferred one is full
      *
@@ -326,6 +412,19 @@ class NewsletterContentService
             $lineIndex++;
         }
 
+        // Lines with fewer items than their share leave slots free, fill them in the original order
+        if (count($selected) < $maxItems) {
+            foreach ($newsItems as $news) {
+                if (count($selected) >= $maxItems) {
+                    break;
+                }
+
+                if (!in_array($news, $selected, true)) {
+                    $selected[] = $news;
+                }
+            }
+        }
+
         return array_slice($selected, 0, $maxItems);
     }
 
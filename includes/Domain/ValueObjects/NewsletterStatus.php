@@ -87,7 +87,17 @@ enum NewsletterStatus: int
      */
     public function canCancel(): bool
     {
-        return in_array($this, [self::SCHEDULED, self::SENDING], true);
+        return in_array($this, [self::DRAFT, self::SCHEDULED], true);
+    }
+    
+    /**
+     * Check if the newsletter can be deleted
+     *
+     * @return bool
+     */
+    public function canDelete(): bool
+    {
+        return in_array($this, [self::DRAFT, self::CANCELLED], true);
     }
     
     /**
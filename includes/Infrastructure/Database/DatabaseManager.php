@@ -40,7 +40,7 @@ class DatabaseManager
      *
      * @var string
      */
-    private const CURRENT_DB_VERSION = '3.1.3';
+    private const CURRENT_DB_VERSION = '3.1.9';
 
     /**
      * Constructor
@@ -64,6 +64,7 @@ class DatabaseManager
         if (version_compare($installedVersion, self::CURRENT_DB_VERSION, '<')) {
             $this->createTables();
             $this->updateTables();
+            $this->backfillNewsletterVersions();
         }
     }
 
@@ -99,6 +100,42 @@ class DatabaseManager
         $checkAndAdd('sent_at', 'datetime', 'scheduled_at');
         $checkAndAdd('date_updated', 'datetime', 'date_created');
         $checkAndAdd('statistics', 'longtext', 'date_updated');
+        $checkAndAdd('owner_id', 'bigint(20)', 'statistics');
+        $checkAndAdd('auto_generated', 'tinyint(1)', 'owner_id');
+        $checkAndAdd('layout', 'longtext', 'auto_generated');
+        $checkAndAdd('overrides', 'longtext', 'layout');
+        $checkAndAdd('archived_at', 'datetime', 'overrides');
+
+        // History queries filter on archived_at, so it needs its index too
+        $index = $this->wpdb->get_results("SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = '$dbname' AND TABLE_NAME = '$table' AND INDEX_NAME = 'archived_at'");
+        if (empty($index)) {
+            $this->wpdb->query("ALTER TABLE $table ADD KEY archived_at (archived_at)");
+            debugLog('Added archived_at index to newsletter logs table', 'info');
+        }
+    }
+
+    /**
+     * Keep the HTML of newsletters generated before versioning as their first version
+     *
+     * @return void
+     */
+    private function backfillNewsletterVersions(): void
+    {
+        $logsTable = RIILSA_TABLE_NEWSLETTER_LOGS;
+        $versionsTable = RIILSA_TABLE_NEWSLETTER_VERSIONS;
+
+        $added = $this->wpdb->query(
+            "INSERT INTO $versionsTable (newsletter_id, version, html_content, content_size, author_id, date_created)
+            SELECT logs.id, 1, logs.html_content, LENGTH(logs.html_content), logs.owner_id,
+                COALESCE(logs.date_updated, logs.date_created)
+            FROM $logsTable logs
+            WHERE logs.html_content IS NOT NULL AND logs.html_content <> ''
+                AND NOT EXISTS (SELECT 1 FROM $versionsTable versions WHERE versions.newsletter_id = logs.id)"
+        );
+
+        if ($added) {
+            debugLog("Stored the HTML of $added newsletters as their first version", 'info');
+        }
     }    /**
          * Create database tables
          *
@@ -156,11 +193,30 @@ class DatabaseManager
             date_created datetime DEFAULT CURRENT_TIMESTAMP,
             date_updated datetime DEFAULT NULL,
             statistics longtext DEFAULT NULL,
+            owner_id bigint(20) DEFAULT NULL,
+            auto_generated tinyint(1) DEFAULT NULL,
+            layout longtext DEFAULT NULL,
+            overrides longtext DEFAULT NULL,
+            archived_at datetime DEFAULT NULL,
             PRIMARY KEY (id),
             UNIQUE KEY number (number),
             KEY id_status (id_status),
             KEY scheduled_at (scheduled_at),
-            KEY sent_at (sent_at)
+            KEY sent_at (sent_at),
+            KEY archived_at (archived_at)
+        ) $charsetCollate;";
+
+        // Newsletter HTML versions table, one row per generation, never updated
+        $sqlVersionsTable = "CREATE TABLE IF NOT EXISTS " . RIILSA_TABLE_NEWSLETTER_VERSIONS . " (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            newsletter_id int(11) NOT NULL,
+            version int(11) NOT NULL,
+            html_content longtext NOT NULL,
+            content_size int(11) NOT NULL DEFAULT 0,
+            author_id bigint(20) DEFAULT NULL,
+            date_created datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY newsletter_version (newsletter_id, version)
         ) $charsetCollate;";
 
         // Dependency catalog table
@@ -177,6 +233,7 @@ class DatabaseManager
         dbDelta($sqlEmailTable);
         dbDelta($sqlTokenTable);
         dbDelta($sqlLogsTable);
+        dbDelta($sqlVersionsTable);
         dbDelta($sqlDependencyTable);
 
         // Update database version
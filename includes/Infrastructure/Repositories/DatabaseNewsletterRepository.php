@@ -55,7 +55,7 @@ class DatabaseNewsletterRepository implements NewsletterRepositoryInterface
     public function findById(int $id): ?Newsletter
     {
         $sql = $this->wpdb->prepare(
-            "SELECT * FROM {$this->tableName} WHERE number = %d",
+            "SELECT * FROM {$this->tableName} WHERE id = %d",
             $id
         );
 
@@ -164,6 +164,17 @@ class DatabaseNewsletterRepository implements NewsletterRepositoryInterface
         );
     }
 
+    /**
+     * {@inheritdoc}
+     */
+    public function findDrafts(): array
+    {
+        return $this->findAll(
+            ['status' => NewsletterStatus::DRAFT],
+            ['updatedAt' => 'DESC']
+        );
+    }
+
     /**
      * {@inheritdoc}
      */
@@ -260,6 +271,11 @@ class DatabaseNewsletterRepository implements NewsletterRepositoryInterface
             'sent_at' => $newsletter->getSentAt()?->format('Y-m-d H:i:s'),
             'date_updated' => current_time('mysql'),
             'statistics' => json_encode($newsletter->getStatistics()),
+            'owner_id' => $newsletter->getOwnerId(),
+            'auto_generated' => $newsletter->isAutoGenerated() ? 1 : 0,
+            'layout' => json_encode($newsletter->getLayout()),
+            'overrides' => json_encode($newsletter->getOverrides()),
+            'archived_at' => $newsletter->getArchivedAt()?->format('Y-m-d H:i:s'),
         ];
 
         if ($newsletter->getId()) {
@@ -268,7 +284,7 @@ class DatabaseNewsletterRepository implements NewsletterRepositoryInterface
                 $this->tableName,
                 $data,
                 ['id' => $newsletter->getId()],
-                ['%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s'],
+                ['%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%s', '%s', '%s'],
                 ['%d']
             );
 
@@ -282,7 +298,7 @@ class DatabaseNewsletterRepository implements NewsletterRepositoryInterface
             $result = $this->wpdb->insert(
                 $this->tableName,
                 $data,
-                ['%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s']
+                ['%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%s', '%s', '%s', '%s']
             );
 
             if ($result === false) {
@@ -461,6 +477,42 @@ class DatabaseNewsletterRepository implements NewsletterRepositoryInterface
             );
         }
 
+        if (isset($criteria['numberFrom'])) {
+            $where[] = $this->wpdb->prepare('number >= %d', $criteria['numberFrom']);
+        }
+
+        if (isset($criteria['numberTo'])) {
+            $where[] = $this->wpdb->prepare('number <= %d', $criteria['numberTo']);
+        }
+
+        // Date bounds are 'Y-m-d H:i:s' strings in site time, like the stored dates
+        $dateColumns = [
+            'created' => 'date_created',
+            'sent' => 'sent_at',
+        ];
+
+        foreach ($dateColumns as $prefix => $column) {
+            if (isset($criteria[$prefix . 'From'])) {
+                $where[] = $this->wpdb->prepare("{$column} >= %s", $criteria[$prefix . 'From']);
+            }
+
+            if (isset($criteria[$prefix . 'To'])) {
+                $where[] = $this->wpdb->prepare("{$column} <= %s", $criteria[$prefix . 'To']);
+            }
+        }
+
+        // Archived newsletters only show up when asked for
+        if (isset($criteria['archived'])) {
+            $where[] = $criteria['archived'] ? 'archived_at IS NOT NULL' : 'archived_at IS NULL';
+        }
+
+        if (isset($criteria['search'])) {
+            $where[] = $this->wpdb->prepare(
+                'text_header LIKE %s',
+                '%' . $this->wpdb->esc_like($criteria['search']) . '%'
+            );
+        }
+
         return $where;
     }
 
@@ -484,6 +536,7 @@ class DatabaseNewsletterRepository implements NewsletterRepositoryInterface
             'createdAt' => 'date_created',
             'sentAt' => 'sent_at',
             'scheduledAt' => 'scheduled_at',
+            'updatedAt' => 'date_updated',
             default => 'number',
         };
 
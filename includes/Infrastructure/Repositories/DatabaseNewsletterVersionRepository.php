@@ -0,0 +1,144 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Database Newsletter Version Repository Implementation
+ *
+ * @package RIILSA\Infrastructure\Repositories
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Infrastructure\Repositories;
+
+use RIILSA\Domain\Entities\NewsletterVersion;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
+
+/**
+ * Database implementation of NewsletterVersion repository
+ *
+ * Pattern: Repository Pattern
+ * This class implements newsletter version persistence using direct database access
+ */
+class DatabaseNewsletterVersionRepository implements NewsletterVersionRepositoryInterface
+{
+    /**
+     * WordPress database interface
+     *
+     * @var \wpdb
+     */
+    private \wpdb $wpdb;
+
+    /**
+     * Table name
+     *
+     * @var string
+     */
+    private string $tableName;
+
+    /**
+     * Constructor
+     *
+     * @param \wpdb $wpdb
+     */
+    public function __construct(\wpdb $wpdb)
+    {
+        $this->wpdb = $wpdb;
+        $this->tableName = RIILSA_TABLE_NEWSLETTER_VERSIONS;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function findByNewsletter(int $newsletterId): array
+    {
+        $sql = $this->wpdb->prepare(
+            "SELECT id, newsletter_id, version, content_size, author_id, date_created
+            FROM {$this->tableName} WHERE newsletter_id = %d ORDER BY version DESC",
+            $newsletterId
+        );
+
+        $results = $this->wpdb->get_results($sql, ARRAY_A);
+
+        return array_map(
+            fn($row) => NewsletterVersion::fromDatabaseRecord($row),
+            $results ?? []
+        );
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function findVersion(int $newsletterId, int $version): ?NewsletterVersion
+    {
+        $sql = $this->wpdb->prepare(
+            "SELECT * FROM {$this->tableName} WHERE newsletter_id = %d AND version = %d",
+            $newsletterId,
+            $version
+        );
+
+        $row = $this->wpdb->get_row($sql, ARRAY_A);
+
+        if (!$row) {
+            return null;
+        }
+
+        return NewsletterVersion::fromDatabaseRecord($row);
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function getLatestVersionNumber(int $newsletterId): int
+    {
+        return (int) $this->wpdb->get_var($this->wpdb->prepare(
+            "SELECT MAX(version) FROM {$this->tableName} WHERE newsletter_id = %d",
+            $newsletterId
+        ));
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function add(NewsletterVersion $version): NewsletterVersion
+    {
+        $result = $this->wpdb->insert(
+            $this->tableName,
+            [
+                'newsletter_id' => $version->getNewsletterId(),
+                'version' => $version->getVersion(),
+                'html_content' => $version->getHtmlContent(),
+                'content_size' => $version->getContentSize(),
+                'author_id' => $version->getAuthorId(),
+                'date_created' => current_time('mysql'),
+            ],
+            ['%d', '%d', '%s', '%d', '%d', '%s']
+        );
+
+        if ($result === false) {
+            throw new \RuntimeException('Failed to insert newsletter version: ' . $this->wpdb->last_error);
+        }
+
+        $version->setId($this->wpdb->insert_id);
+
+        return $version;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function deleteByNewsletter(int $newsletterId): int
+    {
+        $result = $this->wpdb->delete(
+            $this->tableName,
+            ['newsletter_id' => $newsletterId],
+            ['%d']
+        );
+
+        if ($result === false) {
+            throw new \RuntimeException('Failed to delete newsletter versions: ' . $this->wpdb->last_error);
+        }
+
+        return (int)$result;
+    }
+}
@@ -493,6 +493,29 @@ class DatabaseSubscriberRepository implements SubscriberRepositoryInterface
         return $this->count($criteria);
     }
     
+    /**
+     * {@inheritdoc}
+     */
+    public function getDependencyRecipientCounts(): array
+    {
+        $sql = "SELECT d.id, d.description, COUNT(e.id) as recipients
+                FROM " . RIILSA_TABLE_DEPENDENCY_CATALOG . " d
+                LEFT JOIN {$this->emailTable} e ON e.id_dependency = d.id AND e.verified = 1
+                GROUP BY d.id, d.description
+                ORDER BY d.description ASC";
+        
+        $results = $this->wpdb->get_results($sql, ARRAY_A);
+        
+        return array_map(
+            fn($row) => [
+                'id' => (int)$row['id'],
+                'description' => $row['description'],
+                'recipients' => (int)$row['recipients'],
+            ],
+            $results ?? []
+        );
+    }
+    
     /**
      * {@inheritdoc}
      */
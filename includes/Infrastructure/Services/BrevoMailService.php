@@ -18,6 +18,7 @@ use Brevo\Client\Api\ListsApi;
 use Brevo\Client\Api\SendersApi;
 use Brevo\Client\Api\TransactionalEmailsApi;
 use Brevo\Client\Api\ContactsApi;
+use Brevo\Client\Api\ProcessApi;
 use Brevo\Client\Model\CreateEmailCampaign;
 use Brevo\Client\Model\CreateEmailCampaignSender;
 use Brevo\Client\Model\CreateEmailCampaignRecipients;
@@ -27,6 +28,8 @@ use Brevo\Client\Model\SendSmtpEmailTo;
 use Brevo\Client\Model\CreateContact;
 use Brevo\Client\Model\UpdateContact;
 use Brevo\Client\Model\CreateList;
+use Brevo\Client\Model\EmailExportRecipients;
+use Brevo\Client\ObjectSerializer;
 
 use function RIILSA\Core\debugLog;
 
@@ -46,6 +49,7 @@ class BrevoMailService
     private ?SendersApi $apiSenders = null;
     private ?TransactionalEmailsApi $apiTransactionalEmails = null;
     private ?ContactsApi $apiContacts = null;
+    private ?ProcessApi $apiProcess = null;
 
     /**
      * Service configuration status
@@ -68,9 +72,12 @@ class BrevoMailService
 
     /**
      * Constructor
+     *
+     * @param string|null $apiHost Base URL that replaces the Brevo API host, null for the real API
      */
-    public function __construct()
-    {
+    public function __construct(
+        private readonly ?string $apiHost = null
+    ) {
         $this->initializeBrevoApis();
 
         if ($this->isConfigured) {
@@ -99,6 +106,12 @@ class BrevoMailService
 
         // Configure Brevo
         $config = Configuration::getDefaultConfiguration()->setApiKey('api-key', $apiKey);
+
+        // Lets a local stand-in answer the API calls during development and tests
+        if (!empty($this->apiHost)) {
+            $config->setHost(rtrim($this->apiHost, '/'));
+        }
+
         $client = new Client();
 
         // Initialize API instances
@@ -107,6 +120,7 @@ class BrevoMailService
         $this->apiContacts = new ContactsApi($client, $config);
         $this->apiTransactionalEmails = new TransactionalEmailsApi($client, $config);
         $this->apiSenders = new SendersApi($client, $config);
+        $this->apiProcess = new ProcessApi($client, $config);
 
         $this->isConfigured = true;
     }
@@ -407,9 +421,61 @@ class BrevoMailService
             ];
         }
 
-        try {
-            $brevoListIds = $this->mapDependencyIdsToListIds($listIds);
+        return $this->createCampaign(
+            $this->mapDependencyIdsToListIds($listIds),
+            $html,
+            $tag,
+            $subject,
+            $scheduledAt
+        );
+    }
+
+    /**
+     * Create and send a campaign to Brevo lists that are not tied to a dependency
+     * Used for the temporary lists of a resend
+     *
+     * @param array<int> $brevoListIds Brevo list IDs
+     * @param string $html HTML content
+     * @param string $tag Campaign tag
+     * @param string $subject Email subject
+     * @param \DateTimeInterface|null $scheduledAt Optional scheduled date
+     * @return array Result with success status and campaign ID
+     */
+    public function createAndSendListCampaign(
+        array $brevoListIds,
+        string $html,
+        string $tag,
+        string $subject,
+        ?\DateTimeInterface $scheduledAt = null
+    ): array {
+        if (!$this->isConfigured) {
+            return [
+                'success' => false,
+                'error' => 'Brevo service not configured',
+            ];
+        }
+
+        return $this->createCampaign($brevoListIds, $html, $tag, $subject, $scheduledAt);
+    }
 
+    /**
+     * Create a campaign for the given Brevo lists, sent at $scheduledAt or in two minutes
+     *
+     * @param array<int> $brevoListIds
+     * @param string $html
+     * @param string $tag
+     * @param string $subject
+     * @param \DateTimeInterface|null $scheduledAt
+     * @return array Result with success status and campaign ID
+     */
+    private function createCampaign(
+        array $brevoListIds,
+        string $html,
+        string $tag,
+        string $subject,
+        ?\DateTimeInterface $scheduledAt = null
+    ): array {
+        try {
             $campaignData = [
                 'name' => $subject,
                 'tag' => $tag,
@@ -456,6 +522,133 @@ class BrevoMailService
         }
     }
 
+    /**
+     * Get the engagement statistics of a campaign
+     *
+     * Brevo leaves globalStats empty for many campaigns, the per-list
+     * campaignStats are added up instead when that happens.
+     *
+     * @param int $campaignId
+     * @return array{delivered: int, sent: int, opens: int, uniqueOpens: int, clicks: int, uniqueClicks: int, hardBounces: int, softBounces: int, unsubscriptions: int, complaints: int, links: array<string, int>}
+     * @throws \RuntimeException
+     */
+    public function getCampaignStatistics(int $campaignId): array
+    {
+        if (!$this->isConfigured) {
+            throw new \RuntimeException('Brevo service not configured');
+        }
+
+        try {
+            $campaign = $this->apiEmailCampaigns->getEmailCampaign($campaignId);
+
+            // Plain arrays with the API field names, whatever the model classes look like
+            $data = json_decode(json_encode(ObjectSerializer::sanitizeForSerialization($campaign)), true);
+        } catch (\Exception $e) {
+            throw new \RuntimeException('Failed to get campaign statistics: ' . $e->getMessage());
+        }
+
+        $statistics = $data['statistics'] ?? [];
+        $rows = !empty($statistics['globalStats']['delivered'])
+            ? [$statistics['globalStats']]
+            : ($statistics['campaignStats'] ?? []);
+
+        $fields = [
+            'delivered' => 'delivered',
+            'sent' => 'sent',
+            'opens' => 'viewed',
+            'uniqueOpens' => 'uniqueViews',
+            'clicks' => 'clickers',
+            'uniqueClicks' => 'uniqueClicks',
+            'hardBounces' => 'hardBounces',
+            'softBounces' => 'softBounces',
+            'unsubscriptions' => 'unsubscriptions',
+            'complaints' => 'complaints',
+        ];
+
+        $totals = array_fill_keys(array_keys($fields), 0);
+        foreach ($rows as $row) {
+            foreach ($fields as $key => $field) {
+                $totals[$key] += (int)($row[$field] ?? 0);
+            }
+        }
+
+        $totals['links'] = array_map('intval', $statistics['linksStats'] ?? []);
+
+        return $totals;
+    }
+
+    /**
+     * Ask Brevo to export the hard and soft bounces of a campaign
+     * The exports run in the background, their results are read with getExportedEmails()
+     *
+     * @param int $campaignId
+     * @return array<int> Export process IDs
+     * @throws \RuntimeException
+     */
+    public function requestBounceExport(int $campaignId): array
+    {
+        if (!$this->isConfigured) {
+            throw new \RuntimeException('Brevo service not configured');
+        }
+
+        try {
+            $processIds = [];
+
+            foreach (['hardBounces', 'softBounces'] as $recipientsType) {
+                $process = $this->apiEmailCampaigns->emailExportRecipients(
+                    $campaignId,
+                    new EmailExportRecipients(['recipientsType' => $recipientsType])
+                );
+
+                $processIds[] = (int)$process->getProcessId();
+            }
+
+            return $processIds;
+        } catch (\Exception $e) {
+            throw new \RuntimeException('Failed to export campaign bounces: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * Read the addresses of a finished export
+     *
+     * @param int $processId
+     * @return array<string>|null Lowercase addresses, or null while Brevo is still exporting
+     * @throws \RuntimeException
+     */
+    public function getExportedEmails(int $processId): ?array
+    {
+        if (!$this->isConfigured) {
+            throw new \RuntimeException('Brevo service not configured');
+        }
+
+        try {
+            $process = $this->apiProcess->getProcess($processId);
+        } catch (\Exception $e) {
+            throw new \RuntimeException('Failed to read export process: ' . $e->getMessage());
+        }
+
+        if ($process->getStatus() !== 'completed') {
+            return null;
+        }
+
+        // Nothing to export leaves no file behind
+        if (!$process->getExportUrl()) {
+            return [];
+        }
+
+        $response = wp_remote_get($process->getExportUrl(), ['timeout' => 30]);
+
+        if (is_wp_error($response)) {
+            throw new \RuntimeException('Failed to download export: ' . $response->get_error_message());
+        }
+
+        // The CSV columns vary with the account attributes, the addresses are all that is needed
+        preg_match_all('/[^\s,;"\']+@[^\s,;"\']+/', wp_remote_retrieve_body($response), $matches);
+
+        return array_values(array_unique(array_map('strtolower', $matches[0])));
+    }
+
     /**
      * Check if Brevo service is available
      *
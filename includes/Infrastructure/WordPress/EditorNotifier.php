@@ -0,0 +1,115 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Editor Notifier
+ *
+ * @package RIILSA\Infrastructure\WordPress
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Infrastructure\WordPress;
+
+use RIILSA\Domain\Entities\Newsletter;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Emails the newsletter editors through wp_mail
+ * 
+ * Pattern: Adapter Pattern
+ * This class wraps wp_mail for notifications to the people who manage newsletters
+ */
+class EditorNotifier
+{
+    /**
+     * Slug of the newsletter management page
+     *
+     * @var string
+     */
+    public const MANAGEMENT_PAGE = 'gestion-boletin';
+
+    /**
+     * Query argument that opens a newsletter for review on the management page
+     *
+     * @var string
+     */
+    public const REVIEW_ARG = 'revisar';
+
+    /**
+     * Tell the editors an automatic draft is ready for review
+     *
+     * @param Newsletter $newsletter
+     * @param array<string> $recipients Empty for every editor and administrator
+     * @return int Number of editors notified
+     */
+    public function notifyAutoDraft(Newsletter $newsletter, array $recipients = []): int
+    {
+        $recipients = $recipients ?: $this->getEditorEmails();
+
+        if (empty($recipients)) {
+            debugLog('No editors to notify about the automatic draft', 'warning');
+            return 0;
+        }
+
+        $subject = sprintf(
+            __('[RIILSA] Borrador automático del boletín #%d listo para revisar', 'riilsa'),
+            $newsletter->getNumber()
+        );
+
+        $message = implode("\n\n", [
+            sprintf(
+                __('Se generó automáticamente el borrador del boletín #%d con %d noticias.', 'riilsa'),
+                $newsletter->getNumber(),
+                count($newsletter->getNewsIds())
+            ),
+            __('Revísalo y envíalo desde la página de gestión de boletines:', 'riilsa'),
+            $this->getReviewUrl($newsletter->getNumber()),
+            __('El boletín no se enviará a los suscriptores hasta que alguien lo envíe.', 'riilsa'),
+        ]);
+
+        $notified = 0;
+
+        foreach ($recipients as $email) {
+            if (wp_mail($email, $subject, $message)) {
+                $notified++;
+            } else {
+                debugLog(sprintf('Failed to notify %s about newsletter #%d', $email, $newsletter->getNumber()), 'warning');
+            }
+        }
+
+        return $notified;
+    }
+
+    /**
+     * Get the link that opens a newsletter for review
+     *
+     * @param int $newsletterNumber
+     * @return string
+     */
+    public function getReviewUrl(int $newsletterNumber): string
+    {
+        $page = get_page_by_path(self::MANAGEMENT_PAGE);
+        $pageUrl = $page ? get_permalink($page) : home_url('/' . self::MANAGEMENT_PAGE . '/');
+
+        return add_query_arg(self::REVIEW_ARG, $newsletterNumber, $pageUrl);
+    }
+
+    /**
+     * Get the addresses of the users who manage newsletters
+     *
+     * @return array<string>
+     */
+    private function getEditorEmails(): array
+    {
+        $users = get_users([
+            'role__in' => ['administrator', 'editor'],
+            'fields' => ['user_email'],
+        ]);
+
+        return array_values(array_unique(array_filter(array_map(
+            fn($user) => (string) $user->user_email,
+            $users
+        ))));
+    }
+}
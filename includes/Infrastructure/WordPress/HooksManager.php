@@ -40,10 +40,19 @@ class HooksManager
             wp_schedule_event(time(), 'daily', 'riilsa_update_expired_statuses');
         }
 
+        // Checked daily, builds at most one draft per month
+        if (!wp_next_scheduled('riilsa_auto_newsletter_draft')) {
+            wp_schedule_event(time(), 'daily', 'riilsa_auto_newsletter_draft');
+        }
+
         // Register cron actions
         add_action('riilsa_daily_cleanup', [$this, 'dailyCleanup']);
         add_action('riilsa_update_expired_statuses', [$this, 'updateExpiredStatuses']);
         add_action('riilsa_update_call_status', [$this, 'updateCallStatus']);
+        add_action('riilsa_auto_newsletter_draft', [$this, 'generateAutoNewsletterDraft']);
+        add_action(NewsletterScheduler::HOOK, [$this, 'sendScheduledNewsletter']);
+        add_action(NewsletterScheduler::DELIVERY_HOOK, [$this, 'deliverNewsletter'], 10, 2);
+        add_action(NewsletterScheduler::LIST_CLEANUP_HOOK, [$this, 'deleteTemporaryList']);
 
         // Content filters
         add_filter('the_content', [$this, 'filterContent'], 10, 1);
@@ -174,6 +183,144 @@ class HooksManager
         }
     }
 
+    /**
+     * Build the recurring automatic newsletter draft once its day of the month has come
+     *
+     * @return void
+     */
+    public function generateAutoNewsletterDraft(): void
+    {
+        try {
+            $container = \RIILSA\Core\Container::getInstance();
+            $settings = $container->get(NewsletterSettings::class);
+
+            $dto = \RIILSA\Application\DTOs\AutoDraftSettingsDTO::fromArray($settings->getAutoDraftSettings());
+
+            if (!$dto->enabled) {
+                return;
+            }
+
+            $today = new \DateTimeImmutable('now', wp_timezone());
+            $period = $today->format('Y-m');
+
+            // Later days still count, in case WP-Cron missed the configured one
+            if ((int) $today->format('j') < $dto->dayOfMonth || $settings->getAutoDraftLastRun() === $period) {
+                return;
+            }
+
+            // Recorded first so an overlapping cron run does not build a second draft
+            $settings->saveAutoDraftLastRun($period);
+
+            $useCase = $container->get(
+                \RIILSA\Application\UseCases\Newsletter\GenerateAutoNewsletterDraftUseCase::class
+            );
+            $result = $useCase->execute($dto);
+
+            if ($result->success) {
+                debugLog(sprintf(
+                    'Automatic newsletter draft #%d generated, %d editors notified',
+                    $result->statistics['number'],
+                    $result->statistics['notified']
+                ), 'info');
+            } else {
+                debugLog('Automatic newsletter draft not generated: ' . implode(', ', $result->errors), 'warning');
+            }
+
+        } catch (\Exception $e) {
+            debugLog('Automatic newsletter draft error: ' . $e->getMessage(), 'error');
+        }
+    }
+
+    /**
+     * Send a newsletter whose scheduled time has come
+     *
+     * @param int $newsletterNumber
+     * @return void
+     */
+    public function sendScheduledNewsletter(int $newsletterNumber): void
+    {
+        try {
+            $container = \RIILSA\Core\Container::getInstance();
+            $sendUseCase = $container->get(\RIILSA\Application\UseCases\Newsletter\SendNewsletterUseCase::class);
+
+            $result = $sendUseCase->dispatchScheduled($newsletterNumber);
+
+            if ($result->success) {
+                debugLog(sprintf(
+                    'Scheduled newsletter #%d sent to %d of %d recipients',
+                    $newsletterNumber,
+                    $result->sentCount,
+                    $result->recipientCount
+                ), 'info');
+            } else {
+                debugLog(sprintf(
+                    'Scheduled newsletter #%d not sent: %s',
+                    $newsletterNumber,
+                    implode(', ', $result->errors)
+                ), 'warning');
+            }
+
+        } catch (\Exception $e) {
+            debugLog('Send scheduled newsletter error: ' . $e->getMessage(), 'error');
+        }
+    }
+
+    /**
+     * Deliver a newsletter whose send was started from the management page
+     *
+     * @param int $newsletterNumber
+     * @param array $recipientFilters
+     * @return void
+     */
+    public function deliverNewsletter(int $newsletterNumber, array $recipientFilters = []): void
+    {
+        try {
+            $container = \RIILSA\Core\Container::getInstance();
+            $sendUseCase = $container->get(\RIILSA\Application\UseCases\Newsletter\SendNewsletterUseCase::class);
+
+            $result = $sendUseCase->dispatchQueued($newsletterNumber, $recipientFilters);
+
+            if ($result->success) {
+                debugLog(sprintf(
+                    'Newsletter #%d sent to %d of %d recipients',
+                    $newsletterNumber,
+                    $result->sentCount,
+                    $result->recipientCount
+                ), 'info');
+            } else {
+                debugLog(sprintf(
+                    'Newsletter #%d not sent: %s',
+                    $newsletterNumber,
+                    implode(', ', $result->errors)
+                ), 'warning');
+            }
+
+        } catch (\Exception $e) {
+            debugLog('Deliver newsletter error: ' . $e->getMessage(), 'error');
+        }
+    }
+
+    /**
+     * Delete a temporary Brevo list whose campaign already went out
+     *
+     * @param int $brevoListId
+     * @return void
+     */
+    public function deleteTemporaryList(int $brevoListId): void
+    {
+        try {
+            $container = \RIILSA\Core\Container::getInstance();
+            $brevoService = $container->get(\RIILSA\Infrastructure\Services\BrevoMailService::class);
+
+            $brevoService->deleteContactList($brevoListId);
+
+            debugLog(sprintf('Deleted temporary Brevo list %d', $brevoListId), 'info');
+
+        } catch (\Exception $e) {
+            debugLog('Delete temporary list error: ' . $e->getMessage(), 'error');
+        }
+    }
+
     /**
      * Clean up temporary files
      *
@@ -0,0 +1,139 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Scheduler
+ *
+ * @package RIILSA\Infrastructure\WordPress
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Infrastructure\WordPress;
+
+use RIILSA\Domain\Entities\Newsletter;
+use function RIILSA\Core\debugLog;
+
+/**
+ * Queues scheduled newsletter sends in WP-Cron
+ * 
+ * Pattern: Adapter Pattern
+ * This class wraps the WP-Cron single event API for scheduled sends
+ */
+class NewsletterScheduler
+{
+    /**
+     * Cron hook fired when a scheduled newsletter is due
+     *
+     * @var string
+     */
+    public const HOOK = 'riilsa_send_scheduled_newsletter';
+
+    /**
+     * Cron hook fired to deliver a send started from the UI
+     *
+     * @var string
+     */
+    public const DELIVERY_HOOK = 'riilsa_deliver_newsletter';
+
+    /**
+     * Cron hook fired to delete a temporary Brevo list once its campaign went out
+     *
+     * @var string
+     */
+    public const LIST_CLEANUP_HOOK = 'riilsa_delete_temporary_list';
+
+    /**
+     * Queue a newsletter to be sent at the given time
+     * Any previously queued send for the same newsletter is replaced
+     *
+     * @param Newsletter $newsletter
+     * @param \DateTimeInterface $sendAt
+     * @return bool
+     */
+    public function queue(Newsletter $newsletter, \DateTimeInterface $sendAt): bool
+    {
+        $this->unqueue($newsletter->getNumber());
+
+        $result = wp_schedule_single_event(
+            $sendAt->getTimestamp(),
+            self::HOOK,
+            [$newsletter->getNumber()]
+        );
+
+        if ($result !== true) {
+            debugLog(sprintf('Failed to queue newsletter #%d', $newsletter->getNumber()), 'error');
+            return false;
+        }
+
+        debugLog(sprintf(
+            'Queued newsletter #%d for %s',
+            $newsletter->getNumber(),
+            $sendAt->format('Y-m-d H:i:s')
+        ), 'info');
+
+        return true;
+    }
+
+    /**
+     * Deliver a newsletter in the background as soon as possible
+     * The request that started the send returns right away
+     *
+     * @param Newsletter $newsletter
+     * @param array $recipientFilters
+     * @return bool
+     */
+    public function dispatch(Newsletter $newsletter, array $recipientFilters = []): bool
+    {
+        $result = wp_schedule_single_event(
+            time(),
+            self::DELIVERY_HOOK,
+            [$newsletter->getNumber(), $recipientFilters]
+        );
+
+        if ($result !== true) {
+            debugLog(sprintf('Failed to dispatch newsletter #%d', $newsletter->getNumber()), 'error');
+            return false;
+        }
+
+        // Run the event now instead of waiting for the next page view
+        spawn_cron();
+
+        return true;
+    }
+
+    /**
+     * Delete a temporary Brevo list at the given time
+     * The list has to outlive its campaign, Brevo reads the recipients when it sends
+     *
+     * @param int $brevoListId
+     * @param \DateTimeInterface $deleteAt
+     * @return bool
+     */
+    public function queueListDeletion(int $brevoListId, \DateTimeInterface $deleteAt): bool
+    {
+        $result = wp_schedule_single_event(
+            $deleteAt->getTimestamp(),
+            self::LIST_CLEANUP_HOOK,
+            [$brevoListId]
+        );
+
+        if ($result !== true) {
+            debugLog(sprintf('Failed to queue the deletion of Brevo list %d', $brevoListId), 'error');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove the queued send of a newsletter
+     *
+     * @param int $newsletterNumber
+     * @return void
+     */
+    public function unqueue(int $newsletterNumber): void
+    {
+        wp_clear_scheduled_hook(self::HOOK, [$newsletterNumber]);
+    }
+}
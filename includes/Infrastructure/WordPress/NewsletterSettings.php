@@ -0,0 +1,115 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Settings
+ *
+ * @package RIILSA\Infrastructure\WordPress
+ * @since 3.1.0
+ */
+
+namespace RIILSA\Infrastructure\WordPress;
+
+/**
+ * Newsletter settings stored as WordPress options
+ * 
+ * Pattern: Adapter Pattern
+ * This class wraps the WordPress options API for newsletter preferences
+ */
+class NewsletterSettings
+{
+    /**
+     * Option holding the default test send addresses
+     *
+     * @var string
+     */
+    public const TEST_RECIPIENTS_OPTION = 'riilsa_newsletter_test_recipients';
+
+    /**
+     * Option holding the recurring automatic draft settings
+     *
+     * @var string
+     */
+    public const AUTO_DRAFT_OPTION = 'riilsa_newsletter_auto_draft';
+
+    /**
+     * Option holding the month (Y-m) of the last automatic draft
+     *
+     * @var string
+     */
+    public const AUTO_DRAFT_LAST_RUN_OPTION = 'riilsa_newsletter_auto_draft_last_run';
+
+    /**
+     * Get the saved test send addresses
+     *
+     * @return array<string>
+     */
+    public function getTestRecipients(): array
+    {
+        $emails = get_option(self::TEST_RECIPIENTS_OPTION, []);
+
+        return is_array($emails) ? array_values($emails) : [];
+    }
+
+    /**
+     * Save the default test send addresses
+     *
+     * @param array<string> $emails
+     * @return void
+     */
+    public function saveTestRecipients(array $emails): void
+    {
+        update_option(
+            self::TEST_RECIPIENTS_OPTION,
+            array_values(array_unique($emails)),
+            false
+        );
+    }
+
+    /**
+     * Get the recurring automatic draft settings
+     *
+     * @return array Saved settings, empty if never configured
+     */
+    public function getAutoDraftSettings(): array
+    {
+        $settings = get_option(self::AUTO_DRAFT_OPTION, []);
+
+        return is_array($settings) ? $settings : [];
+    }
+
+    /**
+     * Save the recurring automatic draft settings
+     *
+     * @param array $settings
+     * @return void
+     */
+    public function saveAutoDraftSettings(array $settings): void
+    {
+        update_option(self::AUTO_DRAFT_OPTION, $settings, false);
+    }
+
+    /**
+     * Get the month (Y-m) the last automatic draft was built in
+     *
+     * @return string|null
+     */
+    public function getAutoDraftLastRun(): ?string
+    {
+        $period = get_option(self::AUTO_DRAFT_LAST_RUN_OPTION, '');
+
+        return is_string($period) && $period !== '' ? $period : null;
+    }
+
+    /**
+     * Record the month (Y-m) an automatic draft was built in
+     *
+     * @param string $period
+     * @return void
+     */
+    public function saveAutoDraftLastRun(string $period): void
+    {
+        update_option(self::AUTO_DRAFT_LAST_RUN_OPTION, $period, false);
+    }
+}
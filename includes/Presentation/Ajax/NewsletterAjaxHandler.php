@@ -11,15 +11,42 @@ declare(strict_types=1);
 
 namespace RIILSA\Presentation\Ajax;
 
+use RIILSA\Application\UseCases\Newsletter\ArchiveNewsletterUseCase;
+use RIILSA\Application\UseCases\Newsletter\CancelNewsletterUseCase;
+use RIILSA\Application\UseCases\Newsletter\DeleteNewsletterUseCase;
+use RIILSA\Application\UseCases\Newsletter\DuplicateNewsletterUseCase;
 use RIILSA\Application\UseCases\Newsletter\GenerateNewsletterUseCase;
+use RIILSA\Application\UseCases\Newsletter\GetAutoNewsletterNewsUseCase;
+use RIILSA\Application\UseCases\Newsletter\GetNewsletterAnalyticsUseCase;
+use RIILSA\Application\UseCases\Newsletter\GetNewsletterHistoryUseCase;
+use RIILSA\Application\UseCases\Newsletter\GetNewsletterSendStatusUseCase;
+use RIILSA\Application\UseCases\Newsletter\RecommendNewsItemsUseCase;
+use RIILSA\Application\UseCases\Newsletter\ResendNewsletterUseCase;
+use RIILSA\Application\UseCases\Newsletter\RescheduleNewsletterUseCase;
+use RIILSA\Application\UseCases\Newsletter\SaveNewsletterDraftUseCase;
 use RIILSA\Application\UseCases\Newsletter\SendNewsletterUseCase;
+use RIILSA\Application\UseCases\Newsletter\SendTestNewsletterUseCase;
 use RIILSA\Application\UseCases\Newsletter\SubscribeUserUseCase;
+use RIILSA\Application\DTOs\AutoDraftSettingsDTO;
+use RIILSA\Application\DTOs\AutoNewsletterRangeDTO;
+use RIILSA\Application\DTOs\NewsletterAnalyticsDTO;
+use RIILSA\Application\DTOs\NewsletterDraftDTO;
 use RIILSA\Application\DTOs\NewsletterGenerationDTO;
+use RIILSA\Application\DTOs\NewsletterHistoryQueryDTO;
+use RIILSA\Application\DTOs\NewsletterResendDTO;
+use RIILSA\Application\DTOs\NewsletterScheduleDTO;
 use RIILSA\Application\DTOs\NewsletterSendDTO;
+use RIILSA\Application\DTOs\NewsletterTestSendDTO;
+use RIILSA\Application\DTOs\NewsRecommendationDTO;
 use RIILSA\Application\DTOs\SubscriptionRequestDTO;
+use RIILSA\Domain\Entities\Newsletter;
 use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
 use RIILSA\Domain\Repositories\SubscriberRepositoryInterface;
 use RIILSA\Infrastructure\Services\BrevoMailService;
+use RIILSA\Infrastructure\WordPress\NewsletterSettings;
+use function RIILSA\Core\createNonce;
 use function RIILSA\Core\debugLog;
 
 /**
@@ -37,9 +64,25 @@ class NewsletterAjaxHandler
         private readonly GenerateNewsletterUseCase $generateNewsletterUseCase,
         private readonly SendNewsletterUseCase $sendNewsletterUseCase,
         private readonly SubscribeUserUseCase $subscribeUserUseCase,
+        private readonly SaveNewsletterDraftUseCase $saveNewsletterDraftUseCase,
+        private readonly DuplicateNewsletterUseCase $duplicateNewsletterUseCase,
+        private readonly RescheduleNewsletterUseCase $rescheduleNewsletterUseCase,
+        private readonly CancelNewsletterUseCase $cancelNewsletterUseCase,
+        private readonly ArchiveNewsletterUseCase $archiveNewsletterUseCase,
+        private readonly DeleteNewsletterUseCase $deleteNewsletterUseCase,
+        private readonly SendTestNewsletterUseCase $sendTestNewsletterUseCase,
+        private readonly GetNewsletterSendStatusUseCase $getNewsletterSendStatusUseCase,
+        private readonly RecommendNewsItemsUseCase $recommendNewsItemsUseCase,
+        private readonly GetAutoNewsletterNewsUseCase $getAutoNewsletterNewsUseCase,
+        private readonly GetNewsletterHistoryUseCase $getNewsletterHistoryUseCase,
+        private readonly GetNewsletterAnalyticsUseCase $getNewsletterAnalyticsUseCase,
+        private readonly ResendNewsletterUseCase $resendNewsletterUseCase,
         private readonly NewsletterRepositoryInterface $newsletterRepository,
+        private readonly NewsRepositoryInterface $newsRepository,
+        private readonly NewsletterVersionRepositoryInterface $versionRepository,
         private readonly SubscriberRepositoryInterface $subscriberRepository,
-        private readonly BrevoMailService $brevoMailService
+        private readonly BrevoMailService $brevoMailService,
+        private readonly NewsletterSettings $newsletterSettings
     ) {
     }
 
@@ -61,18 +104,667 @@ class NewsletterAjaxHandler
                 throw new \InvalidArgumentException('Invalid request data');
             }
 
+            // The header is HTML, quotes in its attributes must survive
+            if (isset($requestData['text'])) {
+                $requestData['text'] = wp_unslash($requestData['text']);
+            }
+
+            // Overridden titles and excerpts are plain text that may hold quotes
+            if (isset($requestData['overrides'])) {
+                $requestData['overrides'] = wp_unslash($requestData['overrides']);
+            }
+
+            // Create DTO from request
+            $dto = NewsletterGenerationDTO::fromRequest($requestData, get_current_user_id());
+
+            // Execute use case
+            $result = $this->generateNewsletterUseCase->execute($dto);
+
+            // Send response
+            if ($result->isSuccessful()) {
+                wp_send_json_success([
+                    'html' => $result->html,
+                    'newsletterId' => $result->newsletterId,
+                    'statistics' => $result->statistics,
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => $result->getErrorMessage(),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Generate newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while generating the newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle send newsletter AJAX request
+     *
+     * @return void
+     */
+    public function handleSendNewsletter(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // Preserve the rendered HTML exactly as previewed, override markers are matched on its quotes
+            if (isset($requestData['html'])) {
+                $requestData['html'] = wp_unslash($requestData['html']);
+            }
+
+            // Create DTO from request
+            $dto = NewsletterSendDTO::fromRequest($requestData);
+
+            // Execute use case
+            $result = $this->sendNewsletterUseCase->execute($dto);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success([
+                    'recipientCount' => $result->recipientCount,
+                    'sentCount' => $result->sentCount,
+                    'statistics' => $result->statistics,
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => implode(', ', $result->errors),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Send newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while sending the newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle reschedule newsletter AJAX request
+     *
+     * @return void
+     */
+    public function handleRescheduleNewsletter(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // Create DTO from request
+            $dto = NewsletterScheduleDTO::fromRequest($requestData);
+
+            // Execute use case
+            $result = $this->rescheduleNewsletterUseCase->execute($dto);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success(['statistics' => $result->statistics]);
+            } else {
+                wp_send_json_error([
+                    'message' => implode(', ', $result->errors),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Reschedule newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while rescheduling the newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle cancel draft or scheduled newsletter AJAX request
+     *
+     * @return void
+     */
+    public function handleCancelNewsletter(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            $newsletterNumber = (int) ($_POST['data']['id'] ?? 0);
+
+            if (!$newsletterNumber) {
+                throw new \InvalidArgumentException('Newsletter ID is required');
+            }
+
+            // Execute use case
+            $result = $this->cancelNewsletterUseCase->execute($newsletterNumber);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success(['statistics' => $result->statistics]);
+            } else {
+                wp_send_json_error([
+                    'message' => implode(', ', $result->errors),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Cancel newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while cancelling the newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle archive or unarchive sent newsletter AJAX request
+     *
+     * @return void
+     */
+    public function handleArchiveNewsletter(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            $newsletterNumber = (int) ($_POST['data']['id'] ?? 0);
+
+            if (!$newsletterNumber) {
+                throw new \InvalidArgumentException('Newsletter ID is required');
+            }
+
+            $archived = filter_var($_POST['data']['archived'] ?? true, FILTER_VALIDATE_BOOLEAN);
+
+            // Execute use case
+            $result = $this->archiveNewsletterUseCase->execute($newsletterNumber, $archived);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success(['statistics' => $result->statistics]);
+            } else {
+                wp_send_json_error([
+                    'message' => implode(', ', $result->errors),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Archive newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while archiving the newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle delete never-sent newsletter AJAX request
+     *
+     * @return void
+     */
+    public function handleDeleteNewsletter(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            $newsletterNumber = (int) ($_POST['data']['id'] ?? 0);
+
+            if (!$newsletterNumber) {
+                throw new \InvalidArgumentException('Newsletter ID is required');
+            }
+
+            // Execute use case
+            $result = $this->deleteNewsletterUseCase->execute($newsletterNumber);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success(['statistics' => $result->statistics]);
+            } else {
+                wp_send_json_error([
+                    'message' => implode(', ', $result->errors),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Delete newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while deleting the newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle send status AJAX request
+     * Polled by the UI while a newsletter is being delivered
+     *
+     * @return void
+     */
+    public function handleGetSendStatus(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            $trackingId = (int) ($_POST['data']['trackingId'] ?? 0);
+
+            if (!$trackingId) {
+                throw new \InvalidArgumentException('Tracking ID is required');
+            }
+
+            // Execute use case
+            $result = $this->getNewsletterSendStatusUseCase->execute($trackingId);
+
+            if (!$result) {
+                throw new \InvalidArgumentException('Newsletter not found');
+            }
+
+            wp_send_json_success(array_merge($result->toArray(), [
+                'status' => $result->statistics['status'],
+                'statusLabel' => $result->statistics['statusLabel'],
+                'isFinal' => $result->statistics['isFinal'],
+            ]));
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Send status AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while checking the send status']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle send test newsletter AJAX request
+     *
+     * @return void
+     */
+    public function handleSendTestNewsletter(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Get request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // Preserve the rendered HTML exactly as previewed
+            if (isset($requestData['html'])) {
+                $requestData['html'] = wp_unslash($requestData['html']);
+            }
+
+            // Create DTO
+            $dto = NewsletterTestSendDTO::fromRequest($requestData);
+
+            // Execute use case
+            $result = $this->sendTestNewsletterUseCase->execute($dto);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success([
+                    'recipientCount' => $result->recipientCount,
+                    'sentCount' => $result->sentCount,
+                    'statistics' => $result->statistics,
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => implode(', ', $result->errors),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Send test newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while sending the test newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle get history AJAX request
+     *
+     * @return void
+     */
+    public function handleGetHistory(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data, no data asks for the first page without filters
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // Searched header text may hold quotes
+            if (isset($requestData['search'])) {
+                $requestData['search'] = wp_unslash($requestData['search']);
+            }
+
+            // Create DTO from request
+            $dto = NewsletterHistoryQueryDTO::fromRequest($requestData);
+
+            // Execute use case
+            $result = $this->getNewsletterHistoryUseCase->execute($dto);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success($result->toArray());
+            } else {
+                wp_send_json_error([
+                    'message' => $result->getErrorMessage(),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Get history AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'Error loading newsletter history']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle newsletter analytics AJAX request
+     * Cached numbers are returned unless the editor asks for a refresh
+     *
+     * @return void
+     */
+    public function handleGetAnalytics(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // Create DTO from request
+            $dto = NewsletterAnalyticsDTO::fromRequest($requestData);
+
+            // Execute use case
+            $result = $this->getNewsletterAnalyticsUseCase->execute($dto);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success($result->toArray());
+            } else {
+                wp_send_json_error([
+                    'message' => $result->getErrorMessage(),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Newsletter analytics AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'Error loading newsletter analytics']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle resend preview AJAX request
+     * Counts the recipients of the chosen audience and lists the dependency lists
+     *
+     * @return void
+     */
+    public function handlePreviewResend(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // Create DTO from request
+            $dto = NewsletterResendDTO::fromRequest($requestData);
+
+            // Execute use case
+            $result = $this->resendNewsletterUseCase->preview($dto);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success($result->toArray());
+            } else {
+                wp_send_json_error([
+                    'message' => $result->getErrorMessage(),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Resend preview AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'Error counting the resend recipients']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle resend newsletter AJAX request
+     *
+     * @return void
+     */
+    public function handleResendNewsletter(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // Create DTO from request
+            $dto = NewsletterResendDTO::fromRequest($requestData);
+
+            // Execute use case
+            $result = $this->resendNewsletterUseCase->execute($dto);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success([
+                    'recipientCount' => $result->recipientCount,
+                    'sentCount' => $result->sentCount,
+                    'statistics' => $result->statistics,
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => implode(', ', $result->errors),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Resend newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while resending the newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle list newsletter versions AJAX request
+     * Returns every stored generation of a newsletter, newest first, without the HTML
+     *
+     * @return void
+     */
+    public function handleListVersions(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            $newsletter = $this->findRequestedNewsletter();
+
+            $versions = array_map(function ($version) {
+                $authorId = $version->getAuthorId();
+                $author = $authorId ? get_userdata($authorId) : false;
+
+                return [
+                    'version' => $version->getVersion(),
+                    'size' => $version->getContentSize(),
+                    'authorName' => $author ? $author->display_name : __('Desconocido', 'riilsa'),
+                    'createdAt' => $version->getCreatedAt()->format('Y-m-d H:i:s'),
+                ];
+            }, $this->versionRepository->findByNewsletter((int) $newsletter->getId()));
+
+            wp_send_json_success([
+                'number' => $newsletter->getNumber(),
+                'canSend' => $newsletter->canSend(),
+                'sentVersion' => $newsletter->getStatistics()['version'] ?? null,
+                'versions' => $versions,
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('List versions AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'Error loading newsletter versions']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle get newsletter version AJAX request
+     * Returns the stored HTML of one version
+     *
+     * @return void
+     */
+    public function handleGetVersion(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            $newsletter = $this->findRequestedNewsletter();
+            $versionNumber = (int) ($_POST['data']['version'] ?? 0);
+
+            if ($versionNumber < 1) {
+                throw new \InvalidArgumentException('Version is required');
+            }
+
+            $version = $this->versionRepository->findVersion((int) $newsletter->getId(), $versionNumber);
+
+            if (!$version) {
+                throw new \InvalidArgumentException(
+                    sprintf('Version %d of newsletter #%d not found', $versionNumber, $newsletter->getNumber())
+                );
+            }
+
+            wp_send_json_success([
+                'number' => $newsletter->getNumber(),
+                'version' => $version->getVersion(),
+                'html' => $version->getHtmlContent(),
+                'createdAt' => $version->getCreatedAt()->format('Y-m-d H:i:s'),
+            ]);
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Get version AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'Error loading the newsletter version']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle autosave draft AJAX request
+     *
+     * @return void
+     */
+    public function handleSaveDraft(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // The header is HTML, quotes in its attributes must survive
+            if (isset($requestData['text'])) {
+                $requestData['text'] = wp_unslash($requestData['text']);
+            }
+
             // Create DTO from request
-            $dto = NewsletterGenerationDTO::fromRequest($requestData);
+            $dto = NewsletterDraftDTO::fromRequest($requestData, get_current_user_id());
 
             // Execute use case
-            $result = $this->generateNewsletterUseCase->execute($dto);
+            $result = $this->saveNewsletterDraftUseCase->execute($dto);
 
             // Send response
-            if ($result->isSuccessful()) {
+            if ($result->success) {
                 wp_send_json_success([
-                    'html' => $result->html,
-                    'newsletterId' => $result->newsletterId,
-                    'statistics' => $result->statistics,
+                    'draftId' => $result->draftId,
+                    'number' => $result->number,
                 ]);
             } else {
                 wp_send_json_error([
@@ -84,19 +776,162 @@ class NewsletterAjaxHandler
         } catch (\InvalidArgumentException $e) {
             wp_send_json_error(['message' => $e->getMessage()]);
         } catch (\Exception $e) {
-            debugLog('Generate newsletter AJAX error: ' . $e->getMessage(), 'error');
-            wp_send_json_error(['message' => 'An error occurred while generating the newsletter']);
+            debugLog('Save draft AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while saving the draft']);
         }
 
         wp_die();
     }
 
     /**
-     * Handle send newsletter AJAX request
+     * Handle list open drafts AJAX request
      *
      * @return void
      */
-    public function handleSendNewsletter(): void
+    public function handleListDrafts(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            $currentUserId = get_current_user_id();
+
+            $drafts = array_map(function ($newsletter) use ($currentUserId) {
+                $ownerId = $newsletter->getOwnerId();
+                $owner = $ownerId ? get_userdata($ownerId) : false;
+
+                return [
+                    'id' => $newsletter->getId(),
+                    'number' => $newsletter->getNumber(),
+                    'headerText' => $newsletter->getHeaderText(),
+                    'newsIds' => $newsletter->getNewsIds(),
+                    'ownerId' => $ownerId,
+                    'ownerName' => $owner ? $owner->display_name : __('Desconocido', 'riilsa'),
+                    'isOwn' => $ownerId === $currentUserId,
+                    'updatedAt' => ($newsletter->getUpdatedAt() ?? $newsletter->getCreatedAt())
+                        ->format('Y-m-d H:i:s'),
+                ];
+            }, $this->newsletterRepository->findDrafts());
+
+            wp_send_json_success(['drafts' => $drafts]);
+
+        } catch (\Exception $e) {
+            debugLog('List drafts AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'Error loading drafts']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle duplicate newsletter AJAX request
+     * Copies a newsletter from history into a new draft of the current user
+     *
+     * @return void
+     */
+    public function handleDuplicateNewsletter(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            $newsletterNumber = (int) ($_POST['data']['id'] ?? 0);
+
+            if (!$newsletterNumber) {
+                throw new \InvalidArgumentException('Newsletter ID is required');
+            }
+
+            // Execute use case
+            $result = $this->duplicateNewsletterUseCase->execute($newsletterNumber, get_current_user_id());
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success([
+                    'draftId' => $result->draftId,
+                    'number' => $result->number,
+                    'draft' => $result->draft,
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => $result->getErrorMessage(),
+                    'errors' => $result->errors,
+                ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Duplicate newsletter AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while duplicating the newsletter']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle news details AJAX request
+     * Returns the data the selection panel filters and sorts by
+     *
+     * @return void
+     */
+    public function handleGetNewsDetails(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData) || !is_array($requestData['ids'] ?? null)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            $ids = array_slice(array_values(array_filter(array_map('intval', $requestData['ids']))), 0, 500);
+
+            $items = [];
+            $newsletters = [];
+            foreach ($this->newsRepository->findByIds($ids) as $news) {
+                $newsletterNumber = $news->isInNewsletter() ? $news->getNewsletterNumber() : null;
+
+                // Newsletters are looked up once, many items share the same number
+                if ($newsletterNumber !== null && !array_key_exists($newsletterNumber, $newsletters)) {
+                    $newsletters[$newsletterNumber] = $this->newsletterRepository->findByNumber($newsletterNumber);
+                }
+
+                $newsletter = $newsletterNumber !== null ? $newsletters[$newsletterNumber] : null;
+
+                $items[$news->getId()] = [
+                    'id' => $news->getId(),
+                    'title' => $news->getTitle(),
+                    'researchLine' => $news->getResearchLine() ?? '',
+                    'position' => $news->getPosition(),
+                    'date' => ($news->getPublishedAt() ?? $news->getCreatedAt())->format('Y-m-d'),
+                    'excerpt' => $news->getExcerpt(150),
+                    'image' => $news->getFeaturedImageUrl() ?? '',
+                    'newsletterNumber' => $newsletterNumber,
+                    'sent' => $newsletter ? $newsletter->isSent() : false,
+                ];
+            }
+
+            wp_send_json_success(['items' => $items]);
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('News details AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'Error loading news details']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle recommend news items AJAX request
+     *
+     * @return void
+     */
+    public function handleRecommendNews(): void
     {
         try {
             // Validate request
@@ -110,21 +945,61 @@ class NewsletterAjaxHandler
             }
 
             // Create DTO from request
-            $dto = NewsletterSendDTO::fromRequest($requestData);
+            $dto = NewsRecommendationDTO::fromRequest($requestData);
 
             // Execute use case
-            $result = $this->sendNewsletterUseCase->execute($dto);
+            $result = $this->recommendNewsItemsUseCase->execute($dto);
 
             // Send response
             if ($result->success) {
-                wp_send_json_success([
-                    'recipientCount' => $result->recipientCount,
-                    'sentCount' => $result->sentCount,
-                    'statistics' => $result->statistics,
+                wp_send_json_success($result->toArray());
+            } else {
+                wp_send_json_error([
+                    'message' => $result->getErrorMessage(),
+                    'errors' => $result->errors,
                 ]);
+            }
+
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        } catch (\Exception $e) {
+            debugLog('Recommend news AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while recommending news']);
+        }
+
+        wp_die();
+    }
+
+    /**
+     * Handle automatic newsletter news AJAX request
+     *
+     * @return void
+     */
+    public function handleGetAutoNewsletterNews(): void
+    {
+        try {
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
+
+            // Create DTO from request
+            $dto = AutoNewsletterRangeDTO::fromRequest($requestData);
+
+            // Execute use case
+            $result = $this->getAutoNewsletterNewsUseCase->execute($dto);
+
+            // Send response
+            if ($result->success) {
+                wp_send_json_success($result->toArray());
             } else {
                 wp_send_json_error([
-                    'message' => implode(', ', $result->errors),
+                    'message' => $result->getErrorMessage(),
                     'errors' => $result->errors,
                 ]);
             }
@@ -132,43 +1007,54 @@ class NewsletterAjaxHandler
         } catch (\InvalidArgumentException $e) {
             wp_send_json_error(['message' => $e->getMessage()]);
         } catch (\Exception $e) {
-            debugLog('Send newsletter AJAX error: ' . $e->getMessage(), 'error');
-            wp_send_json_error(['message' => 'An error occurred while sending the newsletter']);
+            debugLog('Auto newsletter news AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while loading the automatic newsletter news']);
         }
 
         wp_die();
     }
 
     /**
-     * Handle get history AJAX request
+     * Handle save automatic draft settings AJAX request
      *
      * @return void
      */
-    public function handleGetHistory(): void
+    public function handleSaveAutoDraftSettings(): void
     {
         try {
-            // Get all newsletters
-            $newsletters = $this->newsletterRepository->findAll();
+            // Validate request
+            $this->validateAjaxRequest();
+
+            // Parse request data
+            $requestData = $_POST['data'] ?? [];
+
+            if (!is_array($requestData)) {
+                throw new \InvalidArgumentException('Invalid request data');
+            }
 
-            if (empty($newsletters)) {
-                echo '<div class="gridHistory">';
-                echo '<p>' . __('No newsletters found.', 'riilsa') . '</p>';
-                echo '</div>';
-                wp_die();
+            // The header is HTML, quotes in its attributes must survive
+            if (isset($requestData['headerText'])) {
+                $requestData['headerText'] = wp_unslash($requestData['headerText']);
             }
 
-            // Render history grid
-            echo '<div class="gridHistory">';
+            // Create DTO from request
+            $dto = AutoDraftSettingsDTO::fromRequest($requestData);
+
+            $this->newsletterSettings->saveAutoDraftSettings($dto->toArray());
 
-            foreach ($newsletters as $newsletter) {
-                $this->renderNewsletterHistoryItem($newsletter);
+            // Start from the next occurrence of the day instead of catching up on one already past
+            $today = new \DateTimeImmutable('now', wp_timezone());
+            if ($dto->enabled && (int) $today->format('j') > $dto->dayOfMonth) {
+                $this->newsletterSettings->saveAutoDraftLastRun($today->format('Y-m'));
             }
 
-            echo '</div>';
+            wp_send_json_success(['settings' => $dto->toArray()]);
 
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
         } catch (\Exception $e) {
-            debugLog('Get history AJAX error: ' . $e->getMessage(), 'error');
-            echo '<p>' . __('Error loading newsletter history.', 'riilsa') . '</p>';
+            debugLog('Save auto draft settings AJAX error: ' . $e->getMessage(), 'error');
+            wp_send_json_error(['message' => 'An error occurred while saving the automatic draft settings']);
         }
 
         wp_die();
@@ -248,6 +1134,21 @@ class NewsletterAjaxHandler
         wp_die();
     }
 
+    /**
+     * Handle nonce refresh AJAX request
+     * Long editing sessions outlive the nonce printed with the page
+     *
+     * @return void
+     */
+    public function handleRefreshNonce(): void
+    {
+        if (!current_user_can('edit_posts')) {
+            wp_send_json_error(['message' => 'Insufficient permissions'], 403);
+        }
+
+        wp_send_json_success(['nonce' => createNonce('newsletter_actions')]);
+    }
+
     /**
      * Handle update shortcodes AJAX request
      *
@@ -314,75 +1215,36 @@ class NewsletterAjaxHandler
         // Verify nonce if present
         if (isset($_POST['nonce'])) {
             if (!wp_verify_nonce($_POST['nonce'], 'riilsa_newsletter_actions')) {
-                throw new \Exception('Invalid security token');
-            }
-        }
-    }
-
-    /**
-     * Render newsletter history item
-     *
-     * @param \RIILSA\Domain\Entities\Newsletter $newsletter
-     * @return void
-     */
-    private function renderNewsletterHistoryItem(\RIILSA\Domain\Entities\Newsletter $newsletter): void
-    {
-        $newsCount = count($newsletter->getNewsIds());
-        $status = $newsletter->getStatus()->label();
-        $statusColor = $newsletter->getStatus()->color();
-        $number = $newsletter->getNumber();
-        $id = $newsletter->getId();
-        $dateCreated = $newsletter->getCreatedAt()->format('Y-m-d H:i:s');
-        $newsIds = implode(',', $newsletter->getNewsIds());
-        $headerText = esc_attr($newsletter->getHeaderText());
-
-        ?>
-        <div class="containerHistory riilsa-card">
-            <!-- Gradient accent -->
-            <div class="riilsa-gradient"></div>
-
-            <div class="riilsa-card-header">
-                <div>
-                    <div class="numberHistory riilsa-card-number">#<?php echo $number; ?></div>
-                    <div class="riilsa-card-id">ID: <?php echo $id; ?></div>
-                </div>
-                <div class="riilsa-status-badge">
-                    <?php echo esc_html($status); ?>
-                </div>
-            </div>
-
-            <div class="riilsa-info-section">
-                <div class="riilsa-info-item">
-                    <span class="dashicons dashicons-calendar-alt riilsa-icon-blue"></span>
-                    <?php echo $dateCreated; ?>
-                </div>
-                <div class="riilsa-info-item">
-                    <span class="dashicons dashicons-media-text riilsa-icon-red"></span>
-                    <?php echo $newsCount; ?>         <?php _e('noticias', 'riilsa'); ?>
-                </div>
-            </div>
-
-            <div class="riilsa-actions-grid" data-id="<?php echo esc_attr($newsIds); ?>" data-text="<?php echo $headerText; ?>"
-                data-newsletter="<?php echo $number; ?>">
-                <button class="btnHistory doBoletin riilsa-btn-view">
-                    <span class="elementor-button-icon fa-spin" style="display: none;">
-                        <svg aria-hidden="true" class="e-font-icon-svg e-fas-spinner" viewBox="0 0 512 512"
-                            xmlns="http://www.w3.org/2000/svg">
-                            <path fill="#ffffff"
-                                d="M304 48c0 26.51-21.49 48-48 48s-48-21.49-48-48 21.49-48 48-48 48 21.49 48 48zm-48 368c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48-21.49-48-48-48zm208-208c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48-21.49-48-48-48zM96 256c0-26.51-21.49-48-48-48S0 229.49 0 256s21.49 48 48 48 48-21.49 48-48zm12.922 99.078c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48c0-26.509-21.491-48-48-48zm294.156 0c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48c0-26.509-21.49-48-48-48zM108.922 60.922c-26.51 0-48 21.49-48 48s21.49 48 48 48 48-21.49 48-48-21.491-48-48-48z">
-                            </path>
-                        </svg>
-                    </span>
-                    <span class="dashicons dashicons-visibility elementor-button-text"></span>
-                    <?php _e('Ver', 'riilsa'); ?>
-                </button>
-                <button class="btnHistory sendBoletin riilsa-btn-send elementor-button-text">
-                    <span class="dashicons dashicons-email"></span>
-                    <?php _e('Enviar', 'riilsa'); ?>
-                </button>
-            </div>
-        </div>
-        <?php
+                // Distinct code so the client can refresh the nonce and retry
+                wp_send_json_error([
+                    'message' => 'Invalid security token',
+                    'code' => 'invalid_nonce',
+                ], 403);
+            }
+        }
+    }
+
+    /**
+     * Find the newsletter whose number was sent as data[id]
+     *
+     * @return Newsletter
+     * @throws \InvalidArgumentException
+     */
+    private function findRequestedNewsletter(): Newsletter
+    {
+        $newsletterNumber = (int) ($_POST['data']['id'] ?? 0);
+
+        if (!$newsletterNumber) {
+            throw new \InvalidArgumentException('Newsletter ID is required');
+        }
+
+        $newsletter = $this->newsletterRepository->findByNumber($newsletterNumber);
+
+        if (!$newsletter) {
+            throw new \InvalidArgumentException('Newsletter not found');
+        }
+
+        return $newsletter;
     }
 
     /**
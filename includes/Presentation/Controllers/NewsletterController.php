@@ -52,9 +52,28 @@ class NewsletterController
                 'controlDependencies',
                 'generateNewsletter',
                 'sendNewsletter',
+                'sendTestNewsletter',
+                'newsletterSendStatus',
+                'newsletterResendPreview',
+                'resendNewsletter',
+                'rescheduleNewsletter',
+                'cancelNewsletter',
+                'archiveNewsletter',
+                'deleteNewsletter',
+                'duplicateNewsletter',
                 'historyNewsletter',
                 'historyBoletin',
-                'updateShortcodes'
+                'newsletterAnalytics',
+                'newsletterVersions',
+                'newsletterVersion',
+                'saveNewsletterDraft',
+                'listNewsletterDrafts',
+                'newsDetails',
+                'recommendNewsItems',
+                'autoNewsletterNews',
+                'saveAutoDraftSettings',
+                'updateShortcodes',
+                'refreshNewsletterNonce'
             ];
             
             if (isset($_REQUEST['action']) && in_array($_REQUEST['action'], $ajaxActions)) {
@@ -75,10 +94,36 @@ class NewsletterController
         
         // Send newsletter
         add_action('wp_ajax_sendNewsletter', [$this->ajaxHandler, 'handleSendNewsletter']);
+        add_action('wp_ajax_sendTestNewsletter', [$this->ajaxHandler, 'handleSendTestNewsletter']);
+        add_action('wp_ajax_newsletterSendStatus', [$this->ajaxHandler, 'handleGetSendStatus']);
+        add_action('wp_ajax_newsletterResendPreview', [$this->ajaxHandler, 'handlePreviewResend']);
+        add_action('wp_ajax_resendNewsletter', [$this->ajaxHandler, 'handleResendNewsletter']);
+        
+        // Scheduled sends
+        add_action('wp_ajax_rescheduleNewsletter', [$this->ajaxHandler, 'handleRescheduleNewsletter']);
+        add_action('wp_ajax_cancelNewsletter', [$this->ajaxHandler, 'handleCancelNewsletter']);
+        
+        // History card actions
+        add_action('wp_ajax_archiveNewsletter', [$this->ajaxHandler, 'handleArchiveNewsletter']);
+        add_action('wp_ajax_deleteNewsletter', [$this->ajaxHandler, 'handleDeleteNewsletter']);
         
         // Get newsletter history
         add_action('wp_ajax_historyNewsletter', [$this->ajaxHandler, 'handleGetHistory']);
         add_action('wp_ajax_historyBoletin', [$this->ajaxHandler, 'handleGetHistory']);
+        add_action('wp_ajax_newsletterAnalytics', [$this->ajaxHandler, 'handleGetAnalytics']);
+        add_action('wp_ajax_newsletterVersions', [$this->ajaxHandler, 'handleListVersions']);
+        add_action('wp_ajax_newsletterVersion', [$this->ajaxHandler, 'handleGetVersion']);
+        
+        // Draft autosave and restore
+        add_action('wp_ajax_saveNewsletterDraft', [$this->ajaxHandler, 'handleSaveDraft']);
+        add_action('wp_ajax_listNewsletterDrafts', [$this->ajaxHandler, 'handleListDrafts']);
+        add_action('wp_ajax_duplicateNewsletter', [$this->ajaxHandler, 'handleDuplicateNewsletter']);
+        
+        // News selection panel
+        add_action('wp_ajax_newsDetails', [$this->ajaxHandler, 'handleGetNewsDetails']);
+        add_action('wp_ajax_recommendNewsItems', [$this->ajaxHandler, 'handleRecommendNews']);
+        add_action('wp_ajax_autoNewsletterNews', [$this->ajaxHandler, 'handleGetAutoNewsletterNews']);
+        add_action('wp_ajax_saveAutoDraftSettings', [$this->ajaxHandler, 'handleSaveAutoDraftSettings']);
         
         // Email and dependency management
         add_action('wp_ajax_controlEmails', [$this->ajaxHandler, 'handleControlEmails']);
@@ -86,5 +131,8 @@ class NewsletterController
         
         // Update shortcodes
         add_action('wp_ajax_updateShortcodes', [$this->ajaxHandler, 'handleUpdateShortcodes']);
+        
+        // Nonce refresh for long editing sessions
+        add_action('wp_ajax_refreshNewsletterNonce', [$this->ajaxHandler, 'handleRefreshNonce']);
     }
 }
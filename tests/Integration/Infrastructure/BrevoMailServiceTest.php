@@ -0,0 +1,167 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Brevo Mail Service Integration Tests
+ *
+ * @package RIILSA\Tests\Integration\Infrastructure
+ */
+
+namespace RIILSA\Tests\Integration\Infrastructure;
+
+use PHPUnit\Framework\TestCase;
+use RIILSA\Infrastructure\Services\BrevoMailService;
+
+/**
+ * Runs BrevoMailService against a fake Brevo API served by the PHP built-in server
+ */
+final class BrevoMailServiceTest extends TestCase
+{
+    /**
+     * Built-in server process
+     *
+     * @var resource|null
+     */
+    private static $server = null;
+
+    /**
+     * Base URL of the fake API
+     */
+    private static string $apiHost = '';
+
+    public static function setUpBeforeClass(): void
+    {
+        // Let the system pick a free port
+        $socket = stream_socket_server('tcp://127.0.0.1:0');
+        $address = stream_socket_get_name($socket, false);
+        fclose($socket);
+
+        self::$server = proc_open(
+            [PHP_BINARY, '-S', $address, __DIR__ . '/Fixtures/brevo-responder.php'],
+            [1 => ['file', '/dev/null', 'w'], 2 => ['file', '/dev/null', 'w']],
+            $pipes
+        );
+        self::$apiHost = "http://$address/v3";
+
+        // Wait for the server to accept connections
+        for ($attempt = 0; $attempt < 50; $attempt++) {
+            $connection = @stream_socket_client('tcp://' . $address, $errorCode, $errorMessage, 1);
+            if ($connection) {
+                fclose($connection);
+                return;
+            }
+            usleep(100000);
+        }
+
+        self::fail('The fake Brevo responder did not start');
+    }
+
+    public static function tearDownAfterClass(): void
+    {
+        if (is_resource(self::$server)) {
+            proc_terminate(self::$server);
+            proc_close(self::$server);
+        }
+    }
+
+    protected function setUp(): void
+    {
+        $_ENV['API_KEY'] = 'test-api-key';
+    }
+
+    protected function tearDown(): void
+    {
+        unset($_ENV['API_KEY']);
+    }
+
+    public function testLoadsTheNewsletterSenderFromTheInjectedHost(): void
+    {
+        $service = new BrevoMailService(self::$apiHost);
+
+        $this->assertTrue($service->isAvailable());
+        $this->assertSame(
+            ['id' => 5, 'name' => 'Boletín RIILSA', 'email' => 'boletin@example.test'],
+            $service->getSender()
+        );
+    }
+
+    public function testIsUnavailableWhenTheApiRejectsTheKey(): void
+    {
+        $_ENV['API_KEY'] = 'wrong-key';
+
+        $service = new BrevoMailService(self::$apiHost);
+
+        $this->assertFalse($service->isAvailable());
+    }
+
+    public function testCreatesCampaignForTheGivenLists(): void
+    {
+        $service = new BrevoMailService(self::$apiHost);
+
+        $result = $service->createAndSendListCampaign([12], '<p>Boletín</p>', 'boletin-12', 'Boletín 12');
+
+        $this->assertSame(['success' => true, 'campaignId' => 41], $result);
+    }
+
+    public function testAddsUpPerListStatisticsWhenGlobalStatsAreEmpty(): void
+    {
+        $service = new BrevoMailService(self::$apiHost);
+
+        $statistics = $service->getCampaignStatistics(41);
+
+        $this->assertSame(38, $statistics['delivered']);
+        $this->assertSame(40, $statistics['sent']);
+        $this->assertSame(24, $statistics['opens']);
+        $this->assertSame(19, $statistics['uniqueOpens']);
+        $this->assertSame(8, $statistics['clicks']);
+        $this->assertSame(7, $statistics['uniqueClicks']);
+        $this->assertSame(1, $statistics['hardBounces']);
+        $this->assertSame(1, $statistics['softBounces']);
+        $this->assertSame(1, $statistics['unsubscriptions']);
+        $this->assertSame(1, $statistics['complaints']);
+        $this->assertSame(
+            ['https://riilsa.example.test/noticia/1' => 5, 'https://riilsa.example.test/noticia/2' => 3],
+            $statistics['links']
+        );
+    }
+
+    public function testReadsGlobalStatsWhenBrevoFillsThem(): void
+    {
+        $service = new BrevoMailService(self::$apiHost);
+
+        $statistics = $service->getCampaignStatistics(42);
+
+        $this->assertSame(48, $statistics['delivered']);
+        $this->assertSame(25, $statistics['uniqueOpens']);
+        $this->assertSame(7, $statistics['uniqueClicks']);
+        $this->assertSame(2, $statistics['hardBounces']);
+        $this->assertSame([], $statistics['links']);
+    }
+
+    public function testUnknownCampaignFails(): void
+    {
+        $service = new BrevoMailService(self::$apiHost);
+
+        $this->expectException(\RuntimeException::class);
+        $this->expectExceptionMessage('Failed to get campaign statistics');
+
+        $service->getCampaignStatistics(99);
+    }
+
+    public function testRequestsHardAndSoftBounceExports(): void
+    {
+        $service = new BrevoMailService(self::$apiHost);
+
+        $this->assertSame([77, 78], $service->requestBounceExport(41));
+    }
+
+    public function testReadsExportsOnceBrevoFinishesThem(): void
+    {
+        $service = new BrevoMailService(self::$apiHost);
+
+        // Finished without bounces leaves no file to download
+        $this->assertSame([], $service->getExportedEmails(77));
+        $this->assertNull($service->getExportedEmails(78));
+    }
+}
@@ -0,0 +1,92 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Fake Brevo Responder
+ *
+ * Router script for the PHP built-in server that answers the Brevo API
+ * calls BrevoMailService makes with canned payloads
+ *
+ * @package RIILSA\Tests\Integration\Infrastructure
+ */
+
+$method = $_SERVER['REQUEST_METHOD'];
+$path = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH);
+
+$respond = function (int $status, array $body): bool {
+    http_response_code($status);
+    header('Content-Type: application/json');
+    echo json_encode($body);
+
+    return true;
+};
+
+if (($_SERVER['HTTP_API_KEY'] ?? '') !== 'test-api-key') {
+    return $respond(401, ['code' => 'unauthorized', 'message' => 'Key not found']);
+}
+
+switch ("$method $path") {
+    case 'GET /v3/senders':
+        return $respond(200, ['senders' => [
+            ['id' => 3, 'name' => 'Otro remitente', 'email' => 'otro@example.test', 'active' => true],
+            ['id' => 5, 'name' => 'Boletín RIILSA', 'email' => 'boletin@example.test', 'active' => true],
+        ]]);
+
+    case 'GET /v3/contacts/lists':
+        return $respond(200, ['count' => 1, 'lists' => [
+            ['id' => 12, 'name' => 'Facultad de Ingeniería', 'totalBlacklisted' => 0, 'totalSubscribers' => 40, 'uniqueSubscribers' => 40, 'folderId' => 1],
+        ]]);
+
+    case 'POST /v3/emailCampaigns':
+        $campaign = json_decode(file_get_contents('php://input'), true);
+
+        if (empty($campaign['recipients']['listIds']) || empty($campaign['sender']['id'])) {
+            return $respond(400, ['code' => 'missing_parameter', 'message' => 'recipients and sender are required']);
+        }
+
+        return $respond(201, ['id' => 41]);
+
+    // Brevo left globalStats empty, the per-list rows carry the numbers
+    case 'GET /v3/emailCampaigns/41':
+        return $respond(200, [
+            'id' => 41,
+            'name' => 'Boletín 12',
+            'type' => 'classic',
+            'status' => 'sent',
+            'statistics' => [
+                'globalStats' => ['delivered' => 0, 'sent' => 0, 'viewed' => 0, 'uniqueViews' => 0],
+                'campaignStats' => [
+                    ['listId' => 12, 'sent' => 30, 'delivered' => 28, 'viewed' => 20, 'uniqueViews' => 15, 'clickers' => 6, 'uniqueClicks' => 5, 'hardBounces' => 1, 'softBounces' => 1, 'unsubscriptions' => 1, 'complaints' => 0],
+                    ['listId' => 13, 'sent' => 10, 'delivered' => 10, 'viewed' => 4, 'uniqueViews' => 4, 'clickers' => 2, 'uniqueClicks' => 2, 'hardBounces' => 0, 'softBounces' => 0, 'unsubscriptions' => 0, 'complaints' => 1],
+                ],
+                'linksStats' => ['https://riilsa.example.test/noticia/1' => 5, 'https://riilsa.example.test/noticia/2' => 3],
+            ],
+        ]);
+
+    case 'GET /v3/emailCampaigns/42':
+        return $respond(200, [
+            'id' => 42,
+            'name' => 'Boletín 13',
+            'type' => 'classic',
+            'status' => 'sent',
+            'statistics' => [
+                'globalStats' => ['sent' => 50, 'delivered' => 48, 'viewed' => 30, 'uniqueViews' => 25, 'clickers' => 9, 'uniqueClicks' => 7, 'hardBounces' => 2, 'softBounces' => 0, 'unsubscriptions' => 1, 'complaints' => 0],
+                'campaignStats' => [],
+                'linksStats' => [],
+            ],
+        ]);
+
+    case 'POST /v3/emailCampaigns/41/exportRecipients':
+        $export = json_decode(file_get_contents('php://input'), true);
+
+        return $respond(202, ['processId' => $export['recipientsType'] === 'hardBounces' ? 77 : 78]);
+
+    case 'GET /v3/processes/77':
+        return $respond(200, ['id' => 77, 'status' => 'completed', 'name' => 'hardBounces export']);
+
+    case 'GET /v3/processes/78':
+        return $respond(200, ['id' => 78, 'status' => 'in_process', 'name' => 'softBounces export']);
+}
+
+return $respond(404, ['code' => 'document_not_found', 'message' => "No route for $method $path"]);
@@ -0,0 +1,120 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter AJAX Handler Integration Tests
+ *
+ * @package RIILSA\Tests\Integration\Presentation
+ */
+
+namespace RIILSA\Tests\Integration\Presentation;
+
+use PHPUnit\Framework\TestCase;
+use RIILSA\Application\Services\TemplateGenerationService;
+use RIILSA\Application\UseCases\Newsletter\SendNewsletterUseCase;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Entities\Subscriber;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
+use RIILSA\Domain\Repositories\SubscriberRepositoryInterface;
+use RIILSA\Domain\ValueObjects\Email;
+use RIILSA\Infrastructure\Services\BrevoMailService;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
+use RIILSA\Presentation\Ajax\NewsletterAjaxHandler;
+
+/**
+ * Simulates the admin AJAX requests of the newsletter screen
+ */
+final class NewsletterAjaxHandlerTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        $_POST = [];
+        $GLOBALS['riilsa_json_response'] = null;
+    }
+
+    protected function tearDown(): void
+    {
+        $_POST = [];
+    }
+
+    public function testSendStoresThePreviewHtmlWithoutOverrideMarkers(): void
+    {
+        $newsletter = new Newsletter(12, 'Encabezado', [7]);
+        $newsletter->setHtmlContent('<p>Generado</p>');
+
+        $newsletterRepository = $this->createMock(NewsletterRepositoryInterface::class);
+        $newsletterRepository->method('findByNumber')->with(12)->willReturn($newsletter);
+
+        $subscriberRepository = $this->createMock(SubscriberRepositoryInterface::class);
+        $subscriberRepository->method('findRecipients')
+            ->willReturn([new Subscriber(new Email('lectora@example.test'), 1)]);
+
+        $scheduler = $this->createMock(NewsletterScheduler::class);
+        $scheduler->expects($this->once())->method('dispatch')->willReturn(true);
+
+        $sendNewsletterUseCase = new SendNewsletterUseCase(
+            $newsletterRepository,
+            $subscriberRepository,
+            $this->createMock(NewsletterVersionRepositoryInterface::class),
+            $this->createMock(BrevoMailService::class),
+            $scheduler,
+            new TemplateGenerationService()
+        );
+
+        // WordPress slashes every quote that arrives in $_POST
+        $_POST = [
+            'nonce' => 'valid-nonce',
+            'data' => [
+                'id' => '12',
+                'html' => addslashes(
+                    '<td class="title" style="color: #333"><span data-riilsa-override="title excerpt">Título "editado"</span></td>'
+                ),
+            ],
+        ];
+
+        $this->createHandler($sendNewsletterUseCase)->handleSendNewsletter();
+
+        $this->assertTrue($GLOBALS['riilsa_json_response']['success']);
+        $this->assertSame(
+            '<td class="title" style="color: #333">Título "editado"</td>',
+            $newsletter->getHtmlContent()
+        );
+        $this->assertTrue($newsletter->isSending());
+    }
+
+    public function testSendRequiresNewsletterId(): void
+    {
+        $_POST = [
+            'nonce' => 'valid-nonce',
+            'data' => ['html' => '<p>Boletín</p>'],
+        ];
+
+        $this->createHandler($this->createMock(SendNewsletterUseCase::class))->handleSendNewsletter();
+
+        $this->assertSame(
+            ['success' => false, 'data' => ['message' => 'Newsletter ID is required'], 'status' => null],
+            $GLOBALS['riilsa_json_response']
+        );
+    }
+
+    /**
+     * Build the handler with doubles for everything but the send use case
+     *
+     * @param SendNewsletterUseCase $sendNewsletterUseCase
+     * @return NewsletterAjaxHandler
+     */
+    private function createHandler(SendNewsletterUseCase $sendNewsletterUseCase): NewsletterAjaxHandler
+    {
+        $dependencies = [];
+
+        foreach ((new \ReflectionClass(NewsletterAjaxHandler::class))->getConstructor()->getParameters() as $parameter) {
+            $dependencies[] = $parameter->getName() === 'sendNewsletterUseCase'
+                ? $sendNewsletterUseCase
+                : $this->createMock($parameter->getType()->getName());
+        }
+
+        return new NewsletterAjaxHandler(...$dependencies);
+    }
+}
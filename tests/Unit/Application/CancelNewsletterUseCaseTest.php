@@ -0,0 +1,115 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Cancel Newsletter Use Case Tests
+ *
+ * @package RIILSA\Tests\Unit\Application
+ */
+
+namespace RIILSA\Tests\Unit\Application;
+
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use RIILSA\Application\UseCases\Newsletter\CancelNewsletterUseCase;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
+
+/**
+ * Covers cancelling a newsletter and its queued send
+ */
+final class CancelNewsletterUseCaseTest extends TestCase
+{
+    private NewsletterRepositoryInterface&MockObject $newsletterRepository;
+    private NewsletterScheduler&MockObject $scheduler;
+    private CancelNewsletterUseCase $useCase;
+
+    protected function setUp(): void
+    {
+        $this->newsletterRepository = $this->createMock(NewsletterRepositoryInterface::class);
+        $this->scheduler = $this->createMock(NewsletterScheduler::class);
+
+        $this->useCase = new CancelNewsletterUseCase($this->newsletterRepository, $this->scheduler);
+    }
+
+    public function testCancelsAScheduledSendAndItsCronEvent(): void
+    {
+        $newsletter = $this->createNewsletter(NewsletterStatus::SCHEDULED);
+        $this->newsletterRepository->method('findByNumber')->with(12)->willReturn($newsletter);
+        $this->scheduler->expects($this->once())->method('unqueue')->with(12);
+        $this->newsletterRepository->expects($this->once())->method('save')->with($this->identicalTo($newsletter))
+            ->willReturnArgument(0);
+
+        $result = $this->useCase->execute(12);
+
+        $this->assertTrue($result->success);
+        $this->assertSame(['status' => 'cancelled'], $result->statistics);
+        $this->assertSame(NewsletterStatus::CANCELLED, $newsletter->getStatus());
+    }
+
+    public function testSendInProgressIsNotCancelled(): void
+    {
+        $newsletter = $this->createNewsletter(NewsletterStatus::SENDING);
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->scheduler->expects($this->never())->method('unqueue');
+        $this->newsletterRepository->expects($this->never())->method('save');
+
+        $result = $this->useCase->execute(12);
+
+        $this->assertFalse($result->success);
+        $this->assertSame(['Cannot cancel newsletter in current status'], $result->errors);
+        $this->assertSame(NewsletterStatus::SENDING, $newsletter->getStatus());
+    }
+
+    public function testBatchScheduledInBrevoIsReportedInsteadOfCancelled(): void
+    {
+        $newsletter = $this->createNewsletter(NewsletterStatus::SCHEDULED, [
+            'batch1' => ['status' => 'sent', 'campaignId' => 41],
+            'batch2' => ['status' => 'scheduled', 'campaignId' => 42],
+        ]);
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->newsletterRepository->expects($this->never())->method('save');
+
+        $result = $this->useCase->execute(12);
+
+        $this->assertFalse($result->success);
+        $this->assertSame(
+            ['Part of this newsletter is already scheduled in Brevo, cancel that campaign in Brevo'],
+            $result->errors
+        );
+        $this->assertSame(NewsletterStatus::SCHEDULED, $newsletter->getStatus());
+    }
+
+    public function testUnknownNewsletter(): void
+    {
+        $this->newsletterRepository->method('findByNumber')->willReturn(null);
+
+        $result = $this->useCase->execute(99);
+
+        $this->assertFalse($result->success);
+        $this->assertSame(['Newsletter not found'], $result->errors);
+    }
+
+    /**
+     * @param NewsletterStatus $status
+     * @param array $batches Split send batches kept in the statistics
+     * @return Newsletter
+     */
+    private function createNewsletter(NewsletterStatus $status, array $batches = []): Newsletter
+    {
+        return Newsletter::fromDatabaseRecord([
+            'id' => 3,
+            'number' => 12,
+            'text_header' => 'Encabezado',
+            'news_collection' => '5,7',
+            'id_status' => $status->value,
+            'date_created' => '2026-01-05 10:00:00',
+            'scheduled_at' => $status === NewsletterStatus::SCHEDULED ? '2026-01-06 12:00:00' : null,
+            'html_content' => '<p>Boletín</p>',
+            'statistics' => json_encode($batches ? ['batches' => $batches] : []),
+        ]);
+    }
+}
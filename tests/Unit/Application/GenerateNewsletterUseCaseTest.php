@@ -0,0 +1,143 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Generate Newsletter Use Case Tests
+ *
+ * @package RIILSA\Tests\Unit\Application
+ */
+
+namespace RIILSA\Tests\Unit\Application;
+
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use RIILSA\Application\DTOs\NewsletterGenerationDTO;
+use RIILSA\Application\Services\TemplateGenerationService;
+use RIILSA\Application\UseCases\Newsletter\GenerateNewsletterUseCase;
+use RIILSA\Domain\Entities\News;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsRepositoryInterface;
+use RIILSA\Domain\Services\NewsletterContentService;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+
+/**
+ * Covers generating a new newsletter and generating an existing one again
+ */
+final class GenerateNewsletterUseCaseTest extends TestCase
+{
+    private NewsletterRepositoryInterface&MockObject $newsletterRepository;
+    private NewsletterVersionRepositoryInterface&MockObject $versionRepository;
+    private GenerateNewsletterUseCase $useCase;
+
+    protected function setUp(): void
+    {
+        $this->newsletterRepository = $this->createMock(NewsletterRepositoryInterface::class);
+
+        $this->versionRepository = $this->createMock(NewsletterVersionRepositoryInterface::class);
+        $this->versionRepository->method('add')->willReturnArgument(0);
+
+        $newsRepository = $this->createMock(NewsRepositoryInterface::class);
+        $newsRepository->method('findByIds')->willReturn([$this->createStub(News::class)]);
+
+        $contentService = $this->createMock(NewsletterContentService::class);
+        $contentService->method('validateNewsletterContent')->willReturn(['valid' => true, 'errors' => []]);
+        $contentService->method('getContentStatistics')->willReturn([]);
+
+        $templateService = $this->createMock(TemplateGenerationService::class);
+        $templateService->method('generateNewsletterHtml')->willReturn('<p>Generado</p>');
+        $templateService->method('stripOverrideMarkers')->willReturnArgument(0);
+
+        $this->useCase = new GenerateNewsletterUseCase(
+            $this->newsletterRepository,
+            $newsRepository,
+            $this->versionRepository,
+            $contentService,
+            $templateService
+        );
+    }
+
+    public function testNewNumberIsSavedAsDraftWithItsFirstVersion(): void
+    {
+        $this->newsletterRepository->method('findByNumber')->willReturn(null);
+        $this->newsletterRepository->expects($this->once())->method('save')
+            ->with($this->callback(fn(Newsletter $newsletter) => $newsletter->isDraft() && $newsletter->getNumber() === 12))
+            ->willReturnArgument(0);
+        $this->versionRepository->method('getLatestVersionNumber')->willReturn(0);
+
+        $result = $this->useCase->execute(new NewsletterGenerationDTO(12, 'Encabezado', [7]));
+
+        $this->assertTrue($result->isSuccessful());
+        $this->assertSame(1, $result->statistics['version']);
+    }
+
+    public function testRegeneratingKeepsTheScheduleAndStatistics(): void
+    {
+        $sendAt = new \DateTimeImmutable('+2 days');
+        $existing = new Newsletter(12, 'Encabezado anterior', [5, 7]);
+        $existing->setId(3);
+        $existing->updateStatistics(['version' => 2, 'recipients' => 40]);
+        $existing->schedule($sendAt);
+
+        $this->newsletterRepository->method('findByNumber')->willReturn($existing);
+        $this->newsletterRepository->expects($this->once())->method('save')->with($this->identicalTo($existing))
+            ->willReturnArgument(0);
+        $this->versionRepository->method('getLatestVersionNumber')->willReturn(2);
+
+        $result = $this->useCase->execute(new NewsletterGenerationDTO(12, 'Encabezado nuevo', [7]));
+
+        $this->assertTrue($result->isSuccessful());
+        $this->assertSame(3, $result->newsletterId);
+        $this->assertSame(3, $result->statistics['version']);
+        $this->assertSame(NewsletterStatus::SCHEDULED, $existing->getStatus());
+        $this->assertEquals($sendAt, $existing->getScheduledAt());
+        $this->assertSame(40, $existing->getStatistics()['recipients']);
+        $this->assertSame('Encabezado nuevo', $existing->getHeaderText());
+        $this->assertSame([7], $existing->getNewsIds());
+        $this->assertSame('<p>Generado</p>', $existing->getHtmlContent());
+    }
+
+    public function testSentNewsletterCannotBeSavedOver(): void
+    {
+        $existing = $this->createSentNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($existing);
+        $this->newsletterRepository->expects($this->never())->method('save');
+        $this->versionRepository->expects($this->never())->method('add');
+
+        $result = $this->useCase->execute(new NewsletterGenerationDTO(12, 'Encabezado nuevo', [7]));
+
+        $this->assertFalse($result->isSuccessful());
+        $this->assertSame(
+            'Newsletter generation failed: Newsletter #12 can no longer be changed in status: Sent',
+            $result->getErrorMessage()
+        );
+        $this->assertSame(NewsletterStatus::SENT, $existing->getStatus());
+    }
+
+    public function testSentNewsletterCanStillBePreviewed(): void
+    {
+        $existing = $this->createSentNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($existing);
+        $this->newsletterRepository->expects($this->never())->method('save');
+
+        $result = $this->useCase->execute(new NewsletterGenerationDTO(12, 'Encabezado', [7], false));
+
+        $this->assertTrue($result->isSuccessful());
+        $this->assertSame('<p>Generado</p>', $result->html);
+        $this->assertSame(NewsletterStatus::SENT, $existing->getStatus());
+        $this->assertSame(41, $existing->getStatistics()['campaignId']);
+    }
+
+    private function createSentNewsletter(): Newsletter
+    {
+        $newsletter = new Newsletter(12, 'Encabezado', [7]);
+        $newsletter->setId(3);
+        $newsletter->setHtmlContent('<p>Enviado</p>');
+        $newsletter->markAsSending();
+        $newsletter->markAsSent(['campaignId' => 41]);
+
+        return $newsletter;
+    }
+}
@@ -0,0 +1,206 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Get Newsletter Analytics Use Case Tests
+ *
+ * @package RIILSA\Tests\Unit\Application
+ */
+
+namespace RIILSA\Tests\Unit\Application;
+
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use RIILSA\Application\DTOs\NewsletterAnalyticsDTO;
+use RIILSA\Application\UseCases\Newsletter\GetNewsletterAnalyticsUseCase;
+use RIILSA\Domain\Entities\News;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsRepositoryInterface;
+use RIILSA\Infrastructure\Services\BrevoMailService;
+
+/**
+ * Covers adding up the Brevo campaigns of a newsletter and matching clicks to its news items
+ */
+final class GetNewsletterAnalyticsUseCaseTest extends TestCase
+{
+    private NewsletterRepositoryInterface&MockObject $newsletterRepository;
+    private BrevoMailService&MockObject $mailService;
+    private GetNewsletterAnalyticsUseCase $useCase;
+
+    protected function setUp(): void
+    {
+        $this->newsletterRepository = $this->createMock(NewsletterRepositoryInterface::class);
+        $this->mailService = $this->createMock(BrevoMailService::class);
+
+        $newsRepository = $this->createMock(NewsRepositoryInterface::class);
+        $newsRepository->method('findByIds')->willReturn([
+            $this->createConfiguredStub(News::class, [
+                'getId' => 5,
+                'getTitle' => 'Convocatoria abierta',
+                'getUrl' => 'https://riilsa.example.test/noticia/convocatoria/',
+            ]),
+            $this->createConfiguredStub(News::class, [
+                'getId' => 7,
+                'getTitle' => 'Resultados del proyecto',
+                'getUrl' => 'https://riilsa.example.test/?p=7',
+            ]),
+        ]);
+
+        $this->useCase = new GetNewsletterAnalyticsUseCase(
+            $this->newsletterRepository,
+            $newsRepository,
+            $this->mailService
+        );
+    }
+
+    public function testAddsUpEveryCampaignOfTheNewsletter(): void
+    {
+        // Split send, batch 2 resent to the addresses that bounced
+        $newsletter = $this->createSentNewsletter([
+            'batches' => [
+                'batch1' => ['status' => 'sent', 'campaignId' => 41],
+                'batch2' => ['status' => 'scheduled', 'campaignId' => 42],
+            ],
+            'resends' => [
+                ['audience' => 'failed', 'batches' => [['campaignId' => 43]]],
+            ],
+        ]);
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->newsletterRepository->expects($this->once())->method('updateStatistics')->with(3);
+
+        $this->mailService->expects($this->exactly(3))->method('getCampaignStatistics')
+            ->willReturnCallback(fn(int $campaignId) => match ($campaignId) {
+                41 => $this->campaignStatistics(20, 10, ['http://riilsa.example.test/noticia/convocatoria?utm_source=brevo' => 4]),
+                42 => $this->campaignStatistics(15, 6, ['https://riilsa.example.test/?utm_campaign=12&p=7' => 2, 'https://otro.example.test/' => 1]),
+                43 => $this->campaignStatistics(2, 1, ['https://riilsa.example.test/noticia/convocatoria/' => 1]),
+            });
+
+        $result = $this->useCase->execute(new NewsletterAnalyticsDTO(12));
+
+        $this->assertTrue($result->success);
+        $this->assertSame(37, $result->totals['uniqueOpens']);
+        $this->assertSame(17, $result->totals['uniqueClicks']);
+        $this->assertSame(
+            [[5, 5, 'highlight'], [7, 2, 'grid']],
+            array_map(fn(array $item) => [$item['id'], $item['clicks'], $item['position']], $result->items)
+        );
+        $this->assertSame(1, $result->otherClicks);
+
+        // Cached with the legacy counters so history can show them without Brevo
+        $this->assertSame(37, $newsletter->getStatistics()['opened']);
+        $this->assertSame(17, $newsletter->getStatistics()['clicked']);
+        $this->assertSame($result->fetchedAt, $newsletter->getStatistics()['analytics']['fetchedAt']);
+    }
+
+    public function testUsesTheCachedNumbersUnlessAskedToRefresh(): void
+    {
+        $newsletter = $this->createSentNewsletter([
+            'campaignId' => 41,
+            'analytics' => [
+                'fetchedAt' => '2026-01-06 09:00:00',
+                'totals' => ['uniqueOpens' => 8, 'uniqueClicks' => 3],
+                'links' => ['https://riilsa.example.test/?p=7' => 3],
+            ],
+        ]);
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->mailService->expects($this->never())->method('getCampaignStatistics');
+
+        $result = $this->useCase->execute(new NewsletterAnalyticsDTO(12));
+
+        $this->assertTrue($result->success);
+        $this->assertSame('2026-01-06 09:00:00', $result->fetchedAt);
+        $this->assertSame(8, $result->totals['uniqueOpens']);
+        $this->assertSame(7, $result->items[0]['id']);
+        $this->assertSame(3, $result->items[0]['clicks']);
+    }
+
+    public function testRefreshAsksBrevoAgain(): void
+    {
+        $newsletter = $this->createSentNewsletter([
+            'campaignId' => 41,
+            'analytics' => ['fetchedAt' => '2026-01-06 09:00:00', 'totals' => [], 'links' => []],
+        ]);
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->mailService->expects($this->once())->method('getCampaignStatistics')->with(41)
+            ->willReturn($this->campaignStatistics(9, 4, []));
+
+        $result = $this->useCase->execute(new NewsletterAnalyticsDTO(12, true));
+
+        $this->assertTrue($result->success);
+        $this->assertSame(9, $result->totals['uniqueOpens']);
+        $this->assertNotSame('2026-01-06 09:00:00', $result->fetchedAt);
+    }
+
+    public function testNewsletterThatWasNotSentHasNoAnalytics(): void
+    {
+        $this->newsletterRepository->method('findByNumber')->willReturn(new Newsletter(12, 'Encabezado', [5]));
+        $this->mailService->expects($this->never())->method('getCampaignStatistics');
+
+        $result = $this->useCase->execute(new NewsletterAnalyticsDTO(12));
+
+        $this->assertFalse($result->success);
+        $this->assertSame('Only sent newsletters have analytics', $result->getErrorMessage());
+    }
+
+    public function testSentNewsletterWithoutCampaignFails(): void
+    {
+        $this->newsletterRepository->method('findByNumber')->willReturn($this->createSentNewsletter([]));
+
+        $result = $this->useCase->execute(new NewsletterAnalyticsDTO(12));
+
+        $this->assertFalse($result->success);
+        $this->assertSame(
+            'Failed to load newsletter analytics: The newsletter has no Brevo campaign',
+            $result->getErrorMessage()
+        );
+    }
+
+    /**
+     * @param array $statistics
+     * @return Newsletter
+     */
+    private function createSentNewsletter(array $statistics): Newsletter
+    {
+        return Newsletter::fromDatabaseRecord([
+            'id' => 3,
+            'number' => 12,
+            'text_header' => 'Encabezado',
+            'news_collection' => '5,7',
+            'id_status' => 4,
+            'date_created' => '2026-01-05 10:00:00',
+            'sent_at' => '2026-01-05 12:00:00',
+            'statistics' => json_encode($statistics),
+            'layout' => json_encode([
+                5 => ['position' => 'highlight', 'order' => 0],
+                7 => ['position' => 'grid', 'order' => 0],
+            ]),
+        ]);
+    }
+
+    /**
+     * Statistics shaped like BrevoMailService::getCampaignStatistics() returns them
+     *
+     * @param int $uniqueOpens
+     * @param int $uniqueClicks
+     * @param array<string, int> $links
+     * @return array
+     */
+    private function campaignStatistics(int $uniqueOpens, int $uniqueClicks, array $links): array
+    {
+        return [
+            'delivered' => $uniqueOpens * 2,
+            'sent' => $uniqueOpens * 2,
+            'opens' => $uniqueOpens + 3,
+            'uniqueOpens' => $uniqueOpens,
+            'clicks' => $uniqueClicks + 1,
+            'uniqueClicks' => $uniqueClicks,
+            'hardBounces' => 0,
+            'softBounces' => 1,
+            'unsubscriptions' => 0,
+            'complaints' => 0,
+            'links' => $links,
+        ];
+    }
+}
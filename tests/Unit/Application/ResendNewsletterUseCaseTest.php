@@ -0,0 +1,260 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Resend Newsletter Use Case Tests
+ *
+ * @package RIILSA\Tests\Unit\Application
+ */
+
+namespace RIILSA\Tests\Unit\Application;
+
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use RIILSA\Application\DTOs\NewsletterResendDTO;
+use RIILSA\Application\UseCases\Newsletter\ResendNewsletterUseCase;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Entities\Subscriber;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\SubscriberRepositoryInterface;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+use RIILSA\Infrastructure\Services\BrevoMailService;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
+
+/**
+ * Covers resend audiences, daily batches and the cleanup of their temporary Brevo lists
+ */
+final class ResendNewsletterUseCaseTest extends TestCase
+{
+    private NewsletterRepositoryInterface&MockObject $newsletterRepository;
+    private SubscriberRepositoryInterface&MockObject $subscriberRepository;
+    private BrevoMailService&MockObject $mailService;
+    private NewsletterScheduler&MockObject $scheduler;
+    private ResendNewsletterUseCase $useCase;
+
+    protected function setUp(): void
+    {
+        $this->newsletterRepository = $this->createMock(NewsletterRepositoryInterface::class);
+        $this->subscriberRepository = $this->createMock(SubscriberRepositoryInterface::class);
+        $this->mailService = $this->createMock(BrevoMailService::class);
+        $this->scheduler = $this->createMock(NewsletterScheduler::class);
+
+        // Temporary lists are numbered from 201 in the order they are created
+        $listId = 200;
+        $this->mailService->method('createContactList')
+            ->willReturnCallback(function (string $name) use (&$listId) {
+                return ['id' => ++$listId, 'name' => $name];
+            });
+
+        $this->useCase = new ResendNewsletterUseCase(
+            $this->newsletterRepository,
+            $this->subscriberRepository,
+            $this->mailService,
+            $this->scheduler
+        );
+    }
+
+    public function testLargeResendGoesOutOneBatchPerDay(): void
+    {
+        $newsletter = $this->createSentNewsletter(['campaignId' => 41]);
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->newsletterRepository->expects($this->once())->method('updateStatistics')->with(3);
+        $this->subscriberRepository->method('findRecipients')->with([2])->willReturn($this->createSubscribers(650));
+
+        $campaigns = [];
+        $this->mailService->expects($this->exactly(3))->method('createAndSendListCampaign')
+            ->willReturnCallback(function (array $listIds, string $html, string $tag, string $subject, ?\DateTimeInterface $scheduledAt = null) use (&$campaigns) {
+                $campaigns[] = ['listIds' => $listIds, 'tag' => $tag, 'scheduledAt' => $scheduledAt];
+
+                return ['success' => true, 'campaignId' => 50 + count($campaigns)];
+            });
+
+        $deletions = [];
+        $this->scheduler->expects($this->exactly(3))->method('queueListDeletion')
+            ->willReturnCallback(function (int $listId, \DateTimeInterface $deleteAt) use (&$deletions) {
+                $deletions[$listId] = $deleteAt;
+
+                return true;
+            });
+
+        $result = $this->useCase->execute(new NewsletterResendDTO(12, NewsletterResendDTO::AUDIENCE_DEPENDENCIES, [2]));
+
+        $this->assertTrue($result->success);
+        $this->assertSame(650, $result->recipientCount);
+        $this->assertSame(650, $result->sentCount);
+        $this->assertSame([[201], [202], [203]], array_column($campaigns, 'listIds'));
+        $this->assertSame(['12_resend_batch1', '12_resend_batch2', '12_resend_batch3'], array_column($campaigns, 'tag'));
+
+        // Batch 1 now, each next one a day later, every list deleted the day after its campaign
+        $this->assertNull($campaigns[0]['scheduledAt']);
+        $this->assertSame(1, $this->daysFromNow($campaigns[1]['scheduledAt']));
+        $this->assertSame(2, $this->daysFromNow($campaigns[2]['scheduledAt']));
+        $this->assertSame([201, 202, 203], array_keys($deletions));
+        $this->assertSame(1, $this->daysFromNow($deletions[201]));
+        $this->assertSame(3, $this->daysFromNow($deletions[203]));
+
+        $resend = $newsletter->getStatistics()['resends'][0];
+        $this->assertSame([300, 300, 50], array_column($resend['batches'], 'recipients'));
+        $this->assertSame([41, 51, 52, 53], $newsletter->getCampaignIds());
+        $this->assertSame(NewsletterStatus::SENT, $newsletter->getStatus());
+    }
+
+    public function testFailedBatchDeletesItsListRightAway(): void
+    {
+        $this->newsletterRepository->method('findByNumber')->willReturn($this->createSentNewsletter(['campaignId' => 41]));
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(400));
+        $this->mailService->method('createAndSendListCampaign')
+            ->willReturnOnConsecutiveCalls(
+                ['success' => true, 'campaignId' => 51],
+                ['success' => false, 'error' => 'Brevo unavailable']
+            );
+        $this->mailService->expects($this->once())->method('deleteContactList')->with(202);
+        $this->scheduler->expects($this->once())->method('queueListDeletion')->with(201)->willReturn(true);
+
+        $result = $this->useCase->execute(new NewsletterResendDTO(12, NewsletterResendDTO::AUDIENCE_DEPENDENCIES, [2]));
+
+        $this->assertTrue($result->success);
+        $this->assertSame(400, $result->recipientCount);
+        $this->assertSame(300, $result->sentCount);
+        $this->assertSame(['Batch 2 failed: Brevo unavailable'], $result->statistics['errors']);
+    }
+
+    public function testEveryBatchFailingIsReportedAsFailure(): void
+    {
+        $this->newsletterRepository->method('findByNumber')->willReturn($this->createSentNewsletter(['campaignId' => 41]));
+        $this->newsletterRepository->expects($this->never())->method('updateStatistics');
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(10));
+        $this->mailService->method('addContactsToList')->willThrowException(new \RuntimeException('Invalid contacts'));
+        $this->mailService->expects($this->once())->method('deleteContactList')->with(201);
+
+        $result = $this->useCase->execute(new NewsletterResendDTO(12, NewsletterResendDTO::AUDIENCE_DEPENDENCIES, [2]));
+
+        $this->assertFalse($result->success);
+        $this->assertSame(['Batch 1 failed: Invalid contacts'], $result->errors);
+    }
+
+    public function testFailedAudienceIncludesBouncesAndFailedSendBatches(): void
+    {
+        $this->newsletterRepository->method('findByNumber')->willReturn($this->createSentNewsletter([
+            'campaignId' => 41,
+            'failedRecipients' => ['lector3@example.test'],
+            'bounces' => ['fetchedAt' => date('Y-m-d H:i:s'), 'emails' => ['lector1@example.test']],
+        ]));
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(5));
+        $this->mailService->expects($this->never())->method('requestBounceExport');
+        $this->mailService->expects($this->once())->method('addContactsToList')
+            ->with(201, ['lector1@example.test', 'lector3@example.test']);
+        $this->mailService->method('createAndSendListCampaign')->willReturn(['success' => true, 'campaignId' => 51]);
+
+        $result = $this->useCase->execute(new NewsletterResendDTO(12, NewsletterResendDTO::AUDIENCE_FAILED));
+
+        $this->assertTrue($result->success);
+        $this->assertSame(2, $result->recipientCount);
+    }
+
+    public function testFailedAudienceWaitsForTheBounceExport(): void
+    {
+        $newsletter = $this->createSentNewsletter([
+            'batches' => [
+                'batch1' => ['status' => 'sent', 'campaignId' => 41],
+                'batch2' => ['status' => 'scheduled', 'campaignId' => 42],
+            ],
+        ]);
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(5));
+        $this->mailService->expects($this->exactly(2))->method('requestBounceExport')
+            ->willReturnCallback(fn(int $campaignId) => [$campaignId * 10, $campaignId * 10 + 1]);
+        $this->mailService->expects($this->never())->method('createAndSendListCampaign');
+
+        $preview = $this->useCase->preview(new NewsletterResendDTO(12, NewsletterResendDTO::AUDIENCE_FAILED));
+
+        $this->assertTrue($preview->success);
+        $this->assertTrue($preview->pending);
+        $this->assertSame([410, 411, 420, 421], $newsletter->getStatistics()['bounceExport']['processes']);
+
+        // Brevo is still exporting, the resend cannot go out yet
+        $this->mailService->method('getExportedEmails')->willReturn(null);
+
+        $result = $this->useCase->execute(new NewsletterResendDTO(12, NewsletterResendDTO::AUDIENCE_FAILED));
+
+        $this->assertFalse($result->success);
+        $this->assertSame(['Brevo is still exporting the bounces, try again in a minute'], $result->errors);
+    }
+
+    public function testNewAudienceOnlyIncludesSubscribersConfirmedAfterTheSend(): void
+    {
+        $this->newsletterRepository->method('findByNumber')->willReturn($this->createSentNewsletter(['campaignId' => 41]));
+        $this->subscriberRepository->method('findRecipients')->willReturn([
+            $this->createConfirmedSubscriber(1, 'antes@example.test', '2026-01-04 08:00:00'),
+            $this->createConfirmedSubscriber(2, 'despues@example.test', '2026-01-06 08:00:00'),
+        ]);
+
+        $preview = $this->useCase->preview(new NewsletterResendDTO(12, NewsletterResendDTO::AUDIENCE_NEW));
+
+        $this->assertTrue($preview->success);
+        $this->assertSame(1, $preview->recipients);
+        $this->assertSame(ResendNewsletterUseCase::BATCH_SIZE, $preview->batchSize);
+    }
+
+    public function testOnlySentNewslettersCanBeResent(): void
+    {
+        $newsletter = new Newsletter(12, 'Encabezado', [5]);
+        $newsletter->setHtmlContent('<p>Boletín</p>');
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->mailService->expects($this->never())->method('createContactList');
+
+        $result = $this->useCase->execute(new NewsletterResendDTO(12, NewsletterResendDTO::AUDIENCE_DEPENDENCIES, [2]));
+
+        $this->assertFalse($result->success);
+        $this->assertSame(['Only sent newsletters can be resent'], $result->errors);
+    }
+
+    /**
+     * @param array $statistics
+     * @return Newsletter
+     */
+    private function createSentNewsletter(array $statistics): Newsletter
+    {
+        return Newsletter::fromDatabaseRecord([
+            'id' => 3,
+            'number' => 12,
+            'text_header' => 'Encabezado',
+            'news_collection' => '5,7',
+            'id_status' => NewsletterStatus::SENT->value,
+            'date_created' => '2026-01-05 10:00:00',
+            'sent_at' => '2026-01-05 12:00:00',
+            'html_content' => '<p>Boletín</p>',
+            'statistics' => json_encode($statistics),
+        ]);
+    }
+
+    /**
+     * @param int $count
+     * @return array<Subscriber>
+     */
+    private function createSubscribers(int $count): array
+    {
+        return array_map(
+            fn(int $index) => $this->createConfirmedSubscriber($index + 1, "lector$index@example.test", '2025-06-01 08:00:00'),
+            range(0, $count - 1)
+        );
+    }
+
+    private function createConfirmedSubscriber(int $id, string $email, string $confirmedAt): Subscriber
+    {
+        return Subscriber::fromDatabaseRecord([
+            'id' => $id,
+            'email' => $email,
+            'dependency_id' => 2,
+            'status' => 'confirmed',
+            'subscribed_at' => $confirmedAt,
+            'confirmed_at' => $confirmedAt,
+        ]);
+    }
+
+    private function daysFromNow(\DateTimeInterface $date): int
+    {
+        return (int)round(($date->getTimestamp() - time()) / DAY_IN_SECONDS);
+    }
+}
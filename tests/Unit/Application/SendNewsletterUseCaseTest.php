@@ -0,0 +1,251 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Send Newsletter Use Case Tests
+ *
+ * @package RIILSA\Tests\Unit\Application
+ */
+
+namespace RIILSA\Tests\Unit\Application;
+
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+use RIILSA\Application\DTOs\NewsletterSendDTO;
+use RIILSA\Application\Services\TemplateGenerationService;
+use RIILSA\Application\UseCases\Newsletter\SendNewsletterUseCase;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\Entities\Subscriber;
+use RIILSA\Domain\Repositories\NewsletterRepositoryInterface;
+use RIILSA\Domain\Repositories\NewsletterVersionRepositoryInterface;
+use RIILSA\Domain\Repositories\SubscriberRepositoryInterface;
+use RIILSA\Domain\ValueObjects\Email;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+use RIILSA\Infrastructure\Services\BrevoMailService;
+use RIILSA\Infrastructure\WordPress\NewsletterScheduler;
+
+/**
+ * Covers starting, scheduling and delivering a send, split sends included
+ */
+final class SendNewsletterUseCaseTest extends TestCase
+{
+    private NewsletterRepositoryInterface&MockObject $newsletterRepository;
+    private SubscriberRepositoryInterface&MockObject $subscriberRepository;
+    private BrevoMailService&MockObject $mailService;
+    private NewsletterScheduler&MockObject $scheduler;
+    private SendNewsletterUseCase $useCase;
+
+    protected function setUp(): void
+    {
+        $this->newsletterRepository = $this->createMock(NewsletterRepositoryInterface::class);
+        $this->subscriberRepository = $this->createMock(SubscriberRepositoryInterface::class);
+        $this->mailService = $this->createMock(BrevoMailService::class);
+        $this->scheduler = $this->createMock(NewsletterScheduler::class);
+
+        $this->useCase = new SendNewsletterUseCase(
+            $this->newsletterRepository,
+            $this->subscriberRepository,
+            $this->createMock(NewsletterVersionRepositoryInterface::class),
+            $this->mailService,
+            $this->scheduler,
+            new TemplateGenerationService()
+        );
+    }
+
+    public function testSendFromTheUiIsHandedToABackgroundEvent(): void
+    {
+        $newsletter = $this->createNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(3));
+        $this->scheduler->expects($this->once())->method('dispatch')->willReturn(true);
+        $this->mailService->expects($this->never())->method('createAndSendCampaign');
+
+        $result = $this->useCase->execute(new NewsletterSendDTO(12, '<p>Boletín</p>'));
+
+        $this->assertTrue($result->success);
+        $this->assertSame(3, $result->recipientCount);
+        $this->assertSame(NewsletterStatus::SENDING, $newsletter->getStatus());
+        $this->assertSame('<p>Boletín</p>', $newsletter->getHtmlContent());
+    }
+
+    public function testSendThatCannotStartIsMarkedAsFailed(): void
+    {
+        $newsletter = $this->createNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(3));
+        $this->scheduler->method('dispatch')->willReturn(false);
+
+        $result = $this->useCase->execute(new NewsletterSendDTO(12, '<p>Boletín</p>'));
+
+        $this->assertFalse($result->success);
+        $this->assertSame(NewsletterStatus::FAILED, $newsletter->getStatus());
+    }
+
+    public function testScheduledSendIsQueued(): void
+    {
+        $newsletter = $this->createNewsletter();
+        $sendAt = new \DateTimeImmutable('+2 days');
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->scheduler->expects($this->once())->method('queue')->with($newsletter, $sendAt)->willReturn(true);
+        $this->scheduler->expects($this->never())->method('dispatch');
+
+        $result = $this->useCase->execute(new NewsletterSendDTO(12, '<p>Boletín</p>', [], $sendAt));
+
+        $this->assertTrue($result->success);
+        $this->assertSame(NewsletterStatus::SCHEDULED, $newsletter->getStatus());
+        $this->assertEquals($sendAt, $newsletter->getScheduledAt());
+    }
+
+    public function testSentNewsletterCannotBeSentAgain(): void
+    {
+        $newsletter = $this->createNewsletter();
+        $newsletter->markAsSending();
+        $newsletter->markAsSent();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->scheduler->expects($this->never())->method('dispatch');
+
+        $result = $this->useCase->execute(new NewsletterSendDTO(12, '<p>Boletín</p>'));
+
+        $this->assertFalse($result->success);
+        $this->assertSame(['Newsletter cannot be sent in status: Sent'], $result->errors);
+    }
+
+    public function testQueuedSendGoesOutInOneCampaign(): void
+    {
+        $newsletter = $this->createSendingNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(300));
+        $this->mailService->expects($this->once())->method('createAndSendCampaign')
+            ->willReturn(['success' => true, 'campaignId' => 41]);
+        $this->mailService->expects($this->never())->method('createContactList');
+
+        $result = $this->useCase->dispatchQueued(12);
+
+        $this->assertTrue($result->success);
+        $this->assertSame(NewsletterStatus::SENT, $newsletter->getStatus());
+        $this->assertNotNull($newsletter->getSentAt());
+        $this->assertSame(41, $newsletter->getStatistics()['campaignId']);
+        $this->assertSame(300, $newsletter->getStatistics()['sent']);
+    }
+
+    public function testSplitSendIsSentOnceTheFirstBatchGoesOut(): void
+    {
+        $newsletter = $this->createSendingNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(450));
+        $this->mailService->method('createContactList')
+            ->willReturnOnConsecutiveCalls(['id' => 101, 'name' => 'Batch 1'], ['id' => 102, 'name' => 'Batch 2']);
+        $this->mailService->expects($this->exactly(2))->method('addContactsToList');
+        $this->mailService->expects($this->exactly(2))->method('createAndSendCampaign')
+            ->willReturnCallback(fn(array $listIds, string $html, string $tag, string $subject, ?\DateTimeInterface $scheduledAt = null) => match ($listIds) {
+                [101] => $scheduledAt === null ? ['success' => true, 'campaignId' => 41] : ['success' => false],
+                [102] => $scheduledAt > new \DateTimeImmutable('+23 hours') ? ['success' => true, 'campaignId' => 42] : ['success' => false],
+            });
+
+        $result = $this->useCase->dispatchQueued(12);
+
+        $this->assertTrue($result->success);
+        $this->assertSame(450, $result->sentCount);
+        $this->assertSame(NewsletterStatus::SENT, $newsletter->getStatus());
+        $this->assertNull($newsletter->getScheduledAt());
+
+        $batches = $newsletter->getStatistics()['batches'];
+        $this->assertSame(['status' => 'sent', 'campaignId' => 41], $batches['batch1']);
+        $this->assertSame('scheduled', $batches['batch2']['status']);
+        $this->assertSame(42, $batches['batch2']['campaignId']);
+        $this->assertSame([41, 42], $newsletter->getCampaignIds());
+    }
+
+    public function testSplitSendKeepsTheAddressesOfAFailedBatch(): void
+    {
+        $newsletter = $this->createSendingNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(301));
+        $this->mailService->method('createContactList')
+            ->willReturnOnConsecutiveCalls(['id' => 101, 'name' => 'Batch 1'], ['id' => 102, 'name' => 'Batch 2']);
+        $this->mailService->method('createAndSendCampaign')
+            ->willReturnOnConsecutiveCalls(
+                ['success' => true, 'campaignId' => 41],
+                ['success' => false, 'error' => 'Brevo unavailable']
+            );
+
+        $result = $this->useCase->dispatchQueued(12);
+
+        $this->assertTrue($result->success);
+        $this->assertSame(NewsletterStatus::SENT, $newsletter->getStatus());
+        $this->assertSame(['lector300@example.test'], $newsletter->getStatistics()['failedRecipients']);
+        $this->assertSame(1, $newsletter->getStatistics()['failed']);
+    }
+
+    public function testFailedCampaignMarksTheNewsletterAsFailed(): void
+    {
+        $newsletter = $this->createSendingNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->subscriberRepository->method('findRecipients')->willReturn($this->createSubscribers(2));
+        $this->mailService->method('createAndSendCampaign')
+            ->willReturn(['success' => false, 'error' => 'Brevo unavailable']);
+
+        $result = $this->useCase->dispatchQueued(12);
+
+        $this->assertFalse($result->success);
+        $this->assertSame(NewsletterStatus::FAILED, $newsletter->getStatus());
+        $this->assertSame(
+            ['lector0@example.test', 'lector1@example.test'],
+            $newsletter->getStatistics()['failedRecipients']
+        );
+    }
+
+    public function testQueuedSendWithoutRecipientsIsMarkedAsFailed(): void
+    {
+        $newsletter = $this->createSendingNewsletter();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->subscriberRepository->method('findRecipients')->willReturn([]);
+
+        $result = $this->useCase->dispatchQueued(12);
+
+        $this->assertFalse($result->success);
+        $this->assertSame(NewsletterStatus::FAILED, $newsletter->getStatus());
+    }
+
+    public function testCancelledNewsletterIsNotSentByTheCron(): void
+    {
+        $newsletter = $this->createNewsletter();
+        $newsletter->cancel();
+        $this->newsletterRepository->method('findByNumber')->willReturn($newsletter);
+        $this->mailService->expects($this->never())->method('createAndSendCampaign');
+
+        $result = $this->useCase->dispatchScheduled(12);
+
+        $this->assertFalse($result->success);
+        $this->assertSame(NewsletterStatus::CANCELLED, $newsletter->getStatus());
+    }
+
+    private function createNewsletter(): Newsletter
+    {
+        $newsletter = new Newsletter(12, 'Encabezado', [7, 8]);
+        $newsletter->setHtmlContent('<p>Boletín</p>');
+
+        return $newsletter;
+    }
+
+    private function createSendingNewsletter(): Newsletter
+    {
+        $newsletter = $this->createNewsletter();
+        $newsletter->markAsSending();
+
+        return $newsletter;
+    }
+
+    /**
+     * @param int $count
+     * @return array<Subscriber>
+     */
+    private function createSubscribers(int $count): array
+    {
+        return array_map(
+            fn(int $index) => new Subscriber(new Email("lector$index@example.test"), 1),
+            $count > 0 ? range(0, $count - 1) : []
+        );
+    }
+}
@@ -0,0 +1,51 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Status Tests
+ *
+ * @package RIILSA\Tests\Unit\Domain
+ */
+
+namespace RIILSA\Tests\Unit\Domain;
+
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+
+/**
+ * Covers which actions each newsletter status allows
+ */
+final class NewsletterStatusTest extends TestCase
+{
+    /**
+     * @return array<string, array{NewsletterStatus, bool, bool, bool, bool}>
+     */
+    public static function statusProvider(): array
+    {
+        // status, canEdit, canSend, canCancel, canDelete
+        return [
+            'draft' => [NewsletterStatus::DRAFT, true, true, true, true],
+            'scheduled' => [NewsletterStatus::SCHEDULED, true, true, true, false],
+            'sending' => [NewsletterStatus::SENDING, false, false, false, false],
+            'sent' => [NewsletterStatus::SENT, false, false, false, false],
+            'failed' => [NewsletterStatus::FAILED, false, true, false, false],
+            'cancelled' => [NewsletterStatus::CANCELLED, false, false, false, true],
+        ];
+    }
+
+    #[DataProvider('statusProvider')]
+    public function testAllowedActions(
+        NewsletterStatus $status,
+        bool $canEdit,
+        bool $canSend,
+        bool $canCancel,
+        bool $canDelete
+    ): void {
+        $this->assertSame($canEdit, $status->canEdit());
+        $this->assertSame($canSend, $status->canSend());
+        $this->assertSame($canCancel, $status->canCancel());
+        $this->assertSame($canDelete, $status->canDelete());
+    }
+}
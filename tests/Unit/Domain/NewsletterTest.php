@@ -0,0 +1,217 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Newsletter Entity Tests
+ *
+ * @package RIILSA\Tests\Unit\Domain
+ */
+
+namespace RIILSA\Tests\Unit\Domain;
+
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use RIILSA\Domain\Entities\Newsletter;
+use RIILSA\Domain\ValueObjects\NewsletterStatus;
+
+/**
+ * Covers the business rules of the newsletter entity
+ */
+final class NewsletterTest extends TestCase
+{
+    public function testReplacingContentKeepsStatusAndSendHistory(): void
+    {
+        $newsletter = $this->createNewsletter(NewsletterStatus::FAILED, [
+            'statistics' => json_encode(['campaignId' => 41, 'failedRecipients' => ['lectora@example.test']]),
+            'layout' => json_encode([5 => ['position' => 'highlight', 'order' => 0]]),
+            'overrides' => json_encode([5 => ['title' => 'Quitado'], 7 => ['title' => 'Conservado']]),
+        ]);
+
+        $newsletter->replaceContent('Encabezado nuevo', [7, '9']);
+
+        $this->assertSame(3, $newsletter->getId());
+        $this->assertSame(NewsletterStatus::FAILED, $newsletter->getStatus());
+        $this->assertSame([41], $newsletter->getCampaignIds());
+        $this->assertSame(['lectora@example.test'], $newsletter->getStatistics()['failedRecipients']);
+        $this->assertSame('Encabezado nuevo', $newsletter->getHeaderText());
+        $this->assertSame([7, 9], $newsletter->getNewsIds());
+        $this->assertSame([], $newsletter->getLayout());
+        $this->assertSame([7 => ['title' => 'Conservado']], $newsletter->getOverrides());
+        $this->assertNotNull($newsletter->getUpdatedAt());
+    }
+
+    /**
+     * @return array<string, array{NewsletterStatus}>
+     */
+    public static function cancellableStatusProvider(): array
+    {
+        return [
+            'draft' => [NewsletterStatus::DRAFT],
+            'scheduled' => [NewsletterStatus::SCHEDULED],
+        ];
+    }
+
+    /**
+     * @return array<string, array{NewsletterStatus}>
+     */
+    public static function finishedOrRunningStatusProvider(): array
+    {
+        return [
+            'sending' => [NewsletterStatus::SENDING],
+            'sent' => [NewsletterStatus::SENT],
+            'failed' => [NewsletterStatus::FAILED],
+            'cancelled' => [NewsletterStatus::CANCELLED],
+        ];
+    }
+
+    #[DataProvider('cancellableStatusProvider')]
+    public function testCancelsDraftsAndScheduledSends(NewsletterStatus $status): void
+    {
+        $newsletter = $this->createNewsletter($status);
+
+        $this->assertTrue($newsletter->canCancel());
+
+        $newsletter->cancel();
+
+        $this->assertSame(NewsletterStatus::CANCELLED, $newsletter->getStatus());
+    }
+
+    #[DataProvider('finishedOrRunningStatusProvider')]
+    public function testCannotCancelOnceTheSendStarted(NewsletterStatus $status): void
+    {
+        $newsletter = $this->createNewsletter($status);
+
+        $this->assertFalse($newsletter->canCancel());
+
+        $this->expectException(\DomainException::class);
+        $this->expectExceptionMessage('Cannot cancel newsletter in current status');
+
+        $newsletter->cancel();
+    }
+
+    public function testCannotCancelWhileABatchWaitsInBrevo(): void
+    {
+        // Split sends from before they were marked as sent right away
+        $newsletter = $this->createNewsletter(NewsletterStatus::SCHEDULED, [
+            'statistics' => json_encode(['batches' => [
+                'batch1' => ['status' => 'sent', 'campaignId' => 41],
+                'batch2' => ['status' => 'scheduled', 'campaignId' => 42],
+            ]]),
+        ]);
+
+        $this->assertTrue($newsletter->hasBatchScheduledInBrevo());
+        $this->assertFalse($newsletter->canCancel());
+
+        try {
+            $newsletter->cancel();
+            $this->fail('A newsletter with a batch scheduled in Brevo was cancelled');
+        } catch (\DomainException $e) {
+            $this->assertSame('Part of this newsletter is already scheduled in Brevo, cancel that campaign in Brevo', $e->getMessage());
+        }
+
+        $this->assertSame(NewsletterStatus::SCHEDULED, $newsletter->getStatus());
+    }
+
+    public function testSplitSendIsSentWithItsSecondBatchScheduledInBrevo(): void
+    {
+        $newsletter = $this->createNewsletter(NewsletterStatus::SENDING);
+
+        $newsletter->markAsSent(['batches' => [
+            'batch1' => ['status' => 'sent', 'campaignId' => 41],
+            'batch2' => ['status' => 'scheduled', 'campaignId' => 42, 'scheduledAt' => '2026-01-06 12:00:00'],
+        ]]);
+
+        $this->assertTrue($newsletter->isSent());
+        $this->assertNotNull($newsletter->getSentAt());
+        $this->assertSame([41, 42], $newsletter->getCampaignIds());
+        $this->assertFalse($newsletter->canCancel());
+    }
+
+    public function testArchivesAndRestoresSentNewsletters(): void
+    {
+        $newsletter = $this->createNewsletter(NewsletterStatus::SENT, ['sent_at' => '2026-01-05 12:00:00']);
+
+        $newsletter->archive();
+
+        $this->assertTrue($newsletter->isArchived());
+        $this->assertNotNull($newsletter->getArchivedAt());
+
+        $newsletter->unarchive();
+
+        $this->assertFalse($newsletter->isArchived());
+        $this->assertSame(NewsletterStatus::SENT, $newsletter->getStatus());
+    }
+
+    #[DataProvider('cancellableStatusProvider')]
+    public function testOnlySentNewslettersCanBeArchived(NewsletterStatus $status): void
+    {
+        $this->expectException(\DomainException::class);
+        $this->expectExceptionMessage('Only sent newsletters can be archived');
+
+        $this->createNewsletter($status)->archive();
+    }
+
+    public function testCannotArchiveTwice(): void
+    {
+        $newsletter = $this->createNewsletter(NewsletterStatus::SENT, ['archived_at' => '2026-02-01 09:00:00']);
+
+        $this->expectException(\DomainException::class);
+        $this->expectExceptionMessage('Newsletter is already archived');
+
+        $newsletter->archive();
+    }
+
+    public function testCannotRestoreANewsletterThatIsNotArchived(): void
+    {
+        $this->expectException(\DomainException::class);
+        $this->expectExceptionMessage('Newsletter is not archived');
+
+        $this->createNewsletter(NewsletterStatus::SENT)->unarchive();
+    }
+
+    /**
+     * @return array<string, array{NewsletterStatus, array, bool}>
+     */
+    public static function deletableProvider(): array
+    {
+        return [
+            'draft' => [NewsletterStatus::DRAFT, [], true],
+            'cancelled before sending' => [NewsletterStatus::CANCELLED, [], true],
+            'cancelled after a campaign' => [NewsletterStatus::CANCELLED, ['statistics' => json_encode(['campaignId' => 41])], false],
+            'draft with a send recorded' => [NewsletterStatus::DRAFT, ['sent_at' => '2026-01-05 12:00:00'], false],
+            'scheduled' => [NewsletterStatus::SCHEDULED, [], false],
+            'sent' => [NewsletterStatus::SENT, ['sent_at' => '2026-01-05 12:00:00'], false],
+            'failed' => [NewsletterStatus::FAILED, [], false],
+        ];
+    }
+
+    #[DataProvider('deletableProvider')]
+    public function testDeletesOnlyNewslettersThatNeverReachedBrevo(
+        NewsletterStatus $status,
+        array $record,
+        bool $canDelete
+    ): void {
+        $this->assertSame($canDelete, $this->createNewsletter($status, $record)->canDelete());
+    }
+
+    /**
+     * Build a newsletter the way the repository loads it
+     *
+     * @param NewsletterStatus $status
+     * @param array $record Columns that replace the defaults
+     * @return Newsletter
+     */
+    private function createNewsletter(NewsletterStatus $status, array $record = []): Newsletter
+    {
+        return Newsletter::fromDatabaseRecord(array_merge([
+            'id' => 3,
+            'number' => 12,
+            'text_header' => 'Encabezado',
+            'news_collection' => '5,7',
+            'id_status' => $status->value,
+            'date_created' => '2026-01-05 10:00:00',
+            'html_content' => '<p>Boletín</p>',
+        ], $record));
+    }
+}
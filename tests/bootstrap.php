@@ -0,0 +1,110 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Test Bootstrap
+ *
+ * Loads the Composer autoloader and the few WordPress pieces the plugin
+ * classes touch, so the suite runs without a WordPress install
+ *
+ * @package RIILSA\Tests
+ */
+
+require_once dirname(__DIR__) . '/vendor/autoload.php';
+
+define('ABSPATH', sys_get_temp_dir() . '/riilsa-tests/');
+define('ARRAY_A', 'ARRAY_A');
+define('MINUTE_IN_SECONDS', 60);
+define('HOUR_IN_SECONDS', 60 * MINUTE_IN_SECONDS);
+define('DAY_IN_SECONDS', 24 * HOUR_IN_SECONDS);
+
+define('RIILSA_VERSION', '4.0.0');
+define('RIILSA_PLUGIN_DIR', dirname(__DIR__) . '/');
+define('RIILSA_PLUGIN_URL', 'http://example.test/wp-content/plugins/riilsa/');
+
+/**
+ * Stand-in for the WordPress database object
+ * Queries answer with the rows a test puts in $results
+ */
+$GLOBALS['wpdb'] = new class {
+    public string $prefix = 'wp_';
+
+    /**
+     * @var array<int, array<string, mixed>>
+     */
+    public array $results = [];
+
+    public function get_results(string $query, string $output = 'OBJECT'): array
+    {
+        return $this->results;
+    }
+};
+
+function site_url(string $path = ''): string
+{
+    return 'http://example.test/' . ltrim($path, '/');
+}
+
+function __(string $text, string $domain = 'default'): string
+{
+    return $text;
+}
+
+function wp_unslash(mixed $value): mixed
+{
+    if (is_array($value)) {
+        return array_map('wp_unslash', $value);
+    }
+
+    return is_string($value) ? stripslashes($value) : $value;
+}
+
+function current_time(string $type): int|string
+{
+    return $type === 'mysql' ? date('Y-m-d H:i:s') : time();
+}
+
+function wp_parse_url(string $url, int $component = -1): mixed
+{
+    return parse_url($url, $component);
+}
+
+function wp_parse_str(string $input, array &$result): void
+{
+    parse_str($input, $result);
+}
+
+// AJAX requests from an editor with a valid nonce
+function wp_doing_ajax(): bool
+{
+    return true;
+}
+
+function current_user_can(string $capability): bool
+{
+    return true;
+}
+
+function wp_verify_nonce(string $nonce, string $action): int|false
+{
+    return $nonce === 'valid-nonce' ? 1 : false;
+}
+
+// JSON responses are kept in $GLOBALS['riilsa_json_response'] instead of ending the request
+function wp_send_json_success(mixed $data = null, ?int $statusCode = null): void
+{
+    $GLOBALS['riilsa_json_response'] = ['success' => true, 'data' => $data, 'status' => $statusCode];
+}
+
+function wp_send_json_error(mixed $data = null, ?int $statusCode = null): void
+{
+    $GLOBALS['riilsa_json_response'] = ['success' => false, 'data' => $data, 'status' => $statusCode];
+}
+
+function wp_die(): void
+{
+}
+
+// Plugin constants, defined the same way the plugin does on load
+new \RIILSA\Core\Constants();